@@ -0,0 +1,276 @@
+'use strict';
+
+const semver = require('semver');
+
+/**
+ * The brands which repositories, demos, and bundles can have.
+ * @private
+ */
+const brands = ['master', 'internal', 'whitelabel'];
+
+/**
+ * The values which brand filters accept, in addition to a brand.
+ * @private
+ */
+const brandFilters = brands.concat(['all', 'none']);
+
+/**
+ * The support statuses which repositories can have.
+ * @private
+ */
+const supportStatuses = ['active', 'maintained', 'experimental', 'deprecated', 'dead'];
+
+/**
+ * The types which repositories can have.
+ * @private
+ */
+const repoTypes = ['module', 'service', 'imageset'];
+
+/**
+ * The types of manifest which can be requested for a version.
+ * @private
+ */
+const manifestTypes = ['about', 'bower', 'imageSet', 'origami', 'package'];
+
+/**
+ * The types of markdown document which can be requested for a version.
+ * @private
+ */
+const markdownTypes = ['designguidelines', 'readme'];
+
+/**
+ * The languages which bundles can be requested in.
+ * @private
+ */
+const bundleLanguages = ['css', 'js'];
+
+/**
+ * The fields which lists of repositories can be sorted by.
+ * @private
+ */
+const repoSortFields = ['name', 'status', 'lastIngested'];
+
+/**
+ * The orders which lists can be sorted in.
+ * @private
+ */
+const sortOrders = ['asc', 'desc'];
+
+/**
+ * Matches a UUID, which is how the service identifies repositories, versions, API keys, and ingestions.
+ * @private
+ */
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Matches a repository name, which can be used in place of a repository UUID.
+ * @private
+ */
+const repoNamePattern = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Matches an Origami Specification version, e.g. <code>'1'</code> or <code>'2.0'</code>.
+ * @private
+ */
+const origamiVersionPattern = /^\d+(\.\d+)?$/;
+
+/**
+ * Throw if a value is not one of a set of allowed values.
+ * @private
+ * @param {String} name - The name of the argument, which is used in the error message.
+ * @param {*} value - The value to check.
+ * @param {Array.<String>} allowedValues - The values which are allowed.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the value is not allowed. The error message lists the allowed values.
+ */
+function assertOneOf(name, value, allowedValues) {
+	if (!allowedValues.includes(value)) {
+		const allowed = allowedValues.map(allowedValue => `"${allowedValue}"`).join(', ');
+		throw new TypeError(`${formatValue(value)} is not a valid ${name}, expected one of ${allowed}`);
+	}
+}
+
+/**
+ * Throw if a value, or any value in an array or comma-separated list, is not one of a set of allowed values.
+ * @private
+ * @param {String} name - The name of the argument, which is used in the error message.
+ * @param {(Array|String)} value - The value or values to check.
+ * @param {Array.<String>} allowedValues - The values which are allowed.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if any value is not allowed. The error message lists the allowed values.
+ */
+function assertEachOneOf(name, value, allowedValues) {
+	for (const item of toList(value)) {
+		assertOneOf(name, item, allowedValues);
+	}
+}
+
+/**
+ * Throw if an ID is not a UUID.
+ * @private
+ * @param {String} name - The name of the ID, which is used in the error message.
+ * @param {String} id - The ID to check.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the ID is not a UUID.
+ */
+function assertUuid(name, id) {
+	if (typeof id !== 'string' || !uuidPattern.test(id)) {
+		throw new TypeError(`${formatValue(id)} is not a valid ${name}, expected a UUID`);
+	}
+}
+
+/**
+ * Throw if a repository ID is not a UUID or a repository name.
+ * @private
+ * @param {String} repoId - The repository ID to check.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the repository ID is not valid.
+ */
+function assertRepoId(repoId) {
+	if (typeof repoId !== 'string' || !(uuidPattern.test(repoId) || repoNamePattern.test(repoId))) {
+		throw new TypeError(`${formatValue(repoId)} is not a valid repository ID, expected a repository UUID or name such as "o-colors"`);
+	}
+}
+
+/**
+ * Throw if a version ID is not a UUID, a version number, or a version tag. Loose version
+ * numbers are accepted because the service accepts any version which it was able to ingest.
+ * @private
+ * @param {String} versionId - The version ID to check.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the version ID is not valid.
+ */
+function assertVersionId(versionId) {
+	if (typeof versionId !== 'string' || !(uuidPattern.test(versionId) || semver.valid(versionId, {loose: true}))) {
+		throw new TypeError(`${formatValue(versionId)} is not a valid version ID, expected a version UUID, number, or tag such as "v1.2.3"`);
+	}
+}
+
+/**
+ * Throw if any of the filters for a list of repositories are not valid.
+ * @private
+ * @param {Object} filters - The filters, as documented in {@link RepoDataClient#listRepos}.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if a filter is not valid. The error message lists the allowed values.
+ */
+function assertRepoFilters({brand, search, status, type, origamiVersion, keyword, supportContact, lastIngested, statusChangedSince, sort, order}) {
+	if (brand !== undefined && brand !== null && brand !== '') {
+		assertEachOneOf('brand filter', brand, brandFilters);
+	}
+	if (search !== undefined && typeof search !== 'string') {
+		throw new TypeError(`${formatValue(search)} is not a valid search, expected a string`);
+	}
+	if (status !== undefined) {
+		assertEachOneOf('status filter', status, supportStatuses);
+	}
+	if (type !== undefined) {
+		assertEachOneOf('type filter', type, repoTypes);
+	}
+	if (origamiVersion !== undefined) {
+		for (const version of toList(origamiVersion)) {
+			if (!['string', 'number'].includes(typeof version) || !origamiVersionPattern.test(String(version))) {
+				throw new TypeError(`${formatValue(version)} is not a valid origamiVersion filter, expected a version of the Origami Specification such as "1" or "2.0"`);
+			}
+		}
+	}
+	if (keyword !== undefined) {
+		assertEachString('keyword filter', keyword);
+	}
+	if (supportContact !== undefined) {
+		assertEachString('supportContact filter', supportContact);
+	}
+	if (lastIngested !== undefined) {
+		assertDateRange('lastIngested filter', lastIngested);
+	}
+	if (statusChangedSince !== undefined) {
+		const repos = (statusChangedSince && !Array.isArray(statusChangedSince) ? statusChangedSince.repos : statusChangedSince);
+		if (!Array.isArray(repos) || !repos.every(repo => repo && typeof repo === 'object')) {
+			throw new TypeError('The statusChangedSince filter must be an array of repositories, or an object with a "repos" array');
+		}
+	}
+	if (sort !== undefined) {
+		assertOneOf('sort', sort, repoSortFields);
+	}
+	if (order !== undefined) {
+		assertOneOf('sort order', order, sortOrders);
+	}
+}
+
+/**
+ * Throw if a value, or any value in an array or comma-separated list, is not a non-empty string.
+ * @private
+ * @param {String} name - The name of the argument, which is used in the error message.
+ * @param {(Array|String)} value - The value or values to check.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if any value is not a non-empty string.
+ */
+function assertEachString(name, value) {
+	for (const item of toList(value)) {
+		if (typeof item !== 'string' || !item) {
+			throw new TypeError(`${formatValue(item)} is not a valid ${name}, expected a non-empty string`);
+		}
+	}
+}
+
+/**
+ * Throw if a value is not a date range with an <code>after</code> and/or <code>before</code> date.
+ * @private
+ * @param {String} name - The name of the argument, which is used in the error message.
+ * @param {Object} range - The date range to check.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the date range is not valid.
+ */
+function assertDateRange(name, range) {
+	if (!range || typeof range !== 'object' || (range.after === undefined && range.before === undefined)) {
+		throw new TypeError(`The ${name} must be an object with an "after" or "before" date`);
+	}
+	for (const bound of ['after', 'before']) {
+		const date = range[bound];
+		if (date !== undefined && (!(date instanceof Date || typeof date === 'string') || isNaN(new Date(date).getTime()))) {
+			throw new TypeError(`${formatValue(date)} is not a valid "${bound}" date for the ${name}`);
+		}
+	}
+}
+
+/**
+ * Convert a filter value into a list of values. Filters can be an array, or a string which is
+ * a single value or a comma-separated list of values, as the service accepts.
+ * @private
+ * @param {(Array|String)} value - The filter value.
+ * @returns {Array} The filter values.
+ */
+function toList(value) {
+	if (typeof value === 'string' && value.includes(',')) {
+		return value.split(',').map(item => item.trim());
+	}
+	return [].concat(value);
+}
+
+/**
+ * Format a value for use in an error message.
+ * @private
+ * @param {*} value - The value to format.
+ * @returns {String} The formatted value.
+ */
+function formatValue(value) {
+	return (typeof value === 'string' ? `"${value}"` : String(value));
+}
+
+module.exports = {
+	brands,
+	brandFilters,
+	supportStatuses,
+	repoTypes,
+	manifestTypes,
+	markdownTypes,
+	bundleLanguages,
+	repoSortFields,
+	sortOrders,
+	assertOneOf,
+	assertEachOneOf,
+	assertUuid,
+	assertRepoId,
+	assertVersionId,
+	assertRepoFilters,
+	toList
+};
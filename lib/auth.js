@@ -0,0 +1,203 @@
+'use strict';
+
+const defaults = require('lodash/defaults');
+
+/**
+ * Create the headers which authenticate a request with an API key and secret.
+ * @private
+ * @param {Object} credentials - The API credentials.
+ * @param {String} credentials.apiKey - The API key.
+ * @param {String} credentials.apiSecret - The API secret.
+ * @returns {Object} The <code>X-Api-Key</code> and <code>X-Api-Secret</code> headers.
+ */
+function createCredentialHeaders({apiKey, apiSecret}) {
+	return {
+		'X-Api-Key': apiKey,
+		'X-Api-Secret': apiSecret
+	};
+}
+
+/**
+ * Class representing an auth strategy which sends the same API key and secret with every request.
+ * This can be used as the <code>auth</code> option of {@link RepoDataClient}.
+ *
+ * @example <caption>Create a client with static credentials</caption>
+ * const repoData = new RepoDataClient({
+ *     auth: new RepoDataClient.StaticAuth({
+ *         apiKey: 'xxxxxx',
+ *         apiSecret: 'xxxxxx'
+ *     })
+ * });
+ */
+class StaticAuth {
+
+	/**
+	 * Create a static auth strategy.
+	 * @param {Object} credentials - The API credentials.
+	 * @param {String} credentials.apiKey - The API key to send with every request.
+	 * @param {String} credentials.apiSecret - The API secret to send with every request.
+	 * @returns {StaticAuth} A new StaticAuth instance.
+	 * @throws {TypeError} Will throw if the credentials are not valid.
+	 */
+	constructor(credentials) {
+		assertCredentials(credentials, 'Static credentials must have an "apiKey" and "apiSecret"');
+		this.credentials = {
+			apiKey: credentials.apiKey,
+			apiSecret: credentials.apiSecret
+		};
+	}
+
+	/**
+	 * Get the headers which authenticate a request.
+	 * @returns {Promise<Object>} A promise which resolves with the request headers.
+	 */
+	async getHeaders() {
+		return createCredentialHeaders(this.credentials);
+	}
+
+}
+
+/**
+ * Class representing an auth strategy which gets API credentials from an async provider, e.g. a secrets store.
+ * Credentials are kept until the service responds with a 401 status, at which point the provider is called again
+ * and the request is retried once, so that keys can be rotated without restarting the application.
+ * This can be used as the <code>auth</code> option of {@link RepoDataClient}.
+ *
+ * @example <caption>Create a client which gets credentials from a secrets store</caption>
+ * const repoData = new RepoDataClient({
+ *     auth: new RepoDataClient.ProviderAuth(async () => {
+ *         const secret = await secretsStore.get('origami-repo-data');
+ *         return {
+ *             apiKey: secret.key,
+ *             apiSecret: secret.secret
+ *         };
+ *     }, {
+ *         maxAge: 60 * 60 * 1000
+ *     })
+ * });
+ */
+class ProviderAuth {
+
+	/**
+	 * Create a credential provider auth strategy.
+	 * @param {Function} provider - An async function which resolves with an object which has <code>apiKey</code> and <code>apiSecret</code> properties.
+	 * @param {Object} [options] - The provider options.
+	 * @param {Number} [options.maxAge=Infinity] - The number of milliseconds to keep credentials for before calling the provider again.
+	 * @returns {ProviderAuth} A new ProviderAuth instance.
+	 * @throws {TypeError} Will throw if the provider is not a function.
+	 */
+	constructor(provider, options) {
+		if (typeof provider !== 'function') {
+			throw new TypeError('The credential provider must be a function');
+		}
+		this.provider = provider;
+		this.options = defaults({}, options, {
+			maxAge: Infinity
+		});
+		this.credentials = null;
+		this.expires = 0;
+	}
+
+	/**
+	 * Get the headers which authenticate a request, calling the provider if there are no current credentials.
+	 * Requests which are made while the provider is being called share its result.
+	 * @returns {Promise<Object>} A promise which resolves with the request headers.
+	 * @throws {TypeError} Will throw if the provider does not resolve with valid credentials.
+	 * @throws {Error} Will throw any error which the provider throws.
+	 */
+	async getHeaders() {
+		if (!this.credentials || Date.now() >= this.expires) {
+			this.credentials = Promise.resolve().then(() => this.provider()).then(credentials => {
+				assertCredentials(credentials, 'The credential provider must resolve with an "apiKey" and "apiSecret"');
+				return credentials;
+			});
+			this.expires = Date.now() + this.options.maxAge;
+			// A provider which fails is called again for the next request, rather than failing every request
+			this.credentials.catch(() => {
+				this.credentials = null;
+			});
+		}
+		return createCredentialHeaders(await this.credentials);
+	}
+
+	/**
+	 * Forget the current credentials, so that the provider is called again for the next request.
+	 * The client calls this when the service responds with a 401 status.
+	 * @returns {Promise} A promise which resolves when the credentials have been forgotten.
+	 */
+	async refresh() {
+		this.credentials = null;
+	}
+
+}
+
+/**
+ * Class representing an auth strategy which sends no credentials, for endpoints which do not require them.
+ * This can be used as the <code>auth</code> option of {@link RepoDataClient}.
+ *
+ * @example <caption>Create a client which does not authenticate</caption>
+ * const repoData = new RepoDataClient({
+ *     auth: new RepoDataClient.NoAuth()
+ * });
+ */
+class NoAuth {
+
+	/**
+	 * Get the headers which authenticate a request.
+	 * @returns {Promise<Object>} A promise which resolves with no headers.
+	 */
+	async getHeaders() {
+		return {};
+	}
+
+}
+
+/**
+ * Create an auth strategy from the <code>auth</code> client option.
+ * @private
+ * @param {(Object|Function|Boolean)} [auth] - The auth option as passed into the client. This can be an auth strategy,
+ * an async credential provider function, or <code>false</code> to send no credentials.
+ * @returns {(Object|null)} An auth strategy, or <code>null</code> if the client uses its <code>apiKey</code> and <code>apiSecret</code> options.
+ * @throws {TypeError} Will throw if the auth option is invalid.
+ */
+function createAuthFromOption(auth) {
+	if (auth === undefined || auth === null) {
+		return null;
+	}
+	if (auth === false) {
+		return new NoAuth();
+	}
+	if (typeof auth === 'function') {
+		return new ProviderAuth(auth);
+	}
+	if (typeof auth.getHeaders !== 'function') {
+		throw new TypeError('The auth option must be an auth strategy with a "getHeaders" method, a credential provider function, or false');
+	}
+	return auth;
+}
+
+/**
+ * Throw if API credentials are not valid.
+ * @private
+ * @param {Object} credentials - The API credentials.
+ * @param {String} message - The error message to throw with.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the credentials do not have a non-empty <code>apiKey</code> and <code>apiSecret</code>.
+ */
+function assertCredentials(credentials, message) {
+	const isValid = (
+		credentials &&
+		typeof credentials.apiKey === 'string' && credentials.apiKey &&
+		typeof credentials.apiSecret === 'string' && credentials.apiSecret
+	);
+	if (!isValid) {
+		throw new TypeError(message);
+	}
+}
+
+module.exports = {
+	StaticAuth,
+	ProviderAuth,
+	NoAuth,
+	createAuthFromOption
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const cloneDeep = require('lodash/cloneDeep');
+const defaults = require('lodash/defaults');
+const {mapConcurrently} = require('./concurrency');
+
+/**
+ * The default options for batching calls.
+ * @private
+ */
+const defaultBatchOptions = {
+	concurrency: 5
+};
+
+/**
+ * The client methods which can be batched, and the position of the request options in their arguments.
+ * These only read data, so they are safe to make at the same time and to share between identical calls.
+ * New client methods cannot be batched until they are added here.
+ * @private
+ */
+const batchableMethods = {
+	listRepos: 1,
+	listBrandedRepos: 1,
+	getRepo: 1,
+	listVersions: 1,
+	getVersion: 2,
+	resolveVersion: 3,
+	getLatestVersion: 1,
+	listVersionsInRange: 3,
+	getManifest: 3,
+	getMarkdown: 3,
+	getReadme: 2,
+	listDemos: 3,
+	listImages: 3,
+	listDependencies: 2,
+	resolveDependencyTree: 3,
+	listDependents: 2,
+	listBundles: 4,
+	listKeys: 0,
+	getKey: 1,
+	auditKeys: 1,
+	listIngestions: 0,
+	getIngestion: 1
+};
+
+/**
+ * IDs for the request options objects which have been passed to batched calls.
+ * @private
+ */
+const requestOptionsIds = new WeakMap();
+
+/**
+ * The number of request options objects which have been given an ID.
+ * @private
+ */
+let requestOptionsCount = 0;
+
+/**
+ * Get the key which identifies a batched call. Calls with the same key are identical,
+ * so only one request is made for them.
+ * @private
+ * @param {Object} call - The call, as documented in {@link RepoDataClient#batch}.
+ * @returns {String} The call key.
+ */
+function getCallKey({method, args = []}) {
+	// Request options can have an abort signal, which can't be serialized, so calls only share a request when they
+	// share the same request options object
+	const requestOptionsIndex = batchableMethods[method];
+	const requestOptions = args[requestOptionsIndex];
+	if (requestOptions && typeof requestOptions === 'object' && !requestOptionsIds.has(requestOptions)) {
+		requestOptionsCount += 1;
+		requestOptionsIds.set(requestOptions, requestOptionsCount);
+	}
+	const requestOptionsId = (requestOptions && typeof requestOptions === 'object' ? requestOptionsIds.get(requestOptions) : requestOptions || null);
+	const otherArgs = args.slice(0, requestOptionsIndex).concat(args.slice(requestOptionsIndex + 1));
+	return JSON.stringify([method, otherArgs, requestOptionsId]);
+}
+
+/**
+ * Make a batched call, or share the result of an identical call which is already in flight.
+ * @private
+ * @param {RepoDataClient} client - The client to make the call with.
+ * @param {String} key - The call key.
+ * @param {Object} call - The call, as documented in {@link RepoDataClient#batch}.
+ * @returns {Promise<Object>} A promise which resolves with the result of the call.
+ */
+function makeCall(client, key, {method, args = []}) {
+	const inFlightCall = client.batchedCalls.get(key);
+	if (inFlightCall) {
+		return inFlightCall.then(cloneResult);
+	}
+	const call = (async () => {
+		try {
+			return {
+				status: 'fulfilled',
+				value: await client[method](...args)
+			};
+		} catch (error) {
+			return {
+				status: 'rejected',
+				reason: error
+			};
+		}
+	})();
+	client.batchedCalls.set(key, call);
+	call.then(() => client.batchedCalls.delete(key));
+	return call;
+}
+
+/**
+ * Copy the result of a call, so that a call which shares it can't change the result of another.
+ * @private
+ * @param {Object} result - The result of a call.
+ * @returns {Object} A copy of the result.
+ */
+function cloneResult(result) {
+	if (result.status === 'fulfilled') {
+		return {
+			status: result.status,
+			value: cloneDeep(result.value)
+		};
+	}
+	return {
+		status: result.status,
+		reason: result.reason
+	};
+}
+
+/**
+ * Throw if a batched call cannot be made.
+ * @private
+ * @param {RepoDataClient} client - The client which will make the call.
+ * @param {Object} call - The call, as documented in {@link RepoDataClient#batch}.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the call does not name a client method which can be batched, or its arguments are not an array.
+ */
+function assertCall(client, call) {
+	if (!call || typeof call !== 'object') {
+		throw new TypeError('Each batched call must be an object with a "method" property');
+	}
+	const {method} = call;
+	if (!Object.prototype.hasOwnProperty.call(batchableMethods, method) || typeof client[method] !== 'function') {
+		throw new TypeError(`${typeof method === 'string' ? `"${method}"` : String(method)} is not a client method which can be batched`);
+	}
+	if (call.args !== undefined && !Array.isArray(call.args)) {
+		throw new TypeError(`The arguments for a batched call to "${method}" must be an array`);
+	}
+}
+
+/**
+ * Make a batch of calls to client methods with bounded concurrency.
+ * @private
+ * @param {RepoDataClient} client - The client to make the calls with.
+ * @param {Array.<Object>} calls - The calls, as documented in {@link RepoDataClient#batch}.
+ * @param {Object} [options] - Options for the batch, as documented in {@link RepoDataClient#batch}.
+ * @returns {Promise<Array>} A promise which resolves with a result for each call, in the same order as the calls.
+ * @throws {TypeError} Will throw if any call cannot be made, before any request is made.
+ */
+async function batch(client, calls, options) {
+	options = defaults({}, options, defaultBatchOptions);
+	if (!Array.isArray(calls)) {
+		throw new TypeError('Batched calls must be an array');
+	}
+	for (const call of calls) {
+		assertCall(client, call);
+	}
+
+	// Identical calls share a single request, including calls which another batch already has in flight
+	const callKeys = calls.map(getCallKey);
+	const uniqueCalls = new Map();
+	calls.forEach((call, index) => {
+		const key = callKeys[index];
+		if (!uniqueCalls.has(key)) {
+			uniqueCalls.set(key, call);
+		}
+	});
+	const uniqueResults = await mapConcurrently(Array.from(uniqueCalls.entries()), options.concurrency, ([key, call]) => {
+		return makeCall(client, key, call);
+	});
+
+	// The first of each identical call gets the result, and the rest get a copy of it
+	const resultsByKey = new Map(Array.from(uniqueCalls.keys()).map((key, index) => [key, uniqueResults[index]]));
+	const returnedKeys = new Set();
+	return callKeys.map(key => {
+		const result = resultsByKey.get(key);
+		if (returnedKeys.has(key)) {
+			return cloneResult(result);
+		}
+		returnedKeys.add(key);
+		return result;
+	});
+}
+
+module.exports = {
+	defaultBatchOptions,
+	batchableMethods,
+	batch
+};
@@ -0,0 +1,281 @@
+'use strict';
+
+const cloneDeep = require('lodash/cloneDeep');
+const defaults = require('lodash/defaults');
+const querystring = require('querystring');
+const {matchEndpoint} = require('./endpoints');
+
+/**
+ * The default number of milliseconds that responses are cached for, by endpoint name.
+ * Endpoints with a TTL of zero are always revalidated with the service using an ETag.
+ * Endpoints which are not listed here are never cached.
+ * @private
+ */
+const defaultTtl = {
+	repos: 0,
+	repo: 0,
+	versions: 0,
+	version: 60 * 60 * 1000,
+	manifest: 60 * 60 * 1000,
+	markdown: 60 * 60 * 1000,
+	demos: 60 * 60 * 1000,
+	images: 60 * 60 * 1000,
+	dependencies: 60 * 60 * 1000,
+	bundles: 60 * 60 * 1000
+};
+
+/**
+ * Class representing an in-memory least-recently-used cache store.
+ * This can be used as the <code>cache</code> option of {@link RepoDataClient}.
+ *
+ * @example <caption>Create a client with an in-memory cache</caption>
+ * const repoData = new RepoDataClient({
+ *     cache: new RepoDataClient.MemoryCache({
+ *         maxEntries: 1000
+ *     })
+ * });
+ */
+class MemoryCache {
+
+	/**
+	 * Create an in-memory cache store.
+	 * @param {Object} [options] - The cache options.
+	 * @param {Number} [options.maxEntries=500] - The maximum number of entries to store before the least recently used are evicted.
+	 * @returns {MemoryCache} A new MemoryCache instance.
+	 */
+	constructor(options) {
+		this.options = defaults({}, options, {
+			maxEntries: 500
+		});
+		this.entries = new Map();
+	}
+
+	/**
+	 * Get a cache entry.
+	 * @param {String} key - The cache key.
+	 * @returns {Promise<*>} A promise which resolves with the cached value, or <code>undefined</code> if there isn't one.
+	 */
+	async get(key) {
+		if (!this.entries.has(key)) {
+			return undefined;
+		}
+		// Re-insert the entry so that it becomes the most recently used
+		const value = this.entries.get(key);
+		this.entries.delete(key);
+		this.entries.set(key, value);
+		return value;
+	}
+
+	/**
+	 * Set a cache entry.
+	 * @param {String} key - The cache key.
+	 * @param {*} value - The value to cache.
+	 * @returns {Promise} A promise which resolves when the entry is set.
+	 */
+	async set(key, value) {
+		this.entries.delete(key);
+		this.entries.set(key, value);
+		while (this.entries.size > this.options.maxEntries) {
+			this.entries.delete(this.entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * Delete a cache entry.
+	 * @param {String} key - The cache key.
+	 * @returns {Promise} A promise which resolves when the entry is deleted.
+	 */
+	async delete(key) {
+		this.entries.delete(key);
+	}
+
+	/**
+	 * Delete all cache entries.
+	 * @returns {Promise} A promise which resolves when the cache is empty.
+	 */
+	async clear() {
+		this.entries.clear();
+	}
+
+}
+
+/**
+ * Class representing the response cache used by a client.
+ * This wraps a cache store and decides which responses to cache and for how long.
+ * @private
+ */
+class ResponseCache {
+
+	/**
+	 * Create a response cache.
+	 * @param {Object} options - The response cache options.
+	 * @param {Object} options.store - The cache store, which must have async <code>get</code> and <code>set</code> methods.
+	 * @param {Object} [options.ttl] - Cache TTLs in milliseconds, by endpoint name.
+	 * @returns {ResponseCache} A new ResponseCache instance.
+	 */
+	constructor({store, ttl}) {
+		this.store = store;
+		this.ttl = defaults({}, ttl, defaultTtl);
+		this.keys = new Set();
+	}
+
+	/**
+	 * Get the cache TTL for a request.
+	 * @param {String} method - The HTTP method of the request.
+	 * @param {String} endpoint - The service endpoint.
+	 * @returns {(Number|null)} The TTL in milliseconds, or <code>null</code> if the request should not be cached.
+	 */
+	getTtl(method, endpoint) {
+		if (method.toUpperCase() !== 'GET') {
+			return null;
+		}
+		const match = matchEndpoint(endpoint);
+		if (!match || typeof this.ttl[match.name] !== 'number') {
+			return null;
+		}
+		return this.ttl[match.name];
+	}
+
+	/**
+	 * Get the cache entry for a request.
+	 * @param {String} key - The cache key for the request.
+	 * @returns {Promise<(Object|undefined)>} A promise which resolves with a copy of the entry, which has <code>data</code>,
+	 * <code>etag</code>, and <code>expires</code> properties.
+	 */
+	async get(key) {
+		const entry = await this.store.get(key);
+		if (!entry) {
+			// The store may have evicted the entry, so the key no longer needs to be tracked
+			this.keys.delete(key);
+			return undefined;
+		}
+		return cloneDeep(entry);
+	}
+
+	/**
+	 * Set the cache entry for a request. A copy of the entry is stored, so later changes to it are not cached.
+	 * @param {String} key - The cache key for the request.
+	 * @param {Object} entry - The cache entry.
+	 * @returns {Promise} A promise which resolves when the entry is set.
+	 */
+	async set(key, entry) {
+		this.keys.add(key);
+		await this.store.set(key, cloneDeep(entry));
+		// A memory cache evicts entries as it fills up, so keys are pruned once there are more than it holds
+		if (this.store instanceof MemoryCache && this.keys.size > this.store.entries.size) {
+			for (const trackedKey of this.keys) {
+				if (!this.store.entries.has(trackedKey)) {
+					this.keys.delete(trackedKey);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Delete cached responses.
+	 * @param {String} [repoId] - A repository UUID or name. If set, only the repository list and responses for this
+	 * repository are deleted. Otherwise every response cached by this client is deleted. Responses which were requested
+	 * with the repository's other identifier are also deleted, as long as the repository itself is still cached.
+	 * @returns {Promise} A promise which resolves when the responses are deleted.
+	 */
+	async invalidate(repoId) {
+		const repoPaths = (repoId ? (await this.getRepoIdentifiers(repoId)).map(identifier => `/v1/repos/${identifier}`) : []);
+		const keys = Array.from(this.keys).filter(key => {
+			if (!repoId) {
+				return true;
+			}
+			const path = getKeyPath(key);
+			return path === '/v1/repos' || repoPaths.some(repoPath => path === repoPath || path.startsWith(`${repoPath}/`));
+		});
+		await Promise.all(keys.map(key => {
+			this.keys.delete(key);
+			if (typeof this.store.delete === 'function') {
+				return this.store.delete(key);
+			}
+			return this.store.set(key, null);
+		}));
+	}
+
+	/**
+	 * Get the UUID and name of a repository from the cached repository responses, so that responses cached
+	 * under either can be found.
+	 * @private
+	 * @param {String} repoId - A repository UUID or name.
+	 * @returns {Promise<Array.<String>>} A promise which resolves with the identifiers of the repository.
+	 */
+	async getRepoIdentifiers(repoId) {
+		const identifiers = new Set([repoId]);
+		const repoKeys = Array.from(this.keys).filter(key => {
+			const path = getKeyPath(key);
+			return path === '/v1/repos' || path === `/v1/repos/${repoId}`;
+		});
+		for (const key of repoKeys) {
+			const entry = await this.store.get(key);
+			const repos = [].concat((entry && entry.data) || []);
+			for (const repo of repos) {
+				if (repo && (repo.id === repoId || repo.name === repoId)) {
+					identifiers.add(repo.id);
+					identifiers.add(repo.name);
+				}
+			}
+		}
+		return Array.from(identifiers).filter(Boolean);
+	}
+
+	/**
+	 * Create a cache key for a request.
+	 * @param {String} method - The HTTP method of the request.
+	 * @param {String} endpoint - The service endpoint.
+	 * @param {Object} [query] - The request query parameters.
+	 * @returns {String} The cache key.
+	 */
+	static createKey(method, endpoint, query) {
+		const sortedQuery = {};
+		Object.keys(query || {}).sort().forEach(name => {
+			if (query[name] !== undefined) {
+				sortedQuery[name] = query[name];
+			}
+		});
+		const serializedQuery = querystring.stringify(sortedQuery);
+		return `${method.toUpperCase()} ${endpoint}${serializedQuery ? `?${serializedQuery}` : ''}`;
+	}
+
+	/**
+	 * Create a response cache from the <code>cache</code> client option.
+	 * @param {(Boolean|Object)} [cache] - The cache option as passed into the client.
+	 * This can be <code>true</code>, a cache store, or an object with <code>store</code> and <code>ttl</code> properties.
+	 * @returns {(ResponseCache|null)} A response cache, or <code>null</code> if caching is disabled.
+	 */
+	static fromOption(cache) {
+		if (!cache) {
+			return null;
+		}
+		if (cache === true) {
+			return new ResponseCache({store: new MemoryCache()});
+		}
+		if (typeof cache.get === 'function' && typeof cache.set === 'function') {
+			return new ResponseCache({store: cache});
+		}
+		return new ResponseCache({
+			store: cache.store || new MemoryCache(),
+			ttl: cache.ttl
+		});
+	}
+
+}
+
+/**
+ * Get the endpoint path from a cache key, without the HTTP method or querystring.
+ * @private
+ * @param {String} key - The cache key.
+ * @returns {String} The endpoint path.
+ */
+function getKeyPath(key) {
+	return key.replace(/^\w+ /, '').split('?')[0];
+}
+
+module.exports = {
+	defaultTtl,
+	MemoryCache,
+	ResponseCache
+};
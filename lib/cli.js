@@ -0,0 +1,383 @@
+'use strict';
+
+const get = require('lodash/get');
+
+/**
+ * Flags which do not take a value.
+ * @private
+ */
+const booleanFlags = ['admin', 'help', 'json', 'wait', 'write'];
+
+/**
+ * The output formats which the CLI supports.
+ * @private
+ */
+const formats = ['json', 'plain', 'table'];
+
+/**
+ * The commands which the CLI supports. Each command maps to one or more client methods.
+ * Commands can have positional <code>args</code>, which are all required, and <code>requiredFlags</code>.
+ * @private
+ */
+const commands = [
+	{
+		name: 'repos list',
+		usage: 'repos list [--brand <brand>] [--status <status>] [--type <type>] [--search <text>] [--origami-version <version>] ' +
+			'[--keyword <keyword>] [--support-contact <contact>] [--ingested-after <date>] [--ingested-before <date>] [--sort <field>] [--order <order>]',
+		columns: ['name', 'type', 'version', 'support.status'],
+		run: (client, args, flags) => client.listRepos({
+			brand: flags.brand,
+			search: flags.search,
+			status: flags.status,
+			type: flags.type,
+			origamiVersion: flags['origami-version'],
+			keyword: flags.keyword,
+			supportContact: flags['support-contact'],
+			lastIngested: createDateRange(flags['ingested-after'], flags['ingested-before']),
+			sort: flags.sort,
+			order: flags.order
+		})
+	},
+	{
+		name: 'repos get',
+		usage: 'repos get <repo>',
+		args: ['repo'],
+		run: (client, [repo]) => client.getRepo(repo)
+	},
+	{
+		name: 'versions list',
+		usage: 'versions list <repo>',
+		args: ['repo'],
+		columns: ['name', 'version', 'id'],
+		run: (client, [repo]) => client.listVersions(repo)
+	},
+	{
+		name: 'versions get',
+		usage: 'versions get <repo> <version>',
+		args: ['repo', 'version'],
+		run: (client, [repo, version]) => client.getVersion(repo, version)
+	},
+	{
+		name: 'manifest',
+		usage: 'manifest <repo> <version> <about|bower|imageSet|origami|package>',
+		args: ['repo', 'version', 'type'],
+		run: (client, [repo, version, type]) => client.getManifest(repo, version, type)
+	},
+	{
+		name: 'markdown',
+		usage: 'markdown <repo> <version> <designguidelines|readme>',
+		args: ['repo', 'version', 'type'],
+		run: (client, [repo, version, type]) => client.getMarkdown(repo, version, type)
+	},
+	{
+		name: 'readme',
+		usage: 'readme <repo> <version>',
+		args: ['repo', 'version'],
+		run: (client, [repo, version]) => client.getReadme(repo, version)
+	},
+	{
+		name: 'demos',
+		usage: 'demos <repo> <version> [--brand <brand>]',
+		args: ['repo', 'version'],
+		columns: ['name', 'title', 'description'],
+		run: (client, [repo, version], flags) => client.listDemos(repo, version, flags.brand)
+	},
+	{
+		name: 'images',
+		usage: 'images <repo> <version> [--source-param <source>]',
+		args: ['repo', 'version'],
+		columns: ['title', 'url'],
+		run: (client, [repo, version], flags) => client.listImages(repo, version, {
+			sourceParam: flags['source-param']
+		})
+	},
+	{
+		name: 'dependencies',
+		usage: 'dependencies <repo> <version>',
+		args: ['repo', 'version'],
+		columns: ['name', 'version', 'source', 'isDev'],
+		run: (client, [repo, version]) => client.listDependencies(repo, version)
+	},
+	{
+		name: 'bundles',
+		usage: 'bundles <repo> <version> <css|js> [--brand <brand>]',
+		args: ['repo', 'version', 'language'],
+		columns: ['language', 'brand', 'sizes.raw', 'sizes.gzip', 'url'],
+		run: (client, [repo, version, language], flags) => client.listBundles(repo, version, language, flags.brand)
+	},
+	{
+		name: 'keys list',
+		usage: 'keys list',
+		columns: ['id', 'description', 'read', 'write', 'admin'],
+		run: client => client.listKeys()
+	},
+	{
+		name: 'keys get',
+		usage: 'keys get <key>',
+		args: ['key'],
+		run: (client, [key]) => client.getKey(key)
+	},
+	{
+		name: 'keys create',
+		usage: 'keys create --description <text> [--write] [--admin]',
+		requiredFlags: ['description'],
+		run: (client, args, flags) => client.createKey({
+			description: flags.description,
+			read: true,
+			write: Boolean(flags.write),
+			admin: Boolean(flags.admin)
+		})
+	},
+	{
+		name: 'keys delete',
+		usage: 'keys delete <key>',
+		args: ['key'],
+		run: (client, [key]) => client.deleteKey(key)
+	},
+	{
+		name: 'queue list',
+		usage: 'queue list',
+		columns: ['id', 'url', 'tag', 'ingestionAttempts'],
+		run: client => client.listIngestions()
+	},
+	{
+		name: 'queue get',
+		usage: 'queue get <ingestion>',
+		args: ['ingestion'],
+		run: (client, [ingestion]) => client.getIngestion(ingestion)
+	},
+	{
+		name: 'queue add',
+		usage: 'queue add <url> <tag> [--wait]',
+		args: ['url', 'tag'],
+		run: (client, [url, tag], flags) => client.createIngestion({url, tag}, {
+			wait: Boolean(flags.wait)
+		})
+	},
+	{
+		name: 'queue delete',
+		usage: 'queue delete <ingestion>',
+		args: ['ingestion'],
+		run: (client, [ingestion]) => client.deleteIngestion(ingestion)
+	}
+];
+
+/**
+ * Class representing an incorrectly used command.
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments into positional arguments and flags.
+ * @private
+ * @param {Array.<String>} argv - The command-line arguments, not including the node executable and script.
+ * @returns {Object} An object with <code>args</code> (an array of positional arguments) and <code>flags</code> (an object).
+ */
+function parseArgs(argv) {
+	const args = [];
+	const flags = {};
+	for (let index = 0; index < argv.length; index += 1) {
+		const arg = argv[index];
+		if (arg === '--') {
+			args.push(...argv.slice(index + 1));
+			break;
+		}
+		if (!arg.startsWith('--')) {
+			args.push(arg);
+			continue;
+		}
+		const [name, value] = arg.slice(2).split(/=(.*)/);
+		if (value !== undefined) {
+			flags[name] = value;
+		} else if (booleanFlags.includes(name)) {
+			flags[name] = true;
+		} else if (index + 1 < argv.length && !argv[index + 1].startsWith('--')) {
+			index += 1;
+			flags[name] = argv[index];
+		} else {
+			throw new UsageError(`The --${name} flag requires a value`);
+		}
+	}
+	return {args, flags};
+}
+
+/**
+ * Find the command which matches the given positional arguments.
+ * @private
+ * @param {Array.<String>} args - The positional arguments.
+ * @returns {(Object|null)} An object with the <code>command</code> and its remaining <code>args</code>, or <code>null</code>.
+ */
+function findCommand(args) {
+	for (const command of commands) {
+		const words = command.name.split(' ');
+		if (words.every((word, index) => args[index] === word)) {
+			return {
+				command,
+				args: args.slice(words.length)
+			};
+		}
+	}
+	return null;
+}
+
+/**
+ * Format a single value for text output.
+ * @private
+ * @param {*} value - The value to format.
+ * @returns {String} The formatted value.
+ */
+function formatValue(value) {
+	if (value === undefined || value === null) {
+		return '';
+	}
+	if (typeof value === 'object') {
+		return JSON.stringify(value);
+	}
+	return String(value);
+}
+
+/**
+ * Format a command result for output.
+ * @private
+ * @param {*} result - The result of the command.
+ * @param {String} format - The output format. One of "json", "plain", or "table".
+ * @param {Array.<String>} [columns] - The properties to output for each item when the result is an array.
+ * @returns {String} The formatted output.
+ */
+function formatOutput(result, format, columns) {
+	if (result === undefined || result === null || result === '') {
+		return '';
+	}
+	if (format === 'json') {
+		return JSON.stringify(result, null, 2);
+	}
+	if (typeof result !== 'object') {
+		return String(result);
+	}
+	if (!Array.isArray(result)) {
+		return Object.keys(result).map(key => `${key}: ${formatValue(result[key])}`).join('\n');
+	}
+	if (!result.length) {
+		return '';
+	}
+	columns = columns || Object.keys(result[0]).filter(key => typeof result[0][key] !== 'object');
+	const rows = result.map(item => columns.map(column => formatValue(get(item, column))));
+	if (format === 'plain') {
+		return rows.map(row => row.join('\t')).join('\n');
+	}
+	const table = [columns].concat(rows);
+	const widths = columns.map((column, index) => Math.max(...table.map(row => row[index].length)));
+	const formatRow = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+	return [
+		formatRow(columns),
+		formatRow(widths.map(width => '-'.repeat(width))),
+		...rows.map(formatRow)
+	].join('\n');
+}
+
+/**
+ * Get the CLI usage information.
+ * @private
+ * @returns {String} The usage information.
+ */
+function getUsage() {
+	return [
+		'Usage: origami-repo-data <command> [options]',
+		'',
+		'Commands:',
+		...commands.map(command => `  ${command.usage}`),
+		'',
+		'Options:',
+		'  --json             Output JSON',
+		'  --format <format>  Output format, one of: json, plain, table',
+		'  --help             Show this help',
+		'',
+		'Credentials are read from the REPO_DATA_API_KEY, REPO_DATA_API_SECRET, and REPO_DATA_API_URL environment variables.'
+	].join('\n');
+}
+
+/**
+ * Create a date range filter from command-line flags.
+ * @private
+ * @param {String} [after] - The earliest date.
+ * @param {String} [before] - The latest date.
+ * @returns {(Object|undefined)} The date range, or <code>undefined</code> if neither date is set.
+ */
+function createDateRange(after, before) {
+	if (after === undefined && before === undefined) {
+		return undefined;
+	}
+	return {after, before};
+}
+
+/**
+ * Run the command-line interface.
+ * @private
+ * @param {Array.<String>} argv - The command-line arguments, not including the node executable and script.
+ * @param {Object} [io] - The CLI dependencies.
+ * @param {Function} [io.createClient] - A function which returns a {@link RepoDataClient}.
+ * @param {Object} [io.stdout] - A writable stream for output.
+ * @param {Object} [io.stderr] - A writable stream for errors.
+ * @returns {Promise<Number>} A promise which resolves with the exit code.
+ */
+async function run(argv, io = {}) {
+	const stdout = io.stdout || process.stdout;
+	const stderr = io.stderr || process.stderr;
+	const createClient = io.createClient || (() => {
+		const RepoDataClient = require('./client');
+		return new RepoDataClient();
+	});
+
+	let parsed;
+	let match;
+	try {
+		parsed = parseArgs(argv);
+		if (parsed.flags.help || !parsed.args.length) {
+			stdout.write(`${getUsage()}\n`);
+			return 0;
+		}
+		match = findCommand(parsed.args);
+		if (!match) {
+			throw new UsageError(`Unknown command "${parsed.args.join(' ')}"`);
+		}
+		const requiredArgs = match.command.args || [];
+		const requiredFlags = match.command.requiredFlags || [];
+		if (match.args.length !== requiredArgs.length || requiredFlags.some(name => !parsed.flags[name])) {
+			throw new UsageError(`Usage: origami-repo-data ${match.command.usage}`);
+		}
+		if (parsed.flags.format !== undefined && !formats.includes(parsed.flags.format)) {
+			throw new UsageError(`The --format flag must be one of: ${formats.join(', ')}`);
+		}
+	} catch (error) {
+		if (error instanceof UsageError) {
+			stderr.write(`${error.message}\n`);
+			return 2;
+		}
+		throw error;
+	}
+
+	const {flags} = parsed;
+	const format = (flags.json ? 'json' : flags.format || 'table');
+	try {
+		const result = await match.command.run(createClient(), match.args, flags);
+		const output = formatOutput(result, format, match.command.columns);
+		if (output) {
+			stdout.write(`${output}\n`);
+		}
+		return 0;
+	} catch (error) {
+		const serviceMessage = (error.serviceMessage ? ` (${error.serviceMessage})` : '');
+		stderr.write(`Error: ${error.message}${serviceMessage}\n`);
+		return 1;
+	}
+}
+
+module.exports = {
+	commands,
+	parseArgs,
+	findCommand,
+	formatOutput,
+	getUsage,
+	run
+};
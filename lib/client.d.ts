@@ -0,0 +1,938 @@
+/**
+ * Type definitions for the Origami Repo Data client.
+ * These are maintained by hand alongside lib/client.js, so please keep them in sync.
+ */
+
+declare class RepoDataClient {
+
+	/**
+	 * Create an Origami Repo Data client.
+	 */
+	constructor(options?: RepoDataClient.ClientOptions);
+
+	/**
+	 * Create a client which serves requests for repositories and versions from a snapshot instead of the service.
+	 */
+	static fromSnapshot(path: string, options?: RepoDataClient.ClientOptions): RepoDataClient;
+
+	/**
+	 * Compare two catalogues, e.g. two results of listRepos or two snapshot files, and get the changes between them.
+	 */
+	static diffCatalogue(before: RepoDataClient.Catalogue, after: RepoDataClient.Catalogue): Promise<RepoDataClient.CatalogueDiff>;
+
+	/**
+	 * Render a catalogue diff as a Markdown or JSON report.
+	 */
+	static renderCatalogueDiff(diff: RepoDataClient.CatalogueDiff, format?: 'markdown' | 'json'): string;
+
+	/**
+	 * The defaulted client options.
+	 */
+	readonly options: RepoDataClient.ClientOptions;
+
+	/**
+	 * Listen for client events, which can be used to collect metrics.
+	 */
+	on<E extends keyof RepoDataClient.ClientEvents>(eventName: E, listener: (event: RepoDataClient.ClientEvents[E]) => void): this;
+	once<E extends keyof RepoDataClient.ClientEvents>(eventName: E, listener: (event: RepoDataClient.ClientEvents[E]) => void): this;
+	off<E extends keyof RepoDataClient.ClientEvents>(eventName: E, listener: (event: RepoDataClient.ClientEvents[E]) => void): this;
+	removeListener<E extends keyof RepoDataClient.ClientEvents>(eventName: E, listener: (event: RepoDataClient.ClientEvents[E]) => void): this;
+
+	/**
+	 * Get a list of all available Origami repositories as an array.
+	 */
+	listRepos(filters?: RepoDataClient.RepoFilters, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Repo[]>;
+
+	/**
+	 * Iterate over all available Origami repositories.
+	 */
+	iterateRepos(filters?: RepoDataClient.RepoFilters, requestOptions?: RepoDataClient.RequestOptions): AsyncIterableIterator<RepoDataClient.Repo>;
+
+	/**
+	 * Start building a query for Origami repositories.
+	 */
+	query(savedQuery?: RepoDataClient.SavedRepoQuery): RepoDataClient.RepoQuery;
+
+	/**
+	 * Get a list of all branded Origami repositories as an array.
+	 * @deprecated Deprecated in favour of filter options for listRepos.
+	 */
+	listBrandedRepos(brand?: RepoDataClient.BrandFilter, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Repo[]>;
+
+	/**
+	 * Get a single Origami repository by ID or name.
+	 */
+	getRepo(repoId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Repo>;
+
+	/**
+	 * Get a list of all versions for an Origami repository as an array.
+	 */
+	listVersions(repoId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Version[]>;
+
+	/**
+	 * Iterate over all versions for an Origami repository.
+	 */
+	iterateVersions(repoId: string, requestOptions?: RepoDataClient.RequestOptions): AsyncIterableIterator<RepoDataClient.Version>;
+
+	/**
+	 * Get a single version for an Origami repository by ID or number.
+	 */
+	getVersion(repoId: string, versionId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Version>;
+
+	/**
+	 * Resolve a semver range or tag to the highest matching version for an Origami repository.
+	 */
+	resolveVersion(repoId: string, range: string, options?: RepoDataClient.VersionRangeOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Version | null>;
+
+	/**
+	 * Get the latest version for an Origami repository, preferring stable versions.
+	 */
+	getLatestVersion(repoId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Version | null>;
+
+	/**
+	 * Get a list of all versions for an Origami repository which satisfy a semver range, highest first.
+	 */
+	listVersionsInRange(repoId: string, range: string, options?: RepoDataClient.VersionRangeOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Version[]>;
+
+	/**
+	 * Get a single manifest for an Origami repository and version by type.
+	 */
+	getManifest<T extends RepoDataClient.ManifestType>(repoId: string, versionId: string, manifestType: T, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.ManifestTypeMap[T]>;
+
+	/**
+	 * Get a single markdown document for an Origami repository and version by type.
+	 */
+	getMarkdown(repoId: string, versionId: string, markdownType: RepoDataClient.MarkdownType, requestOptions?: RepoDataClient.RequestOptions): Promise<string>;
+
+	/**
+	 * Get the README text for an Origami repository and version.
+	 */
+	getReadme(repoId: string, versionId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<string>;
+
+	/**
+	 * Get a list of all demos for an Origami repository and version as an array.
+	 */
+	listDemos(repoId: string, versionId: string, brand?: RepoDataClient.Brand | null, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Demo[]>;
+
+	/**
+	 * Get a list of all image set images for an Origami repository and version as an array.
+	 */
+	listImages(repoId: string, versionId: string, imageOptions?: RepoDataClient.ImageOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Image[]>;
+
+	/**
+	 * Get a list of all dependencies for an Origami repository and version as an array.
+	 */
+	listDependencies(repoId: string, versionId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Dependency[]>;
+
+	/**
+	 * Resolve the full dependency tree for an Origami repository and version.
+	 */
+	resolveDependencyTree(repoId: string, versionId: string, options?: RepoDataClient.DependencyTreeOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.DependencyTree>;
+
+	/**
+	 * Get a list of the Origami repositories which depend on a repository.
+	 */
+	listDependents(repoName: string, options?: RepoDataClient.DependentOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Dependent[]>;
+
+	/**
+	 * Get a list of bundle information for an Origami repository and version as an array.
+	 */
+	listBundles(repoId: string, versionId: string, language: RepoDataClient.BundleLanguage, brand?: RepoDataClient.BrandFilter, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Bundle[]>;
+
+	/**
+	 * Make a batch of calls to client methods, without making more than a set number of requests at once.
+	 */
+	batch<T = unknown>(calls: RepoDataClient.BatchCall[], options?: RepoDataClient.BatchOptions): Promise<RepoDataClient.BatchResult<T>[]>;
+
+	/**
+	 * Get several Origami repositories by ID or name, without making more than a set number of requests at once.
+	 */
+	getRepos(repoIds: string[], options?: RepoDataClient.BatchOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.BatchResult<RepoDataClient.Repo>[]>;
+
+	/**
+	 * Get several versions of Origami repositories, without making more than a set number of requests at once.
+	 */
+	getVersions(versions: RepoDataClient.VersionReference[], options?: RepoDataClient.BatchOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.BatchResult<RepoDataClient.Version>[]>;
+
+	/**
+	 * Export a snapshot of the Origami catalogue to a single file, so that it can be used without access to the service.
+	 */
+	exportSnapshot(path: string, options?: RepoDataClient.SnapshotOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.SnapshotSummary>;
+
+	/**
+	 * Watch for changes to Origami repositories and the ingestion queue.
+	 */
+	watch(options?: RepoDataClient.WatchOptions, requestOptions?: RepoDataClient.RequestOptions): RepoDataClient.Watcher;
+
+	/**
+	 * Create a new API key which can be used to access the service (requires admin permissions).
+	 */
+	createKey(data: RepoDataClient.KeyData, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.KeyCredentials>;
+
+	/**
+	 * Get a list of all available API keys for the service as an array (requires admin permissions).
+	 */
+	listKeys(requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Key[]>;
+
+	/**
+	 * Iterate over all available API keys for the service (requires admin permissions).
+	 */
+	iterateKeys(requestOptions?: RepoDataClient.RequestOptions): AsyncIterableIterator<RepoDataClient.Key>;
+
+	/**
+	 * Get a single API key for the service by ID.
+	 */
+	getKey(keyId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Key>;
+
+	/**
+	 * Delete a single API key from the service by ID.
+	 */
+	deleteKey(keyId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<void>;
+
+	/**
+	 * Replace an API key with a new one which has the same permissions (requires admin permissions).
+	 */
+	rotateKey(keyId: string, options?: RepoDataClient.RotateKeyOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.KeyRotation>;
+
+	/**
+	 * Get a report of API keys which may need attention (requires admin permissions).
+	 */
+	auditKeys(options?: RepoDataClient.AuditKeysOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.KeyAudit>;
+
+	/**
+	 * Delete cached responses.
+	 */
+	invalidateCache(repoId?: string): Promise<void>;
+
+	/**
+	 * Create a new ingestion and add it to the queue (requires write permissions).
+	 */
+	createIngestion(data: RepoDataClient.IngestionData, options?: RepoDataClient.CreateIngestionOptions & {wait?: false}, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Ingestion>;
+	createIngestion(data: RepoDataClient.IngestionData, options: RepoDataClient.CreateIngestionOptions & {wait: true}, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Version>;
+
+	/**
+	 * Wait for an ingestion to complete, resolving with the version it created.
+	 */
+	waitForIngestion(ingestion: string | RepoDataClient.Ingestion, options?: RepoDataClient.WaitForIngestionOptions, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Version>;
+
+	/**
+	 * Get a list of all current ingestions in the queue as an array.
+	 */
+	listIngestions(requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Ingestion[]>;
+
+	/**
+	 * Iterate over all current ingestions in the queue.
+	 */
+	iterateIngestions(requestOptions?: RepoDataClient.RequestOptions): AsyncIterableIterator<RepoDataClient.Ingestion>;
+
+	/**
+	 * Get a single ingestion in the queue by ID.
+	 */
+	getIngestion(ingestionId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<RepoDataClient.Ingestion>;
+
+	/**
+	 * Delete a single ingestion from the queue by ID (requires admin permissions).
+	 */
+	deleteIngestion(ingestionId: string, requestOptions?: RepoDataClient.RequestOptions): Promise<void>;
+
+	/**
+	 * Add a middleware function which every HTTP request is passed through.
+	 */
+	use(fn: RepoDataClient.Middleware): this;
+
+	/**
+	 * Add a hook which is called before every HTTP request is sent.
+	 */
+	onRequest(fn: (request: RepoDataClient.MiddlewareRequest) => void | Promise<void>): this;
+
+	/**
+	 * Add a hook which is called after every successful HTTP response.
+	 */
+	onResponse(fn: (request: RepoDataClient.MiddlewareRequest, response: RepoDataClient.MiddlewareResponse, duration: number) => void | Promise<void>): this;
+
+	/**
+	 * Add a hook which is called after every failed HTTP request.
+	 */
+	onError(fn: (request: RepoDataClient.MiddlewareRequest, error: RepoDataClient.RepoDataError, duration: number) => void | Promise<void>): this;
+
+}
+
+declare namespace RepoDataClient {
+
+	// Options
+
+	interface ClientOptions {
+		apiKey?: string;
+		apiSecret?: string;
+		auth?: AuthStrategy | CredentialProvider | false;
+		apiUrl?: string;
+		pageSize?: number;
+		retry?: boolean | number | RetryOptions;
+		cache?: boolean | CacheStore | CacheOptions;
+		recorder?: RecorderOptions;
+		snapshot?: string;
+		timeout?: number;
+		validate?: boolean | ValidateOptions;
+	}
+
+	interface RequestOptions {
+		timeout?: number;
+		signal?: AbortSignalLike;
+	}
+
+	// Middleware
+
+	type Middleware = (request: MiddlewareRequest, next: () => Promise<MiddlewareResponse>) => MiddlewareResponse | Promise<MiddlewareResponse>;
+
+	interface MiddlewareRequest {
+		method: 'GET' | 'POST' | 'DELETE';
+		endpoint: string;
+		query?: Record<string, string>;
+		data?: unknown;
+		headers: Record<string, string | undefined>;
+	}
+
+	interface MiddlewareResponse {
+		status?: number;
+		headers?: Record<string, string>;
+		data?: unknown;
+	}
+
+	interface RetryOptions {
+		maxAttempts?: number;
+		backoffBase?: number;
+		backoffCap?: number;
+		jitter?: boolean;
+		retryableStatuses?: number[];
+		methods?: Array<'GET' | 'DELETE' | 'POST'>;
+		honorRetryAfter?: boolean;
+	}
+
+	interface CacheStore {
+		get(key: string): Promise<unknown>;
+		set(key: string, value: unknown): Promise<unknown>;
+		delete?(key: string): Promise<unknown>;
+	}
+
+	interface CacheOptions {
+		store?: CacheStore;
+		ttl?: Partial<Record<CacheableEndpoint, number>>;
+	}
+
+	type CacheableEndpoint = 'repos' | 'repo' | 'versions' | 'version' | 'manifest' | 'markdown' | 'demos' | 'images' | 'dependencies' | 'bundles';
+
+	interface RecorderOptions {
+		mode: 'record' | 'replay';
+		directory: string;
+	}
+
+	interface ValidateOptions {
+		normalize?: boolean;
+	}
+
+	interface MemoryCacheOptions {
+		maxEntries?: number;
+	}
+
+	interface VersionRangeOptions {
+		includePrerelease?: boolean;
+	}
+
+	interface DependencyTreeOptions {
+		includeDev?: boolean;
+		maxDepth?: number;
+		concurrency?: number;
+	}
+
+	interface DependentOptions {
+		range?: string;
+		status?: RepoFilters['status'];
+		brand?: RepoFilters['brand'];
+		latestOnly?: boolean;
+		concurrency?: number;
+	}
+
+	interface BatchOptions {
+		concurrency?: number;
+	}
+
+	interface BatchCall {
+		method: string;
+		args?: unknown[];
+	}
+
+	type BatchResult<T> = {status: 'fulfilled'; value: T} | {status: 'rejected'; reason: unknown};
+
+	interface SnapshotOptions {
+		filters?: RepoFilters;
+		includeManifests?: boolean;
+		includeMarkdown?: boolean;
+		includeBundles?: boolean;
+		latestOnly?: boolean;
+		concurrency?: number;
+	}
+
+	interface SnapshotSummary {
+		path: string;
+		created: string;
+		repoCount: number;
+		versionCount: number;
+	}
+
+	type Catalogue = Array<Repo & {versions?: Version[]}> | {created?: string; repos: Array<Repo & {versions?: Version[]}>} | string;
+
+	interface CatalogueSummary {
+		created: string | null;
+		repoCount: number;
+	}
+
+	interface CatalogueRepoSummary {
+		id: string;
+		name: string;
+		type: string | null;
+		status: string | null;
+		version: string | null;
+	}
+
+	interface CatalogueStatusChange {
+		id: string;
+		name: string;
+		from: string | null;
+		to: string | null;
+	}
+
+	interface CatalogueMajorVersionChange {
+		id: string;
+		name: string;
+		from: string | null;
+		to: string | null;
+		majors: number[];
+	}
+
+	interface CatalogueBrandChange {
+		id: string;
+		name: string;
+		from: string[];
+		to: string[];
+		added: string[];
+		removed: string[];
+	}
+
+	interface CatalogueDiff {
+		before: CatalogueSummary;
+		after: CatalogueSummary;
+		addedRepos: CatalogueRepoSummary[];
+		removedRepos: CatalogueRepoSummary[];
+		statusChanges: CatalogueStatusChange[];
+		majorVersions: CatalogueMajorVersionChange[];
+		brandChanges: CatalogueBrandChange[];
+	}
+
+	interface VersionReference {
+		repoId: string;
+		versionId: string;
+	}
+
+	interface ImageOptions {
+		sourceParam?: string;
+	}
+
+	interface CreateIngestionOptions extends Omit<WaitForIngestionOptions, 'timeout'> {
+		wait?: boolean;
+		waitTimeout?: number;
+	}
+
+	interface WaitForIngestionOptions {
+		timeout?: number;
+		interval?: number;
+		maxAttempts?: number;
+		signal?: AbortSignalLike;
+	}
+
+	interface AbortSignalLike {
+		readonly aborted: boolean;
+		addEventListener(type: 'abort', listener: () => void): void;
+		removeEventListener(type: 'abort', listener: () => void): void;
+	}
+
+	// Filters and literals
+
+	type Brand = 'master' | 'internal' | 'whitelabel';
+	type BrandFilter = Brand | 'all' | 'none' | null;
+	type SupportStatus = 'active' | 'maintained' | 'experimental' | 'deprecated' | 'dead';
+	type RepoType = 'module' | 'service' | 'imageset';
+	type ManifestType = 'about' | 'bower' | 'imageSet' | 'origami' | 'package';
+	type MarkdownType = 'designguidelines' | 'readme';
+	type BundleLanguage = 'css' | 'js';
+
+	interface RepoFilters {
+		brand?: BrandFilter | Brand[];
+		search?: string;
+		status?: SupportStatus | SupportStatus[];
+		type?: RepoType | RepoType[];
+		origamiVersion?: string | number | Array<string | number>;
+		keyword?: string | string[];
+		supportContact?: string | string[];
+		/**
+		 * When the latest version was ingested. The service has no separate release date, so this stands in for it.
+		 */
+		lastIngested?: DateRange;
+		/**
+		 * An earlier list of repositories. Only repositories whose support status has changed since then are included.
+		 */
+		statusChangedSince?: Array<Partial<Repo>> | {repos: Array<Partial<Repo>>};
+		sort?: RepoSortField;
+		order?: SortOrder;
+	}
+
+	interface DateRange {
+		after?: Date | string;
+		before?: Date | string;
+	}
+
+	/**
+	 * Sort by `lastIngested` to sort by release date, as the service has no separate release date.
+	 */
+	type RepoSortField = 'name' | 'status' | 'lastIngested';
+	type SortOrder = 'asc' | 'desc';
+
+	type RepoQueryFilters = Omit<RepoFilters, 'sort' | 'order' | 'statusChangedSince'>;
+	type RepoExclusionFilters = Pick<RepoFilters, 'brand' | 'status' | 'type' | 'origamiVersion' | 'keyword' | 'supportContact'>;
+
+	interface SavedRepoQuery {
+		filters: RepoQueryFilters[];
+		exclude?: {[K in keyof RepoExclusionFilters]?: string[]};
+		sort?: RepoSortField;
+		order?: SortOrder;
+	}
+
+	// Responses
+
+	interface Support {
+		status: SupportStatus | null;
+		email: string | null;
+		channel: string | null;
+		isOrigami: boolean;
+	}
+
+	interface Repo {
+		id: string;
+		name: string;
+		url: string;
+		type: RepoType | null;
+		subType: string | null;
+		version: string;
+		versionTag: string;
+		description: string | null;
+		keywords: string[];
+		origamiVersion?: string | null;
+		support: Support;
+		brands: Brand[];
+		languages: string[];
+		resources: Record<string, unknown>;
+		lastIngested: string;
+	}
+
+	interface Version extends Repo {
+		repo: string;
+	}
+
+	interface Demo {
+		id: string;
+		name: string;
+		title: string;
+		description: string | null;
+		supportingUrls: string[];
+		display: {
+			live: string | null;
+			html: string | null;
+		};
+		brands: Brand[];
+	}
+
+	interface Image {
+		title: string;
+		supportingUrls?: string[];
+		url: string;
+	}
+
+	interface Dependency {
+		name: string;
+		version: string;
+		source: 'bower' | 'npm';
+		isDev: boolean;
+		isOptional: boolean;
+	}
+
+	interface DependencyTree {
+		root: string;
+		nodes: Record<string, DependencyNode>;
+		conflicts: DependencyConflict[];
+		cycles: string[][];
+		unresolved: UnresolvedDependency[];
+	}
+
+	interface DependencyNode {
+		id: string;
+		name: string;
+		version: string;
+		depth: number;
+		record: Version;
+		dependencies: DependencyEdge[];
+		truncated: boolean;
+	}
+
+	interface DependencyEdge {
+		name: string;
+		range: string;
+		source: 'bower' | 'npm';
+		isDev: boolean;
+		isOptional: boolean;
+		resolved: string | null;
+	}
+
+	interface DependencyConflict {
+		name: string;
+		versions: string[];
+		requests: Array<{
+			dependent: string;
+			range: string;
+			version: string;
+		}>;
+		resolution: string | null;
+	}
+
+	interface UnresolvedDependency {
+		dependent: string;
+		name: string;
+		range: string;
+		isOptional: boolean;
+		reason: string;
+	}
+
+	interface Dependent {
+		name: string;
+		version: string;
+		record: Repo | Version;
+		dependency: Omit<DependencyEdge, 'resolved'>;
+		accepts: boolean | null;
+	}
+
+	interface Bundle {
+		url: string;
+		language: BundleLanguage;
+		brand: Brand | null;
+		sizes: {
+			raw: number;
+			gzip: number;
+		};
+	}
+
+	interface Key {
+		id: string;
+		description: string;
+		read: boolean;
+		write: boolean;
+		admin: boolean;
+		created?: string;
+		lastUsed?: string | null;
+	}
+
+	interface KeyData {
+		description: string;
+		read?: boolean;
+		write?: boolean;
+		admin?: boolean;
+	}
+
+	interface KeyCredentials extends Key {
+		secret: string;
+	}
+
+	type KeyPermission = 'read' | 'write' | 'admin';
+
+	interface RotateKeyOptions {
+		description?: string;
+		permissions?: Partial<Record<KeyPermission, boolean>>;
+		verify?: boolean;
+		onReplace?: (credentials: KeyCredentials, key: Key) => unknown;
+		deleteOld?: boolean;
+		gracePeriod?: number;
+	}
+
+	interface KeyRotation {
+		key: Key;
+		credentials: KeyCredentials;
+		deletion: Promise<void> | null;
+	}
+
+	interface AuditKeysOptions {
+		olderThan?: Date | string | number;
+		unusedSince?: Date | string | number;
+		permission?: KeyPermission | KeyPermission[];
+	}
+
+	interface KeyAuditEntry {
+		id: string;
+		description: string;
+		permissions: KeyPermission[];
+		created: string | null;
+		lastUsed: string | null;
+		reasons: Array<'olderThan' | 'unusedSince'>;
+	}
+
+	interface KeyAudit {
+		audited: string;
+		keyCount: number;
+		keys: KeyAuditEntry[];
+	}
+
+	interface Ingestion {
+		id: string;
+		url: string;
+		tag: string;
+		ingestionAttempts: number;
+		ingestionStartTime: string | null;
+		created?: string;
+		updated?: string;
+	}
+
+	interface IngestionData {
+		url: string;
+		tag: string;
+	}
+
+	// Manifests
+
+	interface JsonObject {
+		[key: string]: unknown;
+	}
+
+	interface OrigamiManifest extends JsonObject {
+		description?: string;
+		origamiType?: string | null;
+		origamiVersion?: number | string;
+		keywords?: string[] | string;
+		brands?: Brand[];
+		supportStatus?: SupportStatus;
+	}
+
+	interface PackageManifest extends JsonObject {
+		name?: string;
+		version?: string;
+		dependencies?: Record<string, string>;
+		devDependencies?: Record<string, string>;
+	}
+
+	interface ManifestTypeMap {
+		about: JsonObject;
+		bower: PackageManifest;
+		imageSet: JsonObject;
+		origami: OrigamiManifest;
+		package: PackageManifest;
+	}
+
+	// Errors
+
+	interface ErrorDetails {
+		status?: number;
+		serviceMessage?: string;
+		method?: string;
+		endpoint?: string;
+		url?: string;
+		requestId?: string;
+		headers?: Record<string, string>;
+		body?: unknown;
+		code?: string;
+	}
+
+	class RepoDataError extends Error {
+		constructor(message: string, details?: ErrorDetails);
+		status?: number;
+		serviceMessage?: string;
+		method?: string;
+		endpoint?: string;
+		url?: string;
+		requestId?: string;
+		headers?: Record<string, string>;
+		body?: unknown;
+		code?: string;
+	}
+
+	class ValidationError extends RepoDataError {}
+	class UnauthorizedError extends RepoDataError {}
+	class ForbiddenError extends RepoDataError {}
+	class NotFoundError extends RepoDataError {}
+	class ServerError extends RepoDataError {}
+	class NetworkError extends RepoDataError {}
+	class TimeoutError extends NetworkError {}
+	class AbortError extends RepoDataError {}
+
+	class IngestionError extends RepoDataError {
+		constructor(message: string, details?: ErrorDetails & {ingestion?: Ingestion});
+		ingestion?: Ingestion;
+	}
+
+	class IngestionFailedError extends IngestionError {}
+	class IngestionTimeoutError extends IngestionError {}
+
+	class KeyRotationError extends RepoDataError {
+		constructor(message: string, details?: ErrorDetails & {key?: Key; replacement?: Key; replacementDeleted?: boolean; verificationError?: Error; replaceError?: Error});
+		key?: Key;
+		replacement?: Key;
+		replacementDeleted: boolean;
+		verificationError?: Error;
+		replaceError?: Error;
+	}
+
+	class UnmatchedRequestError extends RepoDataError {
+		constructor(message: string, details?: ErrorDetails & {fixturePath?: string});
+		fixturePath?: string;
+	}
+
+	interface ResponseValidationProblem {
+		path: string;
+		message: string;
+	}
+
+	class ResponseValidationError extends RepoDataError {
+		constructor(message: string, details?: ErrorDetails & {validationErrors?: ResponseValidationProblem[]});
+		validationErrors: ResponseValidationProblem[];
+	}
+
+	// Queries
+
+	class RepoQuery {
+		constructor(client: RepoDataClient, savedQuery?: SavedRepoQuery);
+		readonly client: RepoDataClient;
+		where(filters: RepoQueryFilters): this;
+		brand(brand: RepoFilters['brand']): this;
+		search(text: string): this;
+		status(status: RepoFilters['status']): this;
+		type(type: RepoFilters['type']): this;
+		origamiVersion(origamiVersion: RepoFilters['origamiVersion']): this;
+		keyword(keyword: RepoFilters['keyword']): this;
+		supportContact(contact: RepoFilters['supportContact']): this;
+		lastIngested(range: DateRange): this;
+		or(filters: RepoQueryFilters | RepoQuery): this;
+		exclude(filters: RepoExclusionFilters): this;
+		sortBy(field: RepoSortField, order?: SortOrder): this;
+		toFilters(): RepoQueryFilters[];
+		run(requestOptions?: RequestOptions): Promise<Repo[]>;
+		toJSON(): SavedRepoQuery;
+	}
+
+	// Cache
+
+	class MemoryCache implements CacheStore {
+		constructor(options?: MemoryCacheOptions);
+		get(key: string): Promise<unknown>;
+		set(key: string, value: unknown): Promise<void>;
+		delete(key: string): Promise<void>;
+		clear(): Promise<void>;
+	}
+
+	// Authentication
+
+	interface Credentials {
+		apiKey: string;
+		apiSecret: string;
+	}
+
+	type CredentialProvider = () => Promise<Credentials>;
+
+	interface AuthRequest {
+		method: 'GET' | 'POST' | 'DELETE';
+		endpoint: string;
+	}
+
+	interface AuthStrategy {
+		getHeaders(request: AuthRequest): Promise<{[name: string]: string}>;
+		refresh?(error: UnauthorizedError): Promise<unknown>;
+	}
+
+	interface ProviderAuthOptions {
+		maxAge?: number;
+	}
+
+	class StaticAuth implements AuthStrategy {
+		constructor(credentials: Credentials);
+		getHeaders(): Promise<{[name: string]: string}>;
+	}
+
+	class ProviderAuth implements AuthStrategy {
+		constructor(provider: CredentialProvider, options?: ProviderAuthOptions);
+		getHeaders(): Promise<{[name: string]: string}>;
+		refresh(): Promise<void>;
+	}
+
+	class NoAuth implements AuthStrategy {
+		getHeaders(): Promise<{[name: string]: string}>;
+	}
+
+	// Events and metrics
+
+	interface ClientEvent {
+		method: 'GET' | 'POST' | 'DELETE';
+		endpoint: string;
+		template: string | null;
+	}
+
+	interface ClientEvents {
+		'request:start': ClientEvent & {attempt: number};
+		'request:success': ClientEvent & {attempt: number; status: number; duration: number};
+		'request:failure': ClientEvent & {attempt: number; status?: number; duration: number; error: RepoDataError};
+		'request:retry': ClientEvent & {attempt: number; delay: number; error: RepoDataError};
+		'cache:hit': ClientEvent & {revalidated: boolean};
+	}
+
+	interface WatchOptions {
+		filters?: RepoFilters;
+		interval?: number;
+		ingestions?: boolean;
+		state?: string | CacheStore;
+	}
+
+	interface WatchEvents {
+		'repo:added': {type: 'repo:added'; repo: Repo};
+		'repo:statusChanged': {type: 'repo:statusChanged'; repo: Repo; from: string | null; to: string | null};
+		'version:released': {type: 'version:released'; repo: Repo; version: string; previousVersion: string | null};
+		'ingestion:queued': {type: 'ingestion:queued'; ingestion: Ingestion};
+		'ingestion:completed': {type: 'ingestion:completed'; ingestion: Pick<Ingestion, 'id' | 'url' | 'tag'>};
+	}
+
+	type WatchEvent = WatchEvents[keyof WatchEvents];
+
+	interface Watcher extends AsyncIterable<WatchEvent> {
+		readonly running: boolean;
+		start(): this;
+		stop(): this;
+		check(): Promise<WatchEvent[]>;
+		on<E extends keyof WatchEvents>(eventName: E, listener: (event: WatchEvents[E]) => void): this;
+		on(eventName: 'error', listener: (error: Error) => void): this;
+		on(eventName: 'stop', listener: () => void): this;
+		once<E extends keyof WatchEvents>(eventName: E, listener: (event: WatchEvents[E]) => void): this;
+		once(eventName: 'error', listener: (error: Error) => void): this;
+		once(eventName: 'stop', listener: () => void): this;
+		off(eventName: keyof WatchEvents | 'error' | 'stop', listener: (...args: any[]) => void): this;
+		removeListener(eventName: keyof WatchEvents | 'error' | 'stop', listener: (...args: any[]) => void): this;
+	}
+
+	interface PrometheusMetricsOptions {
+		prefix?: string;
+		buckets?: number[];
+	}
+
+	class PrometheusMetrics {
+		static readonly contentType: string;
+		constructor(options?: PrometheusMetricsOptions);
+		readonly prefix: string;
+		readonly buckets: number[];
+		observe(client: RepoDataClient): () => void;
+		reset(): void;
+		render(): string;
+	}
+
+}
+
+export = RepoDataClient;
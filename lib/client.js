@@ -1,18 +1,91 @@
 'use strict';
 
 const defaults = require('lodash/defaults');
+const omit = require('lodash/omit');
 const axios = require('axios').default;
+const args = require('./arguments');
+const authHelpers = require('./auth');
+const batchHelpers = require('./batch');
+const dependencyHelpers = require('./dependencies');
+const diffHelpers = require('./diff');
+const {EventEmitter} = require('events');
+const {matchEndpoint} = require('./endpoints');
+const errors = require('./errors');
+const filterHelpers = require('./filters');
+const retry = require('./retry');
+const {MemoryCache, ResponseCache} = require('./cache');
+const pagination = require('./pagination');
+const {RepoQuery} = require('./query');
+const {Recorder} = require('./recorder');
+const snapshotHelpers = require('./snapshot');
+const {ResponseValidator} = require('./validation');
+const ingestionHelpers = require('./ingestion');
+const keyHelpers = require('./keys');
+const middleware = require('./middleware');
+const {PrometheusMetrics} = require('./metrics/prometheus');
+const versionHelpers = require('./versions');
+const watchHelpers = require('./watch');
+
+/**
+ * Options which can be passed as the last argument to any client method which makes requests.
+ * @typedef {Object} RequestOptions
+ * @property {Number} [timeout] - The number of milliseconds to wait for a response before failing with a {@link TimeoutError}.
+ * Defaults to the client <code>timeout</code> option.
+ * @property {AbortSignal} [signal] - A signal which cancels the request when it is aborted, failing with an {@link AbortError}.
+ */
 
 /**
  * Class representing an Origami Repo Data client.
  *
+ * The client is an <code>EventEmitter</code> which emits events that can be used to collect metrics.
+ * Every event is emitted with an object which has the request <code>method</code>, <code>endpoint</code>,
+ * and endpoint <code>template</code> (e.g. <code>'/v1/repos/:repo/versions/:version'</code>, or <code>null</code> if
+ * the endpoint is not recognised). The events are:
+ *
+ *   - <code>request:start</code>: emitted before each attempt at a request, with the <code>attempt</code> number.
+ *   - <code>request:success</code>: emitted after each successful attempt, with the <code>attempt</code>,
+ *     response <code>status</code>, and <code>duration</code> in milliseconds.
+ *   - <code>request:failure</code>: emitted after each failed attempt, with the <code>attempt</code>,
+ *     <code>status</code> (if there was a response), <code>duration</code>, and <code>error</code>.
+ *   - <code>request:retry</code>: emitted before a failed attempt is retried, with the <code>attempt</code> which
+ *     failed, the <code>delay</code> in milliseconds before the next attempt, and the <code>error</code>.
+ *   - <code>cache:hit</code>: emitted when a response is served from the cache. The <code>revalidated</code>
+ *     property is <code>true</code> if the service confirmed that the cached response is unchanged.
+ *
+ * The client never emits an <code>error</code> event, so failures do not need to be listened for.
+ *
+ * @extends EventEmitter
+ *
  * @example <caption>Create a client</caption>
  * const repoData = new RepoDataClient({
  *     apiKey: 'xxxXxXxX-XXXX-XXXX-xXXx-xxxXXXxXXXXX',
  *     apiSecret: 'xxXXXxxXXXXXXXXXxxxxxxxXXXxXxXXXXXXxxXXx'
  * });
+ *
+ * @example <caption>Set a timeout or cancel a single request</caption>
+ * const controller = new AbortController();
+ * const repos = await repoData.listRepos({}, {
+ *     timeout: 5000,
+ *     signal: controller.signal
+ * });
+ *
+ * @example <caption>Log slow requests</caption>
+ * repoData.on('request:success', ({method, template, duration}) => {
+ *     if (duration > 1000) {
+ *         console.warn(`${method} ${template} took ${duration}ms`);
+ *     }
+ * });
+ *
+ * @example <caption>Handle a repository which does not exist</caption>
+ * try {
+ *     const repo = await repoData.getRepo('o-not-a-component');
+ * } catch (error) {
+ *     if (error instanceof RepoDataClient.NotFoundError) {
+ *         // ...
+ *     }
+ * }
  */
-class RepoDataClient {
+class RepoDataClient extends EventEmitter {
 
 	/**
 	 * Create an Origami Repo Data client.
@@ -21,12 +94,113 @@ class RepoDataClient {
 	 * Defaults to the value of the <code>REPO_DATA_API_KEY</code> environment variable.
 	 * @param {String} [options.apiSecret] - The API secret to use when making requests.
 	 * Defaults to the value of the <code>REPO_DATA_API_SECRET</code> environment variable.
+	 * @param {(Object|Function|Boolean)} [options.auth] - How to authenticate requests, instead of the <code>apiKey</code> and
+	 * <code>apiSecret</code> options. This can be a {@link StaticAuth}, a {@link ProviderAuth} (or an async function which
+	 * resolves with an <code>apiKey</code> and <code>apiSecret</code>, as a shorthand), a {@link NoAuth} or <code>false</code>
+	 * to send no credentials, or any object with an async <code>getHeaders(request)</code> method. If the strategy also has an
+	 * async <code>refresh(error)</code> method then it is called when the service responds with a 401 status, and the request
+	 * is retried once.
 	 * @param {String} [options.apiUrl] - The URL of the Origami Repo Data service.
 	 * Defaults to the value of the <code>REPO_DATA_API_URL</code> environment variable or the production service.
+	 * @param {Number} [options.pageSize=100] - The number of items to request at once when iterating over a list, e.g. with
+	 * {@link RepoDataClient#iterateRepos}. Each page is requested with <code>page</code> and <code>limit</code> query parameters,
+	 * and only once the previous page has been consumed. If the service responds with the whole list instead then the
+	 * iterator releases it in chunks of this size as they are consumed.
+	 * @param {(Boolean|Number|Object)} [options.retry=false] - Whether to retry requests which fail with a network error or a transient status.
+	 * Set to <code>true</code> to use the default retry options, or a number to set the maximum number of attempts.
+	 * @param {Number} [options.retry.maxAttempts=3] - The maximum number of attempts to make, including the first.
+	 * @param {Number} [options.retry.backoffBase=100] - The delay in milliseconds before the first retry, which doubles with each attempt.
+	 * @param {Number} [options.retry.backoffCap=5000] - The maximum delay in milliseconds between attempts.
+	 * @param {Boolean} [options.retry.jitter=true] - Whether to randomize delays between zero and the backoff delay.
+	 * @param {Array.<Number>} [options.retry.retryableStatuses=[408, 429, 500, 502, 503, 504]] - The response statuses which should be retried.
+	 * @param {Array.<String>} [options.retry.methods=['GET', 'DELETE']] - The HTTP methods which can be retried.
+	 * Add <code>'POST'</code> to this to retry {@link RepoDataClient#createKey} and {@link RepoDataClient#createIngestion}.
+	 * @param {Boolean} [options.retry.honorRetryAfter=true] - Whether to wait for the time given in a <code>Retry-After</code> response header.
+	 * @param {(Boolean|Object)} [options.cache=false] - Whether to cache responses from read-only endpoints.
+	 * Set to <code>true</code> to use an in-memory {@link MemoryCache}, or to a cache store which has async <code>get(key)</code>
+	 * and <code>set(key, value)</code> methods (and optionally <code>delete(key)</code>).
+	 * @param {Object} [options.cache.store] - The cache store to use if you also need to set TTLs. Defaults to a new {@link MemoryCache}.
+	 * @param {Object} [options.cache.ttl] - The number of milliseconds to cache responses for, by endpoint. The keys are
+	 * <code>repos</code>, <code>repo</code>, <code>versions</code>, <code>version</code>, <code>manifest</code>, <code>markdown</code>,
+	 * <code>demos</code>, <code>images</code>, <code>dependencies</code>, and <code>bundles</code>.
+	 * Repositories and versions lists default to zero, which means they are revalidated with the service using an ETag on every request.
+	 * Everything else defaults to one hour.
+	 * @param {Object} [options.recorder] - Record responses to fixture files, or replay responses from them instead of making HTTP requests.
+	 * This is intended for writing deterministic tests against real-shaped data.
+	 * @param {String} options.recorder.mode - The recorder mode. In "record" mode every response is written to a fixture file,
+	 * with the <code>Authorization</code>, <code>X-Api-Key</code>, and <code>X-Api-Secret</code> request headers, any headers set by the
+	 * <code>auth</code> strategy, and any API key <code>secret</code> in the response redacted. In "replay" mode responses are read from
+	 * the fixture files, and requests without a fixture fail with an {@link UnmatchedRequestError}.
+	 * @param {String} options.recorder.directory - The directory to write fixture files to and read them from.
+	 * @param {String} [options.snapshot] - The path of a snapshot file written by {@link RepoDataClient#exportSnapshot}.
+	 * If this is set then requests for repositories and versions are served from the snapshot instead of the service,
+	 * and any other request fails with an {@link UnmatchedRequestError}. See {@link RepoDataClient.fromSnapshot}.
+	 * @param {Number} [options.timeout] - The number of milliseconds to wait for a response before failing with a {@link TimeoutError}.
+	 * This applies to each attempt at a request, so a request which is retried can take longer. Defaults to no timeout.
+	 * @param {(Boolean|Object)} [options.validate=false] - Whether to check responses against the bundled JSON Schemas, failing
+	 * with a {@link ResponseValidationError} when a response does not match. Set to <code>true</code> to validate responses as-is.
+	 * @param {Boolean} [options.validate.normalize=false] - Whether to normalize responses, converting missing arrays into empty arrays
+	 * and date strings into <code>Date</code> objects.
 	 * @returns {RepoDataClient} A new RepoDataClient instance.
+	 *
+	 * @example <caption>Create a client which retries failed requests</caption>
+	 * const repoData = new RepoDataClient({
+	 *     retry: {
+	 *         maxAttempts: 5,
+	 *         backoffCap: 10000
+	 *     }
+	 * });
+	 *
+	 * @example <caption>Create a client which caches responses</caption>
+	 * const repoData = new RepoDataClient({
+	 *     cache: {
+	 *         store: new RepoDataClient.MemoryCache({maxEntries: 1000}),
+	 *         ttl: {
+	 *             repos: 60000
+	 *         }
+	 *     }
+	 * });
+	 *
+	 * @example <caption>Create a client which times out slow requests</caption>
+	 * const repoData = new RepoDataClient({
+	 *     timeout: 10000
+	 * });
+	 *
+	 * @example <caption>Create a client which validates and normalizes responses</caption>
+	 * const repoData = new RepoDataClient({
+	 *     validate: {
+	 *         normalize: true
+	 *     }
+	 * });
+	 *
+	 * @example <caption>Create a client which gets credentials from a secrets store</caption>
+	 * const repoData = new RepoDataClient({
+	 *     auth: async () => {
+	 *         const secret = await secretsStore.get('origami-repo-data');
+	 *         return {apiKey: secret.key, apiSecret: secret.secret};
+	 *     }
+	 * });
+	 *
+	 * @example <caption>Create a client which replays recorded responses</caption>
+	 * const repoData = new RepoDataClient({
+	 *     recorder: {
+	 *         mode: 'replay',
+	 *         directory: `${__dirname}/fixtures/repo-data`
+	 *     }
+	 * });
 	 */
 	constructor(options) {
+		super();
 		this.options = RepoDataClient.defaultOptions(options);
+		this.auth = authHelpers.createAuthFromOption(this.options.auth);
+		this.retryOptions = retry.normalizeRetryOptions(this.options.retry);
+		this.pageSize = pagination.normalizePageSize(this.options.pageSize);
+		this.cache = ResponseCache.fromOption(this.options.cache);
+		this.recorder = Recorder.fromOption(this.options.recorder);
+		this.snapshot = snapshotHelpers.Snapshot.fromOption(this.options.snapshot);
+		this.validator = ResponseValidator.fromOption(this.options.validate);
+		this.middleware = [];
+		this.batchedCalls = new Map();
 	}
 
 	/**
@@ -47,11 +221,34 @@ class RepoDataClient {
 	 * @param {(Array.<String>|String)} [filters.type] - An Origami repo type (or an array of types) to filter repositories by.
 	 * One of: <code>'module'</code>, <code>'service'</code>, <code>'imageset'</code>.
 	 * Any repository which doesn't have this type will not be included in the response.
-	 * @param {(Array.<String>|String)} [filters.origamiVersion] - An Origami Version (or an array of Origami Versions) to filter repositories by.
+	 * @param {(Array.<(String|Number)>|String|Number)} [filters.origamiVersion] - An Origami Version (or an array of Origami Versions) to filter repositories by.
 	 * E.g: <code>'1'</code>, <code>'2.0'</code>.
 	 * Any repository which doesn't support this version of the Origami Specification will not be included in the response.
+	 * @param {(Array.<String>|String)} [filters.keyword] - A keyword (or an array of keywords) to filter repositories by.
+	 * Any repository which doesn't have at least one of these keywords will not be included in the response. Keywords are not case-sensitive.
+	 * @param {(Array.<String>|String)} [filters.supportContact] - A support email address or Slack channel (or an array of them)
+	 * to filter repositories by, e.g. <code>'#origami-support'</code>. Any repository which isn't supported by one of these contacts
+	 * will not be included in the response.
+	 * @param {Object} [filters.lastIngested] - A date range to filter repositories by, based on when their latest version was ingested.
+	 * The service does not record a separate release date, so this is used as the date the latest version was released.
+	 * Any repository which was not ingested in this range will not be included in the response.
+	 * @param {(Date|String)} [filters.lastIngested.after] - The earliest date, inclusive.
+	 * @param {(Date|String)} [filters.lastIngested.before] - The latest date, inclusive.
+	 * @param {(Array.<Object>|Object)} [filters.statusChangedSince] - An earlier list of repositories, e.g. from a previous call to
+	 * this method, or an object with a <code>repos</code> array such as a parsed snapshot file or the saved state of {@link RepoDataClient#watch}.
+	 * The service does not record when support statuses change, so any repository whose support status is the same as in the
+	 * earlier list, or which was not in it, will not be included in the response. Combine this with the <code>status</code>
+	 * filter to find repositories which have changed to a particular status.
+	 * @param {String} [filters.sort] - The field to sort repositories by. One of <code>'name'</code>, <code>'status'</code>
+	 * (in the order active, maintained, experimental, deprecated, dead), or <code>'lastIngested'</code>, which is also how
+	 * to sort by release date. Repositories are returned in the order the service sends them if this is not set.
+	 * @param {String} [filters.order='asc'] - The sort order. One of <code>'asc'</code> or <code>'desc'</code>.
+	 * The <code>keyword</code>, <code>supportContact</code>, <code>lastIngested</code>, <code>statusChangedSince</code>, and
+	 * <code>sort</code> filters are not supported by the service, so they are applied by the client after the repositories are fetched.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Array>} A promise which resolves with the repositories.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if a filter is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>List repositories</caption>
 	 * const repos = await repoData.listRepos();
@@ -63,79 +260,107 @@ class RepoDataClient {
 	 *     status: 'active',
 	 *     type: 'module'
 	 *});
+	 *
+	 * @example <caption>List repositories which have been deprecated since an earlier list</caption>
+	 * const repos = await repoData.listRepos({
+	 *     status: 'deprecated',
+	 *     statusChangedSince: previousRepos
+	 * });
+	 *
+	 * @example <caption>List the most recently released repositories supported by a team</caption>
+	 * const repos = await repoData.listRepos({
+	 *     supportContact: '#origami-support',
+	 *     lastIngested: {
+	 *         after: '2021-01-01'
+	 *     },
+	 *     sort: 'lastIngested',
+	 *     order: 'desc'
+	 * });
 	 */
-	listRepos(filters = {}) {
-		const {brand, search, status, type, origamiVersion} = filters;
-		const query = {};
-
-		// Sanitize and set brand
-		if (brand && Array.isArray(brand)) {
-			query.brand = brand.join(',');
-		}
-		if (brand === null) {
-			query.brand = 'none';
-		}
-		if (brand && typeof brand === 'string') {
-			query.brand = brand;
-		}
-
-		// Sanitize and set the Origami Version
-		if (origamiVersion && Array.isArray(origamiVersion)) {
-			query.origamiVersion = origamiVersion.join(',');
-		}
-		if (origamiVersion && typeof origamiVersion === 'string') {
-			query.origamiVersion = origamiVersion;
-		}
-
-		// Set search
-		if (search && typeof search === 'string') {
-			query.q = search;
-		}
-
-		// Sanitize and set status
-		if (status && Array.isArray(status)) {
-			query.status = status.join(',');
-		}
-		if (status && typeof status === 'string') {
-			query.status = status;
-		}
+	async listRepos(filters = {}, requestOptions) {
+		const repos = await this.get('/v1/repos', createRepoQuery(filters), requestOptions);
+		return filterHelpers.filterRepos(repos, filters);
+	}
 
-		// Sanitize and set type
-		if (type && Array.isArray(type)) {
-			query.type = type.join(',');
-		}
-		if (type && typeof type === 'string') {
-			query.type = type;
+	/**
+	 * Iterate over all available Origami repositories, requesting them a page at a time as set by the
+	 * <code>pageSize</code> client option.
+	 * Responses are not cached when iterating.
+	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/repositories#get-v1-repos}
+	 * @param {Object} [filters] - Parameters to filter repositories by. These are the same as for {@link RepoDataClient#listRepos},
+	 * except that repositories cannot be sorted when iterating.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {AsyncIterableIterator<Object>} An async iterator which yields each repository.
+	 * @throws {TypeError} Will throw if a filter is not valid or the <code>sort</code> filter is set, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Iterate over repositories</caption>
+	 * for await (const repo of repoData.iterateRepos({type: 'module'})) {
+	 *     if (repo.name === 'o-colors') {
+	 *         break;
+	 *     }
+	 * }
+	 */
+	iterateRepos(filters = {}, requestOptions) {
+		if (filters.sort !== undefined) {
+			throw new TypeError('Repositories cannot be sorted when iterating, use listRepos instead');
 		}
+		const repos = this.iterate('/v1/repos', createRepoQuery(filters), requestOptions);
+		return (filterHelpers.hasClientSideFilters(filters) ? filterHelpers.filterRepoIterator(repos, filters) : repos);
+	}
 
-		return this.get('/v1/repos', query);
+	/**
+	 * Start building a query for Origami repositories. Queries support filters which
+	 * {@link RepoDataClient#listRepos} does not, such as excluding repositories or combining
+	 * several sets of filters, by making more than one request and merging the results.
+	 * @param {Object} [savedQuery] - A query which was saved with {@link RepoQuery#toJSON}, to load rather than starting from scratch.
+	 * @returns {RepoQuery} A query which can be built up by chaining method calls, and then run.
+	 * @throws {TypeError} Will throw if the saved query is not valid.
+	 *
+	 * @example <caption>Query repositories</caption>
+	 * const repos = await repoData.query()
+	 *     .brand('master')
+	 *     .status(['active', 'maintained'])
+	 *     .type('module')
+	 *     .search('color')
+	 *     .exclude({status: 'dead'})
+	 *     .sortBy('name')
+	 *     .run();
+	 */
+	query(savedQuery) {
+		return new RepoQuery(this, savedQuery);
 	}
 
 	/**
 	 * Get a list of all branded Origami repositories as an array.
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/repositories#get-v1-repos}
 	 * @param {String} brand Brand to look for. One of: 'all', 'master', 'internal', 'whitelabel' or 'none'
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Array>} A promise which resolves with the repositories.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the brand is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 * @deprecated Deprecated in favour of filter options for {@link RepoDataClient#listRepos}.
 	 *
 	 * @example <caption>List repositories based on brand</caption>
 	 * const repos = await repoData.listBrandedRepos('all');
 	 */
-	listBrandedRepos(brand) {
+	async listBrandedRepos(brand, requestOptions) {
 		const query = {};
 		if (brand) {
+			args.assertOneOf('brand filter', brand, args.brandFilters);
 			query.brand = brand;
 		}
-		return this.get('/v1/repos', query);
+		return this.get('/v1/repos', query, requestOptions);
 	}
 
 	/**
 	 * Get a single Origami repository by ID or name.
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/repositories#get-v1-repos-(id)}
 	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves with the repository.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository ID is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get a repository using a UUID</caption>
 	 * const repo = await repoData.getRepo('c3a499f8-3d20-503c-95b0-c4705bc272b3');
@@ -143,16 +368,19 @@ class RepoDataClient {
 	 * @example <caption>Get a repository using a name</caption>
 	 * const repo = await repoData.getRepo('origami-repo-data');
 	 */
-	getRepo(repoId) {
-		return this.get(`/v1/repos/${repoId}`);
+	async getRepo(repoId, requestOptions) {
+		args.assertRepoId(repoId);
+		return this.get(`/v1/repos/${repoId}`, undefined, requestOptions);
 	}
 
 	/**
 	 * Get a list of all versions for an Origami repository as an array.
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/repositories#get-v1-repos-(id)-versions}
 	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Array>} A promise which resolves with the versions.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository ID is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get all repository versions using a UUID</caption>
 	 * const versions = await repoData.listVersions('c3a499f8-3d20-503c-95b0-c4705bc272b3');
@@ -160,8 +388,30 @@ class RepoDataClient {
 	 * @example <caption>Get all repository versions using a name</caption>
 	 * const versions = await repoData.listVersions('origami-repo-data');
 	 */
-	listVersions(repoId) {
-		return this.get(`/v1/repos/${repoId}/versions`);
+	async listVersions(repoId, requestOptions) {
+		args.assertRepoId(repoId);
+		return this.get(`/v1/repos/${repoId}/versions`, undefined, requestOptions);
+	}
+
+	/**
+	 * Iterate over all versions for an Origami repository, requesting them a page at a time as set by the
+	 * <code>pageSize</code> client option.
+	 * Responses are not cached when iterating.
+	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/repositories#get-v1-repos-(id)-versions}
+	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {AsyncIterableIterator<Object>} An async iterator which yields each version.
+	 * @throws {TypeError} Will throw if the repository ID is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Iterate over repository versions</caption>
+	 * for await (const version of repoData.iterateVersions('o-colors')) {
+	 *     console.log(version.version);
+	 * }
+	 */
+	iterateVersions(repoId, requestOptions) {
+		args.assertRepoId(repoId);
+		return this.iterate(`/v1/repos/${repoId}/versions`, undefined, requestOptions);
 	}
 
 	/**
@@ -169,8 +419,10 @@ class RepoDataClient {
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/repositories#get-v1-repos-(id)-versions-(id)}
 	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
 	 * @param {String} versionId - The version UUID or number. Warning: using number over ID incurs a redirect.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves with the version.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository or version ID is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get a repository version using UUIDs</caption>
 	 * const version = await repoData.getVersion('c3a499f8-3d20-503c-95b0-c4705bc272b3', 'a530dab8-f6ff-410a-9e56-8d6f49ecff2c');
@@ -178,8 +430,70 @@ class RepoDataClient {
 	 * @example <caption>Get a repository version using a name and number</caption>
 	 * const version = await repoData.getVersion('origami-repo-data', '57.0.0');
 	 */
-	getVersion(repoId, versionId) {
-		return this.get(`/v1/repos/${repoId}/versions/${versionId}`);
+	async getVersion(repoId, versionId, requestOptions) {
+		args.assertRepoId(repoId);
+		args.assertVersionId(versionId);
+		return this.get(`/v1/repos/${repoId}/versions/${versionId}`, undefined, requestOptions);
+	}
+
+	/**
+	 * Resolve a semver range or tag to a single version for an Origami repository.
+	 * The highest version which satisfies the range is used.
+	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
+	 * @param {String} range - A semver range as understood by npm or Bower, an exact version number, or the tag <code>'latest'</code>.
+	 * @param {Object} [options] - Resolution options.
+	 * @param {Boolean} [options.includePrerelease=false] - Whether prerelease versions can satisfy the range.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<(Object|null)>} A promise which resolves with the version, or <code>null</code> if no version satisfies the range.
+	 * @throws {TypeError} Will throw if the range is not a valid semver range or tag.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Get the latest 5.x version of a repository</caption>
+	 * const version = await repoData.resolveVersion('o-buttons', '^5.0.0');
+	 *
+	 * @example <caption>Get the latest version of a repository, including prereleases</caption>
+	 * const version = await repoData.resolveVersion('o-buttons', 'latest', {includePrerelease: true});
+	 */
+	async resolveVersion(repoId, range, options = {}, requestOptions) {
+		versionHelpers.normalizeRange(range);
+		const versions = await this.listVersions(repoId, requestOptions);
+		return versionHelpers.findVersion(versions, range, options);
+	}
+
+	/**
+	 * Get the latest version for an Origami repository. Stable versions are preferred
+	 * over prereleases, which are only used if the repository has no stable versions.
+	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<(Object|null)>} A promise which resolves with the version, or <code>null</code> if the repository has no versions.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Get the latest version of a repository</caption>
+	 * const version = await repoData.getLatestVersion('o-buttons');
+	 */
+	async getLatestVersion(repoId, requestOptions) {
+		const versions = await this.listVersions(repoId, requestOptions);
+		return versionHelpers.findLatestVersion(versions);
+	}
+
+	/**
+	 * Get a list of all versions for an Origami repository which satisfy a semver range, highest first.
+	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
+	 * @param {String} range - A semver range as understood by npm or Bower, an exact version number, or the tag <code>'latest'</code>.
+	 * @param {Object} [options] - Filter options.
+	 * @param {Boolean} [options.includePrerelease=false] - Whether prerelease versions can satisfy the range.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<Array>} A promise which resolves with the matching versions.
+	 * @throws {TypeError} Will throw if the range is not a valid semver range or tag.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Get all 5.x versions of a repository</caption>
+	 * const versions = await repoData.listVersionsInRange('o-buttons', '5.x');
+	 */
+	async listVersionsInRange(repoId, range, options = {}, requestOptions) {
+		versionHelpers.normalizeRange(range);
+		const versions = await this.listVersions(repoId, requestOptions);
+		return versionHelpers.filterVersionsInRange(versions, range, options);
 	}
 
 	/**
@@ -188,8 +502,10 @@ class RepoDataClient {
 	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
 	 * @param {String} versionId - The version UUID or number. Warning: using number over ID incurs a redirect.
 	 * @param {String} manifestType - The type of manifest to retrieve. One of "about", "bower", "imageSet", "origami", or "package".
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves with the manifest file contents parsed as JSON.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository ID, version ID, or manifest type is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get a manifest using UUIDs</caption>
 	 * const packageManifest = await repoData.getManifest('c3a499f8-3d20-503c-95b0-c4705bc272b3', 'a530dab8-f6ff-410a-9e56-8d6f49ecff2c', 'package');
@@ -197,8 +513,11 @@ class RepoDataClient {
 	 * @example <caption>Get a manifest using a name and number</caption>
 	 * const packageManifest = await repoData.getManifest('origami-repo-data', '57.0.0', 'package');
 	 */
-	getManifest(repoId, versionId, manifestType) {
-		return this.get(`/v1/repos/${repoId}/versions/${versionId}/manifests/${manifestType}`);
+	async getManifest(repoId, versionId, manifestType, requestOptions) {
+		args.assertRepoId(repoId);
+		args.assertVersionId(versionId);
+		args.assertOneOf('manifest type', manifestType, args.manifestTypes);
+		return this.get(`/v1/repos/${repoId}/versions/${versionId}/manifests/${manifestType}`, undefined, requestOptions);
 	}
 
 	/**
@@ -207,8 +526,10 @@ class RepoDataClient {
 	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
 	 * @param {String} versionId - The version UUID or number. Warning: using number over ID incurs a redirect.
 	 * @param {String} markdownType - The type of markdown document to retrieve. One of "designguidelines" or "readme".
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<String>} A promise which resolves with the markdown document as a string.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository ID, version ID, or markdown type is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get a markdown document using UUIDs</caption>
 	 * const readme = await repoData.getMarkdown('c3a499f8-3d20-503c-95b0-c4705bc272b3', 'a530dab8-f6ff-410a-9e56-8d6f49ecff2c', 'readme');
@@ -216,16 +537,21 @@ class RepoDataClient {
 	 * @example <caption>Get a markdown document using a name and number</caption>
 	 * const readme = await repoData.getMarkdown('origami-repo-data', '57.0.0', 'readme');
 	 */
-	getMarkdown(repoId, versionId, markdownType) {
-		return this.get(`/v1/repos/${repoId}/versions/${versionId}/markdown/${markdownType}`);
+	async getMarkdown(repoId, versionId, markdownType, requestOptions) {
+		args.assertRepoId(repoId);
+		args.assertVersionId(versionId);
+		args.assertOneOf('markdown type', markdownType, args.markdownTypes);
+		return this.get(`/v1/repos/${repoId}/versions/${versionId}/markdown/${markdownType}`, undefined, requestOptions);
 	}
 
 	/**
 	 * Get the README text for an Origami repository and version. This is a shortcut method which uses {@link RepoDataClient.getMarkdown}.
 	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
 	 * @param {String} versionId - The version UUID or number. Warning: using number over ID incurs a redirect.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<String>} A promise which resolves with the README as a string.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository or version ID is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get the README using UUIDs</caption>
 	 * const readme = await repoData.getReadme('c3a499f8-3d20-503c-95b0-c4705bc272b3', 'a530dab8-f6ff-410a-9e56-8d6f49ecff2c');
@@ -233,8 +559,8 @@ class RepoDataClient {
 	 * @example <caption>Get the README using a name and number</caption>
 	 * const readme = await repoData.getReadme('origami-repo-data', '57.0.0');
 	 */
-	getReadme(repoId, versionId) {
-		return this.getMarkdown(repoId, versionId, 'readme');
+	getReadme(repoId, versionId, requestOptions) {
+		return this.getMarkdown(repoId, versionId, 'readme', requestOptions);
 	}
 
 	/**
@@ -243,8 +569,10 @@ class RepoDataClient {
 	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
 	 * @param {String} versionId - The version UUID or number. Warning: using number over ID incurs a redirect.
 	 * @param {String} brand [null] - The brand to filter demos by. If included, only demos with the specified brand (or no brands at all) will be returned.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<String>} A promise which resolves with the demos.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository ID, version ID, or brand is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get all demos</caption>
 	 * const demos = await repoData.listDemos('c3a499f8-3d20-503c-95b0-c4705bc272b3', 'a530dab8-f6ff-410a-9e56-8d6f49ecff2c');
@@ -252,12 +580,15 @@ class RepoDataClient {
 	 * @example <caption>Get all demos with a brand filter</caption>
 	 * const demos = await repoData.listDemos('c3a499f8-3d20-503c-95b0-c4705bc272b3', 'a530dab8-f6ff-410a-9e56-8d6f49ecff2c', 'internal');
 	 */
-	listDemos(repoId, versionId, brand = null) {
+	async listDemos(repoId, versionId, brand = null, requestOptions) {
+		args.assertRepoId(repoId);
+		args.assertVersionId(versionId);
 		const query = {};
 		if (brand) {
+			args.assertOneOf('brand', brand, args.brands);
 			query.brand = brand;
 		}
-		return this.get(`/v1/repos/${repoId}/versions/${versionId}/demos`, query);
+		return this.get(`/v1/repos/${repoId}/versions/${versionId}/demos`, query, requestOptions);
 	}
 
 	/**
@@ -268,19 +599,23 @@ class RepoDataClient {
 	 * @param {Object} [imageOptions] - Options which change the format of the returned images.
 	 * @param {String} [imageOptions.sourceParam] - The Image Service source parameter to add to the returned image URLs.
 	 * Defaults to "origami-repo-data-client-node".
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<String>} A promise which resolves with the images.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository or version ID is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get all images in an image set</caption>
 	 * const images = await repoData.listImages('c3a499f8-3d20-503c-95b0-c4705bc272b3', 'a530dab8-f6ff-410a-9e56-8d6f49ecff2c');
 	 */
-	listImages(repoId, versionId, imageOptions) {
+	async listImages(repoId, versionId, imageOptions, requestOptions) {
+		args.assertRepoId(repoId);
+		args.assertVersionId(versionId);
 		imageOptions = defaults({}, imageOptions, {
 			sourceParam: 'origami-repo-data-client-node'
 		});
 		return this.get(`/v1/repos/${repoId}/versions/${versionId}/images`, {
 			sourceParam: imageOptions.sourceParam
-		});
+		}, requestOptions);
 	}
 
 	/**
@@ -288,14 +623,70 @@ class RepoDataClient {
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/repositories#get-v1-repos-(id)-versions-(id)-dependencies}
 	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
 	 * @param {String} versionId - The version UUID or number. Warning: using number over ID incurs a redirect.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<String>} A promise which resolves with the dependencies.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository or version ID is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get all dependencies</caption>
 	 * const dependencies = await repoData.listDependencies('c3a499f8-3d20-503c-95b0-c4705bc272b3', 'a530dab8-f6ff-410a-9e56-8d6f49ecff2c');
 	 */
-	listDependencies(repoId, versionId) {
-		return this.get(`/v1/repos/${repoId}/versions/${versionId}/dependencies`);
+	async listDependencies(repoId, versionId, requestOptions) {
+		args.assertRepoId(repoId);
+		args.assertVersionId(versionId);
+		return this.get(`/v1/repos/${repoId}/versions/${versionId}/dependencies`, undefined, requestOptions);
+	}
+
+	/**
+	 * Resolve the full dependency tree for an Origami repository and version. Dependencies are walked
+	 * through Repo Data, and each dependency range is resolved to the highest version which satisfies it.
+	 * @param {String} repoId - The repository UUID or name. Warning: using name over ID incurs a redirect.
+	 * @param {String} versionId - The version UUID or number. Warning: using number over ID incurs a redirect.
+	 * @param {Object} [options] - Options for resolving the tree.
+	 * @param {Boolean} [options.includeDev=false] - Whether to include the development dependencies of the root repository.
+	 * @param {Number} [options.maxDepth=Infinity] - The maximum depth to walk, where direct dependencies have a depth of <code>1</code>.
+	 * @param {Number} [options.concurrency=5] - The maximum number of repository versions to resolve the dependencies of at once.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<Object>} A promise which resolves with the dependency tree. This has a <code>root</code> node ID,
+	 * a map of <code>nodes</code> keyed by ID (e.g. <code>'o-colors@5.2.1'</code>), and reports of <code>conflicts</code>
+	 * (repositories resolved to more than one version), <code>cycles</code>, and <code>unresolved</code> dependencies.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Resolve a dependency tree</caption>
+	 * const tree = await repoData.resolveDependencyTree('o-buttons', '6.0.0');
+	 * for (const conflict of tree.conflicts) {
+	 *     console.log(`${conflict.name} is required at ${conflict.versions.join(', ')}`);
+	 * }
+	 */
+	resolveDependencyTree(repoId, versionId, options, requestOptions) {
+		return dependencyHelpers.resolveDependencyTree(this, repoId, versionId, options, requestOptions);
+	}
+
+	/**
+	 * Get a list of the Origami repositories which depend on a repository. This fetches the dependencies
+	 * of every matching repository, so it makes a request for each one.
+	 * @param {String} repoName - The name of the repository to find dependents of, e.g. <code>'o-colors'</code>.
+	 * @param {Object} [options] - Options for finding dependents.
+	 * @param {String} [options.range] - A version number or semver range to check each dependent's range against, e.g. the next major release.
+	 * @param {(String|Array<String>)} [options.status] - Only check repositories with a matching support status, as in {@link RepoDataClient#listRepos}.
+	 * @param {(String|Array<String>)} [options.brand] - Only check repositories with a matching brand, as in {@link RepoDataClient#listRepos}.
+	 * @param {Boolean} [options.latestOnly=true] - Whether to check only the latest version of each repository. If <code>false</code>, every version is checked.
+	 * @param {Number} [options.concurrency=5] - The maximum number of requests to make at once.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<Array>} A promise which resolves with the dependents. Each has the dependent <code>name</code>,
+	 * <code>version</code> and full <code>record</code>, the <code>dependency</code> it declares, and whether that dependency
+	 * <code>accepts</code> the given range (or <code>null</code> if no range was given or a range is not valid).
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Find active repositories which will not accept a new major version</caption>
+	 * const dependents = await repoData.listDependents('o-colors', {
+	 *     range: '6.0.0',
+	 *     status: ['active', 'maintained']
+	 * });
+	 * const needsUpdate = dependents.filter(dependent => !dependent.accepts);
+	 */
+	listDependents(repoName, options, requestOptions) {
+		return dependencyHelpers.listDependents(this, repoName, options, requestOptions);
 	}
 
 	/**
@@ -309,8 +700,10 @@ class RepoDataClient {
 	 * Any non-branded bundles will not be included in the response.
 	 * If this parameter is set to <code>'none'</code> or <code>null</code> then only bundles which are not branded will be output.
 	 * If this parameter is set to <code>'all'</code> then only branded bundles will be output.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<String>} A promise which resolves with the bundles.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the repository ID, version ID, language, or brand is not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get all CSS bundle information.</caption>
 	 * 	const bundles = await repoData.listBundles(
@@ -319,12 +712,183 @@ class RepoDataClient {
 	 * 		'css'
 	 * 	);
 	 */
-	listBundles(repoId, versionId, language, brand = null) {
+	async listBundles(repoId, versionId, language, brand = null, requestOptions) {
+		args.assertRepoId(repoId);
+		args.assertVersionId(versionId);
+		args.assertOneOf('bundle language', language, args.bundleLanguages);
 		const query = {};
 		if (brand) {
+			args.assertEachOneOf('brand filter', brand, args.brandFilters);
 			query.brand = brand;
 		}
-		return this.get(`/v1/repos/${repoId}/versions/${versionId}/bundles/${language}`, query);
+		return this.get(`/v1/repos/${repoId}/versions/${versionId}/bundles/${language}`, query, requestOptions);
+	}
+
+	/**
+	 * Make a batch of calls to client methods, without making more than a set number of requests at once.
+	 * Identical calls (the same method with the same arguments) only make one request, even when they are in different
+	 * batches which overlap. Each identical call gets its own copy of the result, so changing one does not change the others.
+	 * Calls with request options are only identical if they pass the same request options object, so that an abort signal
+	 * only affects the calls it was given to.
+	 * Unlike <code>Promise.all</code>, a failed call does not fail the whole batch. Each call gets its own result instead.
+	 * @param {Array.<Object>} calls - The calls to make.
+	 * @param {String} calls[].method - The name of the client method to call, e.g. <code>'getRepo'</code>.
+	 * Only methods which read data can be batched, so iterators, methods which create or delete things, and methods
+	 * which configure the client cannot be.
+	 * @param {Array} [calls[].args] - The arguments to call the method with.
+	 * @param {Object} [options] - Options for the batch.
+	 * @param {Number} [options.concurrency=5] - The maximum number of calls to make at once.
+	 * @returns {Promise<Array>} A promise which resolves with a result for each call, in the same order as the calls.
+	 * Each result has a <code>status</code> of <code>'fulfilled'</code> and a <code>value</code>, or a <code>status</code>
+	 * of <code>'rejected'</code> and the error as a <code>reason</code>, like the results of <code>Promise.allSettled</code>.
+	 * @throws {TypeError} Will throw if any call cannot be made, before any request is made.
+	 *
+	 * @example <caption>Get a repository and its latest version</caption>
+	 * const [repoResult, versionResult] = await repoData.batch([
+	 *     {method: 'getRepo', args: ['o-colors']},
+	 *     {method: 'getLatestVersion', args: ['o-colors']}
+	 * ], {concurrency: 2});
+	 * if (versionResult.status === 'rejected') {
+	 *     console.error(versionResult.reason.message);
+	 * }
+	 */
+	batch(calls, options) {
+		return batchHelpers.batch(this, calls, options);
+	}
+
+	/**
+	 * Get several Origami repositories by ID or name, without making more than a set number of requests at once.
+	 * @param {Array.<String>} repoIds - The repository UUIDs or names.
+	 * @param {Object} [options] - Options for the batch, as documented in {@link RepoDataClient#batch}.
+	 * @param {RequestOptions} [requestOptions] - Options for each request, such as a timeout or an abort signal.
+	 * @returns {Promise<Array>} A promise which resolves with a result for each repository, in the same order as the IDs.
+	 * Results are the same as for {@link RepoDataClient#batch}, so a repository which cannot be found is rejected
+	 * without affecting the others.
+	 * @throws {TypeError} Will throw if the repository IDs are not an array, before any request is made.
+	 *
+	 * @example <caption>Get several repositories</caption>
+	 * const results = await repoData.getRepos(['o-colors', 'o-buttons'], {concurrency: 10});
+	 * const repos = results
+	 *     .filter(result => result.status === 'fulfilled')
+	 *     .map(result => result.value);
+	 */
+	async getRepos(repoIds, options, requestOptions) {
+		if (!Array.isArray(repoIds)) {
+			throw new TypeError('Repository IDs must be an array');
+		}
+		return this.batch(repoIds.map(repoId => ({
+			method: 'getRepo',
+			args: [repoId, requestOptions]
+		})), options);
+	}
+
+	/**
+	 * Get several versions of Origami repositories, without making more than a set number of requests at once.
+	 * @param {Array.<Object>} versions - The versions to get.
+	 * @param {String} versions[].repoId - The repository UUID or name.
+	 * @param {String} versions[].versionId - The version UUID or number.
+	 * @param {Object} [options] - Options for the batch, as documented in {@link RepoDataClient#batch}.
+	 * @param {RequestOptions} [requestOptions] - Options for each request, such as a timeout or an abort signal.
+	 * @returns {Promise<Array>} A promise which resolves with a result for each version, in the same order as the versions.
+	 * Results are the same as for {@link RepoDataClient#batch}, so a version which cannot be found is rejected
+	 * without affecting the others.
+	 * @throws {TypeError} Will throw if the versions are not an array of objects, before any request is made.
+	 *
+	 * @example <caption>Get several versions</caption>
+	 * const results = await repoData.getVersions([
+	 *     {repoId: 'o-colors', versionId: '5.2.1'},
+	 *     {repoId: 'o-buttons', versionId: '6.0.0'}
+	 * ]);
+	 */
+	async getVersions(versions, options, requestOptions) {
+		if (!Array.isArray(versions) || !versions.every(version => version && typeof version === 'object')) {
+			throw new TypeError('Versions must be an array of objects with a "repoId" and "versionId"');
+		}
+		return this.batch(versions.map(({repoId, versionId}) => ({
+			method: 'getVersion',
+			args: [repoId, versionId, requestOptions]
+		})), options);
+	}
+
+	/**
+	 * Export a snapshot of the Origami catalogue to a single file, so that it can be used without access to the service.
+	 * This gets every matching repository and its versions, along with their demos, images, dependencies, manifests,
+	 * markdown documents, and bundles, so it makes a lot of requests. Load the snapshot with {@link RepoDataClient.fromSnapshot}.
+	 * @param {String} path - The path to write the snapshot file to. Any missing directories are created.
+	 * @param {Object} [options] - Options for exporting the snapshot.
+	 * @param {Object} [options.filters={}] - Filters for the repositories to include, as documented in {@link RepoDataClient#listRepos}.
+	 * @param {Boolean} [options.includeManifests=true] - Whether to include the manifests of each version.
+	 * @param {Boolean} [options.includeMarkdown=true] - Whether to include the markdown documents of each version.
+	 * @param {Boolean} [options.includeBundles=true] - Whether to include the bundle information of each version.
+	 * @param {Boolean} [options.latestOnly=false] - Whether to include only the latest version of each repository.
+	 * @param {Number} [options.concurrency=5] - The maximum number of requests to make at once.
+	 * @param {RequestOptions} [requestOptions] - Options for each request, such as a timeout or an abort signal.
+	 * @returns {Promise<Object>} A promise which resolves with a summary of the snapshot once it has been written.
+	 * This has the resolved <code>path</code>, when the snapshot was <code>created</code>, and the <code>repoCount</code> and
+	 * <code>versionCount</code> which it includes.
+	 * @throws {TypeError} Will throw if the path or filters are not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * Resources which do not exist, e.g. a version without a readme, are left out of the snapshot rather than failing.
+	 *
+	 * @example <caption>Export the latest version of every active component for use in CI</caption>
+	 * await repoData.exportSnapshot('./fixtures/catalogue.json', {
+	 *     filters: {
+	 *         status: ['active', 'maintained']
+	 *     },
+	 *     includeBundles: false,
+	 *     latestOnly: true
+	 * });
+	 */
+	exportSnapshot(path, options, requestOptions) {
+		return snapshotHelpers.exportSnapshot(this, path, options, requestOptions);
+	}
+
+	/**
+	 * Watch for changes to Origami repositories and the ingestion queue. This polls {@link RepoDataClient#listRepos}
+	 * and {@link RepoDataClient#listIngestions}, and emits an event for each change since the previous check.
+	 * The first check records the current state without emitting anything, unless a previous state was persisted.
+	 * @param {Object} [options] - Options for watching.
+	 * @param {Object} [options.filters={}] - Filters for the repositories to watch, as documented in {@link RepoDataClient#listRepos}.
+	 * @param {Number} [options.interval=60000] - The number of milliseconds to wait between checks.
+	 * @param {Boolean} [options.ingestions=true] - Whether to watch the ingestion queue as well as repositories.
+	 * @param {(String|Object)} [options.state] - Where to persist the last-seen state, so that changes made while the watcher
+	 * was not running are emitted when it restarts. This can be the path of a JSON file, or a store which has async
+	 * <code>get(key)</code> and <code>set(key, value)</code> methods, such as a {@link MemoryCache}.
+	 * @param {RequestOptions} [requestOptions] - Options for each request, such as a timeout.
+	 * @returns {EventEmitter} A watcher which has already started. It emits the following events, each with an object which
+	 * includes the event <code>type</code>:
+	 * <code>repo:added</code> with the <code>repo</code>;
+	 * <code>repo:statusChanged</code> with the <code>repo</code> and the support status it changed <code>from</code> and <code>to</code>;
+	 * <code>version:released</code> with the <code>repo</code>, its new <code>version</code>, and the <code>previousVersion</code>;
+	 * <code>ingestion:queued</code> with the <code>ingestion</code>;
+	 * <code>ingestion:completed</code> with the <code>ingestion</code>, once it has been removed from the queue.
+	 * A check which fails emits an <code>error</code> event and the watcher carries on. If there are no error listeners then
+	 * failed checks are ignored, so add one to find out about them.
+	 * Call <code>stop()</code> on the watcher to stop checking. The watcher is also an async iterator of events,
+	 * which stops the watcher when the loop ends and throws if a check fails.
+	 * @throws {TypeError} Will throw if the options are not valid.
+	 *
+	 * @example <caption>Post to Slack when a component is released or deprecated</caption>
+	 * const watcher = repoData.watch({
+	 *     filters: {type: 'module'},
+	 *     interval: 5 * 60 * 1000,
+	 *     state: './watch-state.json'
+	 * });
+	 * watcher.on('version:released', ({repo, version}) => postToSlack(`${repo.name} ${version} has been released`));
+	 * watcher.on('repo:statusChanged', ({repo, to}) => {
+	 *     if (to === 'deprecated') {
+	 *         postToSlack(`${repo.name} has been deprecated`);
+	 *     }
+	 * });
+	 * watcher.on('error', error => console.error(error));
+	 *
+	 * @example <caption>Iterate over changes</caption>
+	 * for await (const event of repoData.watch({interval: 30000})) {
+	 *     console.log(event.type);
+	 * }
+	 */
+	watch(options, requestOptions) {
+		return new watchHelpers.Watcher(this, options, requestOptions).start();
 	}
 
 	/**
@@ -335,9 +899,10 @@ class RepoDataClient {
 	 * @param {Boolean} [data.read=true] - Whether the API key grants read permissions.
 	 * @param {Boolean} [data.write=false] - Whether the API key grants write permissions.
 	 * @param {Boolean} [data.admin=false] - Whether the API key grants admin permissions.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves with the new credentials.
 	 * These will need to be stored somewhere, as the secret will never be displayed again.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Create an API key</caption>
 	 * const credentials = await repoData.createKey({
@@ -347,49 +912,170 @@ class RepoDataClient {
 	 *     admin: false
 	 * });
 	 */
-	createKey(data) {
-		return this.post('/v1/keys', data);
+	createKey(data, requestOptions) {
+		return this.post('/v1/keys', data, requestOptions);
 	}
 
 	/**
 	 * Get a list of all available API keys for the service as an array (requires admin permissions).
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/keys#get-v1-keys}
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Array>} A promise which resolves with the API keys.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>List API keys</caption>
 	 * const repos = await repoData.listKeys();
 	 */
-	listKeys() {
-		return this.get('/v1/keys');
+	listKeys(requestOptions) {
+		return this.get('/v1/keys', undefined, requestOptions);
+	}
+
+	/**
+	 * Iterate over all available API keys for the service, requesting them a page at a time as set by the
+	 * <code>pageSize</code> client option (requires admin permissions).
+	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/keys#get-v1-keys}
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {AsyncIterableIterator<Object>} An async iterator which yields each API key.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Iterate over API keys</caption>
+	 * for await (const key of repoData.iterateKeys()) {
+	 *     console.log(key.description);
+	 * }
+	 */
+	iterateKeys(requestOptions) {
+		return this.iterate('/v1/keys', undefined, requestOptions);
 	}
 
 	/**
 	 * Get a single API key for the service by ID.
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/keys#get-v1-keys-(id)}
 	 * @param {String} keyId - The key UUID.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves with the API key.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the key ID is not a UUID, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get an API key</caption>
-	 * const key = await repoData.getKey('xxxXxXxX-XXXX-XXXX-xXXx-xxxXXXxXXXXX');
+	 * const key = await repoData.getKey('00000000-0000-0000-0000-000000000000');
 	 */
-	getKey(keyId) {
-		return this.get(`/v1/keys/${keyId}`);
+	async getKey(keyId, requestOptions) {
+		args.assertUuid('API key ID', keyId);
+		return this.get(`/v1/keys/${keyId}`, undefined, requestOptions);
 	}
 
 	/**
 	 * Delete a single API key from the service by ID.
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/keys#delete-v1-keys-(id)}
 	 * @param {String} keyId - The key UUID.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves when the key is deleted.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the key ID is not a UUID, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Delete an API key</caption>
-	 * await repoData.deleteKey('xxxXxXxX-XXXX-XXXX-xXXx-xxxXXXxXXXXX');
+	 * await repoData.deleteKey('00000000-0000-0000-0000-000000000000');
 	 */
-	deleteKey(keyId) {
-		return this.delete(`/v1/keys/${keyId}`);
+	async deleteKey(keyId, requestOptions) {
+		args.assertUuid('API key ID', keyId);
+		return this.delete(`/v1/keys/${keyId}`, requestOptions);
+	}
+
+	/**
+	 * Replace an API key with a new one which has the same permissions, and check that the new one works (requires admin permissions).
+	 * @param {String} keyId - The UUID of the API key to replace.
+	 * @param {Object} [options] - Options for rotating the key.
+	 * @param {String} [options.description] - A description for the new API key. Defaults to the description of the original key.
+	 * @param {Object} [options.permissions] - Permissions to change for the new API key, with optional boolean <code>read</code>,
+	 * <code>write</code>, and <code>admin</code> properties. Any which are not set are copied from the original key.
+	 * @param {Boolean} [options.verify=true] - Whether to check that the service accepts the new credentials.
+	 * If it does not then the new key is deleted again and the original key is left in place.
+	 * @param {Function} [options.onReplace] - An async function which is called with the new credentials and the original key
+	 * once the new key has been verified, e.g. to save the credentials to a secrets store before the original key is deleted.
+	 * If this throws then the new key is deleted again and the original key is left in place.
+	 * @param {Boolean} [options.deleteOld=false] - Whether to delete the original API key.
+	 * @param {Number} [options.gracePeriod=0] - The number of milliseconds to wait before deleting the original API key,
+	 * so that services which use it have time to switch to the new one. This can be no more than 2147483647 (about 24 days).
+	 * Use the <code>signal</code> request option to cancel this.
+	 * @param {RequestOptions} [requestOptions] - Options for each request, such as a timeout or an abort signal.
+	 * @returns {Promise<Object>} A promise which resolves with the original <code>key</code> and the new <code>credentials</code>
+	 * as soon as the new key is ready, without waiting for the grace period. The new secret will never be displayed again,
+	 * so it needs to be stored somewhere. If <code>deleteOld</code> is set then the <code>deletion</code> property is a promise
+	 * which resolves once the original key has been deleted. It rejects with an <code>AbortError</code> if the signal is aborted
+	 * during the grace period, in which case the original key is not deleted, or with a <code>RepoDataError</code> if the key
+	 * cannot be deleted. Otherwise <code>deletion</code> is <code>null</code>.
+	 * @throws {TypeError} Will throw if the key ID or options are not valid, before any request is made.
+	 * @throws {KeyRotationError} Will throw if the service does not accept the new credentials, or if <code>onReplace</code> throws.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Rotate an API key, deleting the original after a day</caption>
+	 * const {credentials, deletion} = await repoData.rotateKey('00000000-0000-0000-0000-000000000000', {
+	 *     onReplace: async newCredentials => {
+	 *         await secretsStore.set('origami-repo-data', {
+	 *             key: newCredentials.id,
+	 *             secret: newCredentials.secret
+	 *         });
+	 *     },
+	 *     deleteOld: true,
+	 *     gracePeriod: 24 * 60 * 60 * 1000
+	 * });
+	 * await deletion;
+	 */
+	rotateKey(keyId, options, requestOptions) {
+		return keyHelpers.rotateKey(this, keyId, options, requestOptions);
+	}
+
+	/**
+	 * Get a report of API keys which may need attention, such as old or unused keys (requires admin permissions).
+	 * @param {Object} [options] - Options for the audit. If neither <code>olderThan</code> nor <code>unusedSince</code> are set
+	 * then every key with the given permission is reported.
+	 * @param {(Date|String|Number)} [options.olderThan] - Report keys which were created before this date.
+	 * This can also be a number of milliseconds before now.
+	 * @param {(Date|String|Number)} [options.unusedSince] - Report keys which have not been used since this date, including
+	 * keys which have never been used. This can also be a number of milliseconds before now.
+	 * @param {(Array.<String>|String)} [options.permission] - Only audit keys which have this permission (or one of these permissions).
+	 * One of: <code>'read'</code>, <code>'write'</code>, <code>'admin'</code>.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<Object>} A promise which resolves with the report. This has the time it was <code>audited</code>,
+	 * the total <code>keyCount</code>, and the reported <code>keys</code>, oldest first. Each key has an <code>id</code>,
+	 * <code>description</code>, list of <code>permissions</code>, <code>created</code> and <code>lastUsed</code> dates,
+	 * and the <code>reasons</code> it was reported (<code>'olderThan'</code> and/or <code>'unusedSince'</code>).
+	 * @throws {TypeError} Will throw if the options are not valid, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Find admin keys which are over a year old or have not been used for 90 days</caption>
+	 * const report = await repoData.auditKeys({
+	 *     olderThan: 365 * 24 * 60 * 60 * 1000,
+	 *     unusedSince: 90 * 24 * 60 * 60 * 1000,
+	 *     permission: 'admin'
+	 * });
+	 * for (const key of report.keys) {
+	 *     console.log(key.description, key.reasons);
+	 * }
+	 */
+	auditKeys(options, requestOptions) {
+		return keyHelpers.auditKeys(this, options, requestOptions);
+	}
+
+	/**
+	 * Delete cached responses. This does nothing if the client was not created with the <code>cache</code> option.
+	 * Call this after creating an ingestion so that new versions are visible straight away.
+	 * @param {String} [repoId] - The repository UUID or name. If set, only the repository list and the responses for this
+	 * repository are deleted. Otherwise every response cached by this client is deleted. Responses which were requested
+	 * with the repository's other identifier are only deleted if the repository itself, or a list which includes it, is still cached.
+	 * @returns {Promise} A promise which resolves when the cached responses are deleted.
+	 *
+	 * @example <caption>Invalidate the cache after an ingestion</caption>
+	 * await repoData.createIngestion({
+	 *     url: 'https://github.com/Financial-Times/o-colors',
+	 *     tag: 'v6.0.0'
+	 * });
+	 * await repoData.invalidateCache('o-colors');
+	 */
+	async invalidateCache(repoId) {
+		if (this.cache) {
+			await this.cache.invalidate(repoId);
+		}
 	}
 
 	/**
@@ -398,58 +1084,216 @@ class RepoDataClient {
 	 * @param {Object} data - Information about the ingestion being created.
 	 * @param {String} data.url - The GitHub repository URL to ingest.
 	 * @param {String} data.tag - The GitHub repository tag to ingest.
+	 * @param {Object} [options] - Options for creating the ingestion.
+	 * @param {Boolean} [options.wait=false] - Whether to wait for the ingestion to complete.
+	 * @param {Number} [options.waitTimeout=300000] - The number of milliseconds to wait for the ingestion to complete before giving up.
+	 * This is separate from the <code>timeout</code> request option, which applies to each request.
+	 * The other options, except <code>timeout</code>, are passed on to {@link RepoDataClient#waitForIngestion}.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves with the new ingestion.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * If <code>options.wait</code> is <code>true</code> then it resolves with the version which the ingestion created instead.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {IngestionError} Will throw if <code>options.wait</code> is <code>true</code> and the ingestion fails or times out.
 	 *
 	 * @example <caption>Create an ingestion</caption>
 	 * const credentials = await repoData.createIngestion({
 	 *     url: 'https://github.com/Financial-Times/origami-repo-data',
 	 *     tag: '57.0.0'
 	 * });
+	 *
+	 * @example <caption>Create an ingestion and wait for the version to be created</caption>
+	 * const version = await repoData.createIngestion({
+	 *     url: 'https://github.com/Financial-Times/origami-repo-data',
+	 *     tag: '57.0.0'
+	 * }, {
+	 *     wait: true,
+	 *     waitTimeout: 60000
+	 * });
 	 */
-	createIngestion(data) {
-		return this.post('/v1/queue', data);
+	async createIngestion(data, options = {}, requestOptions) {
+		const createdIngestion = await this.post('/v1/queue', data, requestOptions);
+		if (!options.wait) {
+			return createdIngestion;
+		}
+		const waitOptions = Object.assign(omit(options, ['wait', 'timeout', 'waitTimeout']), {
+			timeout: options.waitTimeout
+		});
+		return this.waitForIngestion(defaults({}, createdIngestion, data), waitOptions, requestOptions);
+	}
+
+	/**
+	 * Wait for an ingestion to complete. This polls the queue until the ingestion has been removed
+	 * and then gets the version which was created.
+	 * @param {(String|Object)} ingestion - The ingestion UUID, or the ingestion as returned by {@link RepoDataClient#createIngestion}.
+	 * If a UUID is given then the ingestion must still be in the queue, otherwise there is no way to find the version it created.
+	 * @param {Object} [options] - Options for waiting.
+	 * @param {Number} [options.timeout=300000] - The number of milliseconds to wait before giving up.
+	 * @param {Number} [options.interval=5000] - The number of milliseconds to wait between checks of the queue.
+	 * @param {Number} [options.maxAttempts=5] - The number of ingestion attempts after which the ingestion is considered failed.
+	 * @param {AbortSignal} [options.signal] - A signal which can be used to stop waiting. Defaults to the <code>signal</code> request option.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<Object>} A promise which resolves with the version which the ingestion created.
+	 * @throws {IngestionFailedError} Will throw if the ingestion errors, or is removed from the queue without creating a version.
+	 * @throws {IngestionTimeoutError} Will throw if the ingestion does not complete before the timeout.
+	 * @throws {AbortError} Will throw if the signal is aborted.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Wait for an ingestion</caption>
+	 * const version = await repoData.waitForIngestion('799798e6-967d-492e-8fee-f7f35ec39d44', {
+	 *     interval: 10000
+	 * });
+	 */
+	waitForIngestion(ingestion, options, requestOptions) {
+		return ingestionHelpers.waitForIngestion(this, ingestion, options, requestOptions);
 	}
 
 	/**
 	 * Get a list of all current ingestions in the queue as an array.
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/queue#get-v1-queue}
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Array>} A promise which resolves with the ingestion queue.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>List the ingestion queue</caption>
 	 * const ingestionQueue = await repoData.listIngestions();
 	 */
-	listIngestions() {
-		return this.get('/v1/queue');
+	listIngestions(requestOptions) {
+		return this.get('/v1/queue', undefined, requestOptions);
+	}
+
+	/**
+	 * Iterate over all current ingestions in the queue, requesting them a page at a time as set by the
+	 * <code>pageSize</code> client option.
+	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/queue#get-v1-queue}
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {AsyncIterableIterator<Object>} An async iterator which yields each ingestion.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 *
+	 * @example <caption>Iterate over the ingestion queue</caption>
+	 * for await (const ingestion of repoData.iterateIngestions()) {
+	 *     console.log(ingestion.url, ingestion.tag);
+	 * }
+	 */
+	iterateIngestions(requestOptions) {
+		return this.iterate('/v1/queue', undefined, requestOptions);
 	}
 
 	/**
 	 * Get a single ingestion in the queue by ID.
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/queue#get-v1-queue-(id)}
 	 * @param {String} ingestionId - The ingestion UUID.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves with the ingestion.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the ingestion ID is not a UUID, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Get an ingestion</caption>
 	 * const ingestion = await repoData.getIngestion('799798e6-967d-492e-8fee-f7f35ec39d44');
 	 */
-	getIngestion(ingestionId) {
-		return this.get(`/v1/queue/${ingestionId}`);
+	async getIngestion(ingestionId, requestOptions) {
+		args.assertUuid('ingestion ID', ingestionId);
+		return this.get(`/v1/queue/${ingestionId}`, undefined, requestOptions);
 	}
 
 	/**
 	 * Delete a single ingestion from the queue by ID, preventing that repo/tag combination from being ingested (requires admin permissions).
 	 * @see {@link https://origami-repo-data.ft.com/v1/docs/api/queue#delete-v1-queue-(id)}
 	 * @param {String} ingestionID - The ingestion UUID.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise<Object>} A promise which resolves when the ingestion is deleted.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {TypeError} Will throw if the ingestion ID is not a UUID, before any request is made.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 *
 	 * @example <caption>Delete an ingestion</caption>
 	 * await repoData.deleteIngestion('799798e6-967d-492e-8fee-f7f35ec39d44');
 	 */
-	deleteIngestion(ingestionID) {
-		return this.delete(`/v1/queue/${ingestionID}`);
+	async deleteIngestion(ingestionID, requestOptions) {
+		args.assertUuid('ingestion ID', ingestionID);
+		return this.delete(`/v1/queue/${ingestionID}`, requestOptions);
+	}
+
+	/**
+	 * Add a middleware function which every HTTP request is passed through, including each retry.
+	 * Middleware is called in the order it was added, and responses served from the cache do not pass through it.
+	 * @param {Function} fn - An async function which is called with the request and a <code>next</code> function.
+	 * The request has <code>method</code>, <code>endpoint</code>, <code>query</code>, <code>data</code>, and <code>headers</code>
+	 * properties which can be changed before calling <code>next</code>. Calling <code>next</code> sends the request on and
+	 * resolves with the response <code>status</code>, <code>headers</code>, and <code>data</code>, or rejects with a {@link RepoDataError}.
+	 * The function must resolve with a response, which can be the one from <code>next</code> or a new one to short-circuit the request.
+	 * @returns {RepoDataClient} The client, so that calls can be chained.
+	 * @throws {TypeError} Will throw if <code>fn</code> is not a function.
+	 *
+	 * @example <caption>Add a correlation ID to every request</caption>
+	 * repoData.use(async (request, next) => {
+	 *     request.headers['X-Request-Id'] = uuid();
+	 *     return next();
+	 * });
+	 *
+	 * @example <caption>Serve a response without making a request</caption>
+	 * repoData.use(async (request, next) => {
+	 *     if (request.endpoint === '/v1/repos/o-stub') {
+	 *         return {status: 200, headers: {}, data: {name: 'o-stub'}};
+	 *     }
+	 *     return next();
+	 * });
+	 */
+	use(fn) {
+		if (typeof fn !== 'function') {
+			throw new TypeError('Middleware must be a function');
+		}
+		this.middleware.push(fn);
+		return this;
+	}
+
+	/**
+	 * Add a hook which is called before every HTTP request is sent, including each retry.
+	 * @param {Function} fn - A function which is called with the request, as documented in {@link RepoDataClient#use}.
+	 * It can change the request headers. If it returns a promise then the request waits for it.
+	 * @returns {RepoDataClient} The client, so that calls can be chained.
+	 * @throws {TypeError} Will throw if <code>fn</code> is not a function.
+	 *
+	 * @example <caption>Log every request</caption>
+	 * repoData.onRequest(request => {
+	 *     console.log(`${request.method} ${request.endpoint}`);
+	 * });
+	 */
+	onRequest(fn) {
+		assertHook(fn);
+		return this.use(middleware.createHookMiddleware({onRequest: fn}));
+	}
+
+	/**
+	 * Add a hook which is called after every successful HTTP response, including each retry.
+	 * @param {Function} fn - A function which is called with the request, the response <code>status</code>,
+	 * <code>headers</code>, and <code>data</code>, and the duration of the request in milliseconds.
+	 * @returns {RepoDataClient} The client, so that calls can be chained.
+	 * @throws {TypeError} Will throw if <code>fn</code> is not a function.
+	 *
+	 * @example <caption>Log the time taken by every request</caption>
+	 * repoData.onResponse((request, response, duration) => {
+	 *     console.log(`${request.method} ${request.endpoint} ${response.status} ${duration}ms`);
+	 * });
+	 */
+	onResponse(fn) {
+		assertHook(fn);
+		return this.use(middleware.createHookMiddleware({onResponse: fn}));
+	}
+
+	/**
+	 * Add a hook which is called after every failed HTTP request, including each retry.
+	 * The error is still thrown once the hook has been called.
+	 * @param {Function} fn - A function which is called with the request, the {@link RepoDataError}, and the duration of the request in milliseconds.
+	 * @returns {RepoDataClient} The client, so that calls can be chained.
+	 * @throws {TypeError} Will throw if <code>fn</code> is not a function.
+	 *
+	 * @example <caption>Log every failed request</caption>
+	 * repoData.onError((request, error, duration) => {
+	 *     console.error(`${request.method} ${request.endpoint} failed after ${duration}ms: ${error.message}`);
+	 * });
+	 */
+	onError(fn) {
+		assertHook(fn);
+		return this.use(middleware.createHookMiddleware({onError: fn}));
 	}
 
 	/**
@@ -457,11 +1301,12 @@ class RepoDataClient {
 	 * @private
 	 * @param {String} endpoint - The service endpoint to request. The service base URL will be prepended.
 	 * @param {Object} [query] - Parameters to append to the URL, which will be serialized as a querystring.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise} A promise which resolves with the response body.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 */
-	get(endpoint, query) {
-		return this.request('GET', endpoint, query);
+	get(endpoint, query, requestOptions) {
+		return this.request('GET', endpoint, query, undefined, requestOptions);
 	}
 
 	/**
@@ -469,59 +1314,364 @@ class RepoDataClient {
 	 * @private
 	 * @param {String} endpoint - The service endpoint to request. The service base URL will be prepended.
 	 * @param {Object} data - The POST data to send, which will be serialized as JSON.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise} A promise which resolves with the response body.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
 	 */
-	post(endpoint, data) {
-		return this.request('POST', endpoint, undefined, data);
+	post(endpoint, data, requestOptions) {
+		return this.request('POST', endpoint, undefined, data, requestOptions);
 	}
 
 	/**
 	 * Perform a DELETE request.
 	 * @private
 	 * @param {String} endpoint - The service endpoint to request. The service base URL will be prepended.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise} A promise which resolves with the response body.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 */
+	delete(endpoint, requestOptions) {
+		return this.request('DELETE', endpoint, undefined, undefined, requestOptions);
+	}
+
+	/**
+	 * Iterate over the items in a list endpoint, requesting further pages by <code>Link</code> header or page number.
+	 * @private
+	 * @param {String} endpoint - The service endpoint to request. The service base URL will be prepended.
+	 * @param {Object} [query] - Parameters to append to the URL, which will be serialized as a querystring.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {AsyncIterableIterator} An async iterator which yields each item in the list.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 */
+	async *iterate(endpoint, query, requestOptions) {
+		let page = pagination.getFirstPage(endpoint, query, this.pageSize);
+		while (page) {
+			const response = await this.sendWithRetries('GET', page.endpoint, page.query, undefined, undefined, requestOptions);
+			const data = validateResponse(this.validator, 'GET', page.endpoint, response.data);
+			const items = (Array.isArray(data) ? data : []);
+			const itemCount = items.length;
+
+			// A service which doesn't page the list responds with all of it, so items are removed as they are consumed
+			while (items.length) {
+				yield* items.splice(0, this.pageSize);
+			}
+			page = (itemCount ? pagination.getNextPage(response.headers, this.options.apiUrl, page) : null);
+		}
+	}
+
+	/**
+	 * Perform an HTTP request and validate the response body against the schema where the client is configured to.
+	 * @private
+	 * @param {String} method - The HTTP method to perform the request with.
+	 * @param {String} endpoint - The service endpoint to request. The service base URL will be prepended.
+	 * @param {Object} [query] - Parameters to append to the URL, which will be serialized as a querystring.
+	 * @param {Object} [postData] - The data to send (if method is POST), which will be serialized as JSON.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise} A promise which resolves with the response body.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * The error will be an instance of one of the more specific error classes where possible, e.g. {@link NotFoundError}.
+	 * @throws {ResponseValidationError} Will throw if the client validates responses and the response body does not match the schema.
 	 */
-	delete(endpoint) {
-		return this.request('DELETE', endpoint);
+	async request(method, endpoint, query, postData, requestOptions) {
+		const data = await this.requestWithCache(method, endpoint, query, postData, requestOptions);
+		return validateResponse(this.validator, method, endpoint, data);
 	}
 
 	/**
-	 * Perform an HTTP request.
+	 * Look up a request in the response cache, and only send it if there is no fresh cached response.
+	 * Stale responses are revalidated with their ETag, and responses are cached exactly as the service
+	 * sent them, before they are validated.
 	 * @private
 	 * @param {String} method - The HTTP method to perform the request with.
 	 * @param {String} endpoint - The service endpoint to request. The service base URL will be prepended.
 	 * @param {Object} [query] - Parameters to append to the URL, which will be serialized as a querystring.
 	 * @param {Object} [postData] - The data to send (if method is POST), which will be serialized as JSON.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
 	 * @returns {Promise} A promise which resolves with the response body.
-	 * @throws {Error} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 */
+	async requestWithCache(method, endpoint, query, postData, requestOptions) {
+		throwIfAborted(method, endpoint, requestOptions);
+		const ttl = (this.cache ? this.cache.getTtl(method, endpoint) : null);
+		if (ttl === null) {
+			const response = await this.sendWithRetries(method, endpoint, query, postData, undefined, requestOptions);
+			return response.data || undefined;
+		}
+
+		const cacheKey = ResponseCache.createKey(method, endpoint, query);
+		const cached = await this.cache.get(cacheKey);
+		if (cached && cached.expires > Date.now()) {
+			this.emit('cache:hit', createEvent(method, endpoint, {revalidated: false}));
+			return cached.data;
+		}
+
+		// Revalidate stale responses so that unchanged lists are not downloaded again
+		const headers = {};
+		if (cached && cached.etag) {
+			headers['If-None-Match'] = cached.etag;
+		}
+		const response = await this.sendWithRetries(method, endpoint, query, postData, headers, requestOptions);
+		const notModified = (response.status === 304 && cached);
+		if (notModified) {
+			this.emit('cache:hit', createEvent(method, endpoint, {revalidated: true}));
+		}
+		const data = (notModified ? cached.data : response.data) || undefined;
+		const etag = response.headers.etag || (notModified ? cached.etag : undefined);
+
+		if (ttl > 0 || etag) {
+			await this.cache.set(cacheKey, {
+				data,
+				etag,
+				expires: Date.now() + ttl
+			});
+		}
+		return data;
+	}
+
+	/**
+	 * Perform an HTTP request, retrying if the client is configured to.
+	 * @private
+	 * @param {String} method - The HTTP method to perform the request with.
+	 * @param {String} endpoint - The service endpoint to request. The service base URL will be prepended.
+	 * @param {Object} [query] - Parameters to append to the URL, which will be serialized as a querystring.
+	 * @param {Object} [postData] - The data to send (if method is POST), which will be serialized as JSON.
+	 * @param {Object} [headers] - Additional headers to send with the request.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<Object>} A promise which resolves with the response <code>status</code>, <code>headers</code>, and <code>data</code>.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 */
+	async sendWithRetries(method, endpoint, query, postData, headers, requestOptions) {
+		const signal = (requestOptions ? requestOptions.signal : undefined);
+		let attempt = 1;
+		for (;;) {
+			throwIfAborted(method, endpoint, requestOptions);
+			this.emit('request:start', createEvent(method, endpoint, {attempt}));
+			const startTime = Date.now();
+			let response;
+			try {
+				response = await this.send(method, endpoint, query, postData, headers, requestOptions);
+			} catch (error) {
+				this.emit('request:failure', createEvent(method, endpoint, {
+					attempt,
+					status: error.status,
+					duration: Date.now() - startTime,
+					error
+				}));
+				if (!retry.shouldRetry(error, {method, attempt}, this.retryOptions)) {
+					throw error;
+				}
+				const delay = retry.getRetryDelay(attempt, error, this.retryOptions);
+				this.emit('request:retry', createEvent(method, endpoint, {attempt, delay, error}));
+				await retry.wait(delay, signal);
+				attempt += 1;
+				continue;
+			}
+			this.emit('request:success', createEvent(method, endpoint, {
+				attempt,
+				status: response.status,
+				duration: Date.now() - startTime
+			}));
+			return response;
+		}
+	}
+
+	/**
+	 * Perform a single HTTP request, passing it through the client middleware.
+	 * @private
+	 * @param {String} method - The HTTP method to perform the request with.
+	 * @param {String} endpoint - The service endpoint to request. The service base URL will be prepended.
+	 * @param {Object} [query] - Parameters to append to the URL, which will be serialized as a querystring.
+	 * @param {Object} [postData] - The data to send (if method is POST), which will be serialized as JSON.
+	 * @param {Object} [headers] - Additional headers to send with the request.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @returns {Promise<Object>} A promise which resolves with the response <code>status</code>, <code>headers</code>, and <code>data</code>.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 */
+	async send(method, endpoint, query, postData, headers, requestOptions) {
+		for (let refreshed = false; ; refreshed = true) {
+			const authHeaders = await this.getAuthHeaders(method, endpoint);
+			const request = {
+				method,
+				endpoint,
+				query,
+				data: postData,
+				headers: Object.assign({}, authHeaders, headers)
+			};
+			const handle = middleware.compose(this.middleware, composedRequest => {
+				return this.transport(composedRequest, requestOptions, Object.keys(authHeaders));
+			});
+			try {
+				const response = await handle(request);
+
+				// Middleware can respond without sending the request, so the response is checked like any other
+				const result = {
+					status: response.status || 200,
+					headers: errors.normalizeHeaders(response.headers),
+					data: response.data
+				};
+				assertSuccessfulResponse(result, request, `${this.options.apiUrl}${request.endpoint}`);
+				return result;
+			} catch (error) {
+				// Credentials may have been rotated, so the auth strategy gets a chance to refresh them before one more attempt
+				const canRefresh = (this.auth && typeof this.auth.refresh === 'function');
+				if (refreshed || !canRefresh || !(error instanceof errors.UnauthorizedError)) {
+					throw error;
+				}
+				await this.auth.refresh(error);
+			}
+		}
+	}
+
+	/**
+	 * Get the headers which authenticate a request.
+	 * @private
+	 * @param {String} method - The HTTP method of the request.
+	 * @param {String} endpoint - The service endpoint.
+	 * @returns {Promise<Object>} A promise which resolves with the headers from the client's auth strategy,
+	 * or the <code>apiKey</code> and <code>apiSecret</code> options if it doesn't have one.
 	 */
-	async request(method, endpoint, query, postData) {
+	async getAuthHeaders(method, endpoint) {
+		if (!this.auth) {
+			return {
+				'X-Api-Key': this.options.apiKey,
+				'X-Api-Secret': this.options.apiSecret
+			};
+		}
+		return this.auth.getHeaders({method, endpoint});
+	}
+
+	/**
+	 * Send a request to the service, or serve it from a snapshot or replay it if the client is configured to.
+	 * @private
+	 * @param {Object} request - The request to send.
+	 * @param {String} request.method - The HTTP method to perform the request with.
+	 * @param {String} request.endpoint - The service endpoint to request. The service base URL will be prepended.
+	 * @param {Object} [request.query] - Parameters to append to the URL, which will be serialized as a querystring.
+	 * @param {Object} [request.data] - The data to send (if method is POST), which will be serialized as JSON.
+	 * @param {Object} request.headers - The headers to send with the request.
+	 * @param {RequestOptions} [requestOptions] - Options for the request, such as a timeout or an abort signal.
+	 * @param {Array.<String>} [authHeaders] - The names of the headers which the auth strategy set, which are redacted when recording.
+	 * @returns {Promise<Object>} A promise which resolves with the response <code>status</code>, <code>headers</code>, and <code>data</code>.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 */
+	async transport(request, requestOptions, authHeaders) {
+		const {timeout, signal} = defaults({}, requestOptions, {
+			timeout: this.options.timeout
+		});
+		const {method, endpoint} = request;
+		const url = `${this.options.apiUrl}${endpoint}`;
 		let response;
 
+		if (this.snapshot) {
+			response = await this.snapshot.respond(request);
+			assertSuccessfulResponse(response, request, url);
+			return response;
+		}
+
+		if (this.recorder && this.recorder.mode === 'replay') {
+			response = await this.recorder.replay(request);
+			assertSuccessfulResponse(response, request, url);
+			return response;
+		}
+
+		const config = {
+			method: method,
+			url,
+			params: request.query,
+			headers: request.headers,
+			data: request.data,
+			validateStatus: isSuccessfulStatus
+		};
+		if (timeout) {
+			config.timeout = timeout;
+		}
+		if (signal) {
+			config.signal = signal;
+		}
+
 		try {
-			response = await axios({
-				method: method,
-				url: `${this.options.apiUrl}${endpoint}`,
-				params: query,
-				headers: {
-					'X-Api-Key': this.options.apiKey,
-					'X-Api-Secret': this.options.apiSecret
-				},
-				data: postData
-			});
+			response = await axios(config);
 		} catch (error) {
-			if (error.response && error.response.status) {
-				const newError = new Error(`${error.response.status}: ${error.message}`);
-				newError.status = error.response.status;
-				throw newError;
-			} else {
-				throw new Error(error.message);
+			if (this.recorder && error.response) {
+				await this.recorder.record(request, {
+					status: error.response.status,
+					headers: errors.normalizeHeaders(error.response.headers),
+					data: error.response.data
+				}, authHeaders);
 			}
+			throw errors.createRequestError(error, {method, endpoint, url});
+		}
+
+		const result = {
+			status: response.status,
+			headers: errors.normalizeHeaders(response.headers),
+			data: response.data
+		};
+		if (this.recorder) {
+			await this.recorder.record(request, result, authHeaders);
 		}
+		return result;
+	}
+
+	/**
+	 * Create a client which serves requests for repositories and versions from a snapshot instead of the service.
+	 * Every read-only method for repositories and versions resolves with the same data as when the snapshot was exported,
+	 * and filters are applied in the same way as the service. Other methods fail with an {@link UnmatchedRequestError}.
+	 * @param {String} path - The path of a snapshot file written by {@link RepoDataClient#exportSnapshot}.
+	 * @param {Object} [options] - Any other client options, as documented in {@link RepoDataClient}.
+	 * @returns {RepoDataClient} A new RepoDataClient instance. The snapshot file is read on the first request.
+	 * @throws {TypeError} Will throw if the path is not valid.
+	 *
+	 * @example <caption>Use a snapshot in CI</caption>
+	 * const repoData = (process.env.CI ?
+	 *     RepoDataClient.fromSnapshot('./fixtures/catalogue.json') :
+	 *     new RepoDataClient()
+	 * );
+	 * const repo = await repoData.getRepo('o-colors');
+	 */
+	static fromSnapshot(path, options) {
+		return new RepoDataClient(Object.assign({}, options, {
+			snapshot: path
+		}));
+	}
+
+	/**
+	 * Compare the Origami catalogue at two points in time, e.g. to report what changed in the last week.
+	 * @param {(Array|Object|String)} before - The earlier catalogue. This can be an array of repositories as returned by
+	 * {@link RepoDataClient#listRepos}, an object with a <code>repos</code> array, or the path of a snapshot file written
+	 * by {@link RepoDataClient#exportSnapshot}. Where a repository has a <code>versions</code> array (as in a snapshot,
+	 * or if you add the result of {@link RepoDataClient#listVersions}) every version is compared, otherwise only the latest version.
+	 * @param {(Array|Object|String)} after - The later catalogue, in any of the same forms.
+	 * @returns {Promise<Object>} A promise which resolves with the changes. This has the <code>before</code> and <code>after</code>
+	 * <code>repoCount</code> (and when they were <code>created</code>, for snapshots), the <code>addedRepos</code> and
+	 * <code>removedRepos</code>, and the <code>statusChanges</code>, <code>majorVersions</code>, and <code>brandChanges</code>
+	 * of repositories in both catalogues. Repositories are matched by ID, and each list is sorted by repository name.
+	 * @throws {TypeError} Will throw if either catalogue is not valid.
+	 *
+	 * @example <caption>Report what changed since last week's snapshot</caption>
+	 * await repoData.exportSnapshot('./snapshots/this-week.json', {latestOnly: true});
+	 * const diff = await RepoDataClient.diffCatalogue('./snapshots/last-week.json', './snapshots/this-week.json');
+	 * console.log(RepoDataClient.renderCatalogueDiff(diff, 'markdown'));
+	 *
+	 * @example <caption>Compare two lists of repositories</caption>
+	 * const diff = await RepoDataClient.diffCatalogue(previousRepos, await repoData.listRepos());
+	 * for (const change of diff.statusChanges) {
+	 *     console.log(`${change.name} is now ${change.to}`);
+	 * }
+	 */
+	static diffCatalogue(before, after) {
+		return diffHelpers.diffCatalogue(before, after);
+	}
 
-		return response.data || undefined;
+	/**
+	 * Render the changes to the Origami catalogue as a report.
+	 * @param {Object} diff - The changes, as returned by {@link RepoDataClient.diffCatalogue}.
+	 * @param {String} [format='markdown'] - The report format. One of <code>'markdown'</code> or <code>'json'</code>.
+	 * @returns {String} The report.
+	 * @throws {TypeError} Will throw if the format is not valid.
+	 */
+	static renderCatalogueDiff(diff, format) {
+		return diffHelpers.renderCatalogueDiff(diff, format);
 	}
 
 	/**
@@ -542,4 +1692,176 @@ class RepoDataClient {
 
 };
 
+/**
+ * Create a client event.
+ * @private
+ * @param {String} method - The HTTP method of the request.
+ * @param {String} endpoint - The service endpoint which was requested.
+ * @param {Object} [properties] - Additional properties of the event.
+ * @returns {Object} The event.
+ */
+function createEvent(method, endpoint, properties) {
+	const match = matchEndpoint(endpoint);
+	return Object.assign({
+		method: method.toUpperCase(),
+		endpoint,
+		template: (match ? match.template : null)
+	}, properties);
+}
+
+/**
+ * Validate response data if the client is configured to.
+ * @private
+ * @param {(ResponseValidator|null)} validator - The client's response validator.
+ * @param {String} method - The HTTP method of the request.
+ * @param {String} endpoint - The service endpoint which was requested.
+ * @param {*} data - The response data.
+ * @returns {*} The response data, which is normalized if the validator is configured to.
+ * @throws {ResponseValidationError} Will throw if the response data does not match the schema.
+ */
+function validateResponse(validator, method, endpoint, data) {
+	if (!validator || data === undefined) {
+		return data;
+	}
+	return validator.validate(method, endpoint, data);
+}
+
+/**
+ * Throw if a lifecycle hook is not a function.
+ * @private
+ * @param {Function} fn - The hook.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the hook is not a function.
+ */
+function assertHook(fn) {
+	if (typeof fn !== 'function') {
+		throw new TypeError('Hooks must be functions');
+	}
+}
+
+/**
+ * Throw if a request has been aborted before it is sent.
+ * @private
+ * @param {String} method - The HTTP method of the request.
+ * @param {String} endpoint - The service endpoint which is being requested.
+ * @param {RequestOptions} [requestOptions] - The options for the request.
+ * @returns {undefined} Nothing.
+ * @throws {AbortError} Will throw if the request signal has been aborted.
+ */
+function throwIfAborted(method, endpoint, requestOptions) {
+	if (requestOptions && requestOptions.signal && requestOptions.signal.aborted) {
+		throw new errors.AbortError('The request was aborted', {
+			method: method.toUpperCase(),
+			endpoint
+		});
+	}
+}
+
+/**
+ * Create the query parameters for a list of repositories.
+ * @private
+ * @param {Object} filters - Parameters to filter repositories by, as documented in {@link RepoDataClient#listRepos}.
+ * @returns {Object} The query parameters.
+ * @throws {TypeError} Will throw if a filter is not valid.
+ */
+function createRepoQuery(filters) {
+	args.assertRepoFilters(filters);
+	const {brand, search, status, type, origamiVersion} = filters;
+	const query = {};
+
+	// Sanitize and set brand
+	if (brand && Array.isArray(brand)) {
+		query.brand = brand.join(',');
+	}
+	if (brand === null) {
+		query.brand = 'none';
+	}
+	if (brand && typeof brand === 'string') {
+		query.brand = brand;
+	}
+
+	// Sanitize and set the Origami Version
+	if (origamiVersion && Array.isArray(origamiVersion)) {
+		query.origamiVersion = origamiVersion.join(',');
+	}
+	if (origamiVersion && ['string', 'number'].includes(typeof origamiVersion)) {
+		query.origamiVersion = String(origamiVersion);
+	}
+
+	// Set search
+	if (search && typeof search === 'string') {
+		query.q = search;
+	}
+
+	// Sanitize and set status
+	if (status && Array.isArray(status)) {
+		query.status = status.join(',');
+	}
+	if (status && typeof status === 'string') {
+		query.status = status;
+	}
+
+	// Sanitize and set type
+	if (type && Array.isArray(type)) {
+		query.type = type.join(',');
+	}
+	if (type && typeof type === 'string') {
+		query.type = type;
+	}
+
+	return query;
+}
+
+/**
+ * Check whether an HTTP status should resolve rather than reject.
+ * A 304 is successful because it is only returned when revalidating a cached response.
+ * @private
+ * @param {Number} status - The HTTP status code.
+ * @returns {Boolean} Whether the status is successful.
+ */
+function isSuccessfulStatus(status) {
+	return (status >= 200 && status < 300) || status === 304;
+}
+
+/**
+ * Throw if a response which did not come directly from the HTTP library has an unsuccessful status.
+ * @private
+ * @param {Object} response - The response <code>status</code>, <code>headers</code>, and <code>data</code>.
+ * @param {Object} request - The request which the response is for.
+ * @param {String} url - The full URL which was requested.
+ * @returns {undefined} Nothing.
+ * @throws {RepoDataError} Will throw if the response status is not successful.
+ */
+function assertSuccessfulResponse(response, {method, endpoint}, url) {
+	if (!isSuccessfulStatus(response.status)) {
+		const error = new Error(`Request failed with status code ${response.status}`);
+		error.response = response;
+		throw errors.createRequestError(error, {method, endpoint, url});
+	}
+}
+
 module.exports = RepoDataClient;
+
+// Expose the error classes so that consumers can check failures with `instanceof`
+module.exports.RepoDataError = errors.RepoDataError;
+module.exports.ValidationError = errors.ValidationError;
+module.exports.UnauthorizedError = errors.UnauthorizedError;
+module.exports.ForbiddenError = errors.ForbiddenError;
+module.exports.NotFoundError = errors.NotFoundError;
+module.exports.ServerError = errors.ServerError;
+module.exports.NetworkError = errors.NetworkError;
+module.exports.TimeoutError = errors.TimeoutError;
+module.exports.AbortError = errors.AbortError;
+module.exports.IngestionError = errors.IngestionError;
+module.exports.IngestionFailedError = errors.IngestionFailedError;
+module.exports.IngestionTimeoutError = errors.IngestionTimeoutError;
+module.exports.KeyRotationError = errors.KeyRotationError;
+module.exports.UnmatchedRequestError = errors.UnmatchedRequestError;
+module.exports.ResponseValidationError = errors.ResponseValidationError;
+
+module.exports.MemoryCache = MemoryCache;
+module.exports.StaticAuth = authHelpers.StaticAuth;
+module.exports.ProviderAuth = authHelpers.ProviderAuth;
+module.exports.NoAuth = authHelpers.NoAuth;
+module.exports.RepoQuery = RepoQuery;
+module.exports.PrometheusMetrics = PrometheusMetrics;
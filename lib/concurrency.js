@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Map over items with an async function, running no more than a set number of calls at once.
+ * @private
+ * @param {Array} items - The items to map over.
+ * @param {Number} concurrency - The maximum number of calls to run at once.
+ * @param {Function} iteratee - An async function which is called with each item and its index.
+ * @returns {Promise<Array>} A promise which resolves with the results in the same order as the items.
+ * @throws {Error} Will throw the first error thrown by the iteratee, after which no more calls are started.
+ */
+async function mapConcurrently(items, concurrency, iteratee) {
+	const results = new Array(items.length);
+	let nextIndex = 0;
+	let failed = false;
+	const worker = async () => {
+		while (!failed && nextIndex < items.length) {
+			const index = nextIndex;
+			nextIndex += 1;
+			try {
+				results[index] = await iteratee(items[index], index);
+			} catch (error) {
+				failed = true;
+				throw error;
+			}
+		}
+	};
+	const workerCount = Math.max(1, Math.min(Math.floor(concurrency) || 1, items.length));
+	await Promise.all(Array.from({length: workerCount}, worker));
+	return results;
+}
+
+module.exports = {
+	mapConcurrently
+};
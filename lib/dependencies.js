@@ -0,0 +1,365 @@
+'use strict';
+
+const defaults = require('lodash/defaults');
+const semver = require('semver');
+const {mapConcurrently} = require('./concurrency');
+const {NotFoundError} = require('./errors');
+const versionHelpers = require('./versions');
+
+/**
+ * The default options for resolving a dependency tree.
+ * @private
+ */
+const defaultTreeOptions = {
+	includeDev: false,
+	maxDepth: Infinity,
+	concurrency: 5
+};
+
+/**
+ * The default options for listing dependents.
+ * @private
+ */
+const defaultDependentOptions = {
+	latestOnly: true,
+	concurrency: 5
+};
+
+/**
+ * Get the Repo Data repository name for a dependency. npm dependencies on Origami
+ * components are scoped, but the repositories in Repo Data are not.
+ * @private
+ * @param {String} name - The dependency name, e.g. <code>'@financial-times/o-colors'</code>.
+ * @returns {String} The repository name.
+ */
+function getDependencyRepoName(name) {
+	return String(name).replace(/^@financial-times\//i, '');
+}
+
+/**
+ * Get the semver range for a dependency. Bower dependencies can be declared with an
+ * endpoint before the range, e.g. <code>'Financial-Times/o-colors#^5.0.0'</code>.
+ * @private
+ * @param {String} range - The dependency range as returned by {@link RepoDataClient#listDependencies}.
+ * @returns {String} The semver range.
+ */
+function getDependencyRange(range) {
+	range = String(range);
+	return range.slice(range.lastIndexOf('#') + 1);
+}
+
+/**
+ * Get the key which identifies a node in a dependency graph.
+ * @private
+ * @param {String} name - The repository name.
+ * @param {String} version - The version number.
+ * @returns {String} The node key, e.g. <code>'o-colors@5.2.1'</code>.
+ */
+function getNodeKey(name, version) {
+	return `${name}@${version}`;
+}
+
+/**
+ * Create a node in a dependency graph.
+ * @private
+ * @param {String} name - The repository name.
+ * @param {Object} version - The version as returned by the service.
+ * @param {Number} depth - The depth of the node in the graph, where the root is <code>0</code>.
+ * @returns {Object} The graph node.
+ */
+function createNode(name, version, depth) {
+	return {
+		id: getNodeKey(name, version.version),
+		name,
+		version: version.version,
+		depth,
+		record: version,
+		dependencies: [],
+		truncated: false
+	};
+}
+
+/**
+ * Find all of the cycles in a dependency graph.
+ * @private
+ * @param {Object} nodes - The graph nodes, keyed by ID.
+ * @param {String} rootId - The ID of the root node.
+ * @returns {Array.<Array.<String>>} Each cycle as a list of node IDs, starting and ending with the same node.
+ */
+function findCycles(nodes, rootId) {
+	const cycles = [];
+	const visited = new Set();
+	const path = [];
+	const visit = id => {
+		const pathIndex = path.indexOf(id);
+		if (pathIndex !== -1) {
+			cycles.push(path.slice(pathIndex).concat(id));
+			return;
+		}
+		if (visited.has(id)) {
+			return;
+		}
+		visited.add(id);
+		path.push(id);
+		for (const dependency of nodes[id].dependencies) {
+			if (dependency.resolved) {
+				visit(dependency.resolved);
+			}
+		}
+		path.pop();
+	};
+	visit(rootId);
+	return cycles;
+}
+
+/**
+ * Find the repositories which appear in a dependency graph at more than one version.
+ * @private
+ * @param {Object} nodes - The graph nodes, keyed by ID.
+ * @param {Map} versionLists - The versions of each repository in the graph, keyed by name.
+ * @returns {Array.<Object>} The conflicts.
+ */
+function findConflicts(nodes, versionLists) {
+	const requestsByName = new Map();
+	for (const node of Object.values(nodes)) {
+		for (const dependency of node.dependencies) {
+			if (dependency.resolved) {
+				const requests = requestsByName.get(dependency.name) || [];
+				requests.push({
+					dependent: node.id,
+					range: dependency.range,
+					version: nodes[dependency.resolved].version
+				});
+				requestsByName.set(dependency.name, requests);
+			}
+		}
+	}
+
+	const conflicts = [];
+	for (const [name, requests] of requestsByName) {
+		const versions = [...new Set(requests.map(request => request.version))].sort(semver.rcompare);
+		if (versions.length > 1) {
+			// A conflict can be fixed if a single version satisfies every range
+			const resolution = versionHelpers.sortVersions(versionLists.get(name) || []).find(version => {
+				return requests.every(request => semver.satisfies(version.version, request.range, {loose: true}));
+			});
+			conflicts.push({
+				name,
+				versions,
+				requests,
+				resolution: (resolution ? resolution.version : null)
+			});
+		}
+	}
+	return conflicts;
+}
+
+/**
+ * Resolve the full dependency tree for a repository version, walking dependencies
+ * through Repo Data and resolving each range to the highest matching version.
+ * @private
+ * @param {RepoDataClient} client - The client to make requests with.
+ * @param {String} repoId - The repository UUID or name.
+ * @param {String} versionId - The version UUID or number.
+ * @param {Object} [options] - Options for resolving, as documented in {@link RepoDataClient#resolveDependencyTree}.
+ * @param {RequestOptions} [requestOptions] - Options for each request.
+ * @returns {Promise<Object>} A promise which resolves with the dependency graph and report.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+ */
+async function resolveDependencyTree(client, repoId, versionId, options, requestOptions) {
+	options = defaults({}, options, defaultTreeOptions);
+	const versionLists = new Map();
+	const listVersions = async name => {
+		if (!versionLists.has(name)) {
+			versionLists.set(name, client.listVersions(name, requestOptions).catch(error => {
+				if (error instanceof NotFoundError) {
+					return null;
+				}
+				throw error;
+			}));
+		}
+		return versionLists.get(name);
+	};
+
+	const rootVersion = await client.getVersion(repoId, versionId, requestOptions);
+	const root = createNode(rootVersion.name, rootVersion, 0);
+	const nodes = {
+		[root.id]: root
+	};
+	const unresolved = [];
+
+	// Walk the graph a level at a time so that each node is first reached at its lowest depth
+	let level = [root];
+	while (level.length) {
+		const nextLevel = [];
+		await mapConcurrently(level, options.concurrency, async node => {
+			if (node.depth >= options.maxDepth) {
+				node.truncated = true;
+				return;
+			}
+			// Development dependencies are only ever installed for the root repository
+			const includeDev = (options.includeDev && node === root);
+			const dependencies = (await client.listDependencies(node.name, node.version, requestOptions))
+				.filter(dependency => includeDev || !dependency.isDev);
+
+			for (const dependency of dependencies) {
+				const edge = {
+					name: getDependencyRepoName(dependency.name),
+					range: getDependencyRange(dependency.version),
+					source: dependency.source,
+					isDev: dependency.isDev,
+					isOptional: dependency.isOptional,
+					resolved: null
+				};
+				node.dependencies.push(edge);
+
+				const versions = await listVersions(edge.name);
+				let resolved = null;
+				let reason = 'no version satisfies the range';
+				if (!versions) {
+					reason = 'the repository does not exist in Repo Data';
+				} else {
+					try {
+						resolved = versionHelpers.findVersion(versions, edge.range);
+					} catch (error) {
+						if (!(error instanceof TypeError)) {
+							throw error;
+						}
+						reason = 'the range is not a valid semver range';
+					}
+				}
+				if (!resolved) {
+					unresolved.push({
+						dependent: node.id,
+						name: edge.name,
+						range: edge.range,
+						isOptional: edge.isOptional,
+						reason
+					});
+					continue;
+				}
+
+				edge.resolved = getNodeKey(edge.name, resolved.version);
+				if (!nodes[edge.resolved]) {
+					nodes[edge.resolved] = createNode(edge.name, resolved, node.depth + 1);
+					nextLevel.push(nodes[edge.resolved]);
+				}
+			}
+		});
+		level = nextLevel;
+	}
+
+	const resolvedVersionLists = new Map();
+	for (const [name, versions] of versionLists) {
+		resolvedVersionLists.set(name, await versions);
+	}
+
+	return {
+		root: root.id,
+		nodes,
+		conflicts: findConflicts(nodes, resolvedVersionLists),
+		cycles: findCycles(nodes, root.id),
+		unresolved
+	};
+}
+
+/**
+ * Check whether a dependency range accepts a version or overlaps with a range.
+ * @private
+ * @param {String} dependencyRange - The range which the dependent declares.
+ * @param {String} range - A version number, or a semver range.
+ * @returns {(Boolean|null)} Whether the range is accepted, or <code>null</code> if either range is not valid.
+ */
+function acceptsRange(dependencyRange, range) {
+	const validDependencyRange = semver.validRange(dependencyRange, {loose: true});
+	if (validDependencyRange === null) {
+		return null;
+	}
+	if (semver.valid(range, {loose: true})) {
+		return semver.satisfies(range, validDependencyRange, {loose: true});
+	}
+	const validRange = semver.validRange(range, {loose: true});
+	if (validRange === null) {
+		return null;
+	}
+	return semver.intersects(validDependencyRange, validRange, {loose: true});
+}
+
+/**
+ * List the repository versions which depend on a repository.
+ * @private
+ * @param {RepoDataClient} client - The client to make requests with.
+ * @param {String} repoName - The name of the repository to find dependents of.
+ * @param {Object} [options] - Options for listing dependents, as documented in {@link RepoDataClient#listDependents}.
+ * @param {RequestOptions} [requestOptions] - Options for each request.
+ * @returns {Promise<Array>} A promise which resolves with the dependents.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+ */
+async function listDependents(client, repoName, options, requestOptions) {
+	options = defaults({}, options, defaultDependentOptions);
+	const repos = (await client.listRepos({
+		brand: options.brand,
+		status: options.status
+	}, requestOptions)).filter(repo => repo.name !== repoName);
+
+	// Get the versions to check for each repository, which is only the latest unless asked otherwise
+	const repoVersions = await mapConcurrently(repos, options.concurrency, async repo => {
+		if (options.latestOnly) {
+			return [repo];
+		}
+		try {
+			return await client.listVersions(repo.id, requestOptions);
+		} catch (error) {
+			if (error instanceof NotFoundError) {
+				return [];
+			}
+			throw error;
+		}
+	});
+	// Repositories which have not had a version ingested yet have no dependencies to check
+	const versions = [].concat(...repoVersions).filter(version => version.version);
+
+	const versionDependents = await mapConcurrently(versions, options.concurrency, async version => {
+		let versionDependencies;
+		try {
+			versionDependencies = await client.listDependencies(version.name, version.version, requestOptions);
+		} catch (error) {
+			if (error instanceof NotFoundError) {
+				return [];
+			}
+			throw error;
+		}
+		return versionDependencies
+			.filter(dependency => getDependencyRepoName(dependency.name) === repoName)
+			.map(dependency => {
+				const range = getDependencyRange(dependency.version);
+				return {
+					name: version.name,
+					version: version.version,
+					record: version,
+					dependency: {
+						name: dependency.name,
+						range,
+						source: dependency.source,
+						isDev: dependency.isDev,
+						isOptional: dependency.isOptional
+					},
+					accepts: (options.range ? acceptsRange(range, options.range) : null)
+				};
+			});
+	});
+	return [].concat(...versionDependents);
+}
+
+module.exports = {
+	defaultTreeOptions,
+	defaultDependentOptions,
+	getDependencyRepoName,
+	getDependencyRange,
+	getNodeKey,
+	findCycles,
+	findConflicts,
+	resolveDependencyTree,
+	acceptsRange,
+	listDependents
+};
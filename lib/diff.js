@@ -0,0 +1,288 @@
+'use strict';
+
+const semver = require('semver');
+const args = require('./arguments');
+const {Snapshot} = require('./snapshot');
+
+/**
+ * The formats which a catalogue diff can be rendered in.
+ * @private
+ */
+const reportFormats = ['markdown', 'json'];
+
+/**
+ * The sections of a catalogue diff, in the order they are rendered, with their Markdown headings
+ * and a function which renders each change as a list item.
+ * @private
+ */
+const reportSections = [
+	{
+		key: 'addedRepos',
+		heading: 'New repositories',
+		render: repo => `**${repo.name}** (${[repo.type, repo.status].filter(Boolean).join(', ') || 'unknown'})${repo.version ? ` ${repo.version}` : ''}`
+	},
+	{
+		key: 'removedRepos',
+		heading: 'Removed repositories',
+		render: repo => `**${repo.name}**${repo.version ? ` ${repo.version}` : ''}`
+	},
+	{
+		key: 'statusChanges',
+		heading: 'Status changes',
+		render: change => `**${change.name}**: ${change.from || 'none'} → ${change.to || 'none'}`
+	},
+	{
+		key: 'majorVersions',
+		heading: 'New major versions',
+		render: change => `**${change.name}**: ${change.from || 'unreleased'} → ${change.to}`
+	},
+	{
+		key: 'brandChanges',
+		heading: 'Brand changes',
+		render: change => `**${change.name}**: ${[
+			(change.added.length ? `added ${change.added.join(', ')}` : ''),
+			(change.removed.length ? `removed ${change.removed.join(', ')}` : '')
+		].filter(Boolean).join('; ')}`
+	}
+];
+
+/**
+ * Load a catalogue to compare.
+ * @private
+ * @param {(Array|Object|String)} catalogue - The catalogue, as documented in {@link RepoDataClient.diffCatalogue}.
+ * @returns {Promise<Object>} A promise which resolves with the catalogue <code>repos</code>, and when it was <code>created</code> if known.
+ * @throws {TypeError} Will throw if the catalogue is not valid.
+ */
+async function loadCatalogue(catalogue) {
+	if (typeof catalogue === 'string') {
+		catalogue = await new Snapshot(catalogue).load();
+	}
+	if (Array.isArray(catalogue)) {
+		catalogue = {repos: catalogue};
+	}
+	if (!catalogue || !Array.isArray(catalogue.repos)) {
+		throw new TypeError('A catalogue must be an array of repositories, an object with a "repos" array, or the path of a snapshot file');
+	}
+	return {
+		created: catalogue.created || null,
+		repos: catalogue.repos
+	};
+}
+
+/**
+ * Compare two catalogues and get the changes between them.
+ * @private
+ * @param {(Array|Object|String)} before - The earlier catalogue, as documented in {@link RepoDataClient.diffCatalogue}.
+ * @param {(Array|Object|String)} after - The later catalogue.
+ * @returns {Promise<Object>} A promise which resolves with the changes.
+ * @throws {TypeError} Will throw if either catalogue is not valid.
+ */
+async function diffCatalogue(before, after) {
+	return compareCatalogues(await loadCatalogue(before), await loadCatalogue(after));
+}
+
+/**
+ * Compare two loaded catalogues and get the changes between them.
+ * @private
+ * @param {Object} before - The earlier catalogue, with a <code>repos</code> array and optionally when it was <code>created</code>.
+ * @param {Object} after - The later catalogue.
+ * @returns {Object} The changes, as documented in {@link RepoDataClient.diffCatalogue}.
+ */
+function compareCatalogues(before, after) {
+	const beforeRepos = indexRepos(before.repos);
+	const afterRepos = indexRepos(after.repos);
+	const diff = {
+		before: {
+			created: before.created || null,
+			repoCount: beforeRepos.size
+		},
+		after: {
+			created: after.created || null,
+			repoCount: afterRepos.size
+		},
+		addedRepos: [],
+		removedRepos: [],
+		statusChanges: [],
+		majorVersions: [],
+		brandChanges: []
+	};
+
+	for (const [key, repo] of beforeRepos) {
+		if (!afterRepos.has(key)) {
+			diff.removedRepos.push(summarizeRepo(repo));
+		}
+	}
+	for (const [key, repo] of afterRepos) {
+		const previous = beforeRepos.get(key);
+		if (!previous) {
+			diff.addedRepos.push(summarizeRepo(repo));
+			continue;
+		}
+		const identity = {id: repo.id, name: repo.name};
+
+		const [from, to] = [getStatus(previous), getStatus(repo)];
+		if (from !== to) {
+			diff.statusChanges.push(Object.assign({}, identity, {from, to}));
+		}
+
+		const majors = getNewMajors(previous, repo);
+		if (majors.length) {
+			diff.majorVersions.push(Object.assign({}, identity, {
+				from: getLatestVersionNumber(previous),
+				to: getLatestVersionNumber(repo),
+				majors
+			}));
+		}
+
+		const [fromBrands, toBrands] = [getBrands(previous), getBrands(repo)];
+		const added = toBrands.filter(brand => !fromBrands.includes(brand));
+		const removed = fromBrands.filter(brand => !toBrands.includes(brand));
+		if (added.length || removed.length) {
+			diff.brandChanges.push(Object.assign({}, identity, {
+				from: fromBrands,
+				to: toBrands,
+				added,
+				removed
+			}));
+		}
+	}
+
+	for (const section of reportSections) {
+		diff[section.key].sort((first, second) => String(first.name).localeCompare(String(second.name)));
+	}
+	return diff;
+}
+
+/**
+ * Check whether a catalogue diff has any changes.
+ * @private
+ * @param {Object} diff - The changes, as returned by {@link diffCatalogue}.
+ * @returns {Boolean} Whether anything changed.
+ */
+function hasChanges(diff) {
+	return reportSections.some(section => diff[section.key].length > 0);
+}
+
+/**
+ * Render a catalogue diff as a report.
+ * @private
+ * @param {Object} diff - The changes, as returned by {@link diffCatalogue}.
+ * @param {String} [format='markdown'] - The report format. One of <code>'markdown'</code> or <code>'json'</code>.
+ * @returns {String} The report.
+ * @throws {TypeError} Will throw if the format is not valid.
+ */
+function renderCatalogueDiff(diff, format = 'markdown') {
+	args.assertOneOf('report format', format, reportFormats);
+	if (format === 'json') {
+		return JSON.stringify(diff, null, 2);
+	}
+	const lines = ['# Origami catalogue changes', ''];
+	if (diff.before.created && diff.after.created) {
+		lines.push(`Changes between ${diff.before.created} and ${diff.after.created}.`, '');
+	}
+	if (!hasChanges(diff)) {
+		lines.push('No changes.', '');
+	}
+	for (const section of reportSections) {
+		const changes = diff[section.key];
+		if (changes.length) {
+			lines.push(`## ${section.heading}`, '', ...changes.map(change => `- ${section.render(change)}`), '');
+		}
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Index repositories by ID, falling back to their name.
+ * @private
+ * @param {Array.<Object>} repos - The repositories.
+ * @returns {Map} The repositories keyed by ID or name.
+ */
+function indexRepos(repos) {
+	return new Map(repos.map(repo => [repo.id || repo.name, repo]));
+}
+
+/**
+ * Summarize a repository for a list of added or removed repositories.
+ * @private
+ * @param {Object} repo - The repository.
+ * @returns {Object} The repository <code>id</code>, <code>name</code>, <code>type</code>, support <code>status</code>, and latest <code>version</code>.
+ */
+function summarizeRepo(repo) {
+	return {
+		id: repo.id,
+		name: repo.name,
+		type: repo.type || null,
+		status: getStatus(repo),
+		version: getLatestVersionNumber(repo)
+	};
+}
+
+/**
+ * Get the support status of a repository.
+ * @private
+ * @param {Object} repo - The repository.
+ * @returns {(String|null)} The support status, or <code>null</code> if it has none.
+ */
+function getStatus(repo) {
+	return (repo.support && repo.support.status) || null;
+}
+
+/**
+ * Get the brands of a repository.
+ * @private
+ * @param {Object} repo - The repository.
+ * @returns {Array.<String>} The brands, sorted.
+ */
+function getBrands(repo) {
+	return (repo.brands || []).slice().sort();
+}
+
+/**
+ * Get the stable version numbers of a repository. Where the repository has a <code>versions</code> array
+ * (e.g. in a snapshot, or the result of {@link RepoDataClient#listVersions}) then every version is used,
+ * otherwise only the latest version.
+ * @private
+ * @param {Object} repo - The repository.
+ * @returns {Array.<String>} The version numbers.
+ */
+function getStableVersionNumbers(repo) {
+	const numbers = (Array.isArray(repo.versions) ? repo.versions.map(version => version.version) : [repo.version]);
+	return numbers.filter(number => semver.valid(number, {loose: true}) && !semver.prerelease(number, {loose: true}));
+}
+
+/**
+ * Get the latest stable version number of a repository.
+ * @private
+ * @param {Object} repo - The repository.
+ * @returns {(String|null)} The version number, or the repository's own version if it has no stable versions.
+ */
+function getLatestVersionNumber(repo) {
+	const numbers = getStableVersionNumbers(repo).sort((first, second) => semver.rcompare(first, second, {loose: true}));
+	return numbers[0] || repo.version || null;
+}
+
+/**
+ * Get the major versions of a repository which were released between two points in time.
+ * @private
+ * @param {Object} previous - The repository at the earlier point in time.
+ * @param {Object} repo - The repository at the later point in time.
+ * @returns {Array.<Number>} The new major version numbers, lowest first.
+ */
+function getNewMajors(previous, repo) {
+	const previousMajors = getStableVersionNumbers(previous).map(number => semver.major(number, {loose: true}));
+	const highestPrevious = Math.max(-1, ...previousMajors);
+	const majors = getStableVersionNumbers(repo)
+		.map(number => semver.major(number, {loose: true}))
+		.filter(major => major > highestPrevious);
+	return Array.from(new Set(majors)).sort((first, second) => first - second);
+}
+
+module.exports = {
+	reportFormats,
+	loadCatalogue,
+	diffCatalogue,
+	compareCatalogues,
+	hasChanges,
+	renderCatalogueDiff
+};
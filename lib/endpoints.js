@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * The Repo Data API endpoints which the client uses.
+ * Each has a short name and a template with named parameters.
+ * @private
+ */
+const endpoints = [
+	{name: 'repos', template: '/v1/repos'},
+	{name: 'repo', template: '/v1/repos/:repo'},
+	{name: 'versions', template: '/v1/repos/:repo/versions'},
+	{name: 'version', template: '/v1/repos/:repo/versions/:version'},
+	{name: 'manifest', template: '/v1/repos/:repo/versions/:version/manifests/:manifestType'},
+	{name: 'markdown', template: '/v1/repos/:repo/versions/:version/markdown/:markdownType'},
+	{name: 'demos', template: '/v1/repos/:repo/versions/:version/demos'},
+	{name: 'images', template: '/v1/repos/:repo/versions/:version/images'},
+	{name: 'dependencies', template: '/v1/repos/:repo/versions/:version/dependencies'},
+	{name: 'bundles', template: '/v1/repos/:repo/versions/:version/bundles/:language'},
+	{name: 'keys', template: '/v1/keys'},
+	{name: 'key', template: '/v1/keys/:key'},
+	{name: 'ingestions', template: '/v1/queue'},
+	{name: 'ingestion', template: '/v1/queue/:ingestion'}
+].map(endpoint => {
+	const paramNames = [];
+	const pattern = endpoint.template.replace(/:(\w+)/g, (match, paramName) => {
+		paramNames.push(paramName);
+		return '([^/]+)';
+	});
+	return Object.assign(endpoint, {
+		paramNames,
+		pattern: new RegExp(`^${pattern}$`)
+	});
+});
+
+/**
+ * Match a service endpoint against the known endpoint templates.
+ * @private
+ * @param {String} endpoint - The service endpoint, e.g. <code>'/v1/repos/o-colors/versions'</code>.
+ * @returns {(Object|null)} An object with the endpoint <code>name</code>, <code>template</code>, and <code>params</code>,
+ * or <code>null</code> if the endpoint is not recognised.
+ */
+function matchEndpoint(endpoint) {
+	const path = endpoint.split('?')[0];
+	for (const {name, template, paramNames, pattern} of endpoints) {
+		const match = path.match(pattern);
+		if (match) {
+			const params = {};
+			paramNames.forEach((paramName, index) => {
+				params[paramName] = decodeURIComponent(match[index + 1]);
+			});
+			return {name, template, params};
+		}
+	}
+	return null;
+}
+
+module.exports = {
+	endpoints,
+	matchEndpoint
+};
@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * Class representing an error which occurred when using the Origami Repo Data client.
+ * All other errors thrown by the client extend this class.
+ */
+class RepoDataError extends Error {
+
+	/**
+	 * Create a Repo Data error.
+	 * @param {String} message - The error message.
+	 * @param {Object} [details] - Information about the request which failed.
+	 * @param {Number} [details.status] - The HTTP status code of the response.
+	 * @param {String} [details.serviceMessage] - The error message given by the service in the response body.
+	 * @param {String} [details.method] - The HTTP method of the request.
+	 * @param {String} [details.endpoint] - The service endpoint which was requested.
+	 * @param {String} [details.url] - The full URL which was requested.
+	 * @param {String} [details.requestId] - The request ID, as found in the <code>X-Request-Id</code> response header.
+	 * @param {Object} [details.headers] - The response headers.
+	 * @param {*} [details.body] - The response body.
+	 * @param {String} [details.code] - A low-level error code, e.g. <code>'ECONNRESET'</code>.
+	 */
+	constructor(message, details = {}) {
+		super(message);
+		this.name = this.constructor.name;
+		this.status = details.status;
+		this.serviceMessage = details.serviceMessage;
+		this.method = details.method;
+		this.endpoint = details.endpoint;
+		this.url = details.url;
+		this.requestId = details.requestId;
+		this.headers = details.headers;
+		this.body = details.body;
+		this.code = details.code;
+	}
+
+}
+
+/**
+ * Class representing a 400 or 422 response, which indicates that the request data was invalid.
+ * @extends RepoDataError
+ */
+class ValidationError extends RepoDataError {}
+
+/**
+ * Class representing a 401 response, which indicates that the API key or secret are missing or invalid.
+ * @extends RepoDataError
+ */
+class UnauthorizedError extends RepoDataError {}
+
+/**
+ * Class representing a 403 response, which indicates that the API key does not have the required permissions.
+ * @extends RepoDataError
+ */
+class ForbiddenError extends RepoDataError {}
+
+/**
+ * Class representing a 404 response.
+ * @extends RepoDataError
+ */
+class NotFoundError extends RepoDataError {}
+
+/**
+ * Class representing a 50x response.
+ * @extends RepoDataError
+ */
+class ServerError extends RepoDataError {}
+
+/**
+ * Class representing a request which failed without receiving a response, e.g. a DNS failure or a reset connection.
+ * @extends RepoDataError
+ */
+class NetworkError extends RepoDataError {}
+
+/**
+ * Class representing a request which timed out before a response was received.
+ * @extends NetworkError
+ */
+class TimeoutError extends NetworkError {}
+
+/**
+ * Class representing an operation which was cancelled using an <code>AbortSignal</code>.
+ * @extends RepoDataError
+ */
+class AbortError extends RepoDataError {}
+
+/**
+ * Class representing a problem with an ingestion.
+ * @extends RepoDataError
+ */
+class IngestionError extends RepoDataError {
+
+	/**
+	 * Create an ingestion error.
+	 * @param {String} message - The error message.
+	 * @param {Object} [details] - Information about the failure, as documented in {@link RepoDataError}.
+	 * @param {Object} [details.ingestion] - The last known state of the ingestion.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.ingestion = details.ingestion;
+	}
+
+}
+
+/**
+ * Class representing an ingestion which failed, either because the service gave up on it or because
+ * it was removed from the queue without creating a version.
+ * @extends IngestionError
+ */
+class IngestionFailedError extends IngestionError {}
+
+/**
+ * Class representing an ingestion which did not complete in the expected time.
+ * @extends IngestionError
+ */
+class IngestionTimeoutError extends IngestionError {}
+
+/**
+ * Class representing an API key rotation which failed because the replacement key could not be verified or stored.
+ * The replacement is deleted again where possible, so the original key is left in place.
+ * @extends RepoDataError
+ */
+class KeyRotationError extends RepoDataError {
+
+	/**
+	 * Create a key rotation error.
+	 * @param {String} message - The error message.
+	 * @param {Object} [details] - Information about the failure, as documented in {@link RepoDataError}.
+	 * @param {Object} [details.key] - The API key which was being rotated.
+	 * @param {Object} [details.replacement] - The replacement API key which could not be verified, without its secret.
+	 * @param {Boolean} [details.replacementDeleted] - Whether the replacement API key was deleted again.
+	 * @param {Error} [details.verificationError] - The error which the verification request failed with.
+	 * @param {Error} [details.replaceError] - The error which the <code>onReplace</code> option failed with.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.key = details.key;
+		this.replacement = details.replacement;
+		this.replacementDeleted = Boolean(details.replacementDeleted);
+		this.verificationError = details.verificationError;
+		this.replaceError = details.replaceError;
+	}
+
+}
+
+/**
+ * Class representing a request which has no recorded response when the client is replaying fixtures,
+ * or which cannot be served when the client is using a snapshot.
+ * @extends RepoDataError
+ */
+class UnmatchedRequestError extends RepoDataError {
+
+	/**
+	 * Create an unmatched request error.
+	 * @param {String} message - The error message.
+	 * @param {Object} [details] - Information about the request, as documented in {@link RepoDataError}.
+	 * @param {String} [details.fixturePath] - The path of the fixture or snapshot file which the response was expected in.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.fixturePath = details.fixturePath;
+	}
+
+}
+
+/**
+ * Class representing a response which does not match the expected schema, when the client validates responses.
+ * This is different to a {@link ValidationError}, which represents a request that the service rejected.
+ * @extends RepoDataError
+ */
+class ResponseValidationError extends RepoDataError {
+
+	/**
+	 * Create a response validation error.
+	 * @param {String} message - The error message.
+	 * @param {Object} [details] - Information about the request, as documented in {@link RepoDataError}.
+	 * @param {Array.<Object>} [details.validationErrors] - The ways that the response does not match the schema.
+	 * Each has a JSON Pointer <code>path</code> to the invalid value and a <code>message</code>.
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.validationErrors = details.validationErrors || [];
+	}
+
+}
+
+/**
+ * Get the error class which represents an HTTP status code.
+ * @private
+ * @param {Number} status - The HTTP status code.
+ * @returns {Function} The error class.
+ */
+function getErrorClassForStatus(status) {
+	if (status === 400 || status === 422) {
+		return ValidationError;
+	}
+	if (status === 401) {
+		return UnauthorizedError;
+	}
+	if (status === 403) {
+		return ForbiddenError;
+	}
+	if (status === 404) {
+		return NotFoundError;
+	}
+	if (status >= 500) {
+		return ServerError;
+	}
+	return RepoDataError;
+}
+
+/**
+ * Extract an error message from a service response body.
+ * @private
+ * @param {*} body - The response body.
+ * @returns {(String|undefined)} The error message, if one is present.
+ */
+function getServiceMessage(body) {
+	if (body && typeof body === 'object') {
+		if (typeof body.message === 'string') {
+			return body.message;
+		}
+		if (typeof body.error === 'string') {
+			return body.error;
+		}
+		if (body.error && typeof body.error.message === 'string') {
+			return body.error.message;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Convert response headers into a plain object.
+ * @private
+ * @param {Object} [headers] - The response headers.
+ * @returns {Object} The headers as a plain object.
+ */
+function normalizeHeaders(headers) {
+	if (headers && typeof headers.toJSON === 'function') {
+		return headers.toJSON();
+	}
+	return Object.assign({}, headers);
+}
+
+/**
+ * Create a Repo Data error from an error thrown by the HTTP library.
+ * @private
+ * @param {Error} error - The original error.
+ * @param {Object} request - Information about the request which failed.
+ * @param {String} request.method - The HTTP method of the request.
+ * @param {String} request.endpoint - The service endpoint which was requested.
+ * @param {String} request.url - The full URL which was requested.
+ * @returns {RepoDataError} The new error.
+ */
+function createRequestError(error, {method, endpoint, url}) {
+	const details = {
+		method: method.toUpperCase(),
+		endpoint,
+		url,
+		code: error.code
+	};
+
+	if (error.response && error.response.status) {
+		const {status, data} = error.response;
+		const headers = normalizeHeaders(error.response.headers);
+		const ErrorClass = getErrorClassForStatus(status);
+		return new ErrorClass(`${status}: ${error.message}`, Object.assign(details, {
+			status,
+			serviceMessage: getServiceMessage(data),
+			requestId: headers['x-request-id'],
+			headers,
+			body: data
+		}));
+	}
+
+	if (error.code === 'ERR_CANCELED' || error.name === 'CanceledError') {
+		return new AbortError('The request was aborted', details);
+	}
+	if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+		return new TimeoutError(error.message, details);
+	}
+	return new NetworkError(error.message, details);
+}
+
+module.exports = {
+	RepoDataError,
+	ValidationError,
+	UnauthorizedError,
+	ForbiddenError,
+	NotFoundError,
+	ServerError,
+	NetworkError,
+	TimeoutError,
+	AbortError,
+	IngestionError,
+	IngestionFailedError,
+	IngestionTimeoutError,
+	KeyRotationError,
+	UnmatchedRequestError,
+	ResponseValidationError,
+	createRequestError,
+	normalizeHeaders
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+const {supportStatuses, toList} = require('./arguments');
+
+/**
+ * The repository filters which the service does not support, so are applied by the client.
+ * @private
+ */
+const clientSideFilters = ['keyword', 'supportContact', 'lastIngested', 'statusChangedSince'];
+
+/**
+ * The repository filters which can be used to exclude repositories.
+ * @private
+ */
+const exclusionFilters = ['brand', 'status', 'type', 'origamiVersion', 'keyword', 'supportContact'];
+
+/**
+ * The support statuses of earlier catalogues which have been used by the <code>statusChangedSince</code> filter.
+ * @private
+ */
+const previousStatusIndexes = new WeakMap();
+
+/**
+ * Functions which get the value to sort repositories by, keyed by the <code>sort</code> filter value.
+ * @private
+ */
+const sortValues = {
+	name: repo => String(repo.name || '').toLowerCase(),
+	status: repo => {
+		const index = supportStatuses.indexOf(repo.support && repo.support.status);
+		return (index === -1 ? supportStatuses.length : index);
+	},
+	lastIngested: repo => getTime(repo.lastIngested)
+};
+
+/**
+ * Check whether any repository filters need to be applied by the client.
+ * @private
+ * @param {Object} filters - The filters, as documented in {@link RepoDataClient#listRepos}.
+ * @returns {Boolean} Whether the client needs to filter or sort the repositories.
+ */
+function hasClientSideFilters(filters) {
+	return clientSideFilters.some(name => filters[name] !== undefined);
+}
+
+/**
+ * Check whether a repository matches the filters which the service does not support.
+ * @private
+ * @param {Object} repo - The repository to check.
+ * @param {Object} filters - The filters, as documented in {@link RepoDataClient#listRepos}.
+ * @returns {Boolean} Whether the repository matches.
+ */
+function repoMatchesFilters(repo, {keyword, supportContact, lastIngested, statusChangedSince}) {
+	if (keyword !== undefined) {
+		const keywords = (repo.keywords || []).map(repoKeyword => repoKeyword.toLowerCase());
+		if (!toList(keyword).some(filterKeyword => keywords.includes(filterKeyword.toLowerCase()))) {
+			return false;
+		}
+	}
+	if (supportContact !== undefined) {
+		const support = repo.support || {};
+		const contacts = [support.email, support.channel]
+			.filter(Boolean)
+			.map(contact => contact.toLowerCase());
+		if (!toList(supportContact).some(filterContact => contacts.includes(filterContact.toLowerCase()))) {
+			return false;
+		}
+	}
+	if (lastIngested !== undefined) {
+		const time = getTime(repo.lastIngested);
+		if (time === null) {
+			return false;
+		}
+		if (lastIngested.after !== undefined && time < getTime(lastIngested.after)) {
+			return false;
+		}
+		if (lastIngested.before !== undefined && time > getTime(lastIngested.before)) {
+			return false;
+		}
+	}
+	if (statusChangedSince !== undefined) {
+		// Repositories which weren't in the earlier catalogue are new, so their status hasn't changed
+		const previousStatuses = getPreviousStatuses(statusChangedSince);
+		const key = (previousStatuses.has(repo.id) ? repo.id : repo.name);
+		if (!previousStatuses.has(key) || previousStatuses.get(key) === getStatus(repo)) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Get the support statuses of the repositories in an earlier catalogue, indexed by repository ID and name.
+ * The index is only built once for each catalogue.
+ * @private
+ * @param {(Array|Object)} catalogue - An array of repositories, or an object with a <code>repos</code> array.
+ * @returns {Map} The support status of each repository, keyed by both its ID and its name.
+ */
+function getPreviousStatuses(catalogue) {
+	const repos = (Array.isArray(catalogue) ? catalogue : catalogue.repos);
+	if (!previousStatusIndexes.has(repos)) {
+		const statuses = new Map();
+		for (const repo of repos) {
+			for (const key of [repo.id, repo.name].filter(Boolean)) {
+				statuses.set(key, getStatus(repo));
+			}
+		}
+		previousStatusIndexes.set(repos, statuses);
+	}
+	return previousStatusIndexes.get(repos);
+}
+
+/**
+ * Get the support status of a repository.
+ * @private
+ * @param {Object} repo - The repository.
+ * @returns {(String|null)} The support status, or <code>null</code> if it does not have one.
+ */
+function getStatus(repo) {
+	return (repo.support && repo.support.status) || null;
+}
+
+/**
+ * Check whether a repository matches any value of any filter. This is used to exclude repositories,
+ * so a repository matches <code>{status: 'dead', type: 'service'}</code> if it is dead <em>or</em> a service.
+ * @private
+ * @param {Object} repo - The repository to check.
+ * @param {Object} filters - The filters. Only the filters in {@link exclusionFilters} are checked.
+ * @returns {Boolean} Whether the repository matches any of the filters.
+ */
+function repoMatchesAnyFilter(repo, filters) {
+	const brands = repo.brands || [];
+	const support = repo.support || {};
+	const matchers = {
+		brand: brand => {
+			if (brand === 'all' || brand === 'none') {
+				return (brand === 'all') === (brands.length > 0);
+			}
+			return brands.includes(brand);
+		},
+		status: status => support.status === status,
+		type: type => repo.type === type,
+		origamiVersion: origamiVersion => String(repo.origamiVersion) === String(origamiVersion),
+		keyword: keyword => (repo.keywords || []).some(repoKeyword => repoKeyword.toLowerCase() === keyword.toLowerCase()),
+		supportContact: contact => [support.email, support.channel].some(repoContact => {
+			return Boolean(repoContact) && repoContact.toLowerCase() === contact.toLowerCase();
+		})
+	};
+	return exclusionFilters.some(name => filters[name] !== undefined && toList(filters[name]).some(matchers[name]));
+}
+
+/**
+ * Apply the repository filters which the service does not support, and sort the repositories.
+ * @private
+ * @param {Array.<Object>} repos - The repositories as returned by the service.
+ * @param {Object} filters - The filters, as documented in {@link RepoDataClient#listRepos}.
+ * @returns {Array.<Object>} The filtered and sorted repositories. If there is nothing to apply then this is the original array.
+ */
+function filterRepos(repos, filters) {
+	if (!Array.isArray(repos) || (!hasClientSideFilters(filters) && !filters.sort)) {
+		return repos;
+	}
+	const filtered = repos.filter(repo => repoMatchesFilters(repo, filters));
+	return (filters.sort ? sortRepos(filtered, filters.sort, filters.order) : filtered);
+}
+
+/**
+ * Apply the repository filters which the service does not support to an iterator of repositories.
+ * @private
+ * @param {AsyncIterable.<Object>} repos - The repositories as yielded by {@link RepoDataClient#iterate}.
+ * @param {Object} filters - The filters, as documented in {@link RepoDataClient#listRepos}.
+ * @returns {AsyncIterableIterator<Object>} An async iterator which yields each matching repository.
+ */
+async function* filterRepoIterator(repos, filters) {
+	for await (const repo of repos) {
+		if (repoMatchesFilters(repo, filters)) {
+			yield repo;
+		}
+	}
+}
+
+/**
+ * Sort repositories. Repositories with equal sort values are sorted by name,
+ * and repositories without a value to sort by (e.g. they have never been ingested) are sorted last.
+ * @private
+ * @param {Array.<Object>} repos - The repositories to sort.
+ * @param {String} sort - The field to sort by. One of <code>'name'</code>, <code>'status'</code>, or <code>'lastIngested'</code>.
+ * @param {String} [order='asc'] - The sort order. One of <code>'asc'</code> or <code>'desc'</code>.
+ * @returns {Array.<Object>} A sorted copy of the repositories.
+ */
+function sortRepos(repos, sort, order = 'asc') {
+	const direction = (order === 'desc' ? -1 : 1);
+	const getValue = sortValues[sort];
+	return repos.slice().sort((first, second) => {
+		const firstValue = getValue(first);
+		const secondValue = getValue(second);
+		if ((firstValue === null) !== (secondValue === null)) {
+			return (firstValue === null ? 1 : -1);
+		}
+		const comparison = compareValues(firstValue, secondValue) * direction;
+		return comparison || compareValues(sortValues.name(first), sortValues.name(second));
+	});
+}
+
+/**
+ * Compare two sort values.
+ * @private
+ * @param {*} first - The first value.
+ * @param {*} second - The second value.
+ * @returns {Number} A negative number if the first value is lower, a positive number if it is higher, or zero if they are equal.
+ */
+function compareValues(first, second) {
+	if (first === second) {
+		return 0;
+	}
+	return (first < second ? -1 : 1);
+}
+
+/**
+ * Get the time of a date.
+ * @private
+ * @param {(Date|String|null)} date - A date, or a date string as found in a service response.
+ * @returns {(Number|null)} The number of milliseconds since the epoch, or <code>null</code> if there is no valid date.
+ */
+function getTime(date) {
+	const time = (date ? new Date(date).getTime() : NaN);
+	return (isNaN(time) ? null : time);
+}
+
+module.exports = {
+	clientSideFilters,
+	exclusionFilters,
+	hasClientSideFilters,
+	repoMatchesFilters,
+	repoMatchesAnyFilter,
+	filterRepos,
+	filterRepoIterator,
+	sortRepos,
+	getTime
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const defaults = require('lodash/defaults');
+const {
+	AbortError,
+	IngestionFailedError,
+	IngestionTimeoutError,
+	NotFoundError
+} = require('./errors');
+const {wait} = require('./retry');
+
+/**
+ * The default options for waiting for an ingestion.
+ * @private
+ */
+const defaultWaitOptions = {
+	timeout: 5 * 60 * 1000,
+	interval: 5000,
+	maxAttempts: 5
+};
+
+/**
+ * Get the repository name from a GitHub repository URL.
+ * @private
+ * @param {String} url - The repository URL, e.g. <code>'https://github.com/Financial-Times/o-colors'</code>.
+ * @returns {String} The repository name.
+ */
+function getRepoName(url) {
+	return String(url).replace(/\/+$/, '').replace(/\.git$/, '').split('/').pop();
+}
+
+/**
+ * Get the version number from a Git tag.
+ * @private
+ * @param {String} tag - The Git tag, e.g. <code>'v6.0.0'</code>.
+ * @returns {String} The version number.
+ */
+function getVersionNumber(tag) {
+	return String(tag).replace(/^v/i, '');
+}
+
+/**
+ * Get the reason that a queued ingestion has failed.
+ * @private
+ * @param {Object} ingestion - The ingestion as returned by the service.
+ * @param {Number} maxAttempts - The number of ingestion attempts after which the ingestion is considered failed.
+ * @returns {(String|null)} The reason for the failure, or <code>null</code> if the ingestion has not failed.
+ */
+function getFailureReason(ingestion, maxAttempts) {
+	const ingestionErrors = [].concat(ingestion.errors || [], ingestion.error || []).filter(Boolean);
+	if (ingestionErrors.length) {
+		return ingestionErrors.map(error => (error && error.message) || String(error)).join('; ');
+	}
+	if (ingestion.ingestionAttempts >= maxAttempts) {
+		return `it has been attempted ${ingestion.ingestionAttempts} times`;
+	}
+	return null;
+}
+
+/**
+ * Wait for an ingestion to complete, polling the queue until it is removed and then fetching the new version.
+ * @private
+ * @param {RepoDataClient} client - The client to make requests with.
+ * @param {(String|Object)} ingestion - The ingestion UUID, or the ingestion as returned by {@link RepoDataClient#createIngestion}.
+ * @param {Object} [options] - Options for waiting, as documented in {@link RepoDataClient#waitForIngestion}.
+ * @param {RequestOptions} [requestOptions] - Options for each request. Defaults to using the <code>signal</code> option, and
+ * its <code>signal</code> is used to cancel waiting if the <code>signal</code> option is not set.
+ * @returns {Promise<Object>} A promise which resolves with the version which was created by the ingestion.
+ * @throws {IngestionError} Will throw if the ingestion fails or does not complete in time.
+ */
+async function waitForIngestion(client, ingestion, options, requestOptions) {
+	options = defaults({}, options, defaultWaitOptions);
+	const signal = options.signal || (requestOptions && requestOptions.signal);
+	requestOptions = defaults({}, requestOptions, {signal});
+	const ingestionId = (typeof ingestion === 'string' ? ingestion : ingestion.id);
+	const deadline = Date.now() + options.timeout;
+	let lastKnown = (typeof ingestion === 'string' ? null : ingestion);
+
+	for (;;) {
+		if (signal && signal.aborted) {
+			throw new AbortError(`Waiting for ingestion ${ingestionId} was aborted`);
+		}
+
+		let queued = null;
+		try {
+			queued = await client.getIngestion(ingestionId, requestOptions);
+		} catch (error) {
+			if (!(error instanceof NotFoundError)) {
+				throw error;
+			}
+		}
+
+		// An ingestion is removed from the queue once it has been processed
+		if (!queued) {
+			if (!lastKnown) {
+				throw new IngestionFailedError(`Ingestion ${ingestionId} is not in the queue, so the version it created cannot be found`);
+			}
+			return getIngestedVersion(client, lastKnown, requestOptions);
+		}
+
+		lastKnown = queued;
+		const failureReason = getFailureReason(queued, options.maxAttempts);
+		if (failureReason) {
+			throw new IngestionFailedError(`Ingestion ${ingestionId} of ${queued.url} at ${queued.tag} failed: ${failureReason}`, {
+				ingestion: queued
+			});
+		}
+
+		const remaining = deadline - Date.now();
+		if (remaining <= 0) {
+			throw new IngestionTimeoutError(`Ingestion ${ingestionId} of ${queued.url} at ${queued.tag} did not complete within ${options.timeout}ms`, {
+				ingestion: queued
+			});
+		}
+		await wait(Math.min(options.interval, remaining), signal);
+	}
+}
+
+/**
+ * Get the version which was created by a completed ingestion.
+ * @private
+ * @param {RepoDataClient} client - The client to make requests with.
+ * @param {Object} ingestion - The last known state of the ingestion.
+ * @param {RequestOptions} [requestOptions] - Options for the request.
+ * @returns {Promise<Object>} A promise which resolves with the version.
+ * @throws {IngestionFailedError} Will throw if the version does not exist.
+ */
+async function getIngestedVersion(client, ingestion, requestOptions) {
+	const repoName = getRepoName(ingestion.url);
+	await client.invalidateCache(repoName);
+	try {
+		return await client.getVersion(repoName, getVersionNumber(ingestion.tag), requestOptions);
+	} catch (error) {
+		if (error instanceof NotFoundError) {
+			throw new IngestionFailedError(`Ingestion ${ingestion.id} of ${ingestion.url} at ${ingestion.tag} was removed from the queue without creating a version`, {
+				ingestion
+			});
+		}
+		throw error;
+	}
+}
+
+module.exports = {
+	defaultWaitOptions,
+	getRepoName,
+	getVersionNumber,
+	getFailureReason,
+	waitForIngestion
+};
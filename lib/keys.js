@@ -0,0 +1,283 @@
+'use strict';
+
+const defaults = require('lodash/defaults');
+const omit = require('lodash/omit');
+const args = require('./arguments');
+const {StaticAuth} = require('./auth');
+const {ForbiddenError, KeyRotationError} = require('./errors');
+const {getTime} = require('./filters');
+const {wait} = require('./retry');
+
+/**
+ * The permissions which an API key can grant.
+ * @private
+ */
+const keyPermissions = ['read', 'write', 'admin'];
+
+/**
+ * The default options for rotating an API key.
+ * @private
+ */
+const defaultRotateOptions = {
+	verify: true,
+	deleteOld: false,
+	gracePeriod: 0
+};
+
+/**
+ * The longest grace period which can be waited for. Timers overflow beyond this and fire straight away.
+ * @private
+ */
+const maxGracePeriod = 2147483647;
+
+/**
+ * Replace an API key with a new one which has the same permissions.
+ * @private
+ * @param {RepoDataClient} client - The client to make requests with, which must have admin permissions.
+ * @param {String} keyId - The UUID of the API key to replace.
+ * @param {Object} [options] - Options for rotating the key, as documented in {@link RepoDataClient#rotateKey}.
+ * @param {RequestOptions} [requestOptions] - Options for each request.
+ * @returns {Promise<Object>} A promise which resolves with the original <code>key</code>, the new <code>credentials</code>,
+ * and the <code>deletion</code> of the original key.
+ * @throws {TypeError} Will throw if the key ID or options are not valid, before any request is made.
+ * @throws {KeyRotationError} Will throw if the replacement key cannot be verified.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+ */
+async function rotateKey(client, keyId, options, requestOptions) {
+	args.assertUuid('API key ID', keyId);
+	options = defaults({}, options, defaultRotateOptions);
+	assertPermissions(options.permissions);
+	if (options.description !== undefined && (typeof options.description !== 'string' || !options.description)) {
+		throw new TypeError('The API key description must be a non-empty string');
+	}
+	if (typeof options.gracePeriod !== 'number' || !(options.gracePeriod >= 0 && options.gracePeriod <= maxGracePeriod)) {
+		throw new TypeError(`The grace period must be a number of milliseconds, no more than ${maxGracePeriod}`);
+	}
+	if (options.onReplace !== undefined && typeof options.onReplace !== 'function') {
+		throw new TypeError('The onReplace option must be a function');
+	}
+
+	const key = await client.getKey(keyId, requestOptions);
+	const permissions = defaults({}, options.permissions, key);
+	const data = {
+		description: options.description || key.description
+	};
+	for (const permission of keyPermissions) {
+		data[permission] = Boolean(permissions[permission]);
+	}
+	const credentials = await client.createKey(data, requestOptions);
+
+	if (options.verify) {
+		await verifyReplacement(client, key, credentials, requestOptions);
+	}
+	if (options.onReplace) {
+		try {
+			await options.onReplace(credentials, key);
+		} catch (error) {
+			// The secret is only available now, so a replacement which could not be stored is of no use to anyone
+			throw await discardReplacement(client, key, credentials, `The replacement for API key ${key.id} could not be stored: ${error.message}`, {
+				replaceError: error
+			}, requestOptions);
+		}
+	}
+
+	// The new secret can never be fetched again, so it's returned without waiting for the original key to be deleted
+	return {
+		key,
+		credentials,
+		deletion: (options.deleteOld ? deleteAfterGracePeriod(client, keyId, options.gracePeriod, requestOptions) : null)
+	};
+}
+
+/**
+ * Delete an API key once a grace period has passed.
+ * @private
+ * @param {RepoDataClient} client - The client to make the request with.
+ * @param {String} keyId - The UUID of the API key to delete.
+ * @param {Number} gracePeriod - The number of milliseconds to wait before deleting the key.
+ * @param {RequestOptions} [requestOptions] - Options for the request, where the signal also cancels the grace period.
+ * @returns {Promise} A promise which resolves when the key has been deleted.
+ * @throws {AbortError} Will throw if the signal is aborted during the grace period, in which case the key is not deleted.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+ */
+function deleteAfterGracePeriod(client, keyId, gracePeriod, requestOptions) {
+	const deletion = (async () => {
+		await wait(gracePeriod, requestOptions ? requestOptions.signal : undefined);
+		await client.deleteKey(keyId, requestOptions);
+	})();
+	// Callers who don't wait for the deletion shouldn't get an unhandled rejection when it fails
+	deletion.catch(() => {});
+	return deletion;
+}
+
+/**
+ * Check that the service accepts the credentials of a replacement API key, deleting the replacement if it does not.
+ * @private
+ * @param {RepoDataClient} client - The client which created the replacement.
+ * @param {Object} key - The API key which is being replaced.
+ * @param {Object} credentials - The credentials of the replacement, as returned by {@link RepoDataClient#createKey}.
+ * @param {RequestOptions} [requestOptions] - Options for each request.
+ * @returns {Promise} A promise which resolves when the replacement has been verified.
+ * @throws {KeyRotationError} Will throw if the service does not accept the replacement.
+ */
+async function verifyReplacement(client, key, credentials, requestOptions) {
+	// Only connection options are copied, so that the check can't be answered by a cache, fixture, snapshot, or middleware
+	const verifier = new client.constructor({
+		apiUrl: client.options.apiUrl,
+		timeout: client.options.timeout,
+		retry: client.options.retry,
+		auth: new StaticAuth({
+			apiKey: credentials.id,
+			apiSecret: credentials.secret
+		})
+	});
+	try {
+		await verifier.listIngestions(requestOptions);
+	} catch (error) {
+		// A key without read permissions gets a 403, which still shows that the service accepts its credentials
+		if (error instanceof ForbiddenError) {
+			return;
+		}
+		throw await discardReplacement(client, key, credentials, `The replacement for API key ${key.id} could not be verified: ${error.message}`, {
+			verificationError: error
+		}, requestOptions);
+	}
+}
+
+/**
+ * Delete a replacement API key which cannot be used, and create an error which explains why.
+ * @private
+ * @param {RepoDataClient} client - The client which created the replacement.
+ * @param {Object} key - The API key which is being replaced.
+ * @param {Object} credentials - The credentials of the replacement, as returned by {@link RepoDataClient#createKey}.
+ * @param {String} message - The error message.
+ * @param {Object} details - Additional details for the error, as documented in {@link KeyRotationError}.
+ * @param {RequestOptions} [requestOptions] - Options for the request.
+ * @returns {Promise<KeyRotationError>} A promise which resolves with the error to throw.
+ */
+async function discardReplacement(client, key, credentials, message, details, requestOptions) {
+	let replacementDeleted = false;
+	try {
+		await client.deleteKey(credentials.id, requestOptions);
+		replacementDeleted = true;
+	} catch (deleteError) {
+		// The original error is more useful, and the error says that the replacement still exists
+	}
+	return new KeyRotationError(message, Object.assign({
+		key,
+		replacement: omit(credentials, 'secret'),
+		replacementDeleted
+	}, details));
+}
+
+/**
+ * Get a report of API keys which may need attention.
+ * @private
+ * @param {RepoDataClient} client - The client to make requests with, which must have admin permissions.
+ * @param {Object} [options] - Options for the audit, as documented in {@link RepoDataClient#auditKeys}.
+ * @param {RequestOptions} [requestOptions] - Options for the request.
+ * @returns {Promise<Object>} A promise which resolves with the report.
+ * @throws {TypeError} Will throw if the options are not valid, before any request is made.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+ */
+async function auditKeys(client, options = {}, requestOptions) {
+	const now = Date.now();
+	const createdBefore = getCutoff('olderThan', options.olderThan, now);
+	const usedBefore = getCutoff('unusedSince', options.unusedSince, now);
+	if (options.permission !== undefined) {
+		args.assertEachOneOf('permission', options.permission, keyPermissions);
+	}
+	const permissions = (options.permission === undefined ? null : args.toList(options.permission));
+
+	const keys = await client.listKeys(requestOptions);
+	const reported = [];
+	for (const key of keys) {
+		if (permissions && !permissions.some(permission => key[permission])) {
+			continue;
+		}
+		const reasons = [];
+		const created = getTime(key.created);
+		if (createdBefore !== null && created !== null && created < createdBefore) {
+			reasons.push('olderThan');
+		}
+		const lastUsed = getTime(key.lastUsed);
+		if (usedBefore !== null && (lastUsed === null || lastUsed < usedBefore)) {
+			reasons.push('unusedSince');
+		}
+		if ((createdBefore !== null || usedBefore !== null) && !reasons.length) {
+			continue;
+		}
+		reported.push({
+			id: key.id,
+			description: key.description,
+			permissions: keyPermissions.filter(permission => key[permission]),
+			created: key.created || null,
+			lastUsed: key.lastUsed || null,
+			reasons
+		});
+	}
+	// Keys without a created date can't be ordered by age, so they are listed last
+	const getCreatedTime = key => {
+		const created = getTime(key.created);
+		return (created === null ? Number.MAX_SAFE_INTEGER : created);
+	};
+	reported.sort((first, second) => getCreatedTime(first) - getCreatedTime(second));
+
+	return {
+		audited: new Date(now).toISOString(),
+		keyCount: keys.length,
+		keys: reported
+	};
+}
+
+/**
+ * Throw if key permissions are not valid.
+ * @private
+ * @param {Object} [permissions] - The permissions, with optional boolean <code>read</code>, <code>write</code>, and <code>admin</code> properties.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the permissions are not valid.
+ */
+function assertPermissions(permissions) {
+	if (permissions === undefined) {
+		return;
+	}
+	if (!permissions || typeof permissions !== 'object') {
+		throw new TypeError('The API key permissions must be an object');
+	}
+	for (const [name, value] of Object.entries(permissions)) {
+		args.assertOneOf('permission', name, keyPermissions);
+		if (value !== undefined && typeof value !== 'boolean') {
+			throw new TypeError(`The "${name}" permission must be a boolean`);
+		}
+	}
+}
+
+/**
+ * Get the cutoff time for an audit option.
+ * @private
+ * @param {String} name - The name of the option, which is used in the error message.
+ * @param {(Date|String|Number)} [value] - A date, or a number of milliseconds before now.
+ * @param {Number} now - The time of the audit.
+ * @returns {(Number|null)} The cutoff as milliseconds since the epoch, or <code>null</code> if the option is not set.
+ * @throws {TypeError} Will throw if the value is not a valid date or number.
+ */
+function getCutoff(name, value, now) {
+	if (value === undefined || value === null) {
+		return null;
+	}
+	if (typeof value === 'number' && value >= 0) {
+		return now - value;
+	}
+	const time = ((value instanceof Date || typeof value === 'string') ? getTime(value) : null);
+	if (time === null) {
+		throw new TypeError(`The ${name} option must be a date or a number of milliseconds`);
+	}
+	return time;
+}
+
+module.exports = {
+	keyPermissions,
+	defaultRotateOptions,
+	rotateKey,
+	auditKeys
+};
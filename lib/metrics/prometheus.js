@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * The default histogram buckets for request durations, in seconds.
+ * These match the defaults in the official Prometheus clients.
+ * @private
+ */
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * The endpoint label which is used for requests which do not match a known endpoint template.
+ * @private
+ */
+const unknownEndpoint = 'unknown';
+
+/**
+ * Class representing a set of Prometheus metrics which are collected from client events.
+ *
+ * @example <caption>Serve metrics for a client</caption>
+ * const metrics = new RepoDataClient.PrometheusMetrics();
+ * metrics.observe(repoData);
+ *
+ * app.get('/__metrics', (request, response) => {
+ *     response.set('Content-Type', RepoDataClient.PrometheusMetrics.contentType);
+ *     response.send(metrics.render());
+ * });
+ */
+class PrometheusMetrics {
+
+	/**
+	 * Create a set of Prometheus metrics.
+	 * @param {Object} [options] - The metrics options.
+	 * @param {String} [options.prefix='origami_repo_data_client'] - The prefix for each metric name.
+	 * @param {Array.<Number>} [options.buckets] - The upper bounds of the request duration histogram buckets, in seconds.
+	 * Defaults to the same buckets as the official Prometheus clients.
+	 * @throws {TypeError} Will throw if the prefix is not a valid Prometheus metric name.
+	 */
+	constructor({prefix = 'origami_repo_data_client', buckets = defaultBuckets} = {}) {
+		if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix)) {
+			throw new TypeError(`"${prefix}" is not a valid Prometheus metric name prefix`);
+		}
+		this.prefix = prefix;
+		this.buckets = buckets.slice().sort((a, b) => a - b);
+		this.reset();
+	}
+
+	/**
+	 * Start collecting metrics from a client's events.
+	 * @param {RepoDataClient} client - The client to collect metrics from.
+	 * @returns {Function} A function which stops collecting metrics from the client.
+	 */
+	observe(client) {
+		const listeners = {
+			'request:success': event => this.recordRequest(event),
+			'request:failure': event => this.recordRequest(event),
+			'request:retry': event => this.increment(this.retries, getLabels(event)),
+			'cache:hit': event => this.increment(this.cacheHits, getLabels(event))
+		};
+		for (const [eventName, listener] of Object.entries(listeners)) {
+			client.on(eventName, listener);
+		}
+		return () => {
+			for (const [eventName, listener] of Object.entries(listeners)) {
+				client.removeListener(eventName, listener);
+			}
+		};
+	}
+
+	/**
+	 * Clear all of the collected metrics.
+	 * @returns {undefined} Nothing.
+	 */
+	reset() {
+		this.requests = new Map();
+		this.retries = new Map();
+		this.cacheHits = new Map();
+		this.durations = new Map();
+	}
+
+	/**
+	 * Render the collected metrics in the Prometheus text exposition format.
+	 * @returns {String} The metrics.
+	 */
+	render() {
+		const lines = [].concat(
+			this.renderCounter('requests_total', 'The number of requests made to Origami Repo Data, including retries.', this.requests),
+			this.renderCounter('retries_total', 'The number of requests to Origami Repo Data which were retried.', this.retries),
+			this.renderCounter('cache_hits_total', 'The number of Origami Repo Data responses which were served from the cache.', this.cacheHits),
+			this.renderHistogram('request_duration_seconds', 'The duration of requests made to Origami Repo Data.', this.durations)
+		);
+		return `${lines.join('\n')}\n`;
+	}
+
+	/**
+	 * Record a completed request.
+	 * @private
+	 * @param {Object} event - The <code>request:success</code> or <code>request:failure</code> event.
+	 * @returns {undefined} Nothing.
+	 */
+	recordRequest(event) {
+		const labels = getLabels(event);
+		this.increment(this.requests, Object.assign({}, labels, {
+			status: (event.status ? String(event.status) : 'none')
+		}));
+
+		const key = serializeLabels(labels);
+		const series = this.durations.get(key) || {
+			labels,
+			buckets: this.buckets.map(() => 0),
+			sum: 0,
+			count: 0
+		};
+		const seconds = event.duration / 1000;
+		this.buckets.forEach((bucket, index) => {
+			if (seconds <= bucket) {
+				series.buckets[index] += 1;
+			}
+		});
+		series.sum += seconds;
+		series.count += 1;
+		this.durations.set(key, series);
+	}
+
+	/**
+	 * Increment a counter.
+	 * @private
+	 * @param {Map} counter - The counter series, keyed by serialized labels.
+	 * @param {Object} labels - The labels of the series to increment.
+	 * @returns {undefined} Nothing.
+	 */
+	increment(counter, labels) {
+		const key = serializeLabels(labels);
+		const series = counter.get(key) || {labels, value: 0};
+		series.value += 1;
+		counter.set(key, series);
+	}
+
+	/**
+	 * Render a counter.
+	 * @private
+	 * @param {String} name - The metric name, without the prefix.
+	 * @param {String} help - The metric description.
+	 * @param {Map} counter - The counter series.
+	 * @returns {Array.<String>} The rendered lines.
+	 */
+	renderCounter(name, help, counter) {
+		const metricName = `${this.prefix}_${name}`;
+		const lines = [
+			`# HELP ${metricName} ${help}`,
+			`# TYPE ${metricName} counter`
+		];
+		for (const {labels, value} of counter.values()) {
+			lines.push(`${metricName}{${serializeLabels(labels)}} ${value}`);
+		}
+		return lines;
+	}
+
+	/**
+	 * Render a histogram.
+	 * @private
+	 * @param {String} name - The metric name, without the prefix.
+	 * @param {String} help - The metric description.
+	 * @param {Map} histogram - The histogram series.
+	 * @returns {Array.<String>} The rendered lines.
+	 */
+	renderHistogram(name, help, histogram) {
+		const metricName = `${this.prefix}_${name}`;
+		const lines = [
+			`# HELP ${metricName} ${help}`,
+			`# TYPE ${metricName} histogram`
+		];
+		for (const {labels, buckets, sum, count} of histogram.values()) {
+			this.buckets.forEach((bucket, index) => {
+				const bucketLabels = Object.assign({}, labels, {le: String(bucket)});
+				lines.push(`${metricName}_bucket{${serializeLabels(bucketLabels)}} ${buckets[index]}`);
+			});
+			lines.push(`${metricName}_bucket{${serializeLabels(Object.assign({}, labels, {le: '+Inf'}))}} ${count}`);
+			lines.push(`${metricName}_sum{${serializeLabels(labels)}} ${sum}`);
+			lines.push(`${metricName}_count{${serializeLabels(labels)}} ${count}`);
+		}
+		return lines;
+	}
+
+}
+
+/**
+ * The content type of the Prometheus text exposition format.
+ * @type {String}
+ */
+PrometheusMetrics.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Get the metric labels for a client event.
+ * @private
+ * @param {Object} event - The client event.
+ * @returns {Object} The labels.
+ */
+function getLabels({method, template}) {
+	return {
+		method,
+		endpoint: template || unknownEndpoint
+	};
+}
+
+/**
+ * Serialize metric labels.
+ * @private
+ * @param {Object} labels - The labels to serialize.
+ * @returns {String} The labels in Prometheus format, without the surrounding braces.
+ */
+function serializeLabels(labels) {
+	return Object.entries(labels).map(([name, value]) => {
+		const escapedValue = String(value)
+			.replace(/\\/g, '\\\\')
+			.replace(/"/g, '\\"')
+			.replace(/\n/g, '\\n');
+		return `${name}="${escapedValue}"`;
+	}).join(',');
+}
+
+module.exports = {
+	defaultBuckets,
+	PrometheusMetrics
+};
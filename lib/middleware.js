@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Compose middleware functions into a single function which handles a request.
+ * @private
+ * @param {Array.<Function>} middleware - The middleware functions, outermost first. Each is called with
+ * the request and a <code>next</code> function which passes the request on to the next middleware.
+ * @param {Function} handler - An async function which sends the request once it has passed through every middleware.
+ * @returns {Function} An async function which is called with a request and resolves with the response.
+ */
+function compose(middleware, handler) {
+	return request => {
+		const dispatch = async index => {
+			if (index >= middleware.length) {
+				return handler(request);
+			}
+			const response = await middleware[index](request, () => dispatch(index + 1));
+			if (!response || typeof response !== 'object') {
+				throw new TypeError('Middleware must resolve with a response object, did you forget to return `next()`?');
+			}
+			return response;
+		};
+		return dispatch(0);
+	};
+}
+
+/**
+ * Create a middleware function which calls lifecycle hooks.
+ * @private
+ * @param {Object} hooks - The hooks to call.
+ * @param {Function} [hooks.onRequest] - Called with the request before it is sent.
+ * @param {Function} [hooks.onResponse] - Called with the request, the response, and the duration in milliseconds.
+ * @param {Function} [hooks.onError] - Called with the request, the error, and the duration in milliseconds.
+ * @returns {Function} The middleware function.
+ */
+function createHookMiddleware({onRequest, onResponse, onError}) {
+	return async (request, next) => {
+		if (onRequest) {
+			await onRequest(request);
+		}
+		const startTime = Date.now();
+		let response;
+		try {
+			response = await next();
+		} catch (error) {
+			if (onError) {
+				await onError(request, error, Date.now() - startTime);
+			}
+			throw error;
+		}
+		if (onResponse) {
+			await onResponse(request, response, Date.now() - startTime);
+		}
+		return response;
+	};
+}
+
+module.exports = {
+	compose,
+	createHookMiddleware
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const {URL} = require('url');
+
+/**
+ * The number of items to request at once when iterating over a list.
+ * @private
+ */
+const defaultPageSize = 100;
+
+/**
+ * Normalize the <code>pageSize</code> client option.
+ * @private
+ * @param {Number} [pageSize] - The page size option as passed into the client.
+ * @returns {Number} The page size.
+ * @throws {TypeError} Will throw if the page size is not a positive integer.
+ */
+function normalizePageSize(pageSize) {
+	if (pageSize === undefined) {
+		return defaultPageSize;
+	}
+	if (!Number.isInteger(pageSize) || pageSize < 1) {
+		throw new TypeError('The pageSize option must be a positive integer');
+	}
+	return pageSize;
+}
+
+/**
+ * Get the first page of a list endpoint.
+ * @private
+ * @param {String} endpoint - The service endpoint.
+ * @param {Object} [query] - The query parameters for the list.
+ * @param {Number} pageSize - The number of items to request.
+ * @returns {Object} An object with the <code>endpoint</code> and <code>query</code> of the first page.
+ */
+function getFirstPage(endpoint, query, pageSize) {
+	return {
+		endpoint,
+		query: Object.assign({}, query, {
+			page: 1,
+			limit: pageSize
+		})
+	};
+}
+
+/**
+ * Parse a <code>Link</code> header into URLs keyed by relation.
+ * @private
+ * @param {String} [header] - The Link header value.
+ * @returns {Object} The linked URLs, keyed by their <code>rel</code> value.
+ */
+function parseLinkHeader(header) {
+	const links = {};
+	if (!header || typeof header !== 'string') {
+		return links;
+	}
+	header.split(',').forEach(part => {
+		const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/i);
+		if (match) {
+			match[2].split(/\s+/).forEach(rel => {
+				links[rel.toLowerCase()] = match[1];
+			});
+		}
+	});
+	return links;
+}
+
+/**
+ * Get the next page of a paginated response. The service can link to the next page with a <code>Link</code> header,
+ * or page the list by the <code>page</code> and <code>limit</code> query parameters and give the total number of
+ * items in an <code>X-Total-Count</code> header.
+ * @private
+ * @param {Object} headers - The response headers.
+ * @param {String} apiUrl - The URL of the Origami Repo Data service.
+ * @param {Object} [page] - The <code>endpoint</code> and <code>query</code> of the page which was requested.
+ * @returns {(Object|null)} An object with the <code>endpoint</code> and <code>query</code> of the next page,
+ * or <code>null</code> if there are no more pages.
+ */
+function getNextPage(headers, apiUrl, page) {
+	const next = parseLinkHeader(headers && headers.link).next;
+	if (!next) {
+		return getNextNumberedPage(headers, page);
+	}
+	const baseUrl = new URL(apiUrl);
+	const nextUrl = new URL(next, baseUrl);
+	const basePath = baseUrl.pathname.replace(/\/$/, '');
+	const query = {};
+	nextUrl.searchParams.forEach((value, name) => {
+		query[name] = value;
+	});
+	return {
+		endpoint: nextUrl.pathname.startsWith(basePath) ? nextUrl.pathname.slice(basePath.length) : nextUrl.pathname,
+		query
+	};
+}
+
+/**
+ * Get the next page of a response which was paged by the <code>page</code> and <code>limit</code> query parameters.
+ * @private
+ * @param {Object} headers - The response headers.
+ * @param {Object} [page] - The <code>endpoint</code> and <code>query</code> of the page which was requested.
+ * @returns {(Object|null)} An object with the <code>endpoint</code> and <code>query</code> of the next page,
+ * or <code>null</code> if there are no more pages or the service did not page the response.
+ */
+function getNextNumberedPage(headers, page) {
+	const total = parseInt(headers && headers['x-total-count'], 10);
+	const number = parseInt(page && page.query && page.query.page, 10);
+	const limit = parseInt(page && page.query && page.query.limit, 10);
+	if (isNaN(total) || isNaN(number) || isNaN(limit) || number * limit >= total) {
+		return null;
+	}
+	return {
+		endpoint: page.endpoint,
+		query: Object.assign({}, page.query, {
+			page: number + 1
+		})
+	};
+}
+
+module.exports = {
+	defaultPageSize,
+	normalizePageSize,
+	getFirstPage,
+	parseLinkHeader,
+	getNextPage
+};
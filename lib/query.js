@@ -0,0 +1,310 @@
+'use strict';
+
+const args = require('./arguments');
+const filterHelpers = require('./filters');
+
+/**
+ * The filters which can be set with a builder method, e.g. <code>query.brand('master')</code>.
+ * @private
+ */
+const builderFilters = ['brand', 'search', 'status', 'type', 'origamiVersion', 'keyword', 'supportContact', 'lastIngested'];
+
+/**
+ * Class representing a search for Origami repositories, which is built up by chaining method calls.
+ * A query is made of one or more sets of filters. Each set of filters is sent to the service as
+ * a {@link RepoDataClient#listRepos} request, and the results are merged. Exclusions and sorting are
+ * applied by the client to the merged results, because the service does not support them.
+ *
+ * @example <caption>Find active and maintained modules</caption>
+ * const repos = await repoData.query()
+ *     .brand('master')
+ *     .status(['active', 'maintained'])
+ *     .type('module')
+ *     .sortBy('name')
+ *     .run();
+ *
+ * @example <caption>Find modules, or anything supported by a team, but nothing which is dead</caption>
+ * const repos = await repoData.query()
+ *     .type('module')
+ *     .or({supportContact: '#origami-support'})
+ *     .exclude({status: 'dead'})
+ *     .run();
+ *
+ * @example <caption>Save a search and run it later</caption>
+ * const saved = JSON.stringify(repoData.query().keyword('colours').sortBy('lastIngested', 'desc'));
+ * const repos = await repoData.query(JSON.parse(saved)).run();
+ */
+class RepoQuery {
+
+	/**
+	 * Create a repository query. Use {@link RepoDataClient#query} rather than calling this directly.
+	 * @param {RepoDataClient} client - The client to run the query with.
+	 * @param {Object} [savedQuery] - A query which was saved with {@link RepoQuery#toJSON}.
+	 * @throws {TypeError} Will throw if the saved query is not valid.
+	 */
+	constructor(client, savedQuery) {
+		this.client = client;
+		this.filters = [{}];
+		this.exclusions = {};
+		this.sort = undefined;
+		this.order = undefined;
+		if (savedQuery) {
+			this.load(savedQuery);
+		}
+	}
+
+	/**
+	 * Only include repositories which match a set of filters, replacing any previous value for each filter.
+	 * The filters are the same as for {@link RepoDataClient#listRepos}. There are also shortcut methods
+	 * for each filter, e.g. <code>query.where({brand: 'master'})</code> is the same as <code>query.brand('master')</code>.
+	 * @param {Object} filters - The filters to set.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if a filter is not valid.
+	 */
+	where(filters) {
+		assertFilterNames(filters, builderFilters, 'filter repositories');
+		args.assertRepoFilters(filters);
+		Object.assign(this.filters[0], filters);
+		return this;
+	}
+
+	/**
+	 * Set the <code>brand</code> filter.
+	 * @param {(Array.<String>|String|null)} brand - A brand (or an array of brands) to filter repositories by, as for the <code>brand</code> filter of {@link RepoDataClient#listRepos}.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the filter is not valid.
+	 */
+	brand(brand) {
+		return this.where({brand: brand});
+	}
+
+	/**
+	 * Set the <code>search</code> filter.
+	 * @param {String} text - Free text to search repositories by.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the filter is not valid.
+	 */
+	search(text) {
+		return this.where({search: text});
+	}
+
+	/**
+	 * Set the <code>status</code> filter.
+	 * @param {(Array.<String>|String)} status - A support status (or an array of statuses) to filter repositories by.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the filter is not valid.
+	 */
+	status(status) {
+		return this.where({status: status});
+	}
+
+	/**
+	 * Set the <code>type</code> filter.
+	 * @param {(Array.<String>|String)} type - A repository type (or an array of types) to filter repositories by.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the filter is not valid.
+	 */
+	type(type) {
+		return this.where({type: type});
+	}
+
+	/**
+	 * Set the <code>origamiVersion</code> filter.
+	 * @param {(Array.<(String|Number)>|String|Number)} origamiVersion - A version of the Origami Specification (or an array of versions) to filter repositories by.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the filter is not valid.
+	 */
+	origamiVersion(origamiVersion) {
+		return this.where({origamiVersion: origamiVersion});
+	}
+
+	/**
+	 * Set the <code>keyword</code> filter.
+	 * @param {(Array.<String>|String)} keyword - A keyword (or an array of keywords) to filter repositories by.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the filter is not valid.
+	 */
+	keyword(keyword) {
+		return this.where({keyword: keyword});
+	}
+
+	/**
+	 * Set the <code>supportContact</code> filter.
+	 * @param {(Array.<String>|String)} contact - A support email address or Slack channel (or an array of them) to filter repositories by.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the filter is not valid.
+	 */
+	supportContact(contact) {
+		return this.where({supportContact: contact});
+	}
+
+	/**
+	 * Set the <code>lastIngested</code> filter.
+	 * @param {Object} range - A date range with <code>after</code> and/or <code>before</code> dates to filter repositories by.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the filter is not valid.
+	 */
+	lastIngested(range) {
+		return this.where({lastIngested: range});
+	}
+
+	/**
+	 * Include repositories which match another set of filters. Each set of filters is requested separately
+	 * and the results are merged, so a query with <code>or</code> makes more than one request.
+	 * @param {(Object|RepoQuery)} filters - The filters, as for {@link RepoQuery#where}, or another query whose filters
+	 * should be included. The exclusions and sorting of another query are ignored.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if a filter is not valid.
+	 */
+	or(filters) {
+		const alternatives = (filters instanceof RepoQuery ? filters.toFilters() : [filters]);
+		for (const alternative of alternatives) {
+			assertFilterNames(alternative, builderFilters, 'filter repositories');
+			args.assertRepoFilters(alternative);
+			this.filters.push(Object.assign({}, alternative));
+		}
+		return this;
+	}
+
+	/**
+	 * Exclude repositories which match any value of any of the given filters. Calling this more than once
+	 * adds to the values which are excluded.
+	 * @param {Object} filters - The filters to exclude by. Repositories can be excluded by <code>brand</code>, <code>status</code>,
+	 * <code>type</code>, <code>origamiVersion</code>, <code>keyword</code>, or <code>supportContact</code>.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if a filter is not valid or cannot be used to exclude repositories.
+	 *
+	 * @example <caption>Exclude dead and deprecated repositories</caption>
+	 * query.exclude({status: ['dead', 'deprecated']});
+	 */
+	exclude(filters) {
+		assertFilterNames(filters, filterHelpers.exclusionFilters, 'exclude repositories');
+		args.assertRepoFilters(filters);
+		for (const [name, value] of Object.entries(filters)) {
+			if (value !== undefined) {
+				const values = args.toList(value === null ? 'none' : value);
+				this.exclusions[name] = (this.exclusions[name] || []).concat(values);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Sort the repositories.
+	 * @param {String} field - The field to sort by, as for the <code>sort</code> filter of {@link RepoDataClient#listRepos}.
+	 * @param {String} [order='asc'] - The sort order. One of <code>'asc'</code> or <code>'desc'</code>.
+	 * @returns {RepoQuery} The query, so that calls can be chained.
+	 * @throws {TypeError} Will throw if the field or order is not valid.
+	 */
+	sortBy(field, order = 'asc') {
+		args.assertRepoFilters({sort: field, order});
+		this.sort = field;
+		this.order = order;
+		return this;
+	}
+
+	/**
+	 * Get the filters which are sent to {@link RepoDataClient#listRepos} when the query is run, one for each request.
+	 * @returns {Array.<Object>} The filters.
+	 */
+	toFilters() {
+		return this.filters.map(filters => Object.assign({}, filters));
+	}
+
+	/**
+	 * Run the query.
+	 * @param {RequestOptions} [requestOptions] - Options for each request, such as a timeout or an abort signal.
+	 * @returns {Promise<Array>} A promise which resolves with the matching repositories.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 */
+	async run(requestOptions) {
+		const results = await Promise.all(this.toFilters().map(filters => this.client.listRepos(filters, requestOptions)));
+		const repos = mergeRepos(results).filter(repo => !filterHelpers.repoMatchesAnyFilter(repo, this.exclusions));
+		return (this.sort ? filterHelpers.sortRepos(repos, this.sort, this.order) : repos);
+	}
+
+	/**
+	 * Get a plain object representation of the query, which can be serialized as JSON and
+	 * loaded again with {@link RepoDataClient#query}. This is called by <code>JSON.stringify</code>.
+	 * @returns {Object} The query.
+	 */
+	toJSON() {
+		const savedQuery = {
+			filters: this.toFilters(),
+			exclude: Object.assign({}, this.exclusions)
+		};
+		if (this.sort) {
+			savedQuery.sort = this.sort;
+			savedQuery.order = this.order;
+		}
+		return savedQuery;
+	}
+
+	/**
+	 * Load a saved query, replacing the current filters.
+	 * @private
+	 * @param {Object} savedQuery - A query which was saved with {@link RepoQuery#toJSON}.
+	 * @returns {undefined} Nothing.
+	 * @throws {TypeError} Will throw if the saved query is not valid.
+	 */
+	load({filters, exclude, sort, order}) {
+		if (!Array.isArray(filters) || !filters.length) {
+			throw new TypeError('A saved query must have an array of filters');
+		}
+		this.filters = [{}];
+		this.where(filters[0]);
+		for (const alternative of filters.slice(1)) {
+			this.or(alternative);
+		}
+		if (exclude) {
+			this.exclude(exclude);
+		}
+		if (sort) {
+			this.sortBy(sort, order);
+		}
+	}
+
+}
+
+/**
+ * Throw if a filters object contains filters which cannot be used.
+ * @private
+ * @param {Object} filters - The filters to check.
+ * @param {Array.<String>} allowedNames - The names of the filters which can be used.
+ * @param {String} purpose - What the filters are used for, which is used in the error message.
+ * @returns {undefined} Nothing.
+ * @throws {TypeError} Will throw if the filters are not an object or contain a filter which cannot be used.
+ */
+function assertFilterNames(filters, allowedNames, purpose) {
+	if (!filters || typeof filters !== 'object') {
+		throw new TypeError('Query filters must be an object');
+	}
+	for (const name of Object.keys(filters)) {
+		if (!allowedNames.includes(name)) {
+			const allowed = allowedNames.map(allowedName => `"${allowedName}"`).join(', ');
+			throw new TypeError(`"${name}" cannot be used to ${purpose}, expected one of ${allowed}`);
+		}
+	}
+}
+
+/**
+ * Merge lists of repositories, removing any repository which appears more than once.
+ * @private
+ * @param {Array.<Array>} results - The lists of repositories.
+ * @returns {Array.<Object>} The merged repositories, in the order they were first seen.
+ */
+function mergeRepos(results) {
+	const repos = new Map();
+	for (const repo of [].concat(...results.map(result => result || []))) {
+		const key = repo.id || repo.name;
+		if (!repos.has(key)) {
+			repos.set(key, repo);
+		}
+	}
+	return Array.from(repos.values());
+}
+
+module.exports = {
+	builderFilters,
+	RepoQuery
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {promisify} = require('util');
+const {ResponseCache} = require('./cache');
+const {UnmatchedRequestError} = require('./errors');
+
+const mkdir = promisify(fs.mkdir);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * The modes which a recorder can run in.
+ * @private
+ */
+const modes = ['record', 'replay'];
+
+/**
+ * The request headers which are replaced before they are written to a fixture, in addition to
+ * any headers which the client's auth strategy sets.
+ * @private
+ */
+const redactedHeaders = ['authorization', 'x-api-key', 'x-api-secret'];
+
+/**
+ * The response body properties which are replaced before they are written to a fixture,
+ * e.g. the secret of a new API key.
+ * @private
+ */
+const redactedProperties = ['secret'];
+
+/**
+ * Class representing a recorder which writes HTTP responses to fixture files, or serves responses from them.
+ * @private
+ */
+class Recorder {
+
+	/**
+	 * Create a recorder.
+	 * @param {Object} options - The recorder options.
+	 * @param {String} options.mode - The recorder mode. One of "record" or "replay".
+	 * @param {String} options.directory - The directory to read and write fixture files in.
+	 * @throws {TypeError} Will throw if the mode or directory are invalid.
+	 */
+	constructor({mode, directory} = {}) {
+		if (!modes.includes(mode)) {
+			throw new TypeError(`The recorder mode must be one of: ${modes.join(', ')}`);
+		}
+		if (typeof directory !== 'string' || !directory) {
+			throw new TypeError('The recorder directory must be a non-empty string');
+		}
+		this.mode = mode;
+		this.directory = path.resolve(directory);
+	}
+
+	/**
+	 * Get the path of the fixture file for a request.
+	 * @param {Object} request - The request.
+	 * @param {String} request.method - The HTTP method of the request.
+	 * @param {String} request.endpoint - The service endpoint.
+	 * @param {Object} [request.query] - The request query parameters.
+	 * @param {Object} [request.data] - The request body.
+	 * @returns {String} The fixture path.
+	 */
+	getFixturePath({method, endpoint, query, data}) {
+		const key = Recorder.createKey(method, endpoint, query, data);
+		const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+		const slug = endpoint.replace(/^\/+/, '').replace(/[^a-z0-9.-]+/gi, '-').slice(0, 100);
+		return path.join(this.directory, `${method.toUpperCase()}-${slug}-${hash}.json`);
+	}
+
+	/**
+	 * Write a response to the fixture file for its request.
+	 * @param {Object} request - The request, as documented in {@link Recorder#getFixturePath}.
+	 * @param {Object} [request.headers] - The request headers. API credentials are redacted.
+	 * @param {Object} response - The response <code>status</code>, <code>headers</code>, and <code>data</code>.
+	 * API key secrets in the response data are redacted.
+	 * @param {Array.<String>} [authHeaders=[]] - The names of the request headers which the client's auth strategy set,
+	 * which are redacted as well.
+	 * @returns {Promise} A promise which resolves when the fixture has been written.
+	 */
+	async record(request, response, authHeaders = []) {
+		const fixture = {
+			request: {
+				method: request.method.toUpperCase(),
+				endpoint: request.endpoint,
+				query: request.query,
+				data: request.data,
+				headers: redactHeaders(request.headers, authHeaders)
+			},
+			response: {
+				status: response.status,
+				headers: response.headers,
+				data: redactData(response.data)
+			}
+		};
+		await mkdir(this.directory, {recursive: true});
+		await writeFile(this.getFixturePath(request), `${JSON.stringify(fixture, null, '\t')}\n`);
+	}
+
+	/**
+	 * Read a recorded response from the fixture file for a request.
+	 * @param {Object} request - The request, as documented in {@link Recorder#getFixturePath}.
+	 * @returns {Promise<Object>} A promise which resolves with the recorded <code>status</code>, <code>headers</code>, and <code>data</code>.
+	 * @throws {UnmatchedRequestError} Will throw if there is no fixture for the request.
+	 */
+	async replay(request) {
+		const fixturePath = this.getFixturePath(request);
+		let fixture;
+		try {
+			fixture = JSON.parse(await readFile(fixturePath, 'utf8'));
+		} catch (error) {
+			const key = Recorder.createKey(request.method, request.endpoint, request.query, request.data);
+			throw new UnmatchedRequestError(`No recorded response for ${key} (expected a fixture at ${fixturePath})`, {
+				method: request.method.toUpperCase(),
+				endpoint: request.endpoint,
+				code: error.code,
+				fixturePath
+			});
+		}
+		return fixture.response;
+	}
+
+	/**
+	 * Create a key which identifies a request.
+	 * @param {String} method - The HTTP method of the request.
+	 * @param {String} endpoint - The service endpoint.
+	 * @param {Object} [query] - The request query parameters.
+	 * @param {Object} [data] - The request body.
+	 * @returns {String} The request key.
+	 */
+	static createKey(method, endpoint, query, data) {
+		const key = ResponseCache.createKey(method, endpoint, query);
+		return (data === undefined ? key : `${key} ${JSON.stringify(data)}`);
+	}
+
+	/**
+	 * Create a recorder from the <code>recorder</code> client option.
+	 * @param {Object} [recorder] - The recorder option as passed into the client. This can be an object with
+	 * <code>mode</code> and <code>directory</code> properties, or an existing recorder.
+	 * @returns {(Recorder|null)} A recorder, or <code>null</code> if recording is disabled.
+	 * @throws {TypeError} Will throw if the recorder options are invalid.
+	 */
+	static fromOption(recorder) {
+		if (!recorder) {
+			return null;
+		}
+		if (recorder instanceof Recorder) {
+			return recorder;
+		}
+		return new Recorder(recorder);
+	}
+
+}
+
+/**
+ * Redact API credentials from request headers.
+ * @private
+ * @param {Object} [headers] - The request headers.
+ * @param {Array.<String>} authHeaders - The names of the headers which the client's auth strategy set.
+ * @returns {Object} A copy of the headers with credentials replaced.
+ */
+function redactHeaders(headers = {}, authHeaders) {
+	const secretHeaders = redactedHeaders.concat(authHeaders.map(name => name.toLowerCase()));
+	const redacted = {};
+	for (const [name, value] of Object.entries(headers)) {
+		if (value !== undefined) {
+			redacted[name] = (secretHeaders.includes(name.toLowerCase()) ? '[REDACTED]' : value);
+		}
+	}
+	return redacted;
+}
+
+/**
+ * Redact secrets from response data.
+ * @private
+ * @param {*} data - The response data.
+ * @returns {*} A copy of the data with secrets replaced.
+ */
+function redactData(data) {
+	if (Array.isArray(data)) {
+		return data.map(redactData);
+	}
+	if (!data || typeof data !== 'object') {
+		return data;
+	}
+	const redacted = {};
+	for (const [name, value] of Object.entries(data)) {
+		redacted[name] = (redactedProperties.includes(name) && value ? '[REDACTED]' : redactData(value));
+	}
+	return redacted;
+}
+
+module.exports = {
+	modes,
+	Recorder
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+const defaults = require('lodash/defaults');
+const {AbortError, NetworkError} = require('./errors');
+
+/**
+ * The default retry options, used when retries are enabled.
+ * @private
+ */
+const defaultRetryOptions = {
+	maxAttempts: 3,
+	backoffBase: 100,
+	backoffCap: 5000,
+	jitter: true,
+	retryableStatuses: [408, 429, 500, 502, 503, 504],
+	methods: ['GET', 'DELETE'],
+	honorRetryAfter: true
+};
+
+/**
+ * Normalize the <code>retry</code> client option.
+ * @private
+ * @param {(Boolean|Number|Object)} [retry] - The retry option as passed into the client.
+ * @returns {(Object|null)} The full retry options, or <code>null</code> if retries are disabled.
+ */
+function normalizeRetryOptions(retry) {
+	if (!retry) {
+		return null;
+	}
+	if (retry === true) {
+		retry = {};
+	}
+	if (typeof retry === 'number') {
+		retry = {maxAttempts: retry};
+	}
+	const options = defaults({}, retry, defaultRetryOptions);
+	options.methods = options.methods.map(method => method.toUpperCase());
+	return options;
+}
+
+/**
+ * Check whether a failed request should be retried.
+ * @private
+ * @param {Error} error - The error which the request failed with.
+ * @param {Object} request - Information about the request.
+ * @param {String} request.method - The HTTP method of the request.
+ * @param {Number} request.attempt - The number of attempts which have been made so far.
+ * @param {(Object|null)} options - The normalized retry options.
+ * @returns {Boolean} Whether the request should be retried.
+ */
+function shouldRetry(error, {method, attempt}, options) {
+	if (!options || attempt >= options.maxAttempts) {
+		return false;
+	}
+	if (!options.methods.includes(method.toUpperCase())) {
+		return false;
+	}
+	if (error instanceof NetworkError) {
+		return true;
+	}
+	return options.retryableStatuses.includes(error.status);
+}
+
+/**
+ * Parse a <code>Retry-After</code> header value.
+ * @private
+ * @param {String} [value] - The header value, either a number of seconds or an HTTP date.
+ * @returns {(Number|null)} The number of milliseconds to wait, or <code>null</code> if the header is missing or invalid.
+ */
+function parseRetryAfter(value) {
+	if (value === undefined || value === null || value === '') {
+		return null;
+	}
+	if (/^\d+$/.test(String(value).trim())) {
+		return Number(value) * 1000;
+	}
+	const date = Date.parse(value);
+	if (isNaN(date)) {
+		return null;
+	}
+	return Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the number of milliseconds to wait before retrying a request.
+ * @private
+ * @param {Number} attempt - The number of attempts which have been made so far.
+ * @param {Error} error - The error which the last attempt failed with.
+ * @param {Object} options - The normalized retry options.
+ * @returns {Number} The number of milliseconds to wait.
+ */
+function getRetryDelay(attempt, error, options) {
+	if (options.honorRetryAfter && error.headers) {
+		const retryAfter = parseRetryAfter(error.headers['retry-after']);
+		if (retryAfter !== null) {
+			return retryAfter;
+		}
+	}
+	const delay = Math.min(options.backoffCap, options.backoffBase * Math.pow(2, attempt - 1));
+	if (options.jitter) {
+		return Math.round(Math.random() * delay);
+	}
+	return delay;
+}
+
+/**
+ * Wait for a number of milliseconds.
+ * @private
+ * @param {Number} delay - The number of milliseconds to wait.
+ * @param {AbortSignal} [signal] - A signal which cancels the wait.
+ * @returns {Promise} A promise which resolves after the delay.
+ * @throws {AbortError} Will throw if the signal is aborted before the delay has passed.
+ */
+function wait(delay, signal) {
+	if (signal && signal.aborted) {
+		return Promise.reject(new AbortError('The operation was aborted'));
+	}
+	return new Promise((resolve, reject) => {
+		const handleAbort = () => {
+			clearTimeout(timer);
+			reject(new AbortError('The operation was aborted'));
+		};
+		const timer = setTimeout(() => {
+			if (signal) {
+				signal.removeEventListener('abort', handleAbort);
+			}
+			resolve();
+		}, delay);
+		if (signal) {
+			signal.addEventListener('abort', handleAbort);
+		}
+	});
+}
+
+module.exports = {
+	defaultRetryOptions,
+	normalizeRetryOptions,
+	shouldRetry,
+	parseRetryAfter,
+	getRetryDelay,
+	wait
+};
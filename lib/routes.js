@@ -0,0 +1,391 @@
+'use strict';
+
+const crypto = require('crypto');
+const defaults = require('lodash/defaults');
+const omit = require('lodash/omit');
+const semver = require('semver');
+
+/**
+ * The version fixture properties which are served from their own endpoints rather than as part of the version.
+ * @private
+ */
+const versionResources = ['manifests', 'markdown', 'demos', 'images', 'dependencies', 'bundles'];
+
+/**
+ * Class representing an error response from the mock server.
+ * @private
+ */
+class HttpError extends Error {
+
+	/**
+	 * Create an HTTP error.
+	 * @param {Number} status - The HTTP status code to respond with.
+	 * @param {String} message - The error message to respond with.
+	 */
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+
+}
+
+/**
+ * The routes of the Repo Data v1 API, keyed by HTTP method and endpoint name (as in lib/endpoints.js). These are
+ * handled by the mock server, and the read-only routes are used to serve snapshots.
+ * Each route has the permission which an API key needs to access it, and a handler which is called with the
+ * server data and the request <code>params</code>, <code>query</code>, and <code>body</code>.
+ * @private
+ */
+const routes = {
+	'GET repos': {
+		permission: 'read',
+		handler: (data, {query}) => data.repos.filter(repo => repoMatchesQuery(repo, query)).map(formatRepo)
+	},
+	'GET repo': {
+		permission: 'read',
+		handler: (data, {params}) => formatRepo(findRepo(data, params.repo))
+	},
+	'GET versions': {
+		permission: 'read',
+		handler: (data, {params}) => {
+			const repo = findRepo(data, params.repo);
+			return sortVersions(repo.versions).map(version => formatVersion(repo, version));
+		}
+	},
+	'GET version': {
+		permission: 'read',
+		handler: (data, {params}) => {
+			const repo = findRepo(data, params.repo);
+			return formatVersion(repo, findVersion(repo, params.version));
+		}
+	},
+	'GET manifest': {
+		permission: 'read',
+		handler: (data, {params}) => {
+			const version = findVersion(findRepo(data, params.repo), params.version);
+			const manifest = (version.manifests || {})[params.manifestType];
+			if (!manifest) {
+				throw new HttpError(404, 'Manifest not found');
+			}
+			return manifest;
+		}
+	},
+	'GET markdown': {
+		permission: 'read',
+		contentType: 'text/markdown',
+		handler: (data, {params}) => {
+			const version = findVersion(findRepo(data, params.repo), params.version);
+			const markdown = (version.markdown || {})[params.markdownType];
+			if (!markdown) {
+				throw new HttpError(404, 'Markdown document not found');
+			}
+			return markdown;
+		}
+	},
+	'GET demos': {
+		permission: 'read',
+		handler: (data, {params, query}) => {
+			const version = findVersion(findRepo(data, params.repo), params.version);
+			return (version.demos || []).filter(demo => {
+				return !query.brand || !demo.brands || !demo.brands.length || demo.brands.includes(query.brand);
+			});
+		}
+	},
+	'GET images': {
+		permission: 'read',
+		handler: (data, {params, query}) => {
+			const version = findVersion(findRepo(data, params.repo), params.version);
+			return (version.images || []).map(image => {
+				if (!query.sourceParam) {
+					return image;
+				}
+				const url = new URL(image.url);
+				url.searchParams.set('source', query.sourceParam);
+				return Object.assign({}, image, {
+					url: url.toString()
+				});
+			});
+		}
+	},
+	'GET dependencies': {
+		permission: 'read',
+		handler: (data, {params}) => findVersion(findRepo(data, params.repo), params.version).dependencies || []
+	},
+	'GET bundles': {
+		permission: 'read',
+		handler: (data, {params, query}) => {
+			if (!['css', 'js'].includes(params.language)) {
+				throw new HttpError(400, 'Bundle language must be one of "css" or "js"');
+			}
+			const version = findVersion(findRepo(data, params.repo), params.version);
+			return ((version.bundles || {})[params.language] || []).filter(bundle => {
+				return !query.brand || bundle.brand === query.brand;
+			});
+		}
+	},
+	'GET keys': {
+		permission: 'admin',
+		handler: data => data.keys.map(formatKey)
+	},
+	'POST keys': {
+		permission: 'admin',
+		status: 201,
+		handler: (data, {body}) => {
+			if (!body || typeof body.description !== 'string' || !body.description) {
+				throw new HttpError(400, 'API key description must be a non-empty string');
+			}
+			const key = {
+				id: createId(),
+				secret: createId(),
+				description: body.description,
+				read: (body.read !== false),
+				write: Boolean(body.write),
+				admin: Boolean(body.admin),
+				created: new Date().toISOString(),
+				lastUsed: null
+			};
+			data.keys.push(key);
+			return key;
+		}
+	},
+	'GET key': {
+		permission: 'admin',
+		handler: (data, {params}) => formatKey(findKey(data, params.key))
+	},
+	'DELETE key': {
+		permission: 'admin',
+		handler: (data, {params}) => {
+			data.keys.splice(data.keys.indexOf(findKey(data, params.key)), 1);
+		}
+	},
+	'GET ingestions': {
+		permission: 'read',
+		handler: data => data.queue
+	},
+	'POST ingestions': {
+		permission: 'write',
+		status: 201,
+		handler: (data, {body}) => {
+			if (!body || typeof body.url !== 'string' || typeof body.tag !== 'string') {
+				throw new HttpError(400, 'Ingestion url and tag must be strings');
+			}
+			if (data.queue.find(ingestion => ingestion.url === body.url && ingestion.tag === body.tag)) {
+				throw new HttpError(409, 'An ingestion with this url and tag is already in the queue');
+			}
+			const now = new Date().toISOString();
+			const ingestion = {
+				id: createId(),
+				url: body.url,
+				tag: body.tag,
+				ingestionAttempts: 0,
+				ingestionStartTime: null,
+				created: now,
+				updated: now
+			};
+			data.queue.push(ingestion);
+			return ingestion;
+		}
+	},
+	'GET ingestion': {
+		permission: 'read',
+		handler: (data, {params}) => findIngestion(data, params.ingestion)
+	},
+	'DELETE ingestion': {
+		permission: 'admin',
+		handler: (data, {params}) => {
+			data.queue.splice(data.queue.indexOf(findIngestion(data, params.ingestion)), 1);
+		}
+	}
+};
+
+/**
+ * Create a random ID in the format of a UUID.
+ * @private
+ * @returns {String} The ID.
+ */
+function createId() {
+	return crypto.randomBytes(16).toString('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+}
+
+/**
+ * Split a comma-separated query parameter.
+ * @private
+ * @param {String} [value] - The query parameter.
+ * @returns {Array.<String>} The values in the query parameter.
+ */
+function splitQueryList(value) {
+	return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a repository fixture matches the filters in a query, as in {@link RepoDataClient#listRepos}.
+ * @private
+ * @param {Object} repo - The repository fixture.
+ * @param {Object} query - The request query parameters.
+ * @returns {Boolean} Whether the repository matches.
+ */
+function repoMatchesQuery(repo, query) {
+	const brands = repo.brands || [];
+	const brandFilter = splitQueryList(query.brand);
+	if (brandFilter.includes('all') && !brands.length) {
+		return false;
+	}
+	if (brandFilter.includes('none') && brands.length) {
+		return false;
+	}
+	const namedBrands = brandFilter.filter(brand => brand !== 'all' && brand !== 'none');
+	if (namedBrands.length && !namedBrands.some(brand => brands.includes(brand))) {
+		return false;
+	}
+	const statusFilter = splitQueryList(query.status);
+	if (statusFilter.length && !statusFilter.includes(repo.support && repo.support.status)) {
+		return false;
+	}
+	const typeFilter = splitQueryList(query.type);
+	if (typeFilter.length && !typeFilter.includes(repo.type)) {
+		return false;
+	}
+	const origamiVersionFilter = splitQueryList(query.origamiVersion);
+	if (origamiVersionFilter.length && !origamiVersionFilter.includes(String(repo.origamiVersion))) {
+		return false;
+	}
+	if (query.q) {
+		// The service searches the same fields, and the demos of the latest version
+		const search = String(query.q).toLowerCase();
+		const latest = sortVersions(repo.versions || [])[0] || {};
+		const demoTitles = (latest.demos || []).map(demo => demo.title);
+		const text = [repo.name, repo.description].concat(repo.keywords || [], demoTitles).join(' ').toLowerCase();
+		if (!text.includes(search)) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Sort version fixtures by version number, highest first.
+ * @private
+ * @param {Array.<Object>} versions - The version fixtures.
+ * @returns {Array.<Object>} The sorted versions.
+ */
+function sortVersions(versions) {
+	return versions.slice().sort((first, second) => {
+		const firstValid = semver.valid(first.version);
+		const secondValid = semver.valid(second.version);
+		if (firstValid && secondValid) {
+			return semver.rcompare(firstValid, secondValid);
+		}
+		return (secondValid ? 1 : 0) - (firstValid ? 1 : 0);
+	});
+}
+
+/**
+ * Find a repository fixture by ID or name.
+ * @private
+ * @param {Object} data - The server data.
+ * @param {String} repoId - The repository UUID or name.
+ * @returns {Object} The repository fixture.
+ * @throws {HttpError} Will throw a 404 error if the repository does not exist.
+ */
+function findRepo(data, repoId) {
+	const repo = data.repos.find(fixtureRepo => fixtureRepo.id === repoId || fixtureRepo.name === repoId);
+	if (!repo) {
+		throw new HttpError(404, 'Repository not found');
+	}
+	return repo;
+}
+
+/**
+ * Find a version fixture by ID, number, or tag.
+ * @private
+ * @param {Object} repo - The repository fixture.
+ * @param {String} versionId - The version UUID, number, or tag.
+ * @returns {Object} The version fixture.
+ * @throws {HttpError} Will throw a 404 error if the version does not exist.
+ */
+function findVersion(repo, versionId) {
+	const version = (repo.versions || []).find(fixtureVersion => {
+		return fixtureVersion.id === versionId || fixtureVersion.version === versionId || fixtureVersion.versionTag === versionId;
+	});
+	if (!version) {
+		throw new HttpError(404, 'Version not found');
+	}
+	return version;
+}
+
+/**
+ * Find an API key fixture by ID.
+ * @private
+ * @param {Object} data - The server data.
+ * @param {String} keyId - The key ID.
+ * @returns {Object} The key fixture.
+ * @throws {HttpError} Will throw a 404 error if the key does not exist.
+ */
+function findKey(data, keyId) {
+	const key = data.keys.find(fixtureKey => fixtureKey.id === keyId);
+	if (!key) {
+		throw new HttpError(404, 'API key not found');
+	}
+	return key;
+}
+
+/**
+ * Find an ingestion in the queue by ID.
+ * @private
+ * @param {Object} data - The server data.
+ * @param {String} ingestionId - The ingestion ID.
+ * @returns {Object} The ingestion.
+ * @throws {HttpError} Will throw a 404 error if the ingestion is not in the queue.
+ */
+function findIngestion(data, ingestionId) {
+	const ingestion = data.queue.find(queued => queued.id === ingestionId);
+	if (!ingestion) {
+		throw new HttpError(404, 'Ingestion not found');
+	}
+	return ingestion;
+}
+
+/**
+ * Format a repository fixture as the service would, using the details of its latest version.
+ * @private
+ * @param {Object} repo - The repository fixture.
+ * @returns {Object} The repository.
+ */
+function formatRepo(repo) {
+	const latest = sortVersions(repo.versions || [])[0] || {};
+	return defaults(omit(repo, 'versions'), {
+		version: latest.version,
+		versionTag: latest.versionTag,
+		lastIngested: latest.lastIngested
+	});
+}
+
+/**
+ * Format a version fixture as the service would, with the ID of its repository.
+ * @private
+ * @param {Object} repo - The repository fixture.
+ * @param {Object} version - The version fixture.
+ * @returns {Object} The version.
+ */
+function formatVersion(repo, version) {
+	return Object.assign(omit(version, versionResources), {
+		repo: repo.id
+	});
+}
+
+/**
+ * Format an API key fixture as the service would, without its secret.
+ * @private
+ * @param {Object} key - The key fixture.
+ * @returns {Object} The key.
+ */
+function formatKey(key) {
+	return omit(key, 'secret');
+}
+
+module.exports = {
+	HttpError,
+	routes,
+	createId,
+	formatVersion
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+const defaults = require('lodash/defaults');
+const fs = require('fs');
+const path = require('path');
+const {promisify} = require('util');
+const args = require('./arguments');
+const {mapConcurrently} = require('./concurrency');
+const {matchEndpoint} = require('./endpoints');
+const {NotFoundError, UnmatchedRequestError} = require('./errors');
+const {routes} = require('./routes');
+const versionHelpers = require('./versions');
+
+const mkdir = promisify(fs.mkdir);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * The version of the snapshot format. This is written to every snapshot, and
+ * snapshots in any other format cannot be loaded.
+ * @private
+ */
+const snapshotVersion = 1;
+
+/**
+ * The endpoints which a snapshot can serve, named as in lib/endpoints.js.
+ * @private
+ */
+const snapshotEndpoints = ['repos', 'repo', 'versions', 'version', 'manifest', 'markdown', 'demos', 'images', 'dependencies', 'bundles'];
+
+/**
+ * The default options for exporting a snapshot.
+ * @private
+ */
+const defaultExportOptions = {
+	filters: {},
+	includeManifests: true,
+	includeMarkdown: true,
+	includeBundles: true,
+	latestOnly: false,
+	concurrency: 5
+};
+
+/**
+ * Class representing a snapshot of the Origami catalogue, which serves read-only requests from a file instead of the service.
+ * @private
+ */
+class Snapshot {
+
+	/**
+	 * Create a snapshot. The snapshot file is not read until the first request.
+	 * @param {String} snapshotPath - The path of the snapshot file, as written by {@link RepoDataClient#exportSnapshot}.
+	 * @throws {TypeError} Will throw if the path is invalid.
+	 */
+	constructor(snapshotPath) {
+		if (typeof snapshotPath !== 'string' || !snapshotPath) {
+			throw new TypeError('The snapshot path must be a non-empty string');
+		}
+		this.path = path.resolve(snapshotPath);
+		this.loading = null;
+	}
+
+	/**
+	 * Read the snapshot file. The file is only read once, and later calls resolve with the same data.
+	 * @returns {Promise<Object>} A promise which resolves with the snapshot data.
+	 * @throws {Error} Will throw if the snapshot file cannot be read.
+	 * @throws {TypeError} Will throw if the file is not a snapshot, or was written in a different snapshot format.
+	 */
+	load() {
+		if (!this.loading) {
+			this.loading = readFile(this.path, 'utf8').then(contents => {
+				const data = JSON.parse(contents);
+				if (!data || !Array.isArray(data.repos)) {
+					throw new TypeError(`${this.path} is not a Repo Data snapshot`);
+				}
+				if (data.snapshotVersion !== snapshotVersion) {
+					throw new TypeError(`${this.path} is a version ${data.snapshotVersion} snapshot, expected version ${snapshotVersion}`);
+				}
+				return data;
+			});
+			// Allow a failed load to be retried, e.g. once the snapshot has been written
+			this.loading.catch(() => {
+				this.loading = null;
+			});
+		}
+		return this.loading;
+	}
+
+	/**
+	 * Respond to a request using the snapshot, in the same way as the service would.
+	 * @param {Object} request - The request.
+	 * @param {String} request.method - The HTTP method of the request.
+	 * @param {String} request.endpoint - The service endpoint.
+	 * @param {Object} [request.query] - The request query parameters.
+	 * @returns {Promise<Object>} A promise which resolves with the response <code>status</code>, <code>headers</code>, and <code>data</code>.
+	 * Requests for things which are not in the snapshot get a 404 response, as they would from the service.
+	 * @throws {UnmatchedRequestError} Will throw if the request is not a read-only request for the catalogue.
+	 */
+	async respond({method, endpoint, query}) {
+		method = method.toUpperCase();
+		const match = matchEndpoint(endpoint);
+		if (method !== 'GET' || !match || !snapshotEndpoints.includes(match.name)) {
+			throw new UnmatchedRequestError(`${method} ${endpoint} cannot be served from a snapshot, which only includes repositories and versions`, {
+				method,
+				endpoint,
+				fixturePath: this.path
+			});
+		}
+		const data = await this.load();
+		const route = routes[`GET ${match.name}`];
+		try {
+			const result = route.handler(data, {
+				params: match.params,
+				query: stringifyQuery(query)
+			});
+			// Responses are serialized as they would be over HTTP, so they can't be used to change the snapshot
+			return {
+				status: 200,
+				headers: {},
+				data: JSON.parse(JSON.stringify(result))
+			};
+		} catch (error) {
+			if (typeof error.status !== 'number') {
+				throw error;
+			}
+			return {
+				status: error.status,
+				headers: {},
+				data: {
+					message: error.message,
+					status: error.status
+				}
+			};
+		}
+	}
+
+	/**
+	 * Create a snapshot from the <code>snapshot</code> client option.
+	 * @param {(String|Snapshot)} [snapshot] - The snapshot option as passed into the client. This can be the path
+	 * of a snapshot file, or an existing snapshot.
+	 * @returns {(Snapshot|null)} A snapshot, or <code>null</code> if the client does not use a snapshot.
+	 * @throws {TypeError} Will throw if the snapshot option is invalid.
+	 */
+	static fromOption(snapshot) {
+		if (!snapshot) {
+			return null;
+		}
+		if (snapshot instanceof Snapshot) {
+			return snapshot;
+		}
+		return new Snapshot(snapshot);
+	}
+
+}
+
+/**
+ * Convert query parameters into strings, as they would be received by the service.
+ * @private
+ * @param {Object} [query] - The request query parameters.
+ * @returns {Object} The query parameters, with arrays joined by commas and undefined parameters removed.
+ */
+function stringifyQuery(query = {}) {
+	const stringified = {};
+	for (const [name, value] of Object.entries(query)) {
+		if (value !== undefined && value !== null) {
+			stringified[name] = [].concat(value).join(',');
+		}
+	}
+	return stringified;
+}
+
+/**
+ * Get a resource for a version, treating a resource which does not exist as missing rather than failing.
+ * @private
+ * @param {Function} fetch - An async function which gets the resource.
+ * @returns {Promise} A promise which resolves with the resource, or <code>undefined</code> if it does not exist.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status other than 404.
+ */
+async function fetchOptional(fetch) {
+	try {
+		return await fetch();
+	} catch (error) {
+		if (error instanceof NotFoundError) {
+			return undefined;
+		}
+		throw error;
+	}
+}
+
+/**
+ * Get a keyed set of resources for a version, leaving out any which do not exist.
+ * @private
+ * @param {Array.<String>} types - The resource types to get, e.g. manifest types.
+ * @param {Function} fetch - An async function which gets a resource of the given type.
+ * @returns {Promise<Object>} A promise which resolves with the resources keyed by type.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status other than 404.
+ */
+async function fetchKeyed(types, fetch) {
+	const resources = {};
+	for (const type of types) {
+		const resource = await fetchOptional(() => fetch(type));
+		if (resource !== undefined) {
+			resources[type] = resource;
+		}
+	}
+	return resources;
+}
+
+/**
+ * Get everything which a snapshot includes for a version.
+ * @private
+ * @param {RepoDataClient} client - The client to make requests with.
+ * @param {Object} repo - The repository, as returned by {@link RepoDataClient#listRepos}.
+ * @param {Object} version - The version, as returned by {@link RepoDataClient#listVersions}.
+ * @param {Object} options - Options for exporting the snapshot, as documented in {@link RepoDataClient#exportSnapshot}.
+ * @param {RequestOptions} [requestOptions] - Options for each request.
+ * @returns {Promise<Object>} A promise which resolves with the version and its resources.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status other than 404.
+ */
+async function exportVersion(client, repo, version, options, requestOptions) {
+	const exported = Object.assign({}, version);
+	exported.demos = await fetchOptional(() => client.listDemos(repo.id, version.id, null, requestOptions));
+	exported.dependencies = await fetchOptional(() => client.listDependencies(repo.id, version.id, requestOptions));
+	if (repo.type === 'imageset') {
+		exported.images = await fetchOptional(() => client.listImages(repo.id, version.id, undefined, requestOptions));
+	}
+	if (options.includeManifests) {
+		exported.manifests = await fetchKeyed(args.manifestTypes, type => client.getManifest(repo.id, version.id, type, requestOptions));
+	}
+	if (options.includeMarkdown) {
+		exported.markdown = await fetchKeyed(args.markdownTypes, type => client.getMarkdown(repo.id, version.id, type, requestOptions));
+	}
+	if (options.includeBundles) {
+		exported.bundles = await fetchKeyed(args.bundleLanguages, language => client.listBundles(repo.id, version.id, language, null, requestOptions));
+	}
+	return exported;
+}
+
+/**
+ * Export a snapshot of the Origami catalogue to a file.
+ * @private
+ * @param {RepoDataClient} client - The client to make requests with.
+ * @param {String} snapshotPath - The path to write the snapshot to.
+ * @param {Object} [options] - Options for exporting the snapshot, as documented in {@link RepoDataClient#exportSnapshot}.
+ * @param {RequestOptions} [requestOptions] - Options for each request.
+ * @returns {Promise<Object>} A promise which resolves with a summary of the snapshot.
+ * @throws {TypeError} Will throw if the path or filters are not valid, before any request is made.
+ * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status other than 404.
+ */
+async function exportSnapshot(client, snapshotPath, options, requestOptions) {
+	if (typeof snapshotPath !== 'string' || !snapshotPath) {
+		throw new TypeError('The snapshot path must be a non-empty string');
+	}
+	options = defaults({}, options, defaultExportOptions);
+
+	const repos = await client.listRepos(options.filters, requestOptions);
+	const exportedRepos = await mapConcurrently(repos, options.concurrency, async repo => {
+		const versions = await fetchOptional(() => client.listVersions(repo.id, requestOptions)) || [];
+		const latest = versionHelpers.findLatestVersion(versions);
+		return Object.assign({}, repo, {
+			versions: (options.latestOnly ? [latest].filter(Boolean) : versions)
+		});
+	});
+
+	// Versions are exported in one flat list so that no more than the given number of requests are made at once
+	const versions = [].concat(...exportedRepos.map(repo => repo.versions.map(version => ({repo, version}))));
+	const exportedVersions = await mapConcurrently(versions, options.concurrency, ({repo, version}) => {
+		return exportVersion(client, repo, version, options, requestOptions);
+	});
+	for (const repo of exportedRepos) {
+		repo.versions = exportedVersions.splice(0, repo.versions.length);
+	}
+
+	const snapshot = {
+		snapshotVersion,
+		created: new Date().toISOString(),
+		apiUrl: client.options.apiUrl,
+		filters: options.filters,
+		repos: exportedRepos
+	};
+	const resolvedPath = path.resolve(snapshotPath);
+	await mkdir(path.dirname(resolvedPath), {recursive: true});
+	await writeFile(resolvedPath, `${JSON.stringify(snapshot)}\n`);
+	return {
+		path: resolvedPath,
+		created: snapshot.created,
+		repoCount: exportedRepos.length,
+		versionCount: exportedRepos.reduce((count, repo) => count + repo.versions.length, 0)
+	};
+}
+
+module.exports = {
+	snapshotVersion,
+	snapshotEndpoints,
+	defaultExportOptions,
+	Snapshot,
+	exportSnapshot
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * The API keys which the mock server accepts by default. There is one key for each permission level.
+ * @private
+ */
+const keys = [
+	{
+		id: '5e2f1a3b-7c4d-4e8f-9a0b-1c2d3e4f5a6b',
+		secret: 'mock-read-secret',
+		description: 'Mock read key',
+		read: true,
+		write: false,
+		admin: false
+	},
+	{
+		id: '8d7c6b5a-4f3e-4d2c-8b1a-0f9e8d7c6b5a',
+		secret: 'mock-write-secret',
+		description: 'Mock write key',
+		read: true,
+		write: true,
+		admin: false
+	},
+	{
+		id: '2a4c6e8f-1b3d-4f5a-9c7e-0d2f4a6c8e1b',
+		secret: 'mock-admin-secret',
+		description: 'Mock admin key',
+		read: true,
+		write: true,
+		admin: true
+	}
+];
+
+/**
+ * The repositories which the mock server serves by default. Each version can have
+ * <code>manifests</code>, <code>markdown</code>, <code>demos</code>, <code>images</code>,
+ * <code>dependencies</code>, and <code>bundles</code>, which are served from their own endpoints.
+ * @private
+ */
+const repos = [
+	{
+		id: 'c990cb4b-c82b-5071-afb0-16149debc53d',
+		name: 'o-colors',
+		url: 'https://github.com/Financial-Times/o-colors',
+		type: 'module',
+		subType: null,
+		description: 'Origami colour palette and colour usecases',
+		keywords: ['colours', 'palette'],
+		origamiVersion: '2.0',
+		support: {
+			status: 'active',
+			email: 'origami.support@ft.com',
+			channel: '#origami-support',
+			isOrigami: true
+		},
+		brands: ['master', 'internal', 'whitelabel'],
+		languages: ['scss'],
+		resources: {},
+		versions: [
+			{
+				id: '5bdc5f2c-e8a9-4c7c-a2bc-a1a7c1e2a4b1',
+				version: '6.0.0',
+				versionTag: 'v6.0.0',
+				lastIngested: '2021-01-01T00:00:00.000Z',
+				manifests: {
+					origami: {
+						description: 'Origami colour palette and colour usecases',
+						origamiType: 'module',
+						origamiVersion: '2.0',
+						brands: ['master', 'internal', 'whitelabel'],
+						supportStatus: 'active'
+					},
+					package: {
+						name: '@financial-times/o-colors',
+						version: '6.0.0'
+					}
+				},
+				markdown: {
+					readme: '# o-colors\n\nOrigami colour palette and colour usecases.\n'
+				},
+				demos: [
+					{
+						id: 'palette',
+						name: 'palette',
+						title: 'Palette',
+						description: 'The colour palette',
+						supportingUrls: [],
+						display: {
+							live: 'https://www.ft.com/__origami/service/build/v3/demo?component=o-colors@6.0.0&demo=palette',
+							html: null
+						},
+						brands: []
+					}
+				],
+				dependencies: [],
+				bundles: {
+					css: [
+						{
+							url: 'https://www.ft.com/__origami/service/build/v3/bundles/css?components=o-colors@6.0.0&brand=master',
+							language: 'css',
+							brand: 'master',
+							sizes: {
+								raw: 1024,
+								gzip: 256
+							}
+						}
+					],
+					js: []
+				}
+			},
+			{
+				id: '2f1b3d56-6a1e-4c7f-9b4f-0e5e2b6a0a6e',
+				version: '5.3.0',
+				versionTag: 'v5.3.0',
+				lastIngested: '2020-06-01T00:00:00.000Z',
+				dependencies: []
+			}
+		]
+	},
+	{
+		id: '0b4c7c4d-2a3b-5c9d-8e1f-7a6b5c4d3e2f',
+		name: 'o-buttons',
+		url: 'https://github.com/Financial-Times/o-buttons',
+		type: 'module',
+		subType: null,
+		description: 'Origami buttons',
+		keywords: ['buttons'],
+		origamiVersion: '2.0',
+		support: {
+			status: 'active',
+			email: 'origami.support@ft.com',
+			channel: '#origami-support',
+			isOrigami: true
+		},
+		brands: ['master', 'internal'],
+		languages: ['js', 'scss'],
+		resources: {},
+		versions: [
+			{
+				id: '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d',
+				version: '7.0.0',
+				versionTag: 'v7.0.0',
+				lastIngested: '2021-02-01T00:00:00.000Z',
+				dependencies: [
+					{
+						name: '@financial-times/o-colors',
+						version: '^6.0.0',
+						source: 'npm',
+						isDev: false,
+						isOptional: false
+					}
+				]
+			}
+		]
+	},
+	{
+		id: 'e2d1c0b9-a8f7-5e6d-9c4b-3a2f1e0d9c8b',
+		name: 'o-icons',
+		url: 'https://github.com/Financial-Times/o-icons',
+		type: 'imageset',
+		subType: null,
+		description: 'Origami icon set',
+		keywords: ['icons'],
+		origamiVersion: '1',
+		support: {
+			status: 'maintained',
+			email: 'origami.support@ft.com',
+			channel: '#origami-support',
+			isOrigami: true
+		},
+		brands: [],
+		languages: [],
+		resources: {},
+		versions: [
+			{
+				id: '7c6b5a49-3827-4615-a4b3-c2d1e0f9a8b7',
+				version: '5.0.0',
+				versionTag: 'v5.0.0',
+				lastIngested: '2020-01-01T00:00:00.000Z',
+				images: [
+					{
+						title: 'arrow-down',
+						supportingUrls: [],
+						url: 'https://www.ft.com/__origami/service/image/v2/images/raw/fticon-v1:arrow-down'
+					}
+				],
+				dependencies: []
+			}
+		]
+	}
+];
+
+module.exports = {
+	keys,
+	repos,
+	queue: []
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+const fixtures = require('./fixtures');
+const {MockRepoDataServer} = require('./server');
+
+module.exports = {
+	MockRepoDataServer,
+	fixtures
+};
@@ -0,0 +1,312 @@
+'use strict';
+
+const cloneDeep = require('lodash/cloneDeep');
+const defaults = require('lodash/defaults');
+const http = require('http');
+const pick = require('lodash/pick');
+const querystring = require('querystring');
+const defaultFixtures = require('./fixtures');
+const {matchEndpoint} = require('../endpoints');
+const {getRepoName, getVersionNumber} = require('../ingestion');
+const {HttpError, routes, createId, formatVersion} = require('../routes');
+
+/**
+ * The repository details which the service records for each version, because they can change between versions.
+ * @private
+ */
+const versionDetails = ['name', 'url', 'type', 'subType', 'description', 'keywords', 'origamiVersion', 'support', 'brands', 'languages', 'resources'];
+
+/**
+ * Class representing an in-process stand-in for the Origami Repo Data v1 API, for use in tests.
+ * It serves repositories, versions, keys, and the ingestion queue from fixtures over HTTP,
+ * and enforces the read/write/admin permissions of API keys in the same way as the service.
+ */
+class MockRepoDataServer {
+
+	/**
+	 * Create a mock Repo Data server.
+	 * @param {Object} [options] - The server options.
+	 * @param {Object} [options.fixtures] - The data to serve. Any of <code>repos</code>, <code>keys</code>, and <code>queue</code>
+	 * which are not given default to the built-in fixtures. Each repo has an array of <code>versions</code>, and each version can
+	 * have <code>manifests</code> and <code>markdown</code> objects keyed by type, <code>demos</code>, <code>images</code>, and
+	 * <code>dependencies</code> arrays, and a <code>bundles</code> object keyed by language. Versions are served with a copy
+	 * of the details of their repository, such as its <code>name</code> and <code>support</code>, unless they have their own.
+	 * @param {String} [options.host='127.0.0.1'] - The host to listen on.
+	 * @param {Number} [options.port=0] - The port to listen on. Defaults to a random free port.
+	 *
+	 * @example <caption>Test against the mock server</caption>
+	 * const {MockRepoDataServer} = require('@financial-times/origami-repo-data-client/testing');
+	 * const server = new MockRepoDataServer();
+	 * await server.start();
+	 * const repoData = new RepoDataClient(server.getClientOptions('read'));
+	 * const repos = await repoData.listRepos();
+	 * await server.stop();
+	 */
+	constructor(options = {}) {
+		this.options = defaults({}, options, {
+			host: '127.0.0.1',
+			port: 0
+		});
+		this.requests = [];
+		this.server = http.createServer((request, response) => this.handleRequest(request, response));
+		this.reset();
+	}
+
+	/**
+	 * The base URL of the server, which can be used as the client <code>apiUrl</code> option.
+	 * This is <code>null</code> until the server has been started.
+	 * @type {(String|null)}
+	 */
+	get url() {
+		const address = this.server.address();
+		if (!address || typeof address === 'string') {
+			return null;
+		}
+		return `http://${this.options.host}:${address.port}`;
+	}
+
+	/**
+	 * Start the server.
+	 * @returns {Promise<String>} A promise which resolves with the server URL once it is listening.
+	 */
+	start() {
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(this.options.port, this.options.host, () => {
+				this.server.removeListener('error', reject);
+				resolve(this.url);
+			});
+		});
+	}
+
+	/**
+	 * Stop the server.
+	 * @returns {Promise} A promise which resolves once the server has stopped.
+	 */
+	stop() {
+		return new Promise((resolve, reject) => {
+			if (!this.server.listening) {
+				return resolve();
+			}
+			this.server.close(error => (error ? reject(error) : resolve()));
+			if (this.server.closeIdleConnections) {
+				this.server.closeIdleConnections();
+			}
+		});
+	}
+
+	/**
+	 * Reset the served data to the fixtures and clear the recorded requests.
+	 * @returns {undefined} Nothing.
+	 */
+	reset() {
+		this.data = cloneDeep(defaults({}, this.options.fixtures, defaultFixtures));
+		for (const repo of this.data.repos) {
+			if (Array.isArray(repo.versions)) {
+				repo.versions = repo.versions.map(version => createVersion(repo, version));
+			}
+		}
+		this.requests = [];
+	}
+
+	/**
+	 * Get client options which point at this server and use an API key with the given permission.
+	 * @param {String} [permission='read'] - The permission the API key needs. One of "read", "write", or "admin".
+	 * @returns {Object} The <code>apiUrl</code>, <code>apiKey</code>, and <code>apiSecret</code> client options.
+	 * @throws {Error} Will throw if no API key in the fixtures has the permission.
+	 */
+	getClientOptions(permission = 'read') {
+		const key = this.data.keys.find(fixtureKey => fixtureKey[permission]);
+		if (!key) {
+			throw new Error(`No API key in the fixtures has ${permission} permissions`);
+		}
+		return {
+			apiUrl: this.url,
+			apiKey: key.id,
+			apiSecret: key.secret
+		};
+	}
+
+	/**
+	 * Process an ingestion in the queue, removing it and adding the version it creates.
+	 * This stands in for the service's ingestion worker.
+	 * @param {String} ingestionId - The ID of the ingestion to process.
+	 * @param {Object} [version] - Additional version fixture properties, such as <code>dependencies</code>.
+	 * @returns {Object} The version which was created.
+	 * @throws {Error} Will throw if the ingestion is not in the queue.
+	 */
+	processIngestion(ingestionId, version = {}) {
+		const ingestion = this.data.queue.find(queued => queued.id === ingestionId);
+		if (!ingestion) {
+			throw new Error(`Ingestion ${ingestionId} is not in the queue`);
+		}
+		this.data.queue.splice(this.data.queue.indexOf(ingestion), 1);
+
+		const name = getRepoName(ingestion.url);
+		let repo = this.data.repos.find(fixtureRepo => fixtureRepo.name === name);
+		if (!repo) {
+			repo = {
+				id: createId(),
+				name,
+				url: ingestion.url,
+				versions: []
+			};
+			this.data.repos.push(repo);
+		}
+		const created = createVersion(repo, Object.assign({
+			id: createId(),
+			version: getVersionNumber(ingestion.tag),
+			versionTag: ingestion.tag,
+			lastIngested: new Date().toISOString()
+		}, version));
+		repo.versions.push(created);
+		return formatVersion(repo, created);
+	}
+
+	/**
+	 * Handle an HTTP request to the server.
+	 * @private
+	 * @param {http.IncomingMessage} request - The request.
+	 * @param {http.ServerResponse} response - The response.
+	 * @returns {Promise} A promise which resolves once the response has been sent.
+	 */
+	async handleRequest(request, response) {
+		const requestUrl = new URL(request.url, 'http://localhost');
+		const query = Object.assign({}, querystring.parse(requestUrl.search.slice(1)));
+		const rawBody = await readBody(request).catch(() => '');
+		this.requests.push({
+			method: request.method,
+			path: requestUrl.pathname,
+			query,
+			headers: request.headers,
+			body: rawBody
+		});
+
+		const requestId = createId();
+		try {
+			let match = null;
+			try {
+				match = matchEndpoint(requestUrl.pathname);
+			} catch (error) {
+				throw new HttpError(400, 'The request URL is malformed');
+			}
+			if (!match) {
+				throw new HttpError(404, 'Not Found');
+			}
+			const route = routes[`${request.method} ${match.name}`];
+			if (!route) {
+				throw new HttpError(405, 'Method Not Allowed');
+			}
+			this.authorize(request.headers, route.permission);
+			const body = parseBody(rawBody);
+			const result = route.handler(this.data, {
+				params: match.params,
+				query,
+				body
+			});
+			sendResponse(response, requestId, (result === undefined ? 204 : route.status || 200), result, route.contentType);
+		} catch (error) {
+			const status = (error instanceof HttpError ? error.status : 500);
+			sendResponse(response, requestId, status, {
+				message: error.message,
+				status
+			});
+		}
+	}
+
+	/**
+	 * Check that a request has valid API credentials with the required permission.
+	 * @private
+	 * @param {Object} headers - The request headers.
+	 * @param {String} permission - The permission which the API key needs.
+	 * @returns {undefined} Nothing.
+	 * @throws {HttpError} Will throw a 401 error if the credentials are invalid, or a 403 error if the key does not have permission.
+	 */
+	authorize(headers, permission) {
+		const keyId = headers['x-api-key'];
+		const secret = headers['x-api-secret'];
+		const key = this.data.keys.find(fixtureKey => fixtureKey.id === keyId);
+		if (!keyId || !secret || !key || key.secret !== secret) {
+			throw new HttpError(401, 'Invalid or missing API credentials');
+		}
+		if (!key[permission]) {
+			throw new HttpError(403, `This API key does not have ${permission} permissions`);
+		}
+		key.lastUsed = new Date().toISOString();
+	}
+
+}
+
+/**
+ * Create a version fixture with its own copy of any repository details which it doesn't have, as the service records them.
+ * @private
+ * @param {Object} repo - The repository fixture.
+ * @param {Object} version - The version fixture.
+ * @returns {Object} The version fixture.
+ */
+function createVersion(repo, version) {
+	return Object.assign(cloneDeep(pick(repo, versionDetails)), version);
+}
+
+/**
+ * Read the body of a request.
+ * @private
+ * @param {http.IncomingMessage} request - The request.
+ * @returns {Promise<String>} A promise which resolves with the request body.
+ */
+function readBody(request) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		request.on('data', chunk => chunks.push(chunk));
+		request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		request.on('error', reject);
+	});
+}
+
+/**
+ * Parse a JSON request body.
+ * @private
+ * @param {String} rawBody - The request body.
+ * @returns {*} The parsed body, or <code>undefined</code> if the body is empty.
+ * @throws {HttpError} Will throw a 400 error if the body is not valid JSON.
+ */
+function parseBody(rawBody) {
+	if (!rawBody) {
+		return undefined;
+	}
+	try {
+		return JSON.parse(rawBody);
+	} catch (error) {
+		throw new HttpError(400, 'The request body is not valid JSON');
+	}
+}
+
+/**
+ * Send an HTTP response.
+ * @private
+ * @param {http.ServerResponse} response - The response.
+ * @param {String} requestId - The ID to send in the <code>X-Request-Id</code> header.
+ * @param {Number} status - The HTTP status code.
+ * @param {*} [body] - The response body, which is serialized as JSON unless a content type is given.
+ * @param {String} [contentType='application/json'] - The response content type.
+ * @returns {undefined} Nothing.
+ */
+function sendResponse(response, requestId, status, body, contentType = 'application/json') {
+	if (body === undefined) {
+		response.writeHead(status, {
+			'X-Request-Id': requestId
+		});
+		return response.end();
+	}
+	const payload = (contentType === 'application/json' ? JSON.stringify(body) : String(body));
+	response.writeHead(status, {
+		'Content-Type': `${contentType}; charset=utf-8`,
+		'Content-Length': Buffer.byteLength(payload),
+		'X-Request-Id': requestId
+	});
+	response.end(payload);
+}
+
+module.exports = {
+	MockRepoDataServer
+};
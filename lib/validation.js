@@ -0,0 +1,209 @@
+'use strict';
+
+const Ajv = require('ajv');
+const cloneDeep = require('lodash/cloneDeep');
+const {matchEndpoint} = require('./endpoints');
+const {ResponseValidationError} = require('./errors');
+
+/**
+ * The bundled JSON Schemas for service responses, keyed by name.
+ * @private
+ */
+const schemas = {
+	bundle: require('./schemas/bundle.json'),
+	demo: require('./schemas/demo.json'),
+	dependency: require('./schemas/dependency.json'),
+	image: require('./schemas/image.json'),
+	ingestion: require('./schemas/ingestion.json'),
+	key: require('./schemas/key.json'),
+	repo: require('./schemas/repo.json'),
+	version: require('./schemas/version.json')
+};
+
+/**
+ * The schema used to validate responses from each endpoint, keyed by endpoint name.
+ * Endpoints which respond with a list of items have <code>list</code> set to <code>true</code>.
+ * @private
+ */
+const endpointSchemas = {
+	repos: {schema: 'repo', list: true},
+	repo: {schema: 'repo'},
+	versions: {schema: 'version', list: true},
+	version: {schema: 'version'},
+	demos: {schema: 'demo', list: true},
+	images: {schema: 'image', list: true},
+	dependencies: {schema: 'dependency', list: true},
+	bundles: {schema: 'bundle', list: true},
+	keys: {schema: 'key', list: true},
+	key: {schema: 'key'},
+	ingestions: {schema: 'ingestion', list: true},
+	ingestion: {schema: 'ingestion'}
+};
+
+/**
+ * The JSON Schema validator, which has every bundled schema added to it.
+ * @private
+ */
+const ajv = new Ajv({
+	allErrors: true,
+	allowUnionTypes: true,
+	schemas: Object.values(schemas)
+});
+ajv.addFormat('date-time', value => !isNaN(Date.parse(value)));
+
+/**
+ * The compiled validation functions for list endpoints, keyed by schema name.
+ * @private
+ */
+const listValidators = new Map();
+
+/**
+ * Class representing a validator which checks service responses against the bundled JSON Schemas.
+ * @private
+ */
+class ResponseValidator {
+
+	/**
+	 * Create a response validator.
+	 * @param {Object} [options] - The validator options.
+	 * @param {Boolean} [options.normalize=false] - Whether to default missing arrays to empty arrays before
+	 * validating, and convert date strings into <code>Date</code> objects after validating.
+	 */
+	constructor({normalize = false} = {}) {
+		this.normalize = Boolean(normalize);
+	}
+
+	/**
+	 * Validate the response data from an endpoint. Only responses from GET endpoints which have a bundled
+	 * schema are validated, so manifests, markdown, and the responses to POST and DELETE requests are returned unchanged.
+	 * @param {String} method - The HTTP method of the request.
+	 * @param {String} endpoint - The service endpoint which was requested.
+	 * @param {*} data - The response data.
+	 * @returns {*} The response data. If the validator normalizes responses then this is a normalized copy.
+	 * @throws {ResponseValidationError} Will throw if the response data does not match the schema.
+	 */
+	validate(method, endpoint, data) {
+		const match = (method.toUpperCase() === 'GET' ? matchEndpoint(endpoint) : null);
+		const endpointSchema = (match ? endpointSchemas[match.name] : null);
+		if (!endpointSchema) {
+			return data;
+		}
+		const schema = schemas[endpointSchema.schema];
+		const fullSchema = (endpointSchema.list ? {type: 'array', items: schema} : schema);
+
+		if (this.normalize) {
+			data = cloneDeep(data);
+			walk(data, fullSchema, defaultMissingArrays);
+		}
+		const validate = getValidator(endpointSchema);
+		if (!validate(data)) {
+			const validationErrors = validate.errors.map(error => ({
+				path: error.instancePath || '/',
+				message: error.message
+			}));
+			const summary = validationErrors.map(({path, message}) => `${path} ${message}`).join('; ');
+			throw new ResponseValidationError(`The response from ${method.toUpperCase()} ${endpoint} does not match the ${endpointSchema.schema} schema: ${summary}`, {
+				method: method.toUpperCase(),
+				endpoint,
+				body: data,
+				validationErrors
+			});
+		}
+
+		if (this.normalize) {
+			walk(data, fullSchema, convertDates);
+		}
+		return data;
+	}
+
+	/**
+	 * Create a validator from the <code>validate</code> client option.
+	 * @param {(Boolean|Object)} [validate] - The validate option as passed into the client.
+	 * This can be <code>true</code>, or an object with a <code>normalize</code> property.
+	 * @returns {(ResponseValidator|null)} A validator, or <code>null</code> if validation is disabled.
+	 */
+	static fromOption(validate) {
+		if (!validate) {
+			return null;
+		}
+		return new ResponseValidator(validate === true ? {} : validate);
+	}
+
+}
+
+/**
+ * Get the validation function for an endpoint schema.
+ * @private
+ * @param {Object} endpointSchema - The endpoint schema, as found in <code>endpointSchemas</code>.
+ * @returns {Function} The validation function.
+ */
+function getValidator({schema, list}) {
+	const {$id} = schemas[schema];
+	if (!list) {
+		return ajv.getSchema($id);
+	}
+	if (!listValidators.has(schema)) {
+		listValidators.set(schema, ajv.compile({
+			type: 'array',
+			items: {$ref: $id}
+		}));
+	}
+	return listValidators.get(schema);
+}
+
+/**
+ * Walk a value alongside its schema, calling a visitor for every object.
+ * @private
+ * @param {*} value - The value to walk.
+ * @param {Object} schema - The schema which describes the value.
+ * @param {Function} visitor - A function which is called with each object and its schema, before its properties are walked.
+ * @returns {undefined} Nothing.
+ */
+function walk(value, schema, visitor) {
+	if (Array.isArray(value) && schema.items) {
+		for (const item of value) {
+			walk(item, schema.items, visitor);
+		}
+	} else if (value && typeof value === 'object' && schema.properties) {
+		visitor(value, schema);
+		for (const [name, propertySchema] of Object.entries(schema.properties)) {
+			walk(value[name], propertySchema, visitor);
+		}
+	}
+}
+
+/**
+ * Default the missing or <code>null</code> array properties of an object to empty arrays.
+ * @private
+ * @param {Object} object - The object to normalize.
+ * @param {Object} schema - The schema which describes the object.
+ * @returns {undefined} Nothing.
+ */
+function defaultMissingArrays(object, schema) {
+	for (const [name, propertySchema] of Object.entries(schema.properties)) {
+		if (propertySchema.type === 'array' && (object[name] === undefined || object[name] === null)) {
+			object[name] = [];
+		}
+	}
+}
+
+/**
+ * Convert the date properties of an object into <code>Date</code> objects.
+ * @private
+ * @param {Object} object - The object to normalize.
+ * @param {Object} schema - The schema which describes the object.
+ * @returns {undefined} Nothing.
+ */
+function convertDates(object, schema) {
+	for (const [name, propertySchema] of Object.entries(schema.properties)) {
+		if (propertySchema.format === 'date-time' && typeof object[name] === 'string') {
+			object[name] = new Date(object[name]);
+		}
+	}
+}
+
+module.exports = {
+	schemas,
+	endpointSchemas,
+	ResponseValidator
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+const semver = require('semver');
+
+/**
+ * Version tags which can be used in place of a semver range.
+ * @private
+ */
+const tags = {
+	latest: '*'
+};
+
+/**
+ * Get the semver range which a range or tag represents.
+ * @private
+ * @param {String} range - A semver range (as understood by npm or Bower), an exact version, or a tag such as <code>'latest'</code>.
+ * @returns {String} A valid semver range.
+ * @throws {TypeError} Will throw if the range is not valid.
+ */
+function normalizeRange(range) {
+	if (typeof range === 'string' && Object.prototype.hasOwnProperty.call(tags, range.trim())) {
+		return tags[range.trim()];
+	}
+	const validRange = (typeof range === 'string' ? semver.validRange(range, {loose: true}) : null);
+	if (validRange === null) {
+		throw new TypeError(`"${range}" is not a valid semver range or version tag`);
+	}
+	return validRange;
+}
+
+/**
+ * Sort versions by their version number, highest first. Versions which do not have a valid version number are removed.
+ * @private
+ * @param {Array.<Object>} versions - The versions as returned by {@link RepoDataClient#listVersions}.
+ * @returns {Array.<Object>} The sorted versions.
+ */
+function sortVersions(versions) {
+	return versions
+		.filter(version => semver.valid(version.version, {loose: true}))
+		.sort((first, second) => semver.rcompare(first.version, second.version, {loose: true}));
+}
+
+/**
+ * Filter versions to those which satisfy a semver range.
+ * @private
+ * @param {Array.<Object>} versions - The versions as returned by {@link RepoDataClient#listVersions}.
+ * @param {String} range - A semver range, an exact version, or a tag such as <code>'latest'</code>.
+ * @param {Object} [options] - Filter options.
+ * @param {Boolean} [options.includePrerelease=false] - Whether prerelease versions can satisfy the range.
+ * @returns {Array.<Object>} The matching versions, sorted highest first.
+ * @throws {TypeError} Will throw if the range is not valid.
+ */
+function filterVersionsInRange(versions, range, options = {}) {
+	const validRange = normalizeRange(range);
+	const includePrerelease = Boolean(options.includePrerelease);
+	return sortVersions(versions).filter(version => {
+		return semver.satisfies(version.version, validRange, {
+			includePrerelease,
+			loose: true
+		});
+	});
+}
+
+/**
+ * Get the latest version, preferring stable versions over prereleases.
+ * @private
+ * @param {Array.<Object>} versions - The versions as returned by {@link RepoDataClient#listVersions}.
+ * @returns {(Object|null)} The latest version, or <code>null</code> if there are no versions.
+ */
+function findLatestVersion(versions) {
+	const sortedVersions = sortVersions(versions);
+	const stableVersion = sortedVersions.find(version => !semver.prerelease(version.version, {loose: true}));
+	return stableVersion || sortedVersions[0] || null;
+}
+
+/**
+ * Find the highest version which satisfies a semver range or tag.
+ * @private
+ * @param {Array.<Object>} versions - The versions as returned by {@link RepoDataClient#listVersions}.
+ * @param {String} range - A semver range, an exact version, or a tag such as <code>'latest'</code>.
+ * @param {Object} [options] - Resolution options.
+ * @param {Boolean} [options.includePrerelease=false] - Whether prerelease versions can satisfy the range.
+ * @returns {(Object|null)} The matching version, or <code>null</code> if no version satisfies the range.
+ * @throws {TypeError} Will throw if the range is not valid.
+ */
+function findVersion(versions, range, options = {}) {
+	if (range === 'latest' && !options.includePrerelease) {
+		return findLatestVersion(versions);
+	}
+	return filterVersionsInRange(versions, range, options)[0] || null;
+}
+
+module.exports = {
+	tags,
+	normalizeRange,
+	sortVersions,
+	filterVersionsInRange,
+	findLatestVersion,
+	findVersion
+};
@@ -0,0 +1,351 @@
+'use strict';
+
+const defaults = require('lodash/defaults');
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const {EventEmitter} = require('events');
+const {promisify} = require('util');
+const args = require('./arguments');
+const {compareCatalogues} = require('./diff');
+
+const mkdir = promisify(fs.mkdir);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * The default options for watching the service.
+ * @private
+ */
+const defaultWatchOptions = {
+	filters: {},
+	interval: 60 * 1000,
+	ingestions: true,
+	state: null
+};
+
+/**
+ * The events which a watcher emits for changes, in the order they are emitted for each check.
+ * @private
+ */
+const watchEvents = ['repo:added', 'repo:statusChanged', 'version:released', 'ingestion:queued', 'ingestion:completed'];
+
+/**
+ * The key which the last-seen state is stored under when the <code>state</code> option is a store.
+ * @private
+ */
+const stateKey = 'origami-repo-data-watch';
+
+/**
+ * Class representing a watcher which polls the service for changes to repositories and the ingestion queue.
+ * @private
+ */
+class Watcher extends EventEmitter {
+
+	/**
+	 * Create a watcher. The watcher does not check for changes until it is started.
+	 * @param {RepoDataClient} client - The client to make requests with.
+	 * @param {Object} [options] - Options for watching, as documented in {@link RepoDataClient#watch}.
+	 * @param {RequestOptions} [requestOptions] - Options for each request.
+	 * @throws {TypeError} Will throw if the options are not valid.
+	 */
+	constructor(client, options, requestOptions) {
+		super();
+		this.options = defaults({}, options, defaultWatchOptions);
+		if (typeof this.options.interval !== 'number' || !(this.options.interval > 0)) {
+			throw new TypeError('The watch interval must be a positive number of milliseconds');
+		}
+		args.assertRepoFilters(this.options.filters || {});
+		this.client = client;
+		this.requestOptions = requestOptions;
+		this.store = createStateStore(this.options.state);
+		this.state = null;
+		this.running = false;
+		this.timer = null;
+	}
+
+	/**
+	 * Start checking for changes. The first check is made straight away, and then once per interval.
+	 * @returns {Watcher} The watcher, so that calls can be chained.
+	 */
+	start() {
+		if (!this.running) {
+			this.running = true;
+			this.schedule(0);
+		}
+		return this;
+	}
+
+	/**
+	 * Stop checking for changes. A check which is already in progress still emits its events.
+	 * @returns {Watcher} The watcher, so that calls can be chained.
+	 */
+	stop() {
+		if (this.running) {
+			this.running = false;
+			clearTimeout(this.timer);
+			this.timer = null;
+			this.emit('stop');
+		}
+		return this;
+	}
+
+	/**
+	 * Schedule the next check.
+	 * @param {Number} delay - The number of milliseconds to wait before checking.
+	 * @returns {undefined} Nothing.
+	 */
+	schedule(delay) {
+		this.timer = setTimeout(async () => {
+			this.timer = null;
+			try {
+				await this.check();
+			} catch (error) {
+				// A failed check is reported but does not stop the watcher, so it recovers from transient errors.
+				// An error event without a listener would throw, so the error is ignored if nothing is listening
+				if (this.listenerCount('error') > 0) {
+					this.emit('error', error);
+				}
+			}
+			// The watcher may have been stopped and restarted during the check, in which case it is already scheduled
+			if (this.running && !this.timer) {
+				this.schedule(this.options.interval);
+			}
+		}, delay);
+	}
+
+	/**
+	 * Check for changes once, emitting an event for each change since the last check and saving the new state.
+	 * If there is no previous state then nothing is emitted, and the current state is used as the starting point.
+	 * @returns {Promise<Array>} A promise which resolves with the events which were emitted.
+	 * @throws {RepoDataError} Will throw if a network error occurs, or if the API responds with a 40x/50x status.
+	 */
+	async check() {
+		if (!this.state) {
+			this.state = (this.store ? await this.store.get() : null) || null;
+		}
+		const repos = await this.client.listRepos(this.options.filters, this.requestOptions);
+		const ingestions = (this.options.ingestions ? await this.client.listIngestions(this.requestOptions) : []);
+		const state = {
+			checked: new Date().toISOString(),
+			repos: repos.map(summarizeRepo),
+			ingestions: ingestions.map(summarizeIngestion)
+		};
+		const events = (this.state ? getEvents(this.state, state, repos, ingestions) : []);
+		this.state = state;
+		if (this.store) {
+			await this.store.set(state);
+		}
+		for (const event of events) {
+			this.emit(event.type, event);
+		}
+		return events;
+	}
+
+	/**
+	 * Iterate over change events. The watcher is started if it is not already running,
+	 * and it is stopped when the loop ends.
+	 * @returns {AsyncIterableIterator<Object>} An async iterator which yields each event, with its <code>type</code>.
+	 * @throws {RepoDataError} Will throw if a check fails.
+	 */
+	async *[Symbol.asyncIterator]() {
+		const buffer = [];
+		let failure = null;
+		let wake = null;
+		const notify = () => {
+			if (wake) {
+				wake();
+				wake = null;
+			}
+		};
+		const waitForNotification = () => new Promise(resolve => {
+			wake = resolve;
+		});
+		const listeners = watchEvents.map(type => [type, event => {
+			buffer.push(event);
+			notify();
+		}]);
+		listeners.push(['error', error => {
+			failure = error;
+			notify();
+		}]);
+		listeners.push(['stop', notify]);
+		for (const [type, listener] of listeners) {
+			this.on(type, listener);
+		}
+		try {
+			this.start();
+			for (;;) {
+				if (buffer.length) {
+					yield buffer.shift();
+				} else if (failure) {
+					throw failure;
+				} else if (!this.running) {
+					return;
+				} else {
+					await waitForNotification();
+				}
+			}
+		} finally {
+			for (const [type, listener] of listeners) {
+				this.removeListener(type, listener);
+			}
+			this.stop();
+		}
+	}
+
+}
+
+/**
+ * Create a store for the last-seen state from the <code>state</code> watch option.
+ * @private
+ * @param {(String|Object|null)} state - The path of a JSON file, or a store with async <code>get(key)</code> and <code>set(key, value)</code> methods.
+ * @returns {(Object|null)} A store with async <code>get()</code> and <code>set(state)</code> methods, or <code>null</code> if state is not persisted.
+ * @throws {TypeError} Will throw if the option is not valid.
+ */
+function createStateStore(state) {
+	if (!state) {
+		return null;
+	}
+	if (typeof state === 'string') {
+		const statePath = path.resolve(state);
+		return {
+			path: statePath,
+			async get() {
+				try {
+					return JSON.parse(await readFile(statePath, 'utf8'));
+				} catch (error) {
+					if (error.code === 'ENOENT') {
+						return null;
+					}
+					throw error;
+				}
+			},
+			async set(value) {
+				await mkdir(path.dirname(statePath), {recursive: true});
+				await writeFile(statePath, `${JSON.stringify(value)}\n`);
+			}
+		};
+	}
+	if (typeof state.get !== 'function' || typeof state.set !== 'function') {
+		throw new TypeError('The watch state must be a file path, or a store with "get" and "set" methods');
+	}
+	return {
+		get: () => state.get(stateKey),
+		set: value => state.set(stateKey, value)
+	};
+}
+
+/**
+ * Summarize a repository for the last-seen state, keeping only what is needed to find changes.
+ * @private
+ * @param {Object} repo - The repository, as returned by {@link RepoDataClient#listRepos}.
+ * @returns {Object} The repository summary.
+ */
+function summarizeRepo(repo) {
+	return {
+		id: repo.id,
+		name: repo.name,
+		type: repo.type,
+		version: repo.version,
+		support: {
+			status: (repo.support && repo.support.status) || null
+		},
+		brands: repo.brands || []
+	};
+}
+
+/**
+ * Summarize an ingestion for the last-seen state.
+ * @private
+ * @param {Object} ingestion - The ingestion, as returned by {@link RepoDataClient#listIngestions}.
+ * @returns {Object} The ingestion <code>id</code>, <code>url</code>, and <code>tag</code>.
+ */
+function summarizeIngestion(ingestion) {
+	return {
+		id: ingestion.id,
+		url: ingestion.url,
+		tag: ingestion.tag
+	};
+}
+
+/**
+ * Get the change events between two states.
+ * @private
+ * @param {Object} previous - The last-seen state.
+ * @param {Object} current - The current state.
+ * @param {Array.<Object>} repos - The current repositories, which are included in events in full.
+ * @param {Array.<Object>} ingestions - The current ingestion queue, which is included in events in full.
+ * @returns {Array.<Object>} The events, each with a <code>type</code>.
+ */
+function getEvents(previous, current, repos, ingestions) {
+	// State from an older version, or which has been edited by hand, may be missing either list
+	previous = Object.assign({}, previous, {
+		repos: previous.repos || [],
+		ingestions: previous.ingestions || []
+	});
+	const diff = compareCatalogues(previous, current);
+	const previousRepos = new Map(previous.repos.map(repo => [repo.id || repo.name, repo]));
+	const currentRepos = new Map(repos.map(repo => [repo.id || repo.name, repo]));
+	const events = [];
+
+	for (const added of diff.addedRepos) {
+		events.push({type: 'repo:added', repo: currentRepos.get(added.id || added.name)});
+	}
+	for (const change of diff.statusChanges) {
+		events.push({
+			type: 'repo:statusChanged',
+			repo: currentRepos.get(change.id || change.name),
+			from: change.from,
+			to: change.to
+		});
+	}
+	for (const [key, repo] of currentRepos) {
+		const previousRepo = previousRepos.get(key);
+		if (previousRepo && isNewerVersion(repo.version, previousRepo.version)) {
+			events.push({
+				type: 'version:released',
+				repo,
+				version: repo.version,
+				previousVersion: previousRepo.version || null
+			});
+		}
+	}
+
+	const previousIngestionIds = new Set(previous.ingestions.map(ingestion => ingestion.id));
+	const currentIngestionIds = new Set(ingestions.map(ingestion => ingestion.id));
+	for (const ingestion of ingestions) {
+		if (!previousIngestionIds.has(ingestion.id)) {
+			events.push({type: 'ingestion:queued', ingestion});
+		}
+	}
+	for (const ingestion of previous.ingestions) {
+		if (!currentIngestionIds.has(ingestion.id)) {
+			events.push({type: 'ingestion:completed', ingestion});
+		}
+	}
+	return events;
+}
+
+/**
+ * Check whether a repository's latest version is newer than it was.
+ * @private
+ * @param {String} version - The current version number.
+ * @param {String} [previousVersion] - The last-seen version number.
+ * @returns {Boolean} Whether the version is newer. A repository which had no version before is newer if it has one now.
+ */
+function isNewerVersion(version, previousVersion) {
+	if (!semver.valid(version, {loose: true})) {
+		return false;
+	}
+	if (!semver.valid(previousVersion, {loose: true})) {
+		return true;
+	}
+	return semver.gt(version, previousVersion, {loose: true});
+}
+
+module.exports = {
+	defaultWatchOptions,
+	watchEvents,
+	Watcher
+};
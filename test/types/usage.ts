@@ -0,0 +1,247 @@
+// This file is compiled by test/unit/types.test.js to check that the type
+// definitions in lib/client.d.ts and testing.d.ts describe the client correctly.
+import RepoDataClient = require('../../lib/client');
+import testing = require('../../testing');
+
+declare const abortSignal: RepoDataClient.AbortSignalLike;
+
+async function usage(): Promise<void> {
+	const repoData = new RepoDataClient({
+		apiKey: 'xxxXxXxX-XXXX-XXXX-xXXx-xxxXXXxXXXXX',
+		apiSecret: 'xxXXXxxXXXXXXXXXxxxxxxxXXXxXxXXXXXXxxXXx',
+		retry: {
+			maxAttempts: 5
+		},
+		cache: {
+			store: new RepoDataClient.MemoryCache({maxEntries: 100}),
+			ttl: {
+				repos: 60000
+			}
+		},
+		timeout: 10000,
+		validate: {
+			normalize: true
+		}
+	});
+
+	const rotatingClient = new RepoDataClient({
+		auth: new RepoDataClient.ProviderAuth(async () => ({apiKey: 'mock-key', apiSecret: 'mock-secret'}), {maxAge: 60000})
+	});
+	const staticClient = new RepoDataClient({auth: new RepoDataClient.StaticAuth({apiKey: 'mock-key', apiSecret: 'mock-secret'})});
+	const publicClient = new RepoDataClient({auth: false});
+	const customClient = new RepoDataClient({
+		auth: {
+			getHeaders: async request => ({Authorization: `Bearer ${request.endpoint}`})
+		}
+	});
+
+	const repos: RepoDataClient.Repo[] = await repoData.listRepos({
+		brand: ['master', 'internal'],
+		status: 'active',
+		type: 'module',
+		origamiVersion: '2.0'
+	});
+	const recentlyReleased: RepoDataClient.Repo[] = await repoData.listRepos({
+		keyword: ['colours', 'palette'],
+		supportContact: '#origami-support',
+		lastIngested: {
+			after: new Date(2021, 0, 1),
+			before: '2022-01-01'
+		},
+		sort: 'lastIngested',
+		order: 'desc'
+	});
+	const newlyDeprecated: RepoDataClient.Repo[] = await repoData.listRepos({
+		status: 'deprecated',
+		statusChangedSince: repos
+	});
+	const supportStatus: RepoDataClient.SupportStatus | null = repos[0].support.status;
+
+	const query: RepoDataClient.RepoQuery = repoData.query()
+		.brand('master')
+		.status(['active', 'maintained'])
+		.type('module')
+		.search('color')
+		.origamiVersion('2.0')
+		.or(repoData.query().supportContact('#origami-support'))
+		.exclude({status: 'dead'})
+		.sortBy('name');
+	const queriedRepos: RepoDataClient.Repo[] = await query.run({timeout: 1000});
+	const savedQuery: RepoDataClient.SavedRepoQuery = JSON.parse(JSON.stringify(query));
+	const loadedRepos: RepoDataClient.Repo[] = await repoData.query(savedQuery).run();
+
+	for await (const repo of repoData.iterateRepos({brand: null})) {
+		const name: string = repo.name;
+	}
+
+	const version: RepoDataClient.Version = await repoData.getVersion('o-colors', '6.0.0');
+	const resolvedVersion: RepoDataClient.Version | null = await repoData.resolveVersion('o-buttons', '^5.0.0', {includePrerelease: true});
+	const latestVersion: RepoDataClient.Version | null = await repoData.getLatestVersion('o-buttons');
+	const versionsInRange: RepoDataClient.Version[] = await repoData.listVersionsInRange('o-buttons', '5.x');
+	const origamiManifest: RepoDataClient.OrigamiManifest = await repoData.getManifest(version.repo, version.id, 'origami');
+	const packageManifest = await repoData.getManifest('o-colors', '6.0.0', 'package');
+	const packageName: string | undefined = packageManifest.name;
+	const readme: string = await repoData.getMarkdown('o-colors', '6.0.0', 'readme');
+	const demos: RepoDataClient.Demo[] = await repoData.listDemos('o-colors', '6.0.0', 'internal');
+	const images: RepoDataClient.Image[] = await repoData.listImages('o-icons', '6.0.0', {sourceParam: 'mock'});
+	const dependencies: RepoDataClient.Dependency[] = await repoData.listDependencies('o-colors', '6.0.0');
+	const tree: RepoDataClient.DependencyTree = await repoData.resolveDependencyTree('o-buttons', '6.0.0', {includeDev: true, maxDepth: 2});
+	const conflictResolution: string | null = tree.conflicts[0].resolution;
+	const rootDependencies: RepoDataClient.DependencyEdge[] = tree.nodes[tree.root].dependencies;
+	const dependents: RepoDataClient.Dependent[] = await repoData.listDependents('o-colors', {range: '6.0.0', status: ['active', 'maintained'], latestOnly: false});
+	const accepts: boolean | null = dependents[0].accepts;
+	const bundles: RepoDataClient.Bundle[] = await repoData.listBundles('o-colors', '6.0.0', 'css', 'master');
+	const summary: RepoDataClient.SnapshotSummary = await repoData.exportSnapshot('./catalogue.json', {
+		filters: {status: ['active', 'maintained']},
+		includeBundles: false,
+		latestOnly: true
+	}, {timeout: 1000});
+	const offline: RepoDataClient = RepoDataClient.fromSnapshot(summary.path, {validate: true});
+	const offlineRepo: RepoDataClient.Repo = await offline.getRepo('o-colors');
+	const catalogueDiff: RepoDataClient.CatalogueDiff = await RepoDataClient.diffCatalogue(summary.path, await repoData.listRepos());
+	const newMajors: number[] = catalogueDiff.majorVersions[0].majors;
+	const report: string = RepoDataClient.renderCatalogueDiff(catalogueDiff, 'markdown');
+	const watcher: RepoDataClient.Watcher = repoData.watch({filters: {type: 'module'}, interval: 30000, state: './watch-state.json'});
+	watcher.on('version:released', event => {
+		const releasedVersion: string = event.version;
+		const previousVersion: string | null = event.previousVersion;
+	});
+	watcher.on('error', (error: Error) => watcher.stop());
+	for await (const event of watcher) {
+		const eventType: string = event.type;
+		break;
+	}
+	const repoResults = await repoData.getRepos(['o-colors', 'o-buttons'], {concurrency: 10});
+	const batchedRepos: RepoDataClient.Repo[] = repoResults
+		.filter((result): result is {status: 'fulfilled'; value: RepoDataClient.Repo} => result.status === 'fulfilled')
+		.map(result => result.value);
+	const versionResults: RepoDataClient.BatchResult<RepoDataClient.Version>[] = await repoData.getVersions([{repoId: 'o-colors', versionId: '6.0.0'}]);
+	const batchResults = await repoData.batch<RepoDataClient.Version>([{method: 'getLatestVersion', args: ['o-colors']}], {concurrency: 2});
+	const batchedVersion: RepoDataClient.Version | undefined = (batchResults[0].status === 'fulfilled' ? batchResults[0].value : undefined);
+	const gzipSize: number = bundles[0].sizes.gzip;
+
+	const credentials: RepoDataClient.KeyCredentials = await repoData.createKey({
+		description: 'A read key',
+		read: true
+	});
+	const secret: string = credentials.secret;
+	const keys: RepoDataClient.Key[] = await repoData.listKeys();
+	const rotation: RepoDataClient.KeyRotation = await repoData.rotateKey(keys[0].id, {
+		permissions: {write: false},
+		onReplace: async newCredentials => newCredentials.secret,
+		deleteOld: true,
+		gracePeriod: 60000
+	});
+	const rotatedSecret: string = rotation.credentials.secret;
+	await rotation.deletion;
+	const audit: RepoDataClient.KeyAudit = await repoData.auditKeys({unusedSince: 90 * 24 * 60 * 60 * 1000, permission: ['write', 'admin']});
+	const auditReasons: Array<'olderThan' | 'unusedSince'> = audit.keys[0].reasons;
+
+	const ingestion: RepoDataClient.Ingestion = await repoData.createIngestion({
+		url: 'https://github.com/Financial-Times/o-colors',
+		tag: 'v6.0.0'
+	});
+	const ingestedVersion: RepoDataClient.Version = await repoData.createIngestion({
+		url: 'https://github.com/Financial-Times/o-colors',
+		tag: 'v6.0.0'
+	}, {
+		wait: true,
+		waitTimeout: 60000
+	});
+	await repoData.waitForIngestion(ingestion.id, {interval: 1000});
+	await repoData.invalidateCache('o-colors');
+
+	try {
+		await repoData.getRepo('o-not-a-component');
+	} catch (error) {
+		if (error instanceof RepoDataClient.NotFoundError) {
+			const status: number | undefined = error.status;
+			const requestId: string | undefined = error.requestId;
+		}
+		if (error instanceof RepoDataClient.IngestionFailedError) {
+			const failedIngestion: RepoDataClient.Ingestion | undefined = error.ingestion;
+		}
+		if (error instanceof RepoDataClient.TimeoutError || error instanceof RepoDataClient.AbortError) {
+			const endpoint: string | undefined = error.endpoint;
+		}
+		if (error instanceof RepoDataClient.UnmatchedRequestError) {
+			const fixturePath: string | undefined = error.fixturePath;
+		}
+		if (error instanceof RepoDataClient.ResponseValidationError) {
+			const validationPaths: string[] = error.validationErrors.map(problem => problem.path);
+		}
+		if (error instanceof RepoDataClient.KeyRotationError) {
+			const replacementDeleted: boolean = error.replacementDeleted;
+		}
+	}
+
+	const slowRepo: RepoDataClient.Repo = await repoData.getRepo('o-colors', {timeout: 5000, signal: abortSignal});
+	const slowReadme: string = await repoData.getReadme('o-colors', '6.0.0', {timeout: 5000});
+	const abortableDemos: RepoDataClient.Demo[] = await repoData.listDemos('o-colors', '6.0.0', null, {signal: abortSignal});
+	for await (const key of repoData.iterateKeys({signal: abortSignal})) {
+		const keyId: string = key.id;
+	}
+
+	repoData
+		.use(async (request, next) => {
+			request.headers['X-Request-Id'] = 'mock-request-id';
+			if (request.endpoint === '/v1/repos/o-stub') {
+				return {status: 200, data: {name: 'o-stub'}};
+			}
+			return next();
+		})
+		.onRequest(request => {
+			const endpoint: string = request.endpoint;
+		})
+		.onResponse((request, response, duration) => {
+			const status: number | undefined = response.status;
+		})
+		.onError((request, error, duration) => {
+			const status: number | undefined = error.status;
+		});
+
+	repoData.on('request:success', event => {
+		const template: string | null = event.template;
+		const duration: number = event.duration;
+	});
+	repoData.on('cache:hit', event => {
+		const revalidated: boolean = event.revalidated;
+	});
+	const metrics = new RepoDataClient.PrometheusMetrics({prefix: 'repo_data', buckets: [0.1, 1]});
+	const stopObserving: () => void = metrics.observe(repoData);
+	const metricsOutput: string = metrics.render();
+	const metricsContentType: string = RepoDataClient.PrometheusMetrics.contentType;
+
+	const replayingClient = new RepoDataClient({
+		recorder: {
+			mode: 'replay',
+			directory: 'test/fixtures'
+		}
+	});
+
+	// @ts-expect-error manifest types are a literal union
+	await repoData.getManifest('o-colors', '6.0.0', 'composer');
+
+	// @ts-expect-error markdown types are a literal union
+	await repoData.getMarkdown('o-colors', '6.0.0', 'changelog');
+
+	// @ts-expect-error repo statuses are a literal union
+	await repoData.listRepos({status: 'retired'});
+
+	// @ts-expect-error bundle languages are a literal union
+	await repoData.listBundles('o-colors', '6.0.0', 'scss');
+
+	const server = new testing.MockRepoDataServer({
+		fixtures: {
+			repos: [{id: 'mock-id', name: 'o-mock', versions: [{id: 'mock-version-id', version: '1.0.0', markdown: {readme: '# o-mock'}}]}]
+		}
+	});
+	const serverUrl: string = await server.start();
+	const mockClient = new RepoDataClient(server.getClientOptions('write'));
+	const ingested: RepoDataClient.Version = server.processIngestion('mock-ingestion-id', {dependencies: []});
+	const requestPath: string = server.requests[0].path;
+	const fixtureRepos: testing.RepoFixture[] = testing.fixtures.repos;
+	await server.stop();
+}
+
+export = usage;
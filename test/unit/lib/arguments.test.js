@@ -0,0 +1,166 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/arguments', () => {
+	let args;
+
+	beforeEach(() => {
+		args = require('../../../lib/arguments');
+	});
+
+	describe('.assertOneOf(name, value, allowedValues)', () => {
+
+		it('does not throw when the value is allowed', () => {
+			args.assertOneOf('mock name', 'b', ['a', 'b']);
+		});
+
+		it('throws a TypeError which lists the allowed values when the value is not allowed', () => {
+			assert.throws(() => args.assertOneOf('mock name', 'c', ['a', 'b']), TypeError);
+			assert.throws(() => args.assertOneOf('mock name', 'c', ['a', 'b']), '"c" is not a valid mock name, expected one of "a", "b"');
+			assert.throws(() => args.assertOneOf('mock name', undefined, ['a', 'b']), 'undefined is not a valid mock name, expected one of "a", "b"');
+		});
+
+	});
+
+	describe('.assertEachOneOf(name, value, allowedValues)', () => {
+
+		it('checks a single value or every value in an array or comma-separated list', () => {
+			args.assertEachOneOf('mock name', 'a', ['a', 'b']);
+			args.assertEachOneOf('mock name', ['a', 'b'], ['a', 'b']);
+			args.assertEachOneOf('mock name', 'a, b', ['a', 'b']);
+			assert.throws(() => args.assertEachOneOf('mock name', ['a', 'c'], ['a', 'b']), /^"c" is not a valid mock name,/);
+			assert.throws(() => args.assertEachOneOf('mock name', 'a,c', ['a', 'b']), /^"c" is not a valid mock name,/);
+		});
+
+	});
+
+	describe('.assertUuid(name, id)', () => {
+
+		it('does not throw for a UUID', () => {
+			args.assertUuid('mock ID', '799798e6-967d-492e-8fee-f7f35ec39d44');
+			args.assertUuid('mock ID', '799798E6-967D-492E-8FEE-F7F35EC39D44');
+		});
+
+		it('throws a TypeError for anything else', () => {
+			assert.throws(() => args.assertUuid('mock ID', 'o-colors'), /^"o-colors" is not a valid mock ID, expected a UUID$/);
+			assert.throws(() => args.assertUuid('mock ID', '799798e6-967d-492e-8fee-f7f35ec39d44/extra'), TypeError);
+			assert.throws(() => args.assertUuid('mock ID', undefined), /^undefined is not a valid mock ID, expected a UUID$/);
+		});
+
+	});
+
+	describe('.assertRepoId(repoId)', () => {
+
+		it('does not throw for a UUID or a repository name', () => {
+			args.assertRepoId('c990cb4b-c82b-5071-afb0-16149debc53d');
+			args.assertRepoId('o-colors');
+			args.assertRepoId('origami-repo-data');
+		});
+
+		it('throws a TypeError for anything else', () => {
+			assert.throws(() => args.assertRepoId(''), /^"" is not a valid repository ID,/);
+			assert.throws(() => args.assertRepoId('o-colors/versions'), TypeError);
+			assert.throws(() => args.assertRepoId('o colors'), TypeError);
+			assert.throws(() => args.assertRepoId(123), /^123 is not a valid repository ID,/);
+			assert.throws(() => args.assertRepoId(undefined), TypeError);
+		});
+
+	});
+
+	describe('.assertVersionId(versionId)', () => {
+
+		it('does not throw for a UUID, a version number, or a version tag', () => {
+			args.assertVersionId('5bdc5f2c-e8a9-4c7c-a2bc-a1a7c1e2a4b1');
+			args.assertVersionId('6.0.0');
+			args.assertVersionId('v6.0.0');
+			args.assertVersionId('7.0.0-beta.1');
+			args.assertVersionId('=6.0.0');
+			args.assertVersionId('v7.0.0beta1');
+		});
+
+		it('throws a TypeError for anything else', () => {
+			assert.throws(() => args.assertVersionId('latest'), /^"latest" is not a valid version ID,/);
+			assert.throws(() => args.assertVersionId('^6.0.0'), TypeError);
+			assert.throws(() => args.assertVersionId(6), TypeError);
+			assert.throws(() => args.assertVersionId(undefined), TypeError);
+		});
+
+	});
+
+	describe('.assertRepoFilters(filters)', () => {
+
+		it('does not throw for valid filters', () => {
+			args.assertRepoFilters({});
+			args.assertRepoFilters({
+				brand: ['master', 'internal'],
+				search: 'mock-search',
+				status: 'active',
+				type: ['module', 'service'],
+				origamiVersion: ['1', '2.0']
+			});
+			args.assertRepoFilters({brand: null});
+			args.assertRepoFilters({brand: 'none'});
+			args.assertRepoFilters({brand: 'all'});
+			args.assertRepoFilters({brand: ''});
+			args.assertRepoFilters({origamiVersion: 1});
+			args.assertRepoFilters({origamiVersion: [1, '2.0']});
+			args.assertRepoFilters({statusChangedSince: [{name: 'o-colors'}]});
+			args.assertRepoFilters({statusChangedSince: {repos: []}});
+			args.assertRepoFilters({
+				keyword: ['colours', 'palette'],
+				supportContact: '#origami-support',
+				lastIngested: {after: new Date(), before: '2021-01-01'},
+				sort: 'lastIngested',
+				order: 'desc'
+			});
+		});
+
+		it('throws an error which lists the allowed values for an invalid brand', () => {
+			assert.throws(() => args.assertRepoFilters({brand: ['master', 'ft']}), '"ft" is not a valid brand filter, expected one of "master", "internal", "whitelabel", "all", "none"');
+		});
+
+		it('throws an error which lists the allowed values for an invalid status', () => {
+			assert.throws(() => args.assertRepoFilters({status: 'alive'}), '"alive" is not a valid status filter, expected one of "active", "maintained", "experimental", "deprecated", "dead"');
+		});
+
+		it('throws an error which lists the allowed values for an invalid type', () => {
+			assert.throws(() => args.assertRepoFilters({type: 'component'}), '"component" is not a valid type filter, expected one of "module", "service", "imageset"');
+		});
+
+		it('throws an error for an invalid Origami version', () => {
+			assert.throws(() => args.assertRepoFilters({origamiVersion: ['1', 'v2']}), /^"v2" is not a valid origamiVersion filter,/);
+			assert.throws(() => args.assertRepoFilters({origamiVersion: -2}), /^-2 is not a valid origamiVersion filter,/);
+			assert.throws(() => args.assertRepoFilters({origamiVersion: true}), /^true is not a valid origamiVersion filter,/);
+		});
+
+		it('throws an error for a search which is not a string', () => {
+			assert.throws(() => args.assertRepoFilters({search: 123}), '123 is not a valid search, expected a string');
+		});
+
+		it('throws an error for keywords or support contacts which are not strings', () => {
+			assert.throws(() => args.assertRepoFilters({keyword: ['colours', '']}), '"" is not a valid keyword filter, expected a non-empty string');
+			assert.throws(() => args.assertRepoFilters({supportContact: 123}), '123 is not a valid supportContact filter, expected a non-empty string');
+		});
+
+		it('throws an error for an invalid date range', () => {
+			assert.throws(() => args.assertRepoFilters({lastIngested: '2021-01-01'}), 'The lastIngested filter must be an object with an "after" or "before" date');
+			assert.throws(() => args.assertRepoFilters({lastIngested: {}}), 'The lastIngested filter must be an object with an "after" or "before" date');
+			assert.throws(() => args.assertRepoFilters({lastIngested: {before: 'yesterday'}}), '"yesterday" is not a valid "before" date for the lastIngested filter');
+		});
+
+		it('throws an error for an earlier list of repositories which is not valid', () => {
+			const message = 'The statusChangedSince filter must be an array of repositories, or an object with a "repos" array';
+			assert.throws(() => args.assertRepoFilters({statusChangedSince: null}), message);
+			assert.throws(() => args.assertRepoFilters({statusChangedSince: {}}), message);
+			assert.throws(() => args.assertRepoFilters({statusChangedSince: ['o-colors']}), message);
+		});
+
+		it('throws an error which lists the allowed values for an invalid sort or order', () => {
+			assert.throws(() => args.assertRepoFilters({sort: 'released'}), '"released" is not a valid sort, expected one of "name", "status", "lastIngested"');
+			assert.throws(() => args.assertRepoFilters({sort: 'name', order: 'ascending'}), '"ascending" is not a valid sort order, expected one of "asc", "desc"');
+		});
+
+	});
+
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+const assert = require('proclaim');
+const sinon = require('sinon');
+
+describe('lib/auth', () => {
+	let auth;
+
+	beforeEach(() => {
+		auth = require('../../../lib/auth');
+	});
+
+	describe('.StaticAuth', () => {
+
+		describe('new StaticAuth(credentials)', () => {
+
+			it('throws a TypeError when the credentials are not valid', () => {
+				const message = 'Static credentials must have an "apiKey" and "apiSecret"';
+				assert.throws(() => new auth.StaticAuth(), message);
+				assert.throws(() => new auth.StaticAuth({apiKey: 'mock-key'}), message);
+				assert.throws(() => new auth.StaticAuth({apiKey: '', apiSecret: 'mock-secret'}), message);
+			});
+
+		});
+
+		describe('.getHeaders()', () => {
+
+			it('resolves with the API key and secret headers', async () => {
+				const strategy = new auth.StaticAuth({apiKey: 'mock-key', apiSecret: 'mock-secret'});
+				assert.deepEqual(await strategy.getHeaders(), {
+					'X-Api-Key': 'mock-key',
+					'X-Api-Secret': 'mock-secret'
+				});
+			});
+
+		});
+
+		it('cannot be refreshed', () => {
+			assert.isUndefined(new auth.StaticAuth({apiKey: 'mock-key', apiSecret: 'mock-secret'}).refresh);
+		});
+
+	});
+
+	describe('.ProviderAuth', () => {
+		let provider;
+		let strategy;
+
+		beforeEach(() => {
+			let count = 0;
+			provider = sinon.spy(async () => {
+				count += 1;
+				return {apiKey: `mock-key-${count}`, apiSecret: `mock-secret-${count}`};
+			});
+			strategy = new auth.ProviderAuth(provider);
+		});
+
+		describe('new ProviderAuth(provider, options)', () => {
+
+			it('defaults the options', () => {
+				assert.deepEqual(strategy.options, {maxAge: Infinity});
+			});
+
+			it('throws a TypeError when the provider is not a function', () => {
+				assert.throws(() => new auth.ProviderAuth('mock-provider'), 'The credential provider must be a function');
+			});
+
+		});
+
+		describe('.getHeaders()', () => {
+
+			it('resolves with headers for the credentials from the provider', async () => {
+				assert.deepEqual(await strategy.getHeaders(), {
+					'X-Api-Key': 'mock-key-1',
+					'X-Api-Secret': 'mock-secret-1'
+				});
+			});
+
+			it('only calls the provider once, including for concurrent requests', async () => {
+				const headers = await Promise.all([strategy.getHeaders(), strategy.getHeaders()]);
+				await strategy.getHeaders();
+				assert.calledOnce(provider);
+				assert.deepEqual(headers[1], headers[0]);
+			});
+
+			it('calls the provider again once the credentials are older than the maximum age', async () => {
+				const clock = sinon.useFakeTimers(1000);
+				try {
+					strategy = new auth.ProviderAuth(provider, {maxAge: 100});
+					await strategy.getHeaders();
+					clock.tick(99);
+					await strategy.getHeaders();
+					assert.calledOnce(provider);
+					clock.tick(1);
+					assert.strictEqual((await strategy.getHeaders())['X-Api-Key'], 'mock-key-2');
+				} finally {
+					clock.restore();
+				}
+			});
+
+			it('rejects, and calls the provider again next time, when the provider fails', async () => {
+				const error = new Error('mock error');
+				provider = sinon.stub().rejects(error);
+				provider.onSecondCall().resolves({apiKey: 'mock-key', apiSecret: 'mock-secret'});
+				strategy = new auth.ProviderAuth(provider);
+				try {
+					await strategy.getHeaders();
+				} catch (caughtError) {
+					assert.strictEqual(caughtError, error);
+					assert.strictEqual((await strategy.getHeaders())['X-Api-Key'], 'mock-key');
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+			it('rejects with a TypeError when the provider does not resolve with credentials', async () => {
+				strategy = new auth.ProviderAuth(async () => ({apiKey: 'mock-key'}));
+				try {
+					await strategy.getHeaders();
+				} catch (error) {
+					assert.instanceOf(error, TypeError);
+					assert.strictEqual(error.message, 'The credential provider must resolve with an "apiKey" and "apiSecret"');
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('.refresh()', () => {
+
+			it('causes the provider to be called again for the next request', async () => {
+				await strategy.getHeaders();
+				await strategy.refresh();
+				assert.strictEqual((await strategy.getHeaders())['X-Api-Key'], 'mock-key-2');
+				assert.calledTwice(provider);
+			});
+
+		});
+
+	});
+
+	describe('.NoAuth', () => {
+
+		describe('.getHeaders()', () => {
+
+			it('resolves with no headers', async () => {
+				assert.deepEqual(await new auth.NoAuth().getHeaders(), {});
+			});
+
+		});
+
+	});
+
+	describe('.createAuthFromOption(auth)', () => {
+
+		it('returns `null` when there is no auth option', () => {
+			assert.isNull(auth.createAuthFromOption(undefined));
+			assert.isNull(auth.createAuthFromOption(null));
+		});
+
+		it('returns a NoAuth strategy when the option is `false`', () => {
+			assert.instanceOf(auth.createAuthFromOption(false), auth.NoAuth);
+		});
+
+		it('returns a ProviderAuth strategy when the option is a function', () => {
+			const provider = async () => ({});
+			const strategy = auth.createAuthFromOption(provider);
+			assert.instanceOf(strategy, auth.ProviderAuth);
+			assert.strictEqual(strategy.provider, provider);
+		});
+
+		it('returns an auth strategy as-is', () => {
+			const strategy = {getHeaders: async () => ({})};
+			assert.strictEqual(auth.createAuthFromOption(strategy), strategy);
+		});
+
+		it('throws a TypeError when the option is not valid', () => {
+			assert.throws(() => auth.createAuthFromOption({apiKey: 'mock-key'}), 'The auth option must be an auth strategy with a "getHeaders" method, a credential provider function, or false');
+		});
+
+	});
+
+	describe('when used by a client', () => {
+		let RepoDataClient;
+		let server;
+
+		beforeEach(async () => {
+			RepoDataClient = require('../../../lib/client');
+			const {MockRepoDataServer} = require('../../../lib/testing/server');
+			server = new MockRepoDataServer();
+			await server.start();
+		});
+
+		afterEach(async () => {
+			await server.stop();
+		});
+
+		it('gets new credentials and retries once when they have been rotated', async () => {
+			const {apiUrl, apiKey, apiSecret} = server.getClientOptions('read');
+			const provider = sinon.stub().resolves({apiKey: 'mock-revoked-key', apiSecret: 'mock-revoked-secret'});
+			provider.onSecondCall().resolves({apiKey, apiSecret});
+			const repoData = new RepoDataClient({apiUrl, auth: provider});
+			assert.isArray(await repoData.listRepos());
+			assert.calledTwice(provider);
+			assert.lengthEquals(server.requests, 2);
+		});
+
+		it('rejects with an UnauthorizedError when the new credentials are not valid either', async () => {
+			const provider = sinon.stub().resolves({apiKey: 'mock-revoked-key', apiSecret: 'mock-revoked-secret'});
+			const repoData = new RepoDataClient({apiUrl: server.url, auth: provider});
+			try {
+				await repoData.listRepos();
+			} catch (error) {
+				assert.instanceOf(error, RepoDataClient.UnauthorizedError);
+				assert.calledTwice(provider);
+				assert.lengthEquals(server.requests, 2);
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+		it('sends no credentials when authentication is disabled', async () => {
+			const repoData = new RepoDataClient({apiUrl: server.url, apiKey: 'mock-key', apiSecret: 'mock-secret', auth: false});
+			try {
+				await repoData.listRepos();
+			} catch (error) {
+				assert.instanceOf(error, RepoDataClient.UnauthorizedError);
+				assert.isUndefined(server.requests[0].headers['x-api-key']);
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+	});
+
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+const assert = require('proclaim');
+const sinon = require('sinon');
+
+describe('lib/batch', () => {
+	let batch;
+	let client;
+
+	beforeEach(() => {
+		batch = require('../../../lib/batch');
+		client = {
+			getRepo: sinon.spy(async repoId => {
+				if (repoId === 'o-missing') {
+					throw new Error('mock not found');
+				}
+				return {name: repoId};
+			}),
+			getVersion: sinon.stub().resolves('mock-version'),
+			createIngestion: sinon.stub(),
+			get: sinon.stub(),
+			iterateRepos: sinon.stub(),
+			use: sinon.stub(),
+			emit: sinon.stub(),
+			batchedCalls: new Map()
+		};
+	});
+
+	describe('.defaultBatchOptions', () => {
+
+		it('makes five calls at once', () => {
+			assert.deepEqual(batch.defaultBatchOptions, {concurrency: 5});
+		});
+
+	});
+
+	describe('.batchableMethods', () => {
+
+		it('only includes client methods which read data', () => {
+			const RepoDataClient = require('../../../lib/client');
+			for (const method of Object.keys(batch.batchableMethods)) {
+				assert.isFunction(RepoDataClient.prototype[method]);
+				assert.match(method, /^(list|get|resolve|audit)/);
+			}
+		});
+
+	});
+
+	describe('.batch(client, calls, options)', () => {
+
+		it('resolves with a result for each call in the same order as the calls', async () => {
+			const results = await batch.batch(client, [
+				{method: 'getRepo', args: ['o-colors']},
+				{method: 'getVersion', args: ['o-buttons', '6.0.0']}
+			]);
+			assert.calledWithExactly(client.getRepo, 'o-colors');
+			assert.calledWithExactly(client.getVersion, 'o-buttons', '6.0.0');
+			assert.deepEqual(results, [
+				{status: 'fulfilled', value: {name: 'o-colors'}},
+				{status: 'fulfilled', value: 'mock-version'}
+			]);
+		});
+
+		it('isolates failed calls from the rest of the batch', async () => {
+			const results = await batch.batch(client, [
+				{method: 'getRepo', args: ['o-missing']},
+				{method: 'getRepo', args: ['o-colors']}
+			]);
+			assert.strictEqual(results[0].status, 'rejected');
+			assert.strictEqual(results[0].reason.message, 'mock not found');
+			assert.deepEqual(results[1], {status: 'fulfilled', value: {name: 'o-colors'}});
+		});
+
+		it('only makes one call for identical calls, which each get a copy of the result', async () => {
+			const results = await batch.batch(client, [
+				{method: 'getRepo', args: ['o-colors']},
+				{method: 'getRepo', args: ['o-buttons']},
+				{method: 'getRepo', args: ['o-colors']}
+			]);
+			assert.calledTwice(client.getRepo);
+			assert.strictEqual(results.length, 3);
+			assert.deepEqual(results[2], results[0]);
+			assert.notStrictEqual(results[2].value, results[0].value);
+		});
+
+		it('shares a call which another batch already has in flight', async () => {
+			const [firstResults, secondResults] = await Promise.all([
+				batch.batch(client, [{method: 'getRepo', args: ['o-colors']}]),
+				batch.batch(client, [{method: 'getRepo', args: ['o-colors']}])
+			]);
+			assert.calledOnce(client.getRepo);
+			assert.deepEqual(secondResults, firstResults);
+			assert.notStrictEqual(secondResults[0].value, firstResults[0].value);
+		});
+
+		it('makes the call again once the call in flight has settled', async () => {
+			await batch.batch(client, [{method: 'getRepo', args: ['o-colors']}]);
+			await batch.batch(client, [{method: 'getRepo', args: ['o-colors']}]);
+			assert.calledTwice(client.getRepo);
+			assert.strictEqual(client.batchedCalls.size, 0);
+		});
+
+		it('only shares a request between identical calls which have the same request options', async () => {
+			const requestOptions = {signal: 'mock-signal-1'};
+			const results = await batch.batch(client, [
+				{method: 'getRepo', args: ['o-colors', requestOptions]},
+				{method: 'getRepo', args: ['o-colors', requestOptions]},
+				{method: 'getRepo', args: ['o-colors', {signal: 'mock-signal-1'}]},
+				{method: 'getRepo', args: ['o-colors']}
+			]);
+			assert.calledThrice(client.getRepo);
+			assert.calledWithExactly(client.getRepo, 'o-colors', requestOptions);
+			assert.calledWithExactly(client.getRepo, 'o-colors');
+			assert.deepEqual(results[1], results[0]);
+			assert.notStrictEqual(results[2], results[0]);
+		});
+
+		it('makes no more than the given number of calls at once', async () => {
+			let running = 0;
+			let maxRunning = 0;
+			client.getVersion = async () => {
+				running += 1;
+				maxRunning = Math.max(maxRunning, running);
+				await new Promise(resolve => setTimeout(resolve, 5));
+				running -= 1;
+			};
+			const calls = [1, 2, 3, 4, 5, 6, 7].map(number => ({method: 'getVersion', args: ['o-colors', `${number}.0.0`]}));
+			await batch.batch(client, calls, {concurrency: 3});
+			assert.strictEqual(maxRunning, 3);
+		});
+
+		it('calls methods without arguments when no arguments are given', async () => {
+			await batch.batch(client, [{method: 'getVersion'}]);
+			assert.calledWithExactly(client.getVersion);
+		});
+
+		it('rejects with a TypeError before making any calls when a call cannot be made', async () => {
+			const validCall = {method: 'getRepo', args: ['o-colors']};
+			const invalidBatches = [
+				['mock-calls', 'Batched calls must be an array'],
+				[[validCall, 'getRepo'], 'Each batched call must be an object with a "method" property'],
+				[[validCall, {method: 'getRepository'}], '"getRepository" is not a client method which can be batched'],
+				[[validCall, {method: 'iterateRepos'}], '"iterateRepos" is not a client method which can be batched'],
+				[[validCall, {method: 'use'}], '"use" is not a client method which can be batched'],
+				[[validCall, {method: 'emit'}], '"emit" is not a client method which can be batched'],
+				[[validCall, {method: 'createIngestion'}], '"createIngestion" is not a client method which can be batched'],
+				[[validCall, {method: 'get'}], '"get" is not a client method which can be batched'],
+				[[validCall, {method: 123}], '123 is not a client method which can be batched'],
+				[[validCall, {method: 'getRepo', args: 'o-colors'}], 'The arguments for a batched call to "getRepo" must be an array']
+			];
+			for (const [calls, message] of invalidBatches) {
+				let caughtError;
+				try {
+					await batch.batch(client, calls);
+				} catch (error) {
+					caughtError = error;
+				}
+				assert.instanceOf(caughtError, TypeError);
+				assert.strictEqual(caughtError.message, message);
+			}
+			assert.notCalled(client.getRepo);
+		});
+
+	});
+
+});
@@ -0,0 +1,251 @@
+'use strict';
+
+const assert = require('proclaim');
+const sinon = require('sinon');
+
+describe('lib/cache', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = require('../../../lib/cache');
+	});
+
+	describe('.MemoryCache', () => {
+		let instance;
+
+		beforeEach(() => {
+			instance = new cache.MemoryCache({
+				maxEntries: 2
+			});
+		});
+
+		describe('.get(key) and .set(key, value)', () => {
+
+			it('store and retrieve values', async () => {
+				await instance.set('mock-key', 'mock-value');
+				assert.strictEqual(await instance.get('mock-key'), 'mock-value');
+				assert.isUndefined(await instance.get('mock-missing-key'));
+			});
+
+			it('evict the least recently used entry when `maxEntries` is exceeded', async () => {
+				await instance.set('mock-key-1', 'mock-value-1');
+				await instance.set('mock-key-2', 'mock-value-2');
+				await instance.get('mock-key-1');
+				await instance.set('mock-key-3', 'mock-value-3');
+				assert.strictEqual(await instance.get('mock-key-1'), 'mock-value-1');
+				assert.isUndefined(await instance.get('mock-key-2'));
+				assert.strictEqual(await instance.get('mock-key-3'), 'mock-value-3');
+			});
+
+		});
+
+		describe('.delete(key)', () => {
+
+			it('deletes an entry', async () => {
+				await instance.set('mock-key', 'mock-value');
+				await instance.delete('mock-key');
+				assert.isUndefined(await instance.get('mock-key'));
+			});
+
+		});
+
+		describe('.clear()', () => {
+
+			it('deletes every entry', async () => {
+				await instance.set('mock-key-1', 'mock-value-1');
+				await instance.set('mock-key-2', 'mock-value-2');
+				await instance.clear();
+				assert.strictEqual(instance.entries.size, 0);
+			});
+
+		});
+
+	});
+
+	describe('.ResponseCache', () => {
+		let instance;
+		let store;
+
+		beforeEach(() => {
+			store = {
+				get: sinon.stub().resolves('mock-entry'),
+				set: sinon.stub().resolves(),
+				delete: sinon.stub().resolves()
+			};
+			instance = new cache.ResponseCache({
+				store,
+				ttl: {
+					repos: 500
+				}
+			});
+		});
+
+		describe('.getTtl(method, endpoint)', () => {
+
+			it('returns the configured TTL for the endpoint', () => {
+				assert.strictEqual(instance.getTtl('GET', '/v1/repos'), 500);
+			});
+
+			it('returns the default TTL when one is not configured', () => {
+				assert.strictEqual(instance.getTtl('get', '/v1/repos/mock-repo/versions/mock-version'), cache.defaultTtl.version);
+			});
+
+			it('returns `null` for requests which should not be cached', () => {
+				assert.isNull(instance.getTtl('POST', '/v1/queue'));
+				assert.isNull(instance.getTtl('DELETE', '/v1/repos/mock-repo'));
+				assert.isNull(instance.getTtl('GET', '/v1/queue'));
+				assert.isNull(instance.getTtl('GET', '/v1/keys'));
+				assert.isNull(instance.getTtl('GET', '/v2/mock'));
+			});
+
+		});
+
+		describe('.get(key)', () => {
+
+			it('resolves with the entry from the store', async () => {
+				assert.strictEqual(await instance.get('mock-key'), 'mock-entry');
+				assert.calledWithExactly(store.get, 'mock-key');
+			});
+
+			it('resolves with `undefined`, and stops tracking the key, when the store has no entry', async () => {
+				await instance.set('mock-key', 'mock-entry');
+				store.get.resolves(null);
+				assert.isUndefined(await instance.get('mock-key'));
+				assert.isFalse(instance.keys.has('mock-key'));
+			});
+
+			it('resolves with a copy of the entry', async () => {
+				const entry = {data: [{name: 'o-colors'}]};
+				store.get.resolves(entry);
+				const cachedEntry = await instance.get('mock-key');
+				assert.deepEqual(cachedEntry, entry);
+				cachedEntry.data[0].name = 'mock-name';
+				assert.strictEqual(entry.data[0].name, 'o-colors');
+			});
+
+		});
+
+		describe('.set(key, entry)', () => {
+
+			it('sets the entry in the store', async () => {
+				await instance.set('mock-key', 'mock-entry');
+				assert.calledWithExactly(store.set, 'mock-key', 'mock-entry');
+			});
+
+			it('sets a copy of the entry', async () => {
+				const entry = {data: [{name: 'o-colors'}]};
+				await instance.set('mock-key', entry);
+				entry.data[0].name = 'mock-name';
+				assert.deepEqual(store.set.firstCall.args[1], {data: [{name: 'o-colors'}]});
+			});
+
+			it('stops tracking keys which a memory cache has evicted', async () => {
+				instance = new cache.ResponseCache({store: new cache.MemoryCache({maxEntries: 2})});
+				await instance.set('mock-key-1', 'mock-entry');
+				await instance.set('mock-key-2', 'mock-entry');
+				await instance.set('mock-key-3', 'mock-entry');
+				assert.deepEqual(Array.from(instance.keys), ['mock-key-2', 'mock-key-3']);
+			});
+
+		});
+
+		describe('.invalidate(repoId)', () => {
+
+			beforeEach(async () => {
+				await instance.set('GET /v1/repos?brand=master', 'mock-entry');
+				await instance.set('GET /v1/repos/o-colors', 'mock-entry');
+				await instance.set('GET /v1/repos/o-colors/versions', 'mock-entry');
+				await instance.set('GET /v1/repos/o-colors-extra/versions', 'mock-entry');
+			});
+
+			it('deletes the repository list and entries for the repository', async () => {
+				await instance.invalidate('o-colors');
+				assert.calledThrice(store.delete);
+				assert.calledWithExactly(store.delete, 'GET /v1/repos?brand=master');
+				assert.calledWithExactly(store.delete, 'GET /v1/repos/o-colors');
+				assert.calledWithExactly(store.delete, 'GET /v1/repos/o-colors/versions');
+			});
+
+			it('deletes every entry when no repository is given', async () => {
+				await instance.invalidate();
+				assert.callCount(store.delete, 4);
+				assert.strictEqual(instance.keys.size, 0);
+			});
+
+			it('deletes entries for the repository\'s other identifier when the repository is cached', async () => {
+				store.get.withArgs('GET /v1/repos/o-colors').resolves({data: {id: 'mock-colors-id', name: 'o-colors'}});
+				await instance.set('GET /v1/repos/mock-colors-id/versions', 'mock-entry');
+				await instance.invalidate('o-colors');
+				assert.callCount(store.delete, 4);
+				assert.calledWithExactly(store.delete, 'GET /v1/repos/mock-colors-id/versions');
+			});
+
+			it('deletes entries for the repository\'s name when invalidating by UUID and the repository list is cached', async () => {
+				store.get.withArgs('GET /v1/repos?brand=master').resolves({data: [{id: 'mock-colors-id', name: 'o-colors'}]});
+				await instance.invalidate('mock-colors-id');
+				assert.calledThrice(store.delete);
+				assert.calledWithExactly(store.delete, 'GET /v1/repos/o-colors');
+				assert.calledWithExactly(store.delete, 'GET /v1/repos/o-colors/versions');
+			});
+
+			describe('when the store has no `delete` method', () => {
+
+				it('overwrites entries with `null`', async () => {
+					delete store.delete;
+					await instance.invalidate('o-colors-extra');
+					assert.calledWithExactly(store.set, 'GET /v1/repos/o-colors-extra/versions', null);
+				});
+
+			});
+
+		});
+
+		describe('ResponseCache.createKey(method, endpoint, query)', () => {
+
+			it('returns a key with a sorted querystring', () => {
+				assert.strictEqual(cache.ResponseCache.createKey('get', '/v1/repos', {
+					type: 'module',
+					brand: 'master',
+					q: undefined
+				}), 'GET /v1/repos?brand=master&type=module');
+			});
+
+			it('returns a key without a querystring when there is no query', () => {
+				assert.strictEqual(cache.ResponseCache.createKey('GET', '/v1/repos'), 'GET /v1/repos');
+			});
+
+		});
+
+		describe('ResponseCache.fromOption(cache)', () => {
+
+			it('returns `null` when caching is disabled', () => {
+				assert.isNull(cache.ResponseCache.fromOption());
+				assert.isNull(cache.ResponseCache.fromOption(false));
+			});
+
+			it('uses a memory cache when `cache` is `true`', () => {
+				const responseCache = cache.ResponseCache.fromOption(true);
+				assert.instanceOf(responseCache.store, cache.MemoryCache);
+			});
+
+			it('uses `cache` as the store when it has `get` and `set` methods', () => {
+				assert.strictEqual(cache.ResponseCache.fromOption(store).store, store);
+			});
+
+			it('uses the `store` and `ttl` properties when `cache` is an options object', () => {
+				const responseCache = cache.ResponseCache.fromOption({
+					store,
+					ttl: {
+						repo: 1000
+					}
+				});
+				assert.strictEqual(responseCache.store, store);
+				assert.strictEqual(responseCache.ttl.repo, 1000);
+				assert.strictEqual(responseCache.ttl.version, cache.defaultTtl.version);
+			});
+
+		});
+
+	});
+
+});
@@ -0,0 +1,249 @@
+'use strict';
+
+const assert = require('proclaim');
+const sinon = require('sinon');
+
+describe('lib/cli', () => {
+	let cli;
+
+	beforeEach(() => {
+		cli = require('../../../lib/cli');
+	});
+
+	describe('.parseArgs(argv)', () => {
+
+		it('separates positional arguments and flags', () => {
+			assert.deepEqual(cli.parseArgs(['repos', 'list', '--brand', 'master', '--status=active', '--json']), {
+				args: ['repos', 'list'],
+				flags: {
+					brand: 'master',
+					status: 'active',
+					json: true
+				}
+			});
+		});
+
+		it('treats arguments after `--` as positional', () => {
+			assert.deepEqual(cli.parseArgs(['readme', '--', '--not-a-flag']).args, ['readme', '--not-a-flag']);
+		});
+
+		it('throws when a flag is missing its value', () => {
+			assert.throws(() => cli.parseArgs(['repos', 'list', '--brand']), 'The --brand flag requires a value');
+		});
+
+	});
+
+	describe('.findCommand(args)', () => {
+
+		it('returns the matching command and its arguments', () => {
+			const match = cli.findCommand(['versions', 'get', 'o-colors', '6.0.0']);
+			assert.strictEqual(match.command.name, 'versions get');
+			assert.deepEqual(match.args, ['o-colors', '6.0.0']);
+		});
+
+		it('returns `null` when no command matches', () => {
+			assert.isNull(cli.findCommand(['versions', 'nope']));
+		});
+
+	});
+
+	describe('.formatOutput(result, format, columns)', () => {
+		let result;
+
+		beforeEach(() => {
+			result = [
+				{name: 'o-colors', support: {status: 'active'}},
+				{name: 'o-typography', support: {status: 'maintained'}}
+			];
+		});
+
+		it('formats an array as a table', () => {
+			assert.strictEqual(cli.formatOutput(result, 'table', ['name', 'support.status']), [
+				'name          support.status',
+				'------------  --------------',
+				'o-colors      active',
+				'o-typography  maintained'
+			].join('\n'));
+		});
+
+		it('formats an array as tab-separated plain text', () => {
+			assert.strictEqual(cli.formatOutput(result, 'plain', ['name', 'support.status']), 'o-colors\tactive\no-typography\tmaintained');
+		});
+
+		it('uses the scalar properties of the first item when no columns are given', () => {
+			assert.strictEqual(cli.formatOutput(result, 'plain'), 'o-colors\no-typography');
+		});
+
+		it('formats a result as JSON', () => {
+			assert.strictEqual(cli.formatOutput(result, 'json'), JSON.stringify(result, null, 2));
+		});
+
+		it('formats an object as key/value pairs', () => {
+			assert.strictEqual(cli.formatOutput(result[0], 'table'), 'name: o-colors\nsupport: {"status":"active"}');
+		});
+
+		it('outputs strings as-is', () => {
+			assert.strictEqual(cli.formatOutput('# README', 'table'), '# README');
+		});
+
+		it('outputs nothing for empty results', () => {
+			assert.strictEqual(cli.formatOutput(undefined, 'table'), '');
+			assert.strictEqual(cli.formatOutput([], 'table'), '');
+		});
+
+	});
+
+	describe('.getUsage()', () => {
+
+		it('includes the usage of every command', () => {
+			const usage = cli.getUsage();
+			cli.commands.forEach(command => {
+				assert.include(usage, command.usage);
+			});
+		});
+
+	});
+
+	describe('.run(argv, io)', () => {
+		let client;
+		let io;
+		let exitCode;
+
+		beforeEach(async () => {
+			client = {
+				listRepos: sinon.stub().resolves([{name: 'o-colors', type: 'module'}]),
+				getVersion: sinon.stub().resolves({name: 'o-colors', version: '6.0.0'}),
+				listBundles: sinon.stub().resolves([]),
+				createKey: sinon.stub().resolves({key: 'mock-key', secret: 'mock-secret'}),
+				createIngestion: sinon.stub().resolves({id: 'mock-ingestion-id'})
+			};
+			io = {
+				createClient: sinon.stub().returns(client),
+				stdout: {write: sinon.spy()},
+				stderr: {write: sinon.spy()}
+			};
+			exitCode = await cli.run(['repos', 'list', '--brand', 'master', '--status', 'active', '--json'], io);
+		});
+
+		it('calls the client method for the command', () => {
+			assert.calledOnce(io.createClient);
+			assert.calledOnce(client.listRepos);
+			assert.calledWithExactly(client.listRepos, {
+				brand: 'master',
+				search: undefined,
+				status: 'active',
+				type: undefined,
+				origamiVersion: undefined,
+				keyword: undefined,
+				supportContact: undefined,
+				lastIngested: undefined,
+				sort: undefined,
+				order: undefined
+			});
+		});
+
+		it('passes date range flags to the client method', async () => {
+			await cli.run(['repos', 'list', '--ingested-after', '2021-01-01', '--sort', 'lastIngested'], io);
+			assert.calledWithMatch(client.listRepos, {
+				lastIngested: {after: '2021-01-01', before: undefined},
+				sort: 'lastIngested'
+			});
+		});
+
+		it('writes the formatted result to stdout', () => {
+			assert.calledOnce(io.stdout.write);
+			assert.calledWithExactly(io.stdout.write, `${JSON.stringify([{name: 'o-colors', type: 'module'}], null, 2)}\n`);
+		});
+
+		it('resolves with an exit code of 0', () => {
+			assert.strictEqual(exitCode, 0);
+		});
+
+		it('passes positional arguments to the client method', async () => {
+			await cli.run(['versions', 'get', 'o-colors', '6.0.0'], io);
+			assert.calledWithExactly(client.getVersion, 'o-colors', '6.0.0');
+			await cli.run(['bundles', 'o-colors', '6.0.0', 'css', '--brand', 'internal'], io);
+			assert.calledWithExactly(client.listBundles, 'o-colors', '6.0.0', 'css', 'internal');
+		});
+
+		it('passes boolean flags to the client method', async () => {
+			await cli.run(['keys', 'create', '--description', 'mock description', '--write'], io);
+			assert.calledWithExactly(client.createKey, {
+				description: 'mock description',
+				read: true,
+				write: true,
+				admin: false
+			});
+			await cli.run(['queue', 'add', 'mock-url', 'mock-tag', '--wait'], io);
+			assert.calledWithExactly(client.createIngestion, {url: 'mock-url', tag: 'mock-tag'}, {wait: true});
+		});
+
+		describe('when the `--help` flag is used', () => {
+
+			it('writes the usage information and resolves with 0', async () => {
+				io.stdout.write.resetHistory();
+				exitCode = await cli.run(['--help'], io);
+				assert.calledWithExactly(io.stdout.write, `${cli.getUsage()}\n`);
+				assert.strictEqual(exitCode, 0);
+			});
+
+		});
+
+		describe('when the command is unknown', () => {
+
+			it('writes an error and resolves with 2', async () => {
+				exitCode = await cli.run(['nope'], io);
+				assert.calledWithExactly(io.stderr.write, 'Unknown command "nope"\n');
+				assert.strictEqual(exitCode, 2);
+			});
+
+		});
+
+		describe('when the command has the wrong number of arguments', () => {
+
+			it('writes the command usage and resolves with 2', async () => {
+				exitCode = await cli.run(['versions', 'get', 'o-colors'], io);
+				assert.calledWithExactly(io.stderr.write, 'Usage: origami-repo-data versions get <repo> <version>\n');
+				assert.strictEqual(exitCode, 2);
+			});
+
+		});
+
+		describe('when the command is missing a required flag', () => {
+
+			it('writes the command usage and resolves with 2 without making a request', async () => {
+				client.createKey.resetHistory();
+				exitCode = await cli.run(['keys', 'create', '--write'], io);
+				assert.calledWithExactly(io.stderr.write, 'Usage: origami-repo-data keys create --description <text> [--write] [--admin]\n');
+				assert.notCalled(client.createKey);
+				assert.strictEqual(exitCode, 2);
+			});
+
+		});
+
+		describe('when the format is invalid', () => {
+
+			it('writes an error and resolves with 2', async () => {
+				exitCode = await cli.run(['repos', 'list', '--format', 'xml'], io);
+				assert.calledWithExactly(io.stderr.write, 'The --format flag must be one of: json, plain, table\n');
+				assert.strictEqual(exitCode, 2);
+			});
+
+		});
+
+		describe('when the client method errors', () => {
+
+			it('writes the error and resolves with 1', async () => {
+				const error = new Error('404: Request failed with status code 404');
+				error.serviceMessage = 'Repository not found';
+				client.listRepos.rejects(error);
+				exitCode = await cli.run(['repos', 'list'], io);
+				assert.calledWithExactly(io.stderr.write, 'Error: 404: Request failed with status code 404 (Repository not found)\n');
+				assert.strictEqual(exitCode, 1);
+			});
+
+		});
+
+	});
+
+});
@@ -5,13 +5,81 @@ const mockery = require('mockery');
 const sinon = require('sinon');
 
 describe('lib/client', () => {
+	let auth;
+	let axios;
+	let batch;
 	let defaults;
+	let dependencies;
+	let diff;
+	let errors;
+	let retry;
+	let cache;
+	let ingestion;
+	let keys;
+	let middleware;
+	let recorder;
+	let snapshot;
+	let validation;
+	let versions;
+	let watch;
 	let RepoDataClient;
 
 	beforeEach(() => {
+		// Ajv has internal modules named "./errors" and "./dependencies",
+		// so it must be loaded before those mocks are registered
+		validation = require('../../../lib/validation');
+		mockery.registerMock('./validation', validation);
+
+		axios = {
+			default: sinon.stub().resolves({})
+		};
+		mockery.registerMock('axios', axios);
+
 		defaults = sinon.spy(require('lodash/defaults'));
 		mockery.registerMock('lodash/defaults', defaults);
 
+		auth = require('../../../lib/auth');
+		mockery.registerMock('./auth', auth);
+
+		batch = require('../../../lib/batch');
+		mockery.registerMock('./batch', batch);
+
+		dependencies = require('../../../lib/dependencies');
+		mockery.registerMock('./dependencies', dependencies);
+
+		diff = require('../../../lib/diff');
+		mockery.registerMock('./diff', diff);
+
+		errors = require('../../../lib/errors');
+		mockery.registerMock('./errors', errors);
+
+		retry = require('../../../lib/retry');
+		mockery.registerMock('./retry', retry);
+
+		cache = require('../../../lib/cache');
+		mockery.registerMock('./cache', cache);
+
+		ingestion = require('../../../lib/ingestion');
+		mockery.registerMock('./ingestion', ingestion);
+
+		keys = require('../../../lib/keys');
+		mockery.registerMock('./keys', keys);
+
+		middleware = require('../../../lib/middleware');
+		mockery.registerMock('./middleware', middleware);
+
+		recorder = require('../../../lib/recorder');
+		mockery.registerMock('./recorder', recorder);
+
+		snapshot = require('../../../lib/snapshot');
+		mockery.registerMock('./snapshot', snapshot);
+
+		versions = require('../../../lib/versions');
+		mockery.registerMock('./versions', versions);
+
+		watch = require('../../../lib/watch');
+		mockery.registerMock('./watch', watch);
+
 		RepoDataClient = require('../../../lib/client');
 	});
 
@@ -20,6 +88,42 @@ describe('lib/client', () => {
 		assert.throws(() => RepoDataClient(), /constructor repodataclient/i); // eslint-disable-line new-cap
 	});
 
+	it('exports the error classes', () => {
+		assert.strictEqual(RepoDataClient.RepoDataError, errors.RepoDataError);
+		assert.strictEqual(RepoDataClient.ValidationError, errors.ValidationError);
+		assert.strictEqual(RepoDataClient.UnauthorizedError, errors.UnauthorizedError);
+		assert.strictEqual(RepoDataClient.ForbiddenError, errors.ForbiddenError);
+		assert.strictEqual(RepoDataClient.NotFoundError, errors.NotFoundError);
+		assert.strictEqual(RepoDataClient.ServerError, errors.ServerError);
+		assert.strictEqual(RepoDataClient.NetworkError, errors.NetworkError);
+		assert.strictEqual(RepoDataClient.TimeoutError, errors.TimeoutError);
+		assert.strictEqual(RepoDataClient.AbortError, errors.AbortError);
+		assert.strictEqual(RepoDataClient.IngestionError, errors.IngestionError);
+		assert.strictEqual(RepoDataClient.IngestionFailedError, errors.IngestionFailedError);
+		assert.strictEqual(RepoDataClient.IngestionTimeoutError, errors.IngestionTimeoutError);
+		assert.strictEqual(RepoDataClient.KeyRotationError, errors.KeyRotationError);
+		assert.strictEqual(RepoDataClient.UnmatchedRequestError, errors.UnmatchedRequestError);
+		assert.strictEqual(RepoDataClient.ResponseValidationError, errors.ResponseValidationError);
+	});
+
+	it('exports the memory cache class', () => {
+		assert.strictEqual(RepoDataClient.MemoryCache, cache.MemoryCache);
+	});
+
+	it('exports the auth strategy classes', () => {
+		assert.strictEqual(RepoDataClient.StaticAuth, auth.StaticAuth);
+		assert.strictEqual(RepoDataClient.ProviderAuth, auth.ProviderAuth);
+		assert.strictEqual(RepoDataClient.NoAuth, auth.NoAuth);
+	});
+
+	it('exports the repository query class', () => {
+		assert.strictEqual(RepoDataClient.RepoQuery, require('../../../lib/query').RepoQuery);
+	});
+
+	it('exports the Prometheus metrics class', () => {
+		assert.strictEqual(RepoDataClient.PrometheusMetrics, require('../../../lib/metrics/prometheus').PrometheusMetrics);
+	});
+
 	describe('new RepoDataClient(options)', () => {
 		let instance;
 		let options;
@@ -37,6 +141,10 @@ describe('lib/client', () => {
 			assert.calledWithExactly(RepoDataClient.defaultOptions, options);
 		});
 
+		it('is an event emitter', () => {
+			assert.instanceOf(instance, require('events').EventEmitter);
+		});
+
 		describe('.options', () => {
 
 			it('is set to the defaulted options', () => {
@@ -45,6 +153,161 @@ describe('lib/client', () => {
 
 		});
 
+		describe('.retryOptions', () => {
+
+			it('is `null` when the `retry` option is not set', () => {
+				assert.isNull(instance.retryOptions);
+			});
+
+			describe('when the `retry` option is set', () => {
+
+				it('is set to the normalized retry options', () => {
+					instance = new RepoDataClient({
+						retry: 5
+					});
+					assert.strictEqual(instance.retryOptions.maxAttempts, 5);
+					assert.deepEqual(instance.retryOptions.methods, ['GET', 'DELETE']);
+				});
+
+			});
+
+		});
+
+		describe('.pageSize', () => {
+
+			it('is 100 when the `pageSize` option is not set', () => {
+				assert.strictEqual(instance.pageSize, 100);
+			});
+
+			describe('when the `pageSize` option is set', () => {
+
+				it('is set to the option', () => {
+					instance = new RepoDataClient({
+						pageSize: 20
+					});
+					assert.strictEqual(instance.pageSize, 20);
+				});
+
+				it('throws when the option is not a positive integer', () => {
+					assert.throws(() => new RepoDataClient({pageSize: 0}), 'The pageSize option must be a positive integer');
+				});
+
+			});
+
+		});
+
+		describe('.auth', () => {
+
+			it('is `null` when the `auth` option is not set', () => {
+				assert.isNull(instance.auth);
+			});
+
+			describe('when the `auth` option is set', () => {
+
+				it('is set to an auth strategy', () => {
+					instance = new RepoDataClient({
+						auth: false
+					});
+					assert.instanceOf(instance.auth, auth.NoAuth);
+				});
+
+			});
+
+		});
+
+		describe('.cache', () => {
+
+			it('is `null` when the `cache` option is not set', () => {
+				assert.isNull(instance.cache);
+			});
+
+			describe('when the `cache` option is set', () => {
+
+				it('is set to a response cache', () => {
+					instance = new RepoDataClient({
+						cache: true
+					});
+					assert.instanceOf(instance.cache, cache.ResponseCache);
+					assert.instanceOf(instance.cache.store, cache.MemoryCache);
+				});
+
+			});
+
+		});
+
+		describe('.recorder', () => {
+
+			it('is `null` when the `recorder` option is not set', () => {
+				assert.isNull(instance.recorder);
+			});
+
+			describe('when the `recorder` option is set', () => {
+
+				it('is set to a recorder', () => {
+					instance = new RepoDataClient({
+						recorder: {
+							mode: 'replay',
+							directory: 'mock-directory'
+						}
+					});
+					assert.instanceOf(instance.recorder, recorder.Recorder);
+					assert.strictEqual(instance.recorder.mode, 'replay');
+				});
+
+			});
+
+		});
+
+		describe('.snapshot', () => {
+
+			it('is `null` when the `snapshot` option is not set', () => {
+				assert.isNull(instance.snapshot);
+			});
+
+			describe('when the `snapshot` option is set', () => {
+
+				it('is set to a snapshot', () => {
+					instance = new RepoDataClient({
+						snapshot: 'mock-snapshot.json'
+					});
+					assert.instanceOf(instance.snapshot, snapshot.Snapshot);
+					assert.match(instance.snapshot.path, /mock-snapshot\.json$/);
+				});
+
+			});
+
+		});
+
+		describe('.validator', () => {
+
+			it('is `null` when the `validate` option is not set', () => {
+				assert.isNull(instance.validator);
+			});
+
+			describe('when the `validate` option is set', () => {
+
+				it('is set to a response validator', () => {
+					instance = new RepoDataClient({
+						validate: {
+							normalize: true
+						}
+					});
+					assert.instanceOf(instance.validator, validation.ResponseValidator);
+					assert.isTrue(instance.validator.normalize);
+				});
+
+			});
+
+		});
+
+		describe('.middleware', () => {
+
+			it('is an empty array', () => {
+				assert.deepEqual(instance.middleware, []);
+			});
+
+		});
+
 		describe('.listRepos()', () => {
 			let returnValue;
 			let response;
@@ -59,7 +322,7 @@ describe('lib/client', () => {
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos', {});
+				assert.calledWithExactly(instance.get, '/v1/repos', {}, undefined);
 			});
 
 			it('resolves with the response', () => {
@@ -71,15 +334,15 @@ describe('lib/client', () => {
 				beforeEach(async () => {
 					instance.get.resetHistory();
 					returnValue = await instance.listRepos({
-						brand: 'mock-brand'
+						brand: 'whitelabel'
 					});
 				});
 
 				it('calls `instance.get` with the expected endpoint and query parameters', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
-						brand: 'mock-brand'
-					});
+						brand: 'whitelabel'
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -94,8 +357,8 @@ describe('lib/client', () => {
 					instance.get.resetHistory();
 					returnValue = await instance.listRepos({
 						brand: [
-							'mock-brand-1',
-							'mock-brand-2'
+							'master',
+							'internal'
 						]
 					});
 				});
@@ -103,8 +366,8 @@ describe('lib/client', () => {
 				it('calls `instance.get` with the expected endpoint and query parameters', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
-						brand: 'mock-brand-1,mock-brand-2'
-					});
+						brand: 'master,internal'
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -126,7 +389,7 @@ describe('lib/client', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
 						origamiVersion: '2.0'
-					});
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -135,6 +398,40 @@ describe('lib/client', () => {
 
 			});
 
+			describe('when `origamiVersion` is defined as a number', () => {
+
+				beforeEach(async () => {
+					instance.get.resetHistory();
+					returnValue = await instance.listRepos({
+						origamiVersion: 1
+					});
+				});
+
+				it('calls `instance.get` with the version as a string', () => {
+					assert.calledOnce(instance.get);
+					assert.calledWithExactly(instance.get, '/v1/repos', {
+						origamiVersion: '1'
+					}, undefined);
+				});
+
+			});
+
+			describe('when `brand` is defined as an empty string', () => {
+
+				beforeEach(async () => {
+					instance.get.resetHistory();
+					returnValue = await instance.listRepos({
+						brand: ''
+					});
+				});
+
+				it('calls `instance.get` without a brand filter', () => {
+					assert.calledOnce(instance.get);
+					assert.calledWithExactly(instance.get, '/v1/repos', {}, undefined);
+				});
+
+			});
+
 			describe('when `origamiVersion` is defined as an array', () => {
 
 				beforeEach(async () => {
@@ -151,7 +448,7 @@ describe('lib/client', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
 						origamiVersion: '1,2.0'
-					});
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -173,7 +470,7 @@ describe('lib/client', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
 						brand: 'none'
-					});
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -195,7 +492,7 @@ describe('lib/client', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
 						q: 'mock-search'
-					});
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -209,15 +506,15 @@ describe('lib/client', () => {
 				beforeEach(async () => {
 					instance.get.resetHistory();
 					returnValue = await instance.listRepos({
-						status: 'mock-status'
+						status: 'experimental'
 					});
 				});
 
 				it('calls `instance.get` with the expected endpoint and query parameters', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
-						status: 'mock-status'
-					});
+						status: 'experimental'
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -232,8 +529,8 @@ describe('lib/client', () => {
 					instance.get.resetHistory();
 					returnValue = await instance.listRepos({
 						status: [
-							'mock-status-1',
-							'mock-status-2'
+							'active',
+							'maintained'
 						]
 					});
 				});
@@ -241,8 +538,8 @@ describe('lib/client', () => {
 				it('calls `instance.get` with the expected endpoint and query parameters', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
-						status: 'mock-status-1,mock-status-2'
-					});
+						status: 'active,maintained'
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -256,15 +553,15 @@ describe('lib/client', () => {
 				beforeEach(async () => {
 					instance.get.resetHistory();
 					returnValue = await instance.listRepos({
-						type: 'mock-type'
+						type: 'imageset'
 					});
 				});
 
 				it('calls `instance.get` with the expected endpoint and query parameters', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
-						type: 'mock-type'
-					});
+						type: 'imageset'
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -279,8 +576,8 @@ describe('lib/client', () => {
 					instance.get.resetHistory();
 					returnValue = await instance.listRepos({
 						type: [
-							'mock-type-1',
-							'mock-type-2'
+							'module',
+							'service'
 						]
 					});
 				});
@@ -288,8 +585,8 @@ describe('lib/client', () => {
 				it('calls `instance.get` with the expected endpoint and query parameters', () => {
 					assert.calledOnce(instance.get);
 					assert.calledWithExactly(instance.get, '/v1/repos', {
-						type: 'mock-type-1,mock-type-2'
-					});
+						type: 'module,service'
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -298,6 +595,141 @@ describe('lib/client', () => {
 
 			});
 
+			describe('when filters are defined which the service does not support', () => {
+
+				beforeEach(async () => {
+					instance.get.resetHistory();
+					instance.get.resolves([
+						{name: 'o-colors', keywords: ['colours'], lastIngested: '2021-01-01T00:00:00.000Z'},
+						{name: 'o-buttons', keywords: ['buttons'], lastIngested: '2021-02-01T00:00:00.000Z'},
+						{name: 'o-tables', keywords: ['tables'], lastIngested: '2020-01-01T00:00:00.000Z'}
+					]);
+					returnValue = await instance.listRepos({
+						status: 'active',
+						keyword: ['buttons', 'colours'],
+						sort: 'lastIngested',
+						order: 'desc'
+					});
+				});
+
+				it('calls `instance.get` with only the query parameters which the service supports', () => {
+					assert.calledOnce(instance.get);
+					assert.calledWithExactly(instance.get, '/v1/repos', {
+						status: 'active'
+					}, undefined);
+				});
+
+				it('resolves with the filtered and sorted repositories', () => {
+					assert.deepEqual(returnValue.map(repo => repo.name), ['o-buttons', 'o-colors']);
+				});
+
+			});
+
+			describe('when a filter is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.get.resetHistory();
+					try {
+						await instance.listRepos({status: ['active', 'alive']});
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"alive" is not a valid status filter, expected one of "active", "maintained", "experimental", "deprecated", "dead"');
+						assert.notCalled(instance.get);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+		});
+
+		describe('.iterateRepos(filters)', () => {
+			let returnValue;
+
+			beforeEach(() => {
+				instance.iterate = sinon.stub().returns('mock-iterator');
+				returnValue = instance.iterateRepos({
+					brand: ['master', 'internal'],
+					search: 'mock-search'
+				}, 'mock-request-options');
+			});
+
+			it('calls `instance.iterate` with the expected endpoint and query parameters', () => {
+				assert.calledOnce(instance.iterate);
+				assert.calledWithExactly(instance.iterate, '/v1/repos', {
+					brand: 'master,internal',
+					q: 'mock-search'
+				}, 'mock-request-options');
+			});
+
+			it('returns the iterator', () => {
+				assert.strictEqual(returnValue, 'mock-iterator');
+			});
+
+			describe('when `filters` is not defined', () => {
+
+				it('calls `instance.iterate` with empty query parameters', () => {
+					instance.iterate.resetHistory();
+					instance.iterateRepos();
+					assert.calledWithExactly(instance.iterate, '/v1/repos', {}, undefined);
+				});
+
+			});
+
+			describe('when filters are defined which the service does not support', () => {
+
+				it('yields only the matching repositories', async () => {
+					instance.iterate = async function* () {
+						yield {name: 'o-colors', keywords: ['colours']};
+						yield {name: 'o-buttons', keywords: ['buttons']};
+					};
+					const repos = [];
+					for await (const repo of instance.iterateRepos({keyword: 'buttons'})) {
+						repos.push(repo);
+					}
+					assert.deepEqual(repos.map(repo => repo.name), ['o-buttons']);
+				});
+
+			});
+
+			describe('when the `sort` filter is defined', () => {
+
+				it('throws a TypeError without iterating', () => {
+					instance.iterate.resetHistory();
+					assert.throws(() => instance.iterateRepos({sort: 'name'}), 'Repositories cannot be sorted when iterating, use listRepos instead');
+					assert.notCalled(instance.iterate);
+				});
+
+			});
+
+			describe('when a filter is not valid', () => {
+
+				it('throws a TypeError without iterating', () => {
+					instance.iterate.resetHistory();
+					assert.throws(() => instance.iterateRepos({type: 'component'}), TypeError);
+					assert.notCalled(instance.iterate);
+				});
+
+			});
+
+		});
+
+		describe('.query(savedQuery)', () => {
+
+			it('returns a repository query for the client', () => {
+				const query = instance.query();
+				assert.instanceOf(query, RepoDataClient.RepoQuery);
+				assert.strictEqual(query.client, instance);
+			});
+
+			it('loads a saved query', () => {
+				const query = instance.query({filters: [{type: 'module'}], exclude: {status: ['dead']}});
+				assert.deepEqual(query.toFilters(), [{type: 'module'}]);
+				assert.deepEqual(query.exclusions, {status: ['dead']});
+			});
+
 		});
 
 		describe('.listBrandedRepos(brand)', () => {
@@ -311,12 +743,12 @@ describe('lib/client', () => {
 				};
 				brand = 'master';
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listBrandedRepos(brand);
+				returnValue = await instance.listBrandedRepos(brand, 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos', {brand});
+				assert.calledWithExactly(instance.get, '/v1/repos', {brand}, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -332,7 +764,7 @@ describe('lib/client', () => {
 
 				it('calls `instance.get` with the expected endpoint and query parameters', () => {
 					assert.calledOnce(instance.get);
-					assert.calledWithExactly(instance.get, '/v1/repos', {});
+					assert.calledWithExactly(instance.get, '/v1/repos', {}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -352,18 +784,36 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.getRepo('mock-repo-id');
+				returnValue = await instance.getRepo('mock-repo-id', 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id');
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
 				assert.strictEqual(returnValue, response);
 			});
 
+			describe('when the repository ID is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.get.resetHistory();
+					try {
+						await instance.getRepo('o-colors/versions');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"o-colors/versions" is not a valid repository ID, expected a repository UUID or name such as "o-colors"');
+						assert.notCalled(instance.get);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
 		});
 
 		describe('.listVersions(repoId)', () => {
@@ -375,12 +825,12 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listVersions('mock-repo-id');
+				returnValue = await instance.listVersions('mock-repo-id', 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions');
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -389,30 +839,26 @@ describe('lib/client', () => {
 
 		});
 
-		describe('.getVersion(repoId, versionId)', () => {
+		describe('.iterateVersions(repoId)', () => {
 			let returnValue;
-			let response;
 
-			beforeEach(async () => {
-				response = {
-					mockResponse: true
-				};
-				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.getVersion('mock-repo-id', 'mock-version-id');
+			beforeEach(() => {
+				instance.iterate = sinon.stub().returns('mock-iterator');
+				returnValue = instance.iterateVersions('mock-repo-id', 'mock-request-options');
 			});
 
-			it('calls `instance.get` with the expected endpoint', () => {
-				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id');
+			it('calls `instance.iterate` with the expected endpoint', () => {
+				assert.calledOnce(instance.iterate);
+				assert.calledWithExactly(instance.iterate, '/v1/repos/mock-repo-id/versions', undefined, 'mock-request-options');
 			});
 
-			it('resolves with the response', () => {
-				assert.strictEqual(returnValue, response);
+			it('returns the iterator', () => {
+				assert.strictEqual(returnValue, 'mock-iterator');
 			});
 
 		});
 
-		describe('.getManifest(repoId, versionId, manifestType)', () => {
+		describe('.getVersion(repoId, versionId)', () => {
 			let returnValue;
 			let response;
 
@@ -421,35 +867,199 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.getManifest('mock-repo-id', 'mock-version-id', 'mock-manifest-type');
+				returnValue = await instance.getVersion('mock-repo-id', '1.0.0', 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/manifests/mock-manifest-type');
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
 				assert.strictEqual(returnValue, response);
 			});
 
+			describe('when the version ID is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.get.resetHistory();
+					try {
+						await instance.getVersion('mock-repo-id', 'latest');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"latest" is not a valid version ID, expected a version UUID, number, or tag such as "v1.2.3"');
+						assert.notCalled(instance.get);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
 		});
 
-		describe('.getMarkdown(repoId, versionId, markdownType)', () => {
+		describe('.resolveVersion(repoId, range, options)', () => {
 			let returnValue;
-			let response;
+			let versionList;
 
 			beforeEach(async () => {
-				response = {
-					mockResponse: true
-				};
-				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.getMarkdown('mock-repo-id', 'mock-version-id', 'mock-markdown-type');
+				versionList = [
+					{version: '4.1.0'},
+					{version: '5.0.0'},
+					{version: '5.2.1'},
+					{version: '6.0.0-beta.1'}
+				];
+				instance.listVersions = sinon.stub().resolves(versionList);
+				returnValue = await instance.resolveVersion('mock-repo-id', '^5.0.0', {}, 'mock-request-options');
 			});
 
-			it('calls `instance.get` with the expected endpoint', () => {
+			it('calls `instance.listVersions` with the repo ID', () => {
+				assert.calledOnce(instance.listVersions);
+				assert.calledWithExactly(instance.listVersions, 'mock-repo-id', 'mock-request-options');
+			});
+
+			it('resolves with the highest version which satisfies the range', () => {
+				assert.strictEqual(returnValue, versionList[2]);
+			});
+
+			it('resolves with the latest stable version for the "latest" tag', async () => {
+				assert.strictEqual(await instance.resolveVersion('mock-repo-id', 'latest'), versionList[2]);
+			});
+
+			it('includes prerelease versions when `options.includePrerelease` is `true`', async () => {
+				assert.strictEqual(await instance.resolveVersion('mock-repo-id', 'latest', {includePrerelease: true}), versionList[3]);
+			});
+
+			it('resolves with `null` when no version satisfies the range', async () => {
+				assert.isNull(await instance.resolveVersion('mock-repo-id', '^7.0.0'));
+			});
+
+			describe('when the range is invalid', () => {
+
+				it('rejects with a TypeError without requesting the versions', async () => {
+					instance.listVersions.resetHistory();
+					try {
+						await instance.resolveVersion('mock-repo-id', 'not-a-range');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.notCalled(instance.listVersions);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+		});
+
+		describe('.getLatestVersion(repoId)', () => {
+			let returnValue;
+			let versionList;
+
+			beforeEach(async () => {
+				versionList = [
+					{version: '5.0.0'},
+					{version: '5.2.1'},
+					{version: '6.0.0-beta.1'}
+				];
+				instance.listVersions = sinon.stub().resolves(versionList);
+				returnValue = await instance.getLatestVersion('mock-repo-id', 'mock-request-options');
+			});
+
+			it('calls `instance.listVersions` with the repo ID', () => {
+				assert.calledOnce(instance.listVersions);
+				assert.calledWithExactly(instance.listVersions, 'mock-repo-id', 'mock-request-options');
+			});
+
+			it('resolves with the latest stable version', () => {
+				assert.strictEqual(returnValue, versionList[1]);
+			});
+
+		});
+
+		describe('.listVersionsInRange(repoId, range, options)', () => {
+			let returnValue;
+			let versionList;
+
+			beforeEach(async () => {
+				versionList = [
+					{version: '4.1.0'},
+					{version: '5.0.0'},
+					{version: '5.2.1'}
+				];
+				instance.listVersions = sinon.stub().resolves(versionList);
+				returnValue = await instance.listVersionsInRange('mock-repo-id', '5.x', {}, 'mock-request-options');
+			});
+
+			it('calls `instance.listVersions` with the repo ID', () => {
+				assert.calledOnce(instance.listVersions);
+				assert.calledWithExactly(instance.listVersions, 'mock-repo-id', 'mock-request-options');
+			});
+
+			it('resolves with the versions which satisfy the range, highest first', () => {
+				assert.deepEqual(returnValue, [versionList[2], versionList[1]]);
+			});
+
+		});
+
+		describe('.getManifest(repoId, versionId, manifestType)', () => {
+			let returnValue;
+			let response;
+
+			beforeEach(async () => {
+				response = {
+					mockResponse: true
+				};
+				instance.get = sinon.stub().resolves(response);
+				returnValue = await instance.getManifest('mock-repo-id', '1.0.0', 'origami', 'mock-request-options');
+			});
+
+			it('calls `instance.get` with the expected endpoint', () => {
+				assert.calledOnce(instance.get);
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/manifests/origami', undefined, 'mock-request-options');
+			});
+
+			it('resolves with the response', () => {
+				assert.strictEqual(returnValue, response);
+			});
+
+			describe('when the manifest type is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.get.resetHistory();
+					try {
+						await instance.getManifest('mock-repo-id', '1.0.0', 'imageset');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"imageset" is not a valid manifest type, expected one of "about", "bower", "imageSet", "origami", "package"');
+						assert.notCalled(instance.get);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+		});
+
+		describe('.getMarkdown(repoId, versionId, markdownType)', () => {
+			let returnValue;
+			let response;
+
+			beforeEach(async () => {
+				response = {
+					mockResponse: true
+				};
+				instance.get = sinon.stub().resolves(response);
+				returnValue = await instance.getMarkdown('mock-repo-id', '1.0.0', 'designguidelines', 'mock-request-options');
+			});
+
+			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/markdown/mock-markdown-type');
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/markdown/designguidelines', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -467,12 +1077,12 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.getReadme('mock-repo-id', 'mock-version-id');
+				returnValue = await instance.getReadme('mock-repo-id', '1.0.0', 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/markdown/readme');
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/markdown/readme', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -490,12 +1100,12 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listDemos('mock-repo-id', 'mock-version-id');
+				returnValue = await instance.listDemos('mock-repo-id', '1.0.0');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/demos', {});
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/demos', {}, undefined);
 			});
 
 			it('resolves with the response', () => {
@@ -513,14 +1123,14 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listDemos('mock-repo-id', 'mock-version-id', 'mock-brand');
+				returnValue = await instance.listDemos('mock-repo-id', '1.0.0', 'whitelabel', 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint and query parameters', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/demos', {
-					brand: 'mock-brand'
-				});
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/demos', {
+					brand: 'whitelabel'
+				}, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -529,6 +1139,44 @@ describe('lib/client', () => {
 
 		});
 
+		describe('.resolveDependencyTree(repoId, versionId, options)', () => {
+			let returnValue;
+
+			beforeEach(async () => {
+				sinon.stub(dependencies, 'resolveDependencyTree').resolves('mock-tree');
+				returnValue = await instance.resolveDependencyTree('mock-repo-id', '1.0.0', 'mock-options', 'mock-request-options');
+			});
+
+			it('resolves the dependency tree using the client', () => {
+				assert.calledOnce(dependencies.resolveDependencyTree);
+				assert.calledWithExactly(dependencies.resolveDependencyTree, instance, 'mock-repo-id', '1.0.0', 'mock-options', 'mock-request-options');
+			});
+
+			it('resolves with the dependency tree', () => {
+				assert.strictEqual(returnValue, 'mock-tree');
+			});
+
+		});
+
+		describe('.listDependents(repoName, options)', () => {
+			let returnValue;
+
+			beforeEach(async () => {
+				sinon.stub(dependencies, 'listDependents').resolves('mock-dependents');
+				returnValue = await instance.listDependents('mock-repo-name', 'mock-options', 'mock-request-options');
+			});
+
+			it('lists the dependents using the client', () => {
+				assert.calledOnce(dependencies.listDependents);
+				assert.calledWithExactly(dependencies.listDependents, instance, 'mock-repo-name', 'mock-options', 'mock-request-options');
+			});
+
+			it('resolves with the dependents', () => {
+				assert.strictEqual(returnValue, 'mock-dependents');
+			});
+
+		});
+
 		describe('.listBundles(repoId, versionId, language)', () => {
 			let returnValue;
 			let response;
@@ -538,18 +1186,36 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listBundles('mock-repo-id', 'mock-version-id', 'mock-language');
+				returnValue = await instance.listBundles('mock-repo-id', '1.0.0', 'css');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/bundles/mock-language', {});
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/bundles/css', {}, undefined);
 			});
 
 			it('resolves with the response', () => {
 				assert.strictEqual(returnValue, response);
 			});
 
+			describe('when the language is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.get.resetHistory();
+					try {
+						await instance.listBundles('mock-repo-id', '1.0.0', 'scss');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"scss" is not a valid bundle language, expected one of "css", "js"');
+						assert.notCalled(instance.get);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
 		});
 
 		describe('.listBundles(repoId, versionId, language, brand)', () => {
@@ -561,14 +1227,14 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listBundles('mock-repo-id', 'mock-version-id', 'mock-language', 'mock-brand');
+				returnValue = await instance.listBundles('mock-repo-id', '1.0.0', 'css', 'whitelabel', 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint and query parameters', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/bundles/mock-language', {
-					brand: 'mock-brand'
-				});
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/bundles/css', {
+					brand: 'whitelabel'
+				}, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -591,14 +1257,14 @@ describe('lib/client', () => {
 					otherParam: 'mock'
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listImages('mock-repo-id', 'mock-version-id', imageOptions);
+				returnValue = await instance.listImages('mock-repo-id', '1.0.0', imageOptions, 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint and query parameters', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/images', {
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/images', {
 					sourceParam: 'mock-source-param'
-				});
+				}, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -609,14 +1275,14 @@ describe('lib/client', () => {
 
 				beforeEach(async () => {
 					instance.get.resetHistory();
-					returnValue = await instance.listImages('mock-repo-id', 'mock-version-id');
+					returnValue = await instance.listImages('mock-repo-id', '1.0.0');
 				});
 
 				it('calls `instance.get` with the expected endpoint and query parameters', () => {
 					assert.calledOnce(instance.get);
-					assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/images', {
+					assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/images', {
 						sourceParam: 'origami-repo-data-client-node'
-					});
+					}, undefined);
 				});
 
 				it('resolves with the response', () => {
@@ -636,12 +1302,12 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listDependencies('mock-repo-id', 'mock-version-id');
+				returnValue = await instance.listDependencies('mock-repo-id', '1.0.0', 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/mock-version-id/dependencies');
+				assert.calledWithExactly(instance.get, '/v1/repos/mock-repo-id/versions/1.0.0/dependencies', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -650,99 +1316,156 @@ describe('lib/client', () => {
 
 		});
 
-		describe('.createKey(data)', () => {
+		describe('.batch(calls, options)', () => {
 			let returnValue;
-			let response;
 
 			beforeEach(async () => {
-				response = {
-					mockResponse: true
-				};
-				instance.post = sinon.stub().resolves(response);
-				returnValue = await instance.createKey('mock-data');
+				sinon.stub(batch, 'batch').resolves('mock-results');
+				returnValue = await instance.batch('mock-calls', 'mock-options');
 			});
 
-			it('calls `instance.post` with the expected endpoint', () => {
-				assert.calledOnce(instance.post);
-				assert.calledWithExactly(instance.post, '/v1/keys', 'mock-data');
+			it('makes the calls using the client', () => {
+				assert.calledOnce(batch.batch);
+				assert.calledWithExactly(batch.batch, instance, 'mock-calls', 'mock-options');
 			});
 
-			it('resolves with the response', () => {
-				assert.strictEqual(returnValue, response);
+			it('resolves with the results', () => {
+				assert.strictEqual(returnValue, 'mock-results');
 			});
 
 		});
 
-		describe('.listKeys()', () => {
+		describe('.getRepos(repoIds, options)', () => {
 			let returnValue;
-			let response;
 
 			beforeEach(async () => {
-				response = {
-					mockResponse: true
-				};
-				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listKeys();
+				sinon.stub(instance, 'batch').resolves('mock-results');
+				returnValue = await instance.getRepos(['o-colors', 'o-buttons'], 'mock-options', 'mock-request-options');
 			});
 
-			it('calls `instance.get` with the expected endpoint', () => {
-				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/keys');
+			it('batches a call to `instance.getRepo` for each repository', () => {
+				assert.calledOnce(instance.batch);
+				assert.calledWithExactly(instance.batch, [
+					{method: 'getRepo', args: ['o-colors', 'mock-request-options']},
+					{method: 'getRepo', args: ['o-buttons', 'mock-request-options']}
+				], 'mock-options');
 			});
 
-			it('resolves with the response', () => {
-				assert.strictEqual(returnValue, response);
+			it('resolves with the results', () => {
+				assert.strictEqual(returnValue, 'mock-results');
+			});
+
+			describe('when the repository IDs are not an array', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.batch.resetHistory();
+					try {
+						await instance.getRepos('o-colors');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, 'Repository IDs must be an array');
+						assert.notCalled(instance.batch);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
 			});
 
 		});
 
-		describe('.getKey(keyId)', () => {
+		describe('.getVersions(versions, options)', () => {
 			let returnValue;
-			let response;
 
 			beforeEach(async () => {
-				response = {
-					mockResponse: true
-				};
-				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.getKey('mock-key-id');
+				sinon.stub(instance, 'batch').resolves('mock-results');
+				returnValue = await instance.getVersions([
+					{repoId: 'o-colors', versionId: '5.2.1'},
+					{repoId: 'o-buttons', versionId: '6.0.0'}
+				], 'mock-options', 'mock-request-options');
 			});
 
-			it('calls `instance.get` with the expected endpoint', () => {
-				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/keys/mock-key-id');
+			it('batches a call to `instance.getVersion` for each version', () => {
+				assert.calledOnce(instance.batch);
+				assert.calledWithExactly(instance.batch, [
+					{method: 'getVersion', args: ['o-colors', '5.2.1', 'mock-request-options']},
+					{method: 'getVersion', args: ['o-buttons', '6.0.0', 'mock-request-options']}
+				], 'mock-options');
 			});
 
-			it('resolves with the response', () => {
-				assert.strictEqual(returnValue, response);
+			it('resolves with the results', () => {
+				assert.strictEqual(returnValue, 'mock-results');
+			});
+
+			describe('when the versions are not an array of objects', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.batch.resetHistory();
+					try {
+						await instance.getVersions(['o-colors@5.2.1']);
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, 'Versions must be an array of objects with a "repoId" and "versionId"');
+						assert.notCalled(instance.batch);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
 			});
 
 		});
 
-		describe('.deleteKey(keyId)', () => {
+		describe('.exportSnapshot(path, options)', () => {
 			let returnValue;
-			let response;
 
 			beforeEach(async () => {
-				response = {
-					mockResponse: true
+				sinon.stub(snapshot, 'exportSnapshot').resolves('mock-summary');
+				returnValue = await instance.exportSnapshot('mock-path', 'mock-options', 'mock-request-options');
+			});
+
+			it('exports the snapshot using the client', () => {
+				assert.calledOnce(snapshot.exportSnapshot);
+				assert.calledWithExactly(snapshot.exportSnapshot, instance, 'mock-path', 'mock-options', 'mock-request-options');
+			});
+
+			it('resolves with the snapshot summary', () => {
+				assert.strictEqual(returnValue, 'mock-summary');
+			});
+
+		});
+
+		describe('.watch(options, requestOptions)', () => {
+			let mockWatcher;
+			let returnValue;
+
+			beforeEach(() => {
+				mockWatcher = {
+					start: sinon.stub().returnsThis()
 				};
-				instance.delete = sinon.stub().resolves(response);
-				returnValue = await instance.deleteKey('mock-key-id');
+				sinon.stub(watch, 'Watcher').returns(mockWatcher);
+				returnValue = instance.watch('mock-options', 'mock-request-options');
 			});
 
-			it('calls `instance.delete` with the expected endpoint', () => {
-				assert.calledOnce(instance.delete);
-				assert.calledWithExactly(instance.delete, '/v1/keys/mock-key-id');
+			it('creates a watcher using the client', () => {
+				assert.calledOnce(watch.Watcher);
+				assert.calledWithNew(watch.Watcher);
+				assert.calledWithExactly(watch.Watcher, instance, 'mock-options', 'mock-request-options');
 			});
 
-			it('resolves with the response', () => {
-				assert.strictEqual(returnValue, response);
+			it('starts the watcher', () => {
+				assert.calledOnce(mockWatcher.start);
+			});
+
+			it('returns the watcher', () => {
+				assert.strictEqual(returnValue, mockWatcher);
 			});
 
 		});
 
-		describe('.createIngestion(data)', () => {
+		describe('.createKey(data)', () => {
 			let returnValue;
 			let response;
 
@@ -751,12 +1474,12 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.post = sinon.stub().resolves(response);
-				returnValue = await instance.createIngestion('mock-data');
+				returnValue = await instance.createKey('mock-data', 'mock-request-options');
 			});
 
 			it('calls `instance.post` with the expected endpoint', () => {
 				assert.calledOnce(instance.post);
-				assert.calledWithExactly(instance.post, '/v1/queue', 'mock-data');
+				assert.calledWithExactly(instance.post, '/v1/keys', 'mock-data', 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -765,7 +1488,7 @@ describe('lib/client', () => {
 
 		});
 
-		describe('.listIngestions()', () => {
+		describe('.listKeys()', () => {
 			let returnValue;
 			let response;
 
@@ -774,12 +1497,12 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.listIngestions();
+				returnValue = await instance.listKeys('mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/queue');
+				assert.calledWithExactly(instance.get, '/v1/keys', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -788,7 +1511,26 @@ describe('lib/client', () => {
 
 		});
 
-		describe('.getIngestion(ingestionId)', () => {
+		describe('.iterateKeys()', () => {
+			let returnValue;
+
+			beforeEach(() => {
+				instance.iterate = sinon.stub().returns('mock-iterator');
+				returnValue = instance.iterateKeys('mock-request-options');
+			});
+
+			it('calls `instance.iterate` with the expected endpoint', () => {
+				assert.calledOnce(instance.iterate);
+				assert.calledWithExactly(instance.iterate, '/v1/keys', undefined, 'mock-request-options');
+			});
+
+			it('returns the iterator', () => {
+				assert.strictEqual(returnValue, 'mock-iterator');
+			});
+
+		});
+
+		describe('.getKey(keyId)', () => {
 			let returnValue;
 			let response;
 
@@ -797,21 +1539,39 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.get = sinon.stub().resolves(response);
-				returnValue = await instance.getIngestion('mock-ingestion-id');
+				returnValue = await instance.getKey('1c3e5a7b-9d2f-4b6d-8a0c-2e4f6a8b0d1c', 'mock-request-options');
 			});
 
 			it('calls `instance.get` with the expected endpoint', () => {
 				assert.calledOnce(instance.get);
-				assert.calledWithExactly(instance.get, '/v1/queue/mock-ingestion-id');
+				assert.calledWithExactly(instance.get, '/v1/keys/1c3e5a7b-9d2f-4b6d-8a0c-2e4f6a8b0d1c', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
 				assert.strictEqual(returnValue, response);
 			});
 
+			describe('when the key ID is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.get.resetHistory();
+					try {
+						await instance.getKey('mock-key');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"mock-key" is not a valid API key ID, expected a UUID');
+						assert.notCalled(instance.get);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
 		});
 
-		describe('.deleteIngestion()', () => {
+		describe('.deleteKey(keyId)', () => {
 			let returnValue;
 			let response;
 
@@ -820,67 +1580,194 @@ describe('lib/client', () => {
 					mockResponse: true
 				};
 				instance.delete = sinon.stub().resolves(response);
-				returnValue = await instance.deleteIngestion('mock-ingestion-id');
+				returnValue = await instance.deleteKey('1c3e5a7b-9d2f-4b6d-8a0c-2e4f6a8b0d1c', 'mock-request-options');
 			});
 
 			it('calls `instance.delete` with the expected endpoint', () => {
 				assert.calledOnce(instance.delete);
-				assert.calledWithExactly(instance.delete, '/v1/queue/mock-ingestion-id');
+				assert.calledWithExactly(instance.delete, '/v1/keys/1c3e5a7b-9d2f-4b6d-8a0c-2e4f6a8b0d1c', 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
 				assert.strictEqual(returnValue, response);
 			});
 
+			describe('when the key ID is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.delete.resetHistory();
+					try {
+						await instance.deleteKey('mock-key');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"mock-key" is not a valid API key ID, expected a UUID');
+						assert.notCalled(instance.delete);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
 		});
 
-		describe('.get(endpoint)', () => {
+		describe('.rotateKey(keyId, options, requestOptions)', () => {
 			let returnValue;
-			let response;
 
 			beforeEach(async () => {
-				response = {
-					mockResponse: true
-				};
-				instance.request = sinon.stub().resolves(response);
-				returnValue = await instance.get('/mock-endpoint', 'mock-query');
+				sinon.stub(keys, 'rotateKey').resolves('mock-rotation');
+				returnValue = await instance.rotateKey('1c3e5a7b-9d2f-4b6d-8a0c-2e4f6a8b0d1c', 'mock-options', 'mock-request-options');
 			});
 
-			it('calls `instance.request` with the expected method and endpoint', () => {
-				assert.calledOnce(instance.request);
-				assert.calledWithExactly(instance.request, 'GET', '/mock-endpoint', 'mock-query');
+			it('rotates the key using the client', () => {
+				assert.calledOnce(keys.rotateKey);
+				assert.calledWithExactly(keys.rotateKey, instance, '1c3e5a7b-9d2f-4b6d-8a0c-2e4f6a8b0d1c', 'mock-options', 'mock-request-options');
 			});
 
-			it('resolves with the response', () => {
-				assert.strictEqual(returnValue, response);
+			it('resolves with the result of the rotation', () => {
+				assert.strictEqual(returnValue, 'mock-rotation');
 			});
 
 		});
 
-		describe('.post(endpoint, data)', () => {
+		describe('.auditKeys(options, requestOptions)', () => {
 			let returnValue;
-			let response;
 
 			beforeEach(async () => {
-				response = {
-					mockResponse: true
-				};
-				instance.request = sinon.stub().resolves(response);
-				returnValue = await instance.post('/mock-endpoint', 'mock-data');
+				sinon.stub(keys, 'auditKeys').resolves('mock-report');
+				returnValue = await instance.auditKeys('mock-options', 'mock-request-options');
 			});
 
-			it('calls `instance.request` with the expected method, endpoint, and data', () => {
-				assert.calledOnce(instance.request);
-				assert.calledWithExactly(instance.request, 'POST', '/mock-endpoint', undefined, 'mock-data');
+			it('audits the keys using the client', () => {
+				assert.calledOnce(keys.auditKeys);
+				assert.calledWithExactly(keys.auditKeys, instance, 'mock-options', 'mock-request-options');
+			});
+
+			it('resolves with the report', () => {
+				assert.strictEqual(returnValue, 'mock-report');
+			});
+
+		});
+
+		describe('.invalidateCache(repoId)', () => {
+
+			it('resolves when there is no cache', async () => {
+				await instance.invalidateCache('mock-repo-id');
+			});
+
+			describe('when the client has a cache', () => {
+
+				it('invalidates the cache for the repository', async () => {
+					instance.cache = {
+						invalidate: sinon.stub().resolves()
+					};
+					await instance.invalidateCache('mock-repo-id');
+					assert.calledOnce(instance.cache.invalidate);
+					assert.calledWithExactly(instance.cache.invalidate, 'mock-repo-id');
+				});
+
+			});
+
+		});
+
+		describe('.createIngestion(data)', () => {
+			let returnValue;
+			let response;
+
+			beforeEach(async () => {
+				response = {
+					mockResponse: true
+				};
+				instance.post = sinon.stub().resolves(response);
+				returnValue = await instance.createIngestion('mock-data');
+			});
+
+			it('calls `instance.post` with the expected endpoint', () => {
+				assert.calledOnce(instance.post);
+				assert.calledWithExactly(instance.post, '/v1/queue', 'mock-data', undefined);
 			});
 
 			it('resolves with the response', () => {
 				assert.strictEqual(returnValue, response);
 			});
 
+			describe('when `options.wait` is `true`', () => {
+				let data;
+				let options;
+
+				beforeEach(async () => {
+					data = {
+						url: 'mock-url',
+						tag: 'mock-tag'
+					};
+					options = {
+						wait: true,
+						waitTimeout: 1000,
+						interval: 500
+					};
+					instance.post.resolves({
+						id: '799798e6-967d-492e-8fee-f7f35ec39d44',
+						url: 'mock-url'
+					});
+					instance.waitForIngestion = sinon.stub().resolves('mock-version');
+					returnValue = await instance.createIngestion(data, options);
+				});
+
+				it('waits for the created ingestion to complete', () => {
+					assert.calledOnce(instance.waitForIngestion);
+					assert.calledWithExactly(instance.waitForIngestion, {
+						id: '799798e6-967d-492e-8fee-f7f35ec39d44',
+						url: 'mock-url',
+						tag: 'mock-tag'
+					}, {
+						timeout: 1000,
+						interval: 500
+					}, undefined);
+				});
+
+				it('resolves with the ingested version', () => {
+					assert.strictEqual(returnValue, 'mock-version');
+				});
+
+				describe('when `options.timeout` is set', () => {
+
+					it('does not use it as the timeout for waiting', async () => {
+						instance.waitForIngestion.resetHistory();
+						await instance.createIngestion(data, {
+							wait: true,
+							timeout: 1000
+						});
+						assert.calledOnce(instance.waitForIngestion);
+						assert.isUndefined(instance.waitForIngestion.firstCall.args[1].timeout);
+					});
+
+				});
+
+			});
+
+		});
+
+		describe('.waitForIngestion(ingestion, options)', () => {
+			let returnValue;
+
+			beforeEach(async () => {
+				sinon.stub(ingestion, 'waitForIngestion').resolves('mock-version');
+				returnValue = await instance.waitForIngestion('799798e6-967d-492e-8fee-f7f35ec39d44', 'mock-options', 'mock-request-options');
+			});
+
+			it('waits for the ingestion using the client', () => {
+				assert.calledOnce(ingestion.waitForIngestion);
+				assert.calledWithExactly(ingestion.waitForIngestion, instance, '799798e6-967d-492e-8fee-f7f35ec39d44', 'mock-options', 'mock-request-options');
+			});
+
+			it('resolves with the ingested version', () => {
+				assert.strictEqual(returnValue, 'mock-version');
+			});
+
 		});
 
-		describe('.delete(endpoint)', () => {
+		describe('.listIngestions()', () => {
 			let returnValue;
 			let response;
 
@@ -888,13 +1775,13 @@ describe('lib/client', () => {
 				response = {
 					mockResponse: true
 				};
-				instance.request = sinon.stub().resolves(response);
-				returnValue = await instance.delete('/mock-endpoint');
+				instance.get = sinon.stub().resolves(response);
+				returnValue = await instance.listIngestions('mock-request-options');
 			});
 
-			it('calls `instance.request` with the expected method and endpoint', () => {
-				assert.calledOnce(instance.request);
-				assert.calledWithExactly(instance.request, 'DELETE', '/mock-endpoint');
+			it('calls `instance.get` with the expected endpoint', () => {
+				assert.calledOnce(instance.get);
+				assert.calledWithExactly(instance.get, '/v1/queue', undefined, 'mock-request-options');
 			});
 
 			it('resolves with the response', () => {
@@ -903,26 +1790,97 @@ describe('lib/client', () => {
 
 		});
 
-		describe('.request(method, endpoint, query, data)', () => {
+		describe('.iterateIngestions()', () => {
+			let returnValue;
 
-			const RepoDataClient = require('../../../lib/client');
-			const liveInstance = new RepoDataClient({});
+			beforeEach(() => {
+				instance.iterate = sinon.stub().returns('mock-iterator');
+				returnValue = instance.iterateIngestions('mock-request-options');
+			});
 
-			it('returns response data as expected', async () => {
-				const returnValue = await liveInstance.request('get', '/v1/repos', {'brand': 'core'});
-				assert.isObject(returnValue);
+			it('calls `instance.iterate` with the expected endpoint', () => {
+				assert.calledOnce(instance.iterate);
+				assert.calledWithExactly(instance.iterate, '/v1/queue', undefined, 'mock-request-options');
 			});
 
-			describe('given a 404 response', () => {
+			it('returns the iterator', () => {
+				assert.strictEqual(returnValue, 'mock-iterator');
+			});
 
-				it('rejects with an error which includes the error details', async () => {
+		});
+
+		describe('.getIngestion(ingestionId)', () => {
+			let returnValue;
+			let response;
+
+			beforeEach(async () => {
+				response = {
+					mockResponse: true
+				};
+				instance.get = sinon.stub().resolves(response);
+				returnValue = await instance.getIngestion('799798e6-967d-492e-8fee-f7f35ec39d44', 'mock-request-options');
+			});
+
+			it('calls `instance.get` with the expected endpoint', () => {
+				assert.calledOnce(instance.get);
+				assert.calledWithExactly(instance.get, '/v1/queue/799798e6-967d-492e-8fee-f7f35ec39d44', undefined, 'mock-request-options');
+			});
+
+			it('resolves with the response', () => {
+				assert.strictEqual(returnValue, response);
+			});
 
+			describe('when the ingestion ID is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.get.resetHistory();
 					try {
-						await liveInstance.request('get', '/repos-oh-no-i-do-not-exist', {'brand': 'core'});
+						await instance.getIngestion('mock-ingestion');
 					} catch (error) {
-						assert.instanceOf(error, Error);
-						assert.strictEqual(error.status, 404);
-						assert.strictEqual(error.message, '404: Request failed with status code 404');
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"mock-ingestion" is not a valid ingestion ID, expected a UUID');
+						assert.notCalled(instance.get);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+		});
+
+		describe('.deleteIngestion()', () => {
+			let returnValue;
+			let response;
+
+			beforeEach(async () => {
+				response = {
+					mockResponse: true
+				};
+				instance.delete = sinon.stub().resolves(response);
+				returnValue = await instance.deleteIngestion('799798e6-967d-492e-8fee-f7f35ec39d44', 'mock-request-options');
+			});
+
+			it('calls `instance.delete` with the expected endpoint', () => {
+				assert.calledOnce(instance.delete);
+				assert.calledWithExactly(instance.delete, '/v1/queue/799798e6-967d-492e-8fee-f7f35ec39d44', 'mock-request-options');
+			});
+
+			it('resolves with the response', () => {
+				assert.strictEqual(returnValue, response);
+			});
+
+			describe('when the ingestion ID is not valid', () => {
+
+				it('rejects with a TypeError without making a request', async () => {
+					instance.delete.resetHistory();
+					try {
+						await instance.deleteIngestion('mock-ingestion');
+					} catch (error) {
+						assert.instanceOf(error, TypeError);
+						assert.strictEqual(error.message, '"mock-ingestion" is not a valid ingestion ID, expected a UUID');
+						assert.notCalled(instance.delete);
 						return;
 					}
 
@@ -933,6 +1891,1248 @@ describe('lib/client', () => {
 
 		});
 
+		describe('.use(fn)', () => {
+			let fn;
+			let returnValue;
+
+			beforeEach(() => {
+				fn = sinon.stub();
+				returnValue = instance.use(fn);
+			});
+
+			it('adds the function to the client middleware', () => {
+				assert.deepEqual(instance.middleware, [fn]);
+			});
+
+			it('returns the client', () => {
+				assert.strictEqual(returnValue, instance);
+			});
+
+			describe('when `fn` is not a function', () => {
+
+				it('throws a TypeError', () => {
+					assert.throws(() => instance.use('mock-middleware'), TypeError);
+				});
+
+			});
+
+		});
+
+		describe('.onRequest(fn)', () => {
+			let returnValue;
+
+			beforeEach(() => {
+				sinon.stub(middleware, 'createHookMiddleware').returns('mock-hook-middleware');
+				instance.use = sinon.stub().returns(instance);
+				returnValue = instance.onRequest(sinon.stub());
+			});
+
+			afterEach(() => {
+				middleware.createHookMiddleware.restore();
+			});
+
+			it('adds middleware which calls the hook before each request', () => {
+				assert.calledOnce(middleware.createHookMiddleware);
+				assert.calledWithExactly(middleware.createHookMiddleware, {
+					onRequest: sinon.match.func
+				});
+				assert.calledOnce(instance.use);
+				assert.calledWithExactly(instance.use, 'mock-hook-middleware');
+			});
+
+			it('returns the client', () => {
+				assert.strictEqual(returnValue, instance);
+			});
+
+			describe('when `fn` is not a function', () => {
+
+				it('throws a TypeError', () => {
+					assert.throws(() => instance.onRequest('mock-hook'), TypeError);
+				});
+
+			});
+
+		});
+
+		describe('.onResponse(fn)', () => {
+			let returnValue;
+
+			beforeEach(() => {
+				sinon.stub(middleware, 'createHookMiddleware').returns('mock-hook-middleware');
+				instance.use = sinon.stub().returns(instance);
+				returnValue = instance.onResponse(sinon.stub());
+			});
+
+			afterEach(() => {
+				middleware.createHookMiddleware.restore();
+			});
+
+			it('adds middleware which calls the hook after each response', () => {
+				assert.calledOnce(middleware.createHookMiddleware);
+				assert.calledWithExactly(middleware.createHookMiddleware, {
+					onResponse: sinon.match.func
+				});
+				assert.calledWithExactly(instance.use, 'mock-hook-middleware');
+			});
+
+			it('returns the client', () => {
+				assert.strictEqual(returnValue, instance);
+			});
+
+		});
+
+		describe('.onError(fn)', () => {
+			let returnValue;
+
+			beforeEach(() => {
+				sinon.stub(middleware, 'createHookMiddleware').returns('mock-hook-middleware');
+				instance.use = sinon.stub().returns(instance);
+				returnValue = instance.onError(sinon.stub());
+			});
+
+			afterEach(() => {
+				middleware.createHookMiddleware.restore();
+			});
+
+			it('adds middleware which calls the hook after each error', () => {
+				assert.calledOnce(middleware.createHookMiddleware);
+				assert.calledWithExactly(middleware.createHookMiddleware, {
+					onError: sinon.match.func
+				});
+				assert.calledWithExactly(instance.use, 'mock-hook-middleware');
+			});
+
+			it('returns the client', () => {
+				assert.strictEqual(returnValue, instance);
+			});
+
+		});
+
+		describe('.get(endpoint, query, requestOptions)', () => {
+			let returnValue;
+			let response;
+
+			beforeEach(async () => {
+				response = {
+					mockResponse: true
+				};
+				instance.request = sinon.stub().resolves(response);
+				returnValue = await instance.get('/mock-endpoint', 'mock-query', 'mock-request-options');
+			});
+
+			it('calls `instance.request` with the expected method and endpoint', () => {
+				assert.calledOnce(instance.request);
+				assert.calledWithExactly(instance.request, 'GET', '/mock-endpoint', 'mock-query', undefined, 'mock-request-options');
+			});
+
+			it('resolves with the response', () => {
+				assert.strictEqual(returnValue, response);
+			});
+
+		});
+
+		describe('.post(endpoint, data, requestOptions)', () => {
+			let returnValue;
+			let response;
+
+			beforeEach(async () => {
+				response = {
+					mockResponse: true
+				};
+				instance.request = sinon.stub().resolves(response);
+				returnValue = await instance.post('/mock-endpoint', 'mock-data', 'mock-request-options');
+			});
+
+			it('calls `instance.request` with the expected method, endpoint, and data', () => {
+				assert.calledOnce(instance.request);
+				assert.calledWithExactly(instance.request, 'POST', '/mock-endpoint', undefined, 'mock-data', 'mock-request-options');
+			});
+
+			it('resolves with the response', () => {
+				assert.strictEqual(returnValue, response);
+			});
+
+		});
+
+		describe('.delete(endpoint, requestOptions)', () => {
+			let returnValue;
+			let response;
+
+			beforeEach(async () => {
+				response = {
+					mockResponse: true
+				};
+				instance.request = sinon.stub().resolves(response);
+				returnValue = await instance.delete('/mock-endpoint', 'mock-request-options');
+			});
+
+			it('calls `instance.request` with the expected method and endpoint', () => {
+				assert.calledOnce(instance.request);
+				assert.calledWithExactly(instance.request, 'DELETE', '/mock-endpoint', undefined, undefined, 'mock-request-options');
+			});
+
+			it('resolves with the response', () => {
+				assert.strictEqual(returnValue, response);
+			});
+
+		});
+
+		describe('.iterate(endpoint, query, requestOptions)', () => {
+			let items;
+
+			beforeEach(async () => {
+				instance.options = {
+					apiUrl: 'https://mock-api'
+				};
+				instance.sendWithRetries = sinon.stub();
+				instance.sendWithRetries.onCall(0).resolves({
+					status: 200,
+					headers: {
+						link: '<https://mock-api/mock-endpoint?page=2>; rel="next"'
+					},
+					data: ['mock-item-1', 'mock-item-2']
+				});
+				instance.sendWithRetries.onCall(1).resolves({
+					status: 200,
+					headers: {},
+					data: ['mock-item-3']
+				});
+				items = [];
+				for await (const item of instance.iterate('/mock-endpoint', {mock: 'query'}, 'mock-request-options')) {
+					items.push(item);
+				}
+			});
+
+			it('requests each page in turn', () => {
+				assert.calledTwice(instance.sendWithRetries);
+				assert.calledWithExactly(instance.sendWithRetries.firstCall, 'GET', '/mock-endpoint', {
+					mock: 'query',
+					page: 1,
+					limit: 100
+				}, undefined, undefined, 'mock-request-options');
+				assert.calledWithExactly(instance.sendWithRetries.secondCall, 'GET', '/mock-endpoint', {
+					page: '2'
+				}, undefined, undefined, 'mock-request-options');
+			});
+
+			it('yields every item from every page', () => {
+				assert.deepEqual(items, ['mock-item-1', 'mock-item-2', 'mock-item-3']);
+			});
+
+			describe('when iteration stops early', () => {
+
+				it('does not request further pages', async () => {
+					instance.sendWithRetries.resetHistory();
+					for await (const item of instance.iterate('/mock-endpoint')) {
+						if (item === 'mock-item-1') {
+							break;
+						}
+					}
+					assert.calledOnce(instance.sendWithRetries);
+				});
+
+			});
+
+			describe('when the service pages the list by page number', () => {
+
+				it('requests the next page number until every item has been requested', async () => {
+					instance.pageSize = 2;
+					instance.sendWithRetries.reset();
+					instance.sendWithRetries.onCall(0).resolves({
+						status: 200,
+						headers: {'x-total-count': '3'},
+						data: ['mock-item-1', 'mock-item-2']
+					});
+					instance.sendWithRetries.onCall(1).resolves({
+						status: 200,
+						headers: {'x-total-count': '3'},
+						data: ['mock-item-3']
+					});
+					items = [];
+					for await (const item of instance.iterate('/mock-endpoint')) {
+						items.push(item);
+					}
+					assert.calledTwice(instance.sendWithRetries);
+					assert.deepEqual(instance.sendWithRetries.secondCall.args[2], {page: 2, limit: 2});
+					assert.deepEqual(items, ['mock-item-1', 'mock-item-2', 'mock-item-3']);
+				});
+
+			});
+
+			describe('when the service responds with the whole list', () => {
+
+				it('yields every item in chunks without requesting another page', async () => {
+					instance.pageSize = 2;
+					const data = ['mock-item-1', 'mock-item-2', 'mock-item-3'];
+					instance.sendWithRetries.reset();
+					instance.sendWithRetries.resolves({
+						status: 200,
+						headers: {},
+						data
+					});
+					items = [];
+					for await (const item of instance.iterate('/mock-endpoint')) {
+						items.push(item);
+						if (item === 'mock-item-2') {
+							assert.deepEqual(data, ['mock-item-3']);
+						}
+					}
+					assert.calledOnce(instance.sendWithRetries);
+					assert.deepEqual(items, ['mock-item-1', 'mock-item-2', 'mock-item-3']);
+				});
+
+			});
+
+			describe('when the response is not an array', () => {
+
+				it('yields nothing', async () => {
+					instance.sendWithRetries.reset();
+					instance.sendWithRetries.resolves({
+						status: 200,
+						headers: {},
+						data: ''
+					});
+					items = [];
+					for await (const item of instance.iterate('/mock-endpoint')) {
+						items.push(item);
+					}
+					assert.deepEqual(items, []);
+				});
+
+			});
+
+			describe('when the client validates responses', () => {
+
+				beforeEach(() => {
+					instance.sendWithRetries.reset();
+					instance.sendWithRetries.resolves({
+						status: 200,
+						headers: {},
+						data: ['mock-item']
+					});
+					instance.validator = {
+						validate: sinon.stub().returns(['mock-normalized-item'])
+					};
+				});
+
+				it('validates each page and yields the validated items', async () => {
+					items = [];
+					for await (const item of instance.iterate('/v1/repos')) {
+						items.push(item);
+					}
+					assert.calledOnce(instance.validator.validate);
+					assert.calledWithExactly(instance.validator.validate, 'GET', '/v1/repos', ['mock-item']);
+					assert.deepEqual(items, ['mock-normalized-item']);
+				});
+
+			});
+
+		});
+
+		describe('.request(method, endpoint, query, data)', () => {
+
+			const RepoDataClient = require('../../../lib/client');
+			const liveInstance = new RepoDataClient({});
+
+			it('returns response data as expected', async () => {
+				const returnValue = await liveInstance.request('get', '/v1/repos', {'brand': 'core'});
+				assert.isObject(returnValue);
+			});
+
+			describe('given a 404 response', () => {
+
+				it('rejects with an error which includes the error details', async () => {
+
+					try {
+						await liveInstance.request('get', '/repos-oh-no-i-do-not-exist', {'brand': 'core'});
+					} catch (error) {
+						assert.instanceOf(error, Error);
+						assert.strictEqual(error.status, 404);
+						assert.strictEqual(error.message, '404: Request failed with status code 404');
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+		});
+
+		describe('.request(method, endpoint, query, data, requestOptions) with a mock HTTP layer', () => {
+			let returnValue;
+
+			beforeEach(async () => {
+				instance.sendWithRetries = sinon.stub().resolves({
+					status: 200,
+					headers: {},
+					data: 'mock-data'
+				});
+				returnValue = await instance.request('GET', '/v1/repos', 'mock-query', 'mock-post-data', 'mock-request-options');
+			});
+
+			it('sends the request', () => {
+				assert.calledOnce(instance.sendWithRetries);
+				assert.calledWithExactly(instance.sendWithRetries, 'GET', '/v1/repos', 'mock-query', 'mock-post-data', undefined, 'mock-request-options');
+			});
+
+			it('resolves with the response data', () => {
+				assert.strictEqual(returnValue, 'mock-data');
+			});
+
+			describe('when the signal has already been aborted', () => {
+
+				it('rejects with an AbortError without sending the request', async () => {
+					instance.sendWithRetries.resetHistory();
+					try {
+						await instance.request('GET', '/v1/repos', undefined, undefined, {
+							signal: {aborted: true}
+						});
+					} catch (error) {
+						assert.instanceOf(error, errors.AbortError);
+						assert.strictEqual(error.message, 'The request was aborted');
+						assert.notCalled(instance.sendWithRetries);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when the client has a cache', () => {
+				let clock;
+
+				beforeEach(async () => {
+					clock = sinon.useFakeTimers(1000);
+					instance.cache = new cache.ResponseCache({
+						store: new cache.MemoryCache(),
+						ttl: {
+							version: 100
+						}
+					});
+					instance.sendWithRetries.reset();
+					instance.sendWithRetries.resolves({
+						status: 200,
+						headers: {
+							etag: 'mock-etag'
+						},
+						data: 'mock-data'
+					});
+				});
+
+				afterEach(() => {
+					clock.restore();
+				});
+
+				describe('and the endpoint has a TTL', () => {
+
+					beforeEach(async () => {
+						await instance.request('GET', '/v1/repos/mock-repo/versions/mock-version');
+						returnValue = await instance.request('GET', '/v1/repos/mock-repo/versions/mock-version');
+					});
+
+					it('only sends the request once', () => {
+						assert.calledOnce(instance.sendWithRetries);
+					});
+
+					it('emits a `cache:hit` event', async () => {
+						const listener = sinon.spy();
+						instance.on('cache:hit', listener);
+						await instance.request('GET', '/v1/repos/mock-repo/versions/mock-version');
+						assert.calledOnce(listener);
+						assert.calledWithExactly(listener, {
+							method: 'GET',
+							endpoint: '/v1/repos/mock-repo/versions/mock-version',
+							template: '/v1/repos/:repo/versions/:version',
+							revalidated: false
+						});
+					});
+
+					it('resolves with the cached response data', () => {
+						assert.strictEqual(returnValue, 'mock-data');
+					});
+
+					describe('when the cached response has expired', () => {
+
+						beforeEach(async () => {
+							clock.tick(100);
+							instance.sendWithRetries.resolves({
+								status: 200,
+								headers: {},
+								data: 'mock-new-data'
+							});
+							returnValue = await instance.request('GET', '/v1/repos/mock-repo/versions/mock-version');
+						});
+
+						it('sends the request again with the cached ETag', () => {
+							assert.calledTwice(instance.sendWithRetries);
+							assert.calledWithExactly(instance.sendWithRetries.secondCall, 'GET', '/v1/repos/mock-repo/versions/mock-version', undefined, undefined, {
+								'If-None-Match': 'mock-etag'
+							}, undefined);
+						});
+
+						it('resolves with the new response data', () => {
+							assert.strictEqual(returnValue, 'mock-new-data');
+						});
+
+					});
+
+				});
+
+				describe('and the endpoint has a TTL of zero', () => {
+
+					beforeEach(async () => {
+						await instance.request('GET', '/v1/repos', {brand: 'master'});
+						instance.sendWithRetries.resolves({
+							status: 304,
+							headers: {},
+							data: ''
+						});
+						returnValue = await instance.request('GET', '/v1/repos', {brand: 'master'});
+					});
+
+					it('revalidates the cached response using its ETag', () => {
+						assert.calledTwice(instance.sendWithRetries);
+						assert.calledWithExactly(instance.sendWithRetries.secondCall, 'GET', '/v1/repos', {brand: 'master'}, undefined, {
+							'If-None-Match': 'mock-etag'
+						}, undefined);
+					});
+
+					it('resolves with the cached response data when the service responds with a 304', () => {
+						assert.strictEqual(returnValue, 'mock-data');
+					});
+
+				});
+
+				describe('and the endpoint is not cacheable', () => {
+
+					it('sends every request', async () => {
+						await instance.request('GET', '/v1/queue');
+						await instance.request('GET', '/v1/queue');
+						assert.calledTwice(instance.sendWithRetries);
+						assert.alwaysCalledWithExactly(instance.sendWithRetries, 'GET', '/v1/queue', undefined, undefined, undefined, undefined);
+					});
+
+				});
+
+			});
+
+			describe('when the client validates responses', () => {
+
+				beforeEach(() => {
+					instance.validator = {
+						validate: sinon.stub().returns('mock-normalized-data')
+					};
+				});
+
+				it('resolves with the validated response data', async () => {
+					returnValue = await instance.request('GET', '/v1/repos');
+					assert.calledOnce(instance.validator.validate);
+					assert.calledWithExactly(instance.validator.validate, 'GET', '/v1/repos', 'mock-data');
+					assert.strictEqual(returnValue, 'mock-normalized-data');
+				});
+
+				it('validates cached responses, but caches them before they are validated', async () => {
+					instance.cache = new cache.ResponseCache({
+						store: new cache.MemoryCache(),
+						ttl: {repo: 60000}
+					});
+					instance.sendWithRetries.resetHistory();
+					await instance.request('GET', '/v1/repos/mock-repo');
+					returnValue = await instance.request('GET', '/v1/repos/mock-repo');
+					assert.calledOnce(instance.sendWithRetries);
+					assert.calledTwice(instance.validator.validate);
+					assert.alwaysCalledWithExactly(instance.validator.validate, 'GET', '/v1/repos/mock-repo', 'mock-data');
+					assert.strictEqual(returnValue, 'mock-normalized-data');
+				});
+
+				it('does not validate empty responses', async () => {
+					instance.sendWithRetries.resolves({
+						status: 204,
+						headers: {},
+						data: ''
+					});
+					returnValue = await instance.request('DELETE', '/v1/keys/mock-key');
+					assert.notCalled(instance.validator.validate);
+					assert.isUndefined(returnValue);
+				});
+
+				it('rejects with validation errors', async () => {
+					const validationError = new errors.ResponseValidationError('mock error');
+					instance.validator.validate.throws(validationError);
+					try {
+						await instance.request('GET', '/v1/repos');
+					} catch (error) {
+						assert.strictEqual(error, validationError);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+		});
+
+		describe('.send(method, endpoint, query, data, headers, requestOptions)', () => {
+			let returnValue;
+
+			beforeEach(async () => {
+				instance.options = {
+					apiUrl: 'mock-api-url',
+					apiKey: 'mock-api-key',
+					apiSecret: 'mock-api-secret'
+				};
+				axios.default.resolves({
+					status: 201,
+					headers: {
+						etag: 'mock-etag'
+					},
+					data: 'mock-data'
+				});
+				returnValue = await instance.send('POST', '/mock-endpoint', 'mock-query', 'mock-post-data', {
+					'X-Mock-Header': 'mock'
+				});
+			});
+
+			it('makes an HTTP request with the expected options', () => {
+				assert.calledOnce(axios.default);
+				assert.calledWithExactly(axios.default, {
+					method: 'POST',
+					url: 'mock-api-url/mock-endpoint',
+					params: 'mock-query',
+					headers: {
+						'X-Api-Key': 'mock-api-key',
+						'X-Api-Secret': 'mock-api-secret',
+						'X-Mock-Header': 'mock'
+					},
+					data: 'mock-post-data',
+					validateStatus: sinon.match.func
+				});
+			});
+
+			it('treats 2xx and 304 statuses as successful', () => {
+				const validateStatus = axios.default.firstCall.args[0].validateStatus;
+				assert.isTrue(validateStatus(200));
+				assert.isTrue(validateStatus(204));
+				assert.isTrue(validateStatus(304));
+				assert.isFalse(validateStatus(302));
+				assert.isFalse(validateStatus(404));
+			});
+
+			it('resolves with the response status, headers, and data', () => {
+				assert.deepEqual(returnValue, {
+					status: 201,
+					headers: {
+						etag: 'mock-etag'
+					},
+					data: 'mock-data'
+				});
+			});
+
+			describe('when the client has an auth strategy', () => {
+
+				beforeEach(() => {
+					axios.default.resetHistory();
+					instance.auth = {
+						getHeaders: sinon.stub().resolves({
+							'X-Api-Key': 'mock-strategy-key'
+						})
+					};
+				});
+
+				it('sends the headers from the auth strategy instead of the API key and secret', async () => {
+					await instance.send('GET', '/mock-endpoint', 'mock-query', undefined, {
+						'X-Mock-Header': 'mock'
+					});
+					assert.calledOnce(instance.auth.getHeaders);
+					assert.calledWithExactly(instance.auth.getHeaders, {method: 'GET', endpoint: '/mock-endpoint'});
+					assert.deepEqual(axios.default.firstCall.args[0].headers, {
+						'X-Api-Key': 'mock-strategy-key',
+						'X-Mock-Header': 'mock'
+					});
+				});
+
+				describe('when the service responds with a 401 status', () => {
+					let unauthorizedError;
+
+					beforeEach(() => {
+						unauthorizedError = new errors.UnauthorizedError('mock unauthorized');
+						sinon.stub(errors, 'createRequestError').returns(unauthorizedError);
+						axios.default.rejects(new Error('mock axios error'));
+						axios.default.onSecondCall().resolves({
+							status: 200,
+							headers: {},
+							data: 'mock-refreshed-data'
+						});
+					});
+
+					afterEach(() => {
+						errors.createRequestError.restore();
+					});
+
+					it('refreshes the credentials and sends the request again', async () => {
+						instance.auth.refresh = sinon.stub().resolves();
+						returnValue = await instance.send('GET', '/mock-endpoint');
+						assert.calledOnce(instance.auth.refresh);
+						assert.calledWithExactly(instance.auth.refresh, unauthorizedError);
+						assert.calledTwice(instance.auth.getHeaders);
+						assert.calledTwice(axios.default);
+						assert.strictEqual(returnValue.data, 'mock-refreshed-data');
+					});
+
+					it('only refreshes the credentials once', async () => {
+						instance.auth.refresh = sinon.stub().resolves();
+						axios.default.onSecondCall().rejects(new Error('mock axios error'));
+						try {
+							await instance.send('GET', '/mock-endpoint');
+						} catch (error) {
+							assert.strictEqual(error, unauthorizedError);
+							assert.calledOnce(instance.auth.refresh);
+							assert.calledTwice(axios.default);
+							return;
+						}
+
+						throw new Error('Expected an error to be thrown');
+					});
+
+					it('rejects without sending the request again when the auth strategy cannot be refreshed', async () => {
+						try {
+							await instance.send('GET', '/mock-endpoint');
+						} catch (error) {
+							assert.strictEqual(error, unauthorizedError);
+							assert.calledOnce(axios.default);
+							return;
+						}
+
+						throw new Error('Expected an error to be thrown');
+					});
+
+				});
+
+			});
+
+			describe('when the client has middleware', () => {
+
+				beforeEach(() => {
+					axios.default.resetHistory();
+				});
+
+				it('passes the request through the middleware before sending it', async () => {
+					const requests = [];
+					instance.use((request, next) => {
+						requests.push(Object.assign({}, request));
+						request.headers['X-Request-Id'] = 'mock-request-id';
+						return next();
+					});
+					returnValue = await instance.send('GET', '/mock-endpoint', 'mock-query');
+					assert.deepEqual(requests, [{
+						method: 'GET',
+						endpoint: '/mock-endpoint',
+						query: 'mock-query',
+						data: undefined,
+						headers: {
+							'X-Api-Key': 'mock-api-key',
+							'X-Api-Secret': 'mock-api-secret',
+							'X-Request-Id': 'mock-request-id'
+						}
+					}]);
+					assert.calledOnce(axios.default);
+					assert.strictEqual(axios.default.firstCall.args[0].headers['X-Request-Id'], 'mock-request-id');
+					assert.strictEqual(returnValue.data, 'mock-data');
+				});
+
+				it('resolves with a response from the middleware without sending the request', async () => {
+					instance.use(() => ({
+						status: 200,
+						data: 'mock-middleware-data'
+					}));
+					returnValue = await instance.send('GET', '/mock-endpoint');
+					assert.notCalled(axios.default);
+					assert.deepEqual(returnValue, {
+						status: 200,
+						headers: {},
+						data: 'mock-middleware-data'
+					});
+				});
+
+				it('rejects when the middleware responds with an unsuccessful status', async () => {
+					instance.use(() => ({
+						status: 404,
+						headers: {
+							'x-request-id': 'mock-request-id'
+						},
+						data: {
+							message: 'mock not found'
+						}
+					}));
+					try {
+						await instance.send('GET', '/mock-endpoint');
+					} catch (error) {
+						assert.instanceOf(error, errors.NotFoundError);
+						assert.strictEqual(error.serviceMessage, 'mock not found');
+						assert.strictEqual(error.requestId, 'mock-request-id');
+						assert.notCalled(axios.default);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when a timeout and signal are given', () => {
+
+				it('passes them to the HTTP request', async () => {
+					const signal = {aborted: false};
+					axios.default.resetHistory();
+					await instance.send('GET', '/mock-endpoint', undefined, undefined, undefined, {
+						timeout: 500,
+						signal
+					});
+					assert.strictEqual(axios.default.firstCall.args[0].timeout, 500);
+					assert.strictEqual(axios.default.firstCall.args[0].signal, signal);
+				});
+
+			});
+
+			describe('when the client has a `timeout` option', () => {
+
+				beforeEach(() => {
+					instance.options.timeout = 1000;
+					axios.default.resetHistory();
+				});
+
+				it('passes the timeout to the HTTP request', async () => {
+					await instance.send('GET', '/mock-endpoint');
+					assert.strictEqual(axios.default.firstCall.args[0].timeout, 1000);
+				});
+
+				it('uses the request timeout in preference to the client timeout', async () => {
+					await instance.send('GET', '/mock-endpoint', undefined, undefined, undefined, {
+						timeout: 500
+					});
+					assert.strictEqual(axios.default.firstCall.args[0].timeout, 500);
+				});
+
+			});
+
+			describe('when the HTTP request errors', () => {
+				let httpError;
+				let requestError;
+
+				beforeEach(() => {
+					httpError = new Error('mock http error');
+					requestError = new Error('mock request error');
+					axios.default.rejects(httpError);
+					sinon.stub(errors, 'createRequestError').returns(requestError);
+				});
+
+				afterEach(() => {
+					errors.createRequestError.restore();
+				});
+
+				it('rejects with an error created from the HTTP error', async () => {
+					try {
+						await instance.send('GET', '/mock-endpoint');
+					} catch (error) {
+						assert.calledOnce(errors.createRequestError);
+						assert.calledWithExactly(errors.createRequestError, httpError, {
+							method: 'GET',
+							endpoint: '/mock-endpoint',
+							url: 'mock-api-url/mock-endpoint'
+						});
+						assert.strictEqual(error, requestError);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when the client is recording', () => {
+
+				beforeEach(async () => {
+					instance.recorder = {
+						mode: 'record',
+						record: sinon.stub().resolves()
+					};
+					returnValue = await instance.send('GET', '/mock-endpoint', 'mock-query');
+				});
+
+				it('records the request and response', () => {
+					assert.calledOnce(instance.recorder.record);
+					assert.calledWithExactly(instance.recorder.record, {
+						method: 'GET',
+						endpoint: '/mock-endpoint',
+						query: 'mock-query',
+						data: undefined,
+						headers: {
+							'X-Api-Key': 'mock-api-key',
+							'X-Api-Secret': 'mock-api-secret'
+						}
+					}, returnValue, ['X-Api-Key', 'X-Api-Secret']);
+				});
+
+				it('records error responses', async () => {
+					const httpError = new Error('Request failed with status code 404');
+					httpError.response = {
+						status: 404,
+						headers: {},
+						data: {
+							message: 'mock not found'
+						}
+					};
+					axios.default.rejects(httpError);
+					instance.recorder.record.resetHistory();
+					try {
+						await instance.send('GET', '/mock-endpoint');
+					} catch (error) {
+						assert.instanceOf(error, errors.NotFoundError);
+						assert.calledOnce(instance.recorder.record);
+						assert.deepEqual(instance.recorder.record.firstCall.args[1], {
+							status: 404,
+							headers: {},
+							data: {
+								message: 'mock not found'
+							}
+						});
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when the client is using a snapshot', () => {
+
+				beforeEach(async () => {
+					axios.default.resetHistory();
+					instance.snapshot = {
+						respond: sinon.stub().resolves({
+							status: 200,
+							headers: {},
+							data: 'mock-snapshot-data'
+						})
+					};
+					returnValue = await instance.send('GET', '/mock-endpoint', 'mock-query');
+				});
+
+				it('does not make an HTTP request', () => {
+					assert.notCalled(axios.default);
+				});
+
+				it('responds to the request from the snapshot', () => {
+					assert.calledOnce(instance.snapshot.respond);
+					assert.strictEqual(instance.snapshot.respond.firstCall.args[0].endpoint, '/mock-endpoint');
+					assert.strictEqual(instance.snapshot.respond.firstCall.args[0].query, 'mock-query');
+					assert.deepEqual(returnValue, {
+						status: 200,
+						headers: {},
+						data: 'mock-snapshot-data'
+					});
+				});
+
+				it('rejects with an error when the snapshot responds with an error status', async () => {
+					instance.snapshot.respond.resolves({
+						status: 404,
+						headers: {},
+						data: {
+							message: 'mock not found'
+						}
+					});
+					try {
+						await instance.send('GET', '/mock-endpoint');
+					} catch (error) {
+						assert.instanceOf(error, errors.NotFoundError);
+						assert.strictEqual(error.serviceMessage, 'mock not found');
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when the client is replaying', () => {
+
+				beforeEach(async () => {
+					axios.default.resetHistory();
+					instance.recorder = {
+						mode: 'replay',
+						replay: sinon.stub().resolves({
+							status: 200,
+							headers: {},
+							data: 'mock-recorded-data'
+						})
+					};
+					returnValue = await instance.send('GET', '/mock-endpoint', 'mock-query');
+				});
+
+				it('does not make an HTTP request', () => {
+					assert.notCalled(axios.default);
+				});
+
+				it('replays the recorded response for the request', () => {
+					assert.calledOnce(instance.recorder.replay);
+					assert.strictEqual(instance.recorder.replay.firstCall.args[0].endpoint, '/mock-endpoint');
+					assert.deepEqual(returnValue, {
+						status: 200,
+						headers: {},
+						data: 'mock-recorded-data'
+					});
+				});
+
+				it('rejects with an error when the recorded response has an error status', async () => {
+					instance.recorder.replay.resolves({
+						status: 404,
+						headers: {},
+						data: {
+							message: 'mock not found'
+						}
+					});
+					try {
+						await instance.send('GET', '/mock-endpoint');
+					} catch (error) {
+						assert.instanceOf(error, errors.NotFoundError);
+						assert.strictEqual(error.message, '404: Request failed with status code 404');
+						assert.strictEqual(error.serviceMessage, 'mock not found');
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+		});
+
+		describe('.sendWithRetries(method, endpoint, query, data, headers, requestOptions)', () => {
+			let events;
+			let requestOptions;
+			let returnValue;
+			let serverError;
+
+			beforeEach(async () => {
+				serverError = new errors.ServerError('503: mock error', {
+					status: 503
+				});
+				instance.retryOptions = retry.normalizeRetryOptions({
+					maxAttempts: 3,
+					jitter: false
+				});
+				instance.send = sinon.stub();
+				instance.send.onCall(0).rejects(serverError);
+				instance.send.onCall(1).rejects(serverError);
+				instance.send.resolves('mock-data');
+				sinon.stub(retry, 'wait').resolves();
+				requestOptions = {
+					signal: {aborted: false}
+				};
+				events = [];
+				const recordEvent = eventName => event => events.push([eventName, event]);
+				for (const eventName of ['request:start', 'request:success', 'request:failure', 'request:retry']) {
+					instance.on(eventName, recordEvent(eventName));
+				}
+				returnValue = await instance.sendWithRetries('GET', '/mock-endpoint', 'mock-query', undefined, 'mock-headers', requestOptions);
+			});
+
+			afterEach(() => {
+				retry.wait.restore();
+			});
+
+			it('sends the request until it succeeds', () => {
+				assert.calledThrice(instance.send);
+				assert.alwaysCalledWithExactly(instance.send, 'GET', '/mock-endpoint', 'mock-query', undefined, 'mock-headers', requestOptions);
+			});
+
+			it('waits with an exponential backoff between attempts', () => {
+				assert.calledTwice(retry.wait);
+				assert.calledWithExactly(retry.wait.firstCall, 100, requestOptions.signal);
+				assert.calledWithExactly(retry.wait.secondCall, 200, requestOptions.signal);
+			});
+
+			it('resolves with the successful response', () => {
+				assert.strictEqual(returnValue, 'mock-data');
+			});
+
+			it('emits events for each attempt', () => {
+				assert.deepEqual(events.map(([eventName, event]) => `${eventName} ${event.attempt}`), [
+					'request:start 1',
+					'request:failure 1',
+					'request:retry 1',
+					'request:start 2',
+					'request:failure 2',
+					'request:retry 2',
+					'request:start 3',
+					'request:success 3'
+				]);
+			});
+
+			it('includes the request details and outcome in each event', () => {
+				const [, failure] = events[1];
+				assert.strictEqual(failure.method, 'GET');
+				assert.strictEqual(failure.endpoint, '/mock-endpoint');
+				assert.isNull(failure.template);
+				assert.strictEqual(failure.status, 503);
+				assert.strictEqual(failure.error, serverError);
+				assert.isNumber(failure.duration);
+				const [, retryEvent] = events[2];
+				assert.strictEqual(retryEvent.delay, 100);
+				const [, success] = events[7];
+				assert.strictEqual(success.attempt, 3);
+				assert.isNumber(success.duration);
+			});
+
+			it('labels events with the endpoint template', async () => {
+				events = [];
+				await instance.sendWithRetries('GET', '/v1/repos/o-colors/versions/6.0.0');
+				assert.strictEqual(events[0][1].template, '/v1/repos/:repo/versions/:version');
+			});
+
+			describe('when every attempt fails', () => {
+
+				it('rejects with the last error after the maximum number of attempts', async () => {
+					instance.send.reset();
+					instance.send.rejects(serverError);
+					try {
+						await instance.sendWithRetries('GET', '/mock-endpoint');
+					} catch (error) {
+						assert.calledThrice(instance.send);
+						assert.strictEqual(error, serverError);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when the signal is aborted', () => {
+
+				it('rejects with an AbortError without sending the request', async () => {
+					instance.send.resetHistory();
+					requestOptions.signal.aborted = true;
+					try {
+						await instance.sendWithRetries('GET', '/mock-endpoint', undefined, undefined, undefined, requestOptions);
+					} catch (error) {
+						assert.instanceOf(error, errors.AbortError);
+						assert.strictEqual(error.method, 'GET');
+						assert.strictEqual(error.endpoint, '/mock-endpoint');
+						assert.notCalled(instance.send);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when the request method is POST', () => {
+
+				it('does not retry the request', async () => {
+					instance.send.reset();
+					instance.send.rejects(serverError);
+					try {
+						await instance.sendWithRetries('POST', '/mock-endpoint', undefined, 'mock-post-data');
+					} catch (error) {
+						assert.calledOnce(instance.send);
+						assert.strictEqual(error, serverError);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when the error is not retryable', () => {
+
+				it('does not retry the request', async () => {
+					const notFoundError = new errors.NotFoundError('404: mock error', {
+						status: 404
+					});
+					instance.send.reset();
+					instance.send.rejects(notFoundError);
+					try {
+						await instance.sendWithRetries('GET', '/mock-endpoint');
+					} catch (error) {
+						assert.calledOnce(instance.send);
+						assert.strictEqual(error, notFoundError);
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+		});
+
+	});
+
+	describe('RepoDataClient.fromSnapshot(path, options)', () => {
+
+		it('returns a client which uses the snapshot', () => {
+			const instance = RepoDataClient.fromSnapshot('mock-snapshot.json', {
+				apiUrl: 'mock-api-url',
+				snapshot: 'mock-other-snapshot.json'
+			});
+			assert.instanceOf(instance, RepoDataClient);
+			assert.instanceOf(instance.snapshot, snapshot.Snapshot);
+			assert.match(instance.snapshot.path, /mock-snapshot\.json$/);
+			assert.strictEqual(instance.options.apiUrl, 'mock-api-url');
+		});
+
+	});
+
+	describe('RepoDataClient.diffCatalogue(before, after)', () => {
+		let returnValue;
+
+		beforeEach(async () => {
+			sinon.stub(diff, 'diffCatalogue').resolves('mock-diff');
+			returnValue = await RepoDataClient.diffCatalogue('mock-before', 'mock-after');
+		});
+
+		afterEach(() => {
+			diff.diffCatalogue.restore();
+		});
+
+		it('calls the diff helper with the catalogues', () => {
+			assert.calledOnce(diff.diffCatalogue);
+			assert.calledWithExactly(diff.diffCatalogue, 'mock-before', 'mock-after');
+		});
+
+		it('resolves with the changes', () => {
+			assert.strictEqual(returnValue, 'mock-diff');
+		});
+
+	});
+
+	describe('RepoDataClient.renderCatalogueDiff(diff, format)', () => {
+		let returnValue;
+
+		beforeEach(() => {
+			sinon.stub(diff, 'renderCatalogueDiff').returns('mock-report');
+			returnValue = RepoDataClient.renderCatalogueDiff('mock-diff', 'json');
+		});
+
+		afterEach(() => {
+			diff.renderCatalogueDiff.restore();
+		});
+
+		it('calls the diff helper with the diff and format', () => {
+			assert.calledOnce(diff.renderCatalogueDiff);
+			assert.calledWithExactly(diff.renderCatalogueDiff, 'mock-diff', 'json');
+		});
+
+		it('returns the report', () => {
+			assert.strictEqual(returnValue, 'mock-report');
+		});
+
 	});
 
 	describe('RepoDataClient.defaultOptions(options)', () => {
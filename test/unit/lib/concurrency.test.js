@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/concurrency', () => {
+	let concurrency;
+
+	beforeEach(() => {
+		concurrency = require('../../../lib/concurrency');
+	});
+
+	describe('.mapConcurrently(items, concurrency, iteratee)', () => {
+
+		it('resolves with the results in the same order as the items', async () => {
+			const results = await concurrency.mapConcurrently([30, 10, 20], 3, delay => {
+				return new Promise(resolve => setTimeout(() => resolve(delay * 2), delay));
+			});
+			assert.deepEqual(results, [60, 20, 40]);
+		});
+
+		it('runs no more than the given number of calls at once', async () => {
+			let running = 0;
+			let maxRunning = 0;
+			await concurrency.mapConcurrently([1, 2, 3, 4, 5, 6], 2, async () => {
+				running += 1;
+				maxRunning = Math.max(maxRunning, running);
+				await new Promise(resolve => setTimeout(resolve, 5));
+				running -= 1;
+			});
+			assert.strictEqual(maxRunning, 2);
+		});
+
+		it('resolves with an empty array when there are no items', async () => {
+			assert.deepEqual(await concurrency.mapConcurrently([], 2, () => {}), []);
+		});
+
+		it('rejects with the first error and stops starting calls', async () => {
+			const calls = [];
+			try {
+				await concurrency.mapConcurrently([1, 2, 3, 4], 1, async item => {
+					calls.push(item);
+					if (item === 2) {
+						throw new Error('mock error');
+					}
+				});
+			} catch (error) {
+				assert.strictEqual(error.message, 'mock error');
+				assert.deepEqual(calls, [1, 2]);
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+	});
+
+});
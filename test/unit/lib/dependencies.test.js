@@ -0,0 +1,401 @@
+'use strict';
+
+const assert = require('proclaim');
+const mockery = require('mockery');
+const sinon = require('sinon');
+
+describe('lib/dependencies', () => {
+	let dependencies;
+	let errors;
+
+	beforeEach(() => {
+		errors = require('../../../lib/errors');
+		mockery.registerMock('./errors', errors);
+
+		dependencies = require('../../../lib/dependencies');
+	});
+
+	describe('.getDependencyRepoName(name)', () => {
+
+		it('removes the Financial Times npm scope', () => {
+			assert.strictEqual(dependencies.getDependencyRepoName('@financial-times/o-colors'), 'o-colors');
+			assert.strictEqual(dependencies.getDependencyRepoName('o-colors'), 'o-colors');
+		});
+
+	});
+
+	describe('.getDependencyRange(range)', () => {
+
+		it('removes a Bower endpoint from the range', () => {
+			assert.strictEqual(dependencies.getDependencyRange('Financial-Times/o-colors#^5.0.0'), '^5.0.0');
+			assert.strictEqual(dependencies.getDependencyRange('^5.0.0'), '^5.0.0');
+		});
+
+	});
+
+	describe('.findCycles(nodes, rootId)', () => {
+
+		it('returns each cycle as a list of node IDs', () => {
+			const edge = resolved => ({resolved});
+			assert.deepEqual(dependencies.findCycles({
+				'a@1.0.0': {dependencies: [edge('b@1.0.0'), edge('c@1.0.0')]},
+				'b@1.0.0': {dependencies: [edge('c@1.0.0'), edge(null)]},
+				'c@1.0.0': {dependencies: [edge('a@1.0.0')]}
+			}, 'a@1.0.0'), [
+				['a@1.0.0', 'b@1.0.0', 'c@1.0.0', 'a@1.0.0']
+			]);
+		});
+
+	});
+
+	describe('.findConflicts(nodes, versionLists)', () => {
+
+		it('returns a version which satisfies every range when there is one', () => {
+			const conflicts = dependencies.findConflicts({
+				'a@1.0.0': {id: 'a@1.0.0', version: '1.0.0', dependencies: [{name: 'c', range: '^6.0.0', resolved: 'c@6.2.0'}]},
+				'b@1.0.0': {id: 'b@1.0.0', version: '1.0.0', dependencies: [{name: 'c', range: '<6.1.0', resolved: 'c@6.0.0'}]},
+				'c@6.0.0': {id: 'c@6.0.0', version: '6.0.0', dependencies: []},
+				'c@6.2.0': {id: 'c@6.2.0', version: '6.2.0', dependencies: []}
+			}, new Map([
+				['c', [{version: '6.0.0'}, {version: '6.2.0'}]]
+			]));
+			assert.deepEqual(conflicts, [
+				{
+					name: 'c',
+					versions: ['6.2.0', '6.0.0'],
+					requests: [
+						{dependent: 'a@1.0.0', range: '^6.0.0', version: '6.2.0'},
+						{dependent: 'b@1.0.0', range: '<6.1.0', version: '6.0.0'}
+					],
+					resolution: '6.0.0'
+				}
+			]);
+		});
+
+	});
+
+	describe('.resolveDependencyTree(client, repoId, versionId, options, requestOptions)', () => {
+		let catalogue;
+		let client;
+		let returnValue;
+
+		beforeEach(async () => {
+			catalogue = {
+				'o-app': {
+					'1.0.0': [
+						{name: '@financial-times/o-buttons', version: '^6.0.0', source: 'npm', isDev: false, isOptional: false},
+						{name: 'o-colors', version: '^5.0.0', source: 'bower', isDev: false, isOptional: false},
+						{name: 'o-test-helpers', version: '^1.0.0', source: 'npm', isDev: true, isOptional: false},
+						{name: 'left-pad', version: '^1.0.0', source: 'npm', isDev: false, isOptional: true},
+						{name: 'o-icons', version: 'not-a-range', source: 'bower', isDev: false, isOptional: false}
+					]
+				},
+				'o-buttons': {
+					'6.0.0': [],
+					'6.1.0': [
+						{name: 'o-colors', version: 'Financial-Times/o-colors#^6.0.0', source: 'bower', isDev: false, isOptional: false},
+						{name: 'o-app', version: '^1.0.0', source: 'bower', isDev: false, isOptional: false}
+					]
+				},
+				'o-colors': {
+					'5.1.0': [],
+					'6.0.0': [],
+					'6.2.0': []
+				},
+				'o-icons': {
+					'1.0.0': []
+				},
+				'o-test-helpers': {
+					'1.0.0': []
+				}
+			};
+			const notFoundError = new errors.NotFoundError('404: mock error', {
+				status: 404
+			});
+			client = {
+				getVersion: sinon.spy(async (name, version) => ({name, version})),
+				listVersions: sinon.spy(async name => {
+					if (!catalogue[name]) {
+						throw notFoundError;
+					}
+					return Object.keys(catalogue[name]).map(version => ({name, version}));
+				}),
+				listDependencies: sinon.spy(async (name, version) => catalogue[name][version])
+			};
+			returnValue = await dependencies.resolveDependencyTree(client, 'o-app', '1.0.0', {}, 'mock-request-options');
+		});
+
+		it('gets the root version', () => {
+			assert.calledOnce(client.getVersion);
+			assert.calledWithExactly(client.getVersion, 'o-app', '1.0.0', 'mock-request-options');
+		});
+
+		it('lists the versions of each dependency once', () => {
+			assert.callCount(client.listVersions, 5);
+			assert.calledWithExactly(client.listVersions, 'o-buttons', 'mock-request-options');
+			assert.calledWithExactly(client.listVersions, 'o-colors', 'mock-request-options');
+			assert.calledWithExactly(client.listVersions, 'left-pad', 'mock-request-options');
+			assert.calledWithExactly(client.listVersions, 'o-icons', 'mock-request-options');
+			assert.calledWithExactly(client.listVersions, 'o-app', 'mock-request-options');
+		});
+
+		it('resolves with a graph of the resolved versions', () => {
+			assert.strictEqual(returnValue.root, 'o-app@1.0.0');
+			assert.deepEqual(Object.keys(returnValue.nodes).sort(), [
+				'o-app@1.0.0',
+				'o-buttons@6.1.0',
+				'o-colors@5.1.0',
+				'o-colors@6.2.0'
+			]);
+			assert.deepEqual(returnValue.nodes['o-buttons@6.1.0'], {
+				id: 'o-buttons@6.1.0',
+				name: 'o-buttons',
+				version: '6.1.0',
+				depth: 1,
+				record: {name: 'o-buttons', version: '6.1.0'},
+				dependencies: [
+					{name: 'o-colors', range: '^6.0.0', source: 'bower', isDev: false, isOptional: false, resolved: 'o-colors@6.2.0'},
+					{name: 'o-app', range: '^1.0.0', source: 'bower', isDev: false, isOptional: false, resolved: 'o-app@1.0.0'}
+				],
+				truncated: false
+			});
+			assert.strictEqual(returnValue.nodes['o-colors@6.2.0'].depth, 2);
+		});
+
+		it('does not include development dependencies', () => {
+			assert.notInclude(returnValue.nodes['o-app@1.0.0'].dependencies.map(dependency => dependency.name), 'o-test-helpers');
+		});
+
+		it('reports repositories which are resolved to more than one version', () => {
+			assert.deepEqual(returnValue.conflicts, [
+				{
+					name: 'o-colors',
+					versions: ['6.2.0', '5.1.0'],
+					requests: [
+						{dependent: 'o-app@1.0.0', range: '^5.0.0', version: '5.1.0'},
+						{dependent: 'o-buttons@6.1.0', range: '^6.0.0', version: '6.2.0'}
+					],
+					resolution: null
+				}
+			]);
+		});
+
+		it('reports cycles', () => {
+			assert.deepEqual(returnValue.cycles, [
+				['o-app@1.0.0', 'o-buttons@6.1.0', 'o-app@1.0.0']
+			]);
+		});
+
+		it('reports dependencies which cannot be resolved', () => {
+			assert.deepEqual(returnValue.unresolved, [
+				{dependent: 'o-app@1.0.0', name: 'left-pad', range: '^1.0.0', isOptional: true, reason: 'the repository does not exist in Repo Data'},
+				{dependent: 'o-app@1.0.0', name: 'o-icons', range: 'not-a-range', isOptional: false, reason: 'the range is not a valid semver range'}
+			]);
+		});
+
+		describe('when `options.includeDev` is `true`', () => {
+
+			it('includes the development dependencies of the root repository', async () => {
+				returnValue = await dependencies.resolveDependencyTree(client, 'o-app', '1.0.0', {includeDev: true});
+				assert.isDefined(returnValue.nodes['o-test-helpers@1.0.0']);
+			});
+
+		});
+
+		describe('when `options.maxDepth` is set', () => {
+
+			it('does not walk dependencies beyond the maximum depth', async () => {
+				returnValue = await dependencies.resolveDependencyTree(client, 'o-app', '1.0.0', {maxDepth: 1});
+				assert.deepEqual(Object.keys(returnValue.nodes).sort(), [
+					'o-app@1.0.0',
+					'o-buttons@6.1.0',
+					'o-colors@5.1.0'
+				]);
+				assert.isTrue(returnValue.nodes['o-buttons@6.1.0'].truncated);
+				assert.deepEqual(returnValue.cycles, []);
+			});
+
+		});
+
+		describe('when `options.concurrency` is set', () => {
+
+			it('lists the dependencies of no more than that many versions at once', async () => {
+				catalogue['o-app']['1.0.0'] = ['o-a', 'o-b', 'o-c', 'o-d'].map(name => {
+					catalogue[name] = {'1.0.0': []};
+					return {name, version: '^1.0.0', source: 'bower', isDev: false, isOptional: false};
+				});
+				let running = 0;
+				let maxRunning = 0;
+				client.listDependencies = sinon.spy(async (name, version) => {
+					running += 1;
+					maxRunning = Math.max(maxRunning, running);
+					await new Promise(resolve => setTimeout(resolve, 5));
+					running -= 1;
+					return catalogue[name][version];
+				});
+				await dependencies.resolveDependencyTree(client, 'o-app', '1.0.0', {concurrency: 2});
+				assert.callCount(client.listDependencies, 5);
+				assert.strictEqual(maxRunning, 2);
+			});
+
+		});
+
+		describe('when a request errors', () => {
+
+			it('rejects with the error', async () => {
+				const serverError = new errors.ServerError('500: mock error', {
+					status: 500
+				});
+				client.listDependencies = sinon.stub().rejects(serverError);
+				try {
+					await dependencies.resolveDependencyTree(client, 'o-app', '1.0.0');
+				} catch (error) {
+					assert.strictEqual(error, serverError);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+	});
+
+
+	describe('.acceptsRange(dependencyRange, range)', () => {
+
+		it('returns whether a version satisfies the dependency range', () => {
+			assert.isTrue(dependencies.acceptsRange('^5.0.0', '5.3.0'));
+			assert.isFalse(dependencies.acceptsRange('^5.0.0', '6.0.0'));
+		});
+
+		it('returns whether a range overlaps with the dependency range', () => {
+			assert.isTrue(dependencies.acceptsRange('>=5.0.0', '^6.0.0'));
+			assert.isFalse(dependencies.acceptsRange('^5.0.0', '^6.0.0'));
+		});
+
+		it('returns `null` when either range is not valid', () => {
+			assert.isNull(dependencies.acceptsRange('not-a-range', '6.0.0'));
+			assert.isNull(dependencies.acceptsRange('^5.0.0', 'not-a-range'));
+		});
+
+	});
+
+	describe('.listDependents(client, repoName, options, requestOptions)', () => {
+		let client;
+		let returnValue;
+
+		beforeEach(async () => {
+			const repos = [
+				{id: 'mock-id-1', name: 'o-buttons', version: '6.1.0'},
+				{id: 'mock-id-2', name: 'o-colors', version: '5.3.0'},
+				{id: 'mock-id-3', name: 'o-forms', version: '8.0.0'},
+				{id: 'mock-id-4', name: 'o-table', version: '7.0.0'}
+			];
+			const catalogue = {
+				'o-buttons@6.1.0': [
+					{name: '@financial-times/o-colors', version: '^5.0.0', source: 'npm', isDev: false, isOptional: false}
+				],
+				'o-buttons@6.0.0': [
+					{name: 'o-colors', version: 'Financial-Times/o-colors#^4.0.0', source: 'bower', isDev: false, isOptional: false}
+				],
+				'o-forms@8.0.0': [
+					{name: 'o-colors', version: '>=5.0.0', source: 'bower', isDev: false, isOptional: false},
+					{name: 'o-typography', version: '^6.0.0', source: 'bower', isDev: false, isOptional: false}
+				],
+				'o-table@7.0.0': [
+					{name: 'o-typography', version: '^6.0.0', source: 'bower', isDev: false, isOptional: false}
+				]
+			};
+			const notFoundError = new errors.NotFoundError('404: mock error', {
+				status: 404
+			});
+			client = {
+				listRepos: sinon.stub().resolves(repos),
+				listVersions: sinon.spy(async repoId => {
+					if (repoId === 'mock-id-1') {
+						return [
+							{name: 'o-buttons', version: '6.1.0'},
+							{name: 'o-buttons', version: '6.0.0'}
+						];
+					}
+					throw notFoundError;
+				}),
+				listDependencies: sinon.spy(async (name, version) => catalogue[`${name}@${version}`] || [])
+			};
+			returnValue = await dependencies.listDependents(client, 'o-colors', {
+				range: '6.0.0',
+				status: 'active',
+				brand: 'master'
+			}, 'mock-request-options');
+		});
+
+		it('lists repositories using the given filters', () => {
+			assert.calledOnce(client.listRepos);
+			assert.calledWithExactly(client.listRepos, {
+				brand: 'master',
+				status: 'active'
+			}, 'mock-request-options');
+		});
+
+		it('lists the dependencies of the latest version of each other repository', () => {
+			assert.notCalled(client.listVersions);
+			assert.calledThrice(client.listDependencies);
+			assert.calledWithExactly(client.listDependencies, 'o-buttons', '6.1.0', 'mock-request-options');
+			assert.calledWithExactly(client.listDependencies, 'o-forms', '8.0.0', 'mock-request-options');
+			assert.calledWithExactly(client.listDependencies, 'o-table', '7.0.0', 'mock-request-options');
+		});
+
+		it('resolves with the dependents and whether they accept the range', () => {
+			assert.deepEqual(returnValue, [
+				{
+					name: 'o-buttons',
+					version: '6.1.0',
+					record: {id: 'mock-id-1', name: 'o-buttons', version: '6.1.0'},
+					dependency: {name: '@financial-times/o-colors', range: '^5.0.0', source: 'npm', isDev: false, isOptional: false},
+					accepts: false
+				},
+				{
+					name: 'o-forms',
+					version: '8.0.0',
+					record: {id: 'mock-id-3', name: 'o-forms', version: '8.0.0'},
+					dependency: {name: 'o-colors', range: '>=5.0.0', source: 'bower', isDev: false, isOptional: false},
+					accepts: true
+				}
+			]);
+		});
+
+		describe('when `options.latestOnly` is `false`', () => {
+
+			it('checks every version of each repository', async () => {
+				returnValue = await dependencies.listDependents(client, 'o-colors', {latestOnly: false});
+				assert.calledThrice(client.listVersions);
+				assert.deepEqual(returnValue.map(dependent => `${dependent.name}@${dependent.version}`), [
+					'o-buttons@6.1.0',
+					'o-buttons@6.0.0'
+				]);
+				assert.strictEqual(returnValue[1].dependency.range, '^4.0.0');
+				assert.isNull(returnValue[1].accepts);
+			});
+
+		});
+
+		describe('when a repository has no version', () => {
+
+			it('skips the repository rather than requesting its dependencies', async () => {
+				client.listRepos.resolves([
+					{id: 'mock-id-3', name: 'o-forms', version: '8.0.0'},
+					{id: 'mock-id-5', name: 'o-new', version: null}
+				]);
+				client.listDependencies.resetHistory();
+				returnValue = await dependencies.listDependents(client, 'o-colors');
+				assert.calledOnce(client.listDependencies);
+				assert.calledWith(client.listDependencies, 'o-forms', '8.0.0');
+				assert.deepEqual(returnValue.map(dependent => dependent.name), ['o-forms']);
+			});
+
+		});
+
+	});
+
+});
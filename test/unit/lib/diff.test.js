@@ -0,0 +1,216 @@
+'use strict';
+
+const assert = require('proclaim');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('lib/diff', () => {
+	let after;
+	let before;
+	let diff;
+
+	beforeEach(() => {
+		diff = require('../../../lib/diff');
+		before = [
+			{
+				id: 'mock-colors-id',
+				name: 'o-colors',
+				type: 'module',
+				version: '5.3.0',
+				support: {status: 'active'},
+				brands: ['master', 'internal']
+			},
+			{
+				id: 'mock-buttons-id',
+				name: 'o-buttons',
+				type: 'module',
+				version: '6.1.0',
+				support: {status: 'active'},
+				brands: ['master']
+			},
+			{
+				id: 'mock-legacy-id',
+				name: 'o-legacy',
+				type: 'module',
+				version: '1.0.0',
+				support: {status: 'dead'},
+				brands: []
+			}
+		];
+		after = [
+			{
+				id: 'mock-colors-id',
+				name: 'o-colors',
+				type: 'module',
+				version: '6.0.0',
+				support: {status: 'active'},
+				brands: ['internal', 'master']
+			},
+			{
+				id: 'mock-buttons-id',
+				name: 'o-buttons',
+				type: 'module',
+				version: '7.0.0-beta.1',
+				support: {status: 'deprecated'},
+				brands: ['internal', 'whitelabel']
+			},
+			{
+				id: 'mock-new-id',
+				name: 'o-new',
+				type: 'service',
+				version: '1.0.0',
+				support: {status: 'experimental'}
+			}
+		];
+	});
+
+	describe('.loadCatalogue(catalogue)', () => {
+
+		it('loads an array of repositories', async () => {
+			assert.deepEqual(await diff.loadCatalogue(before), {created: null, repos: before});
+		});
+
+		it('loads an object with a repos array', async () => {
+			assert.deepEqual(await diff.loadCatalogue({created: 'mock-date', repos: before}), {created: 'mock-date', repos: before});
+		});
+
+		it('loads a snapshot file', async () => {
+			const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-data-diff-'));
+			try {
+				const snapshotPath = path.join(directory, 'snapshot.json');
+				fs.writeFileSync(snapshotPath, JSON.stringify({snapshotVersion: 1, created: 'mock-date', repos: before}));
+				assert.deepEqual(await diff.loadCatalogue(snapshotPath), {created: 'mock-date', repos: before});
+			} finally {
+				fs.rmSync(directory, {recursive: true, force: true});
+			}
+		});
+
+		it('rejects with a TypeError for anything else', async () => {
+			try {
+				await diff.loadCatalogue({repos: 'mock-repos'});
+			} catch (error) {
+				assert.instanceOf(error, TypeError);
+				assert.strictEqual(error.message, 'A catalogue must be an array of repositories, an object with a "repos" array, or the path of a snapshot file');
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+	});
+
+	describe('.diffCatalogue(before, after)', () => {
+
+		it('resolves with the added and removed repositories', async () => {
+			const changes = await diff.diffCatalogue(before, after);
+			assert.deepEqual(changes.before, {created: null, repoCount: 3});
+			assert.deepEqual(changes.after, {created: null, repoCount: 3});
+			assert.deepEqual(changes.addedRepos, [
+				{id: 'mock-new-id', name: 'o-new', type: 'service', status: 'experimental', version: '1.0.0'}
+			]);
+			assert.deepEqual(changes.removedRepos, [
+				{id: 'mock-legacy-id', name: 'o-legacy', type: 'module', status: 'dead', version: '1.0.0'}
+			]);
+		});
+
+		it('resolves with status changes', async () => {
+			assert.deepEqual((await diff.diffCatalogue(before, after)).statusChanges, [
+				{id: 'mock-buttons-id', name: 'o-buttons', from: 'active', to: 'deprecated'}
+			]);
+		});
+
+		it('resolves with new stable major versions', async () => {
+			assert.deepEqual((await diff.diffCatalogue(before, after)).majorVersions, [
+				{id: 'mock-colors-id', name: 'o-colors', from: '5.3.0', to: '6.0.0', majors: [6]}
+			]);
+		});
+
+		it('resolves with brand changes, ignoring the order of brands', async () => {
+			assert.deepEqual((await diff.diffCatalogue(before, after)).brandChanges, [
+				{
+					id: 'mock-buttons-id',
+					name: 'o-buttons',
+					from: ['master'],
+					to: ['internal', 'whitelabel'],
+					added: ['internal', 'whitelabel'],
+					removed: ['master']
+				}
+			]);
+		});
+
+		it('compares every version when repositories have a versions array', async () => {
+			before[0].versions = [{version: '5.3.0'}, {version: '5.2.0'}];
+			after[0].versions = [{version: '7.0.0'}, {version: '6.0.0'}, {version: '5.3.0'}, {version: '5.2.0'}];
+			after[0].version = '7.0.0';
+			assert.deepEqual((await diff.diffCatalogue(before, after)).majorVersions, [
+				{id: 'mock-colors-id', name: 'o-colors', from: '5.3.0', to: '7.0.0', majors: [6, 7]}
+			]);
+		});
+
+		it('matches repositories by name when they have no ID', async () => {
+			const changes = await diff.diffCatalogue([{name: 'o-mock', support: {status: 'active'}}], [{name: 'o-mock', support: {status: 'dead'}}]);
+			assert.lengthEquals(changes.addedRepos, 0);
+			assert.deepEqual(changes.statusChanges, [{id: undefined, name: 'o-mock', from: 'active', to: 'dead'}]);
+		});
+
+	});
+
+	describe('.hasChanges(diff)', () => {
+
+		it('returns whether anything changed', async () => {
+			assert.isTrue(diff.hasChanges(await diff.diffCatalogue(before, after)));
+			assert.isFalse(diff.hasChanges(await diff.diffCatalogue(before, before)));
+		});
+
+	});
+
+	describe('.renderCatalogueDiff(diff, format)', () => {
+
+		it('renders a Markdown report by default', async () => {
+			const changes = await diff.diffCatalogue({created: '2021-01-01', repos: before}, {created: '2021-01-08', repos: after});
+			assert.strictEqual(diff.renderCatalogueDiff(changes), [
+				'# Origami catalogue changes',
+				'',
+				'Changes between 2021-01-01 and 2021-01-08.',
+				'',
+				'## New repositories',
+				'',
+				'- **o-new** (service, experimental) 1.0.0',
+				'',
+				'## Removed repositories',
+				'',
+				'- **o-legacy** 1.0.0',
+				'',
+				'## Status changes',
+				'',
+				'- **o-buttons**: active → deprecated',
+				'',
+				'## New major versions',
+				'',
+				'- **o-colors**: 5.3.0 → 6.0.0',
+				'',
+				'## Brand changes',
+				'',
+				'- **o-buttons**: added internal, whitelabel; removed master',
+				''
+			].join('\n'));
+		});
+
+		it('renders a Markdown report when nothing changed', async () => {
+			const changes = await diff.diffCatalogue(before, before);
+			assert.strictEqual(diff.renderCatalogueDiff(changes, 'markdown'), '# Origami catalogue changes\n\nNo changes.\n');
+		});
+
+		it('renders a JSON report', async () => {
+			const changes = await diff.diffCatalogue(before, after);
+			assert.deepEqual(JSON.parse(diff.renderCatalogueDiff(changes, 'json')), changes);
+		});
+
+		it('throws a TypeError when the format is not valid', () => {
+			assert.throws(() => diff.renderCatalogueDiff({}, 'html'), '"html" is not a valid report format, expected one of "markdown", "json"');
+		});
+
+	});
+
+});
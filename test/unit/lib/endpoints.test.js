@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/endpoints', () => {
+	let endpoints;
+
+	beforeEach(() => {
+		endpoints = require('../../../lib/endpoints');
+	});
+
+	describe('.endpoints', () => {
+
+		it('is an array of endpoints with names and templates', () => {
+			assert.isArray(endpoints.endpoints);
+			endpoints.endpoints.forEach(endpoint => {
+				assert.isString(endpoint.name);
+				assert.match(endpoint.template, /^\/v1\//);
+			});
+		});
+
+	});
+
+	describe('.matchEndpoint(endpoint)', () => {
+
+		it('returns the matching endpoint name, template, and parameters', () => {
+			assert.deepEqual(endpoints.matchEndpoint('/v1/repos'), {
+				name: 'repos',
+				template: '/v1/repos',
+				params: {}
+			});
+			assert.deepEqual(endpoints.matchEndpoint('/v1/repos/o-colors/versions/6.0.0'), {
+				name: 'version',
+				template: '/v1/repos/:repo/versions/:version',
+				params: {
+					repo: 'o-colors',
+					version: '6.0.0'
+				}
+			});
+			assert.deepEqual(endpoints.matchEndpoint('/v1/repos/o-colors/versions/6.0.0/bundles/css'), {
+				name: 'bundles',
+				template: '/v1/repos/:repo/versions/:version/bundles/:language',
+				params: {
+					repo: 'o-colors',
+					version: '6.0.0',
+					language: 'css'
+				}
+			});
+			assert.strictEqual(endpoints.matchEndpoint('/v1/queue/mock-id').name, 'ingestion');
+			assert.strictEqual(endpoints.matchEndpoint('/v1/keys').name, 'keys');
+		});
+
+		it('ignores a querystring', () => {
+			assert.strictEqual(endpoints.matchEndpoint('/v1/repos?brand=master').name, 'repos');
+		});
+
+		it('returns `null` when the endpoint is not recognised', () => {
+			assert.isNull(endpoints.matchEndpoint('/v2/repos'));
+			assert.isNull(endpoints.matchEndpoint('/v1/repos/o-colors/unknown'));
+		});
+
+	});
+
+});
@@ -0,0 +1,327 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/errors', () => {
+	let errors;
+
+	beforeEach(() => {
+		errors = require('../../../lib/errors');
+	});
+
+	describe('.RepoDataError', () => {
+
+		it('is a subclass of Error', () => {
+			assert.isFunction(errors.RepoDataError);
+			assert.instanceOf(new errors.RepoDataError('mock message'), Error);
+		});
+
+		describe('new RepoDataError(message, details)', () => {
+			let error;
+
+			beforeEach(() => {
+				error = new errors.RepoDataError('mock message', {
+					status: 409,
+					serviceMessage: 'mock service message',
+					method: 'GET',
+					endpoint: '/mock-endpoint',
+					url: 'mock-url/mock-endpoint',
+					requestId: 'mock-request-id',
+					headers: {
+						'x-mock': 'mock'
+					},
+					body: 'mock-body',
+					code: 'mock-code'
+				});
+			});
+
+			it('has a `message` property set to the given message', () => {
+				assert.strictEqual(error.message, 'mock message');
+			});
+
+			it('has a `name` property set to the class name', () => {
+				assert.strictEqual(error.name, 'RepoDataError');
+			});
+
+			it('has properties set to the given details', () => {
+				assert.strictEqual(error.status, 409);
+				assert.strictEqual(error.serviceMessage, 'mock service message');
+				assert.strictEqual(error.method, 'GET');
+				assert.strictEqual(error.endpoint, '/mock-endpoint');
+				assert.strictEqual(error.url, 'mock-url/mock-endpoint');
+				assert.strictEqual(error.requestId, 'mock-request-id');
+				assert.deepEqual(error.headers, {
+					'x-mock': 'mock'
+				});
+				assert.strictEqual(error.body, 'mock-body');
+				assert.strictEqual(error.code, 'mock-code');
+			});
+
+		});
+
+	});
+
+	[
+		['ValidationError', 'RepoDataError'],
+		['UnauthorizedError', 'RepoDataError'],
+		['ForbiddenError', 'RepoDataError'],
+		['NotFoundError', 'RepoDataError'],
+		['ServerError', 'RepoDataError'],
+		['NetworkError', 'RepoDataError'],
+		['TimeoutError', 'NetworkError'],
+		['AbortError', 'RepoDataError'],
+		['IngestionError', 'RepoDataError'],
+		['IngestionFailedError', 'IngestionError'],
+		['IngestionTimeoutError', 'IngestionError'],
+		['KeyRotationError', 'RepoDataError'],
+		['UnmatchedRequestError', 'RepoDataError'],
+		['ResponseValidationError', 'RepoDataError']
+	].forEach(([className, parentClassName]) => {
+
+		describe(`.${className}`, () => {
+
+			it(`is a subclass of ${parentClassName}`, () => {
+				const error = new errors[className]('mock message');
+				assert.instanceOf(error, errors[parentClassName]);
+				assert.instanceOf(error, errors.RepoDataError);
+				assert.strictEqual(error.name, className);
+			});
+
+		});
+
+	});
+
+	describe('.IngestionError', () => {
+
+		describe('new IngestionError(message, details)', () => {
+
+			it('has an `ingestion` property set to the given ingestion', () => {
+				const error = new errors.IngestionError('mock message', {
+					ingestion: 'mock-ingestion',
+					status: 500
+				});
+				assert.strictEqual(error.ingestion, 'mock-ingestion');
+				assert.strictEqual(error.status, 500);
+			});
+
+		});
+
+	});
+
+	describe('.KeyRotationError', () => {
+
+		describe('new KeyRotationError(message, details)', () => {
+
+			it('has properties set to the keys and the verification error', () => {
+				const error = new errors.KeyRotationError('mock message', {
+					key: 'mock-key',
+					replacement: 'mock-replacement',
+					replacementDeleted: true,
+					verificationError: 'mock-verification-error',
+					replaceError: 'mock-replace-error'
+				});
+				assert.strictEqual(error.key, 'mock-key');
+				assert.strictEqual(error.replacement, 'mock-replacement');
+				assert.isTrue(error.replacementDeleted);
+				assert.strictEqual(error.verificationError, 'mock-verification-error');
+				assert.strictEqual(error.replaceError, 'mock-replace-error');
+			});
+
+			it('defaults `replacementDeleted` to `false`', () => {
+				assert.isFalse(new errors.KeyRotationError('mock message').replacementDeleted);
+			});
+
+		});
+
+	});
+
+	describe('.ResponseValidationError', () => {
+
+		describe('new ResponseValidationError(message, details)', () => {
+
+			it('has a `validationErrors` property set to the given validation errors', () => {
+				const error = new errors.ResponseValidationError('mock message', {
+					validationErrors: ['mock-validation-error']
+				});
+				assert.deepEqual(error.validationErrors, ['mock-validation-error']);
+			});
+
+			it('defaults `validationErrors` to an empty array', () => {
+				assert.deepEqual(new errors.ResponseValidationError('mock message').validationErrors, []);
+			});
+
+		});
+
+	});
+
+	describe('.createRequestError(error, request)', () => {
+		let httpError;
+		let request;
+		let returnValue;
+
+		beforeEach(() => {
+			httpError = new Error('Request failed with status code 404');
+			httpError.response = {
+				status: 404,
+				data: {
+					message: 'Repository not found'
+				},
+				headers: {
+					'x-request-id': 'mock-request-id'
+				}
+			};
+			request = {
+				method: 'get',
+				endpoint: '/v1/repos/mock-repo',
+				url: 'mock-api-url/v1/repos/mock-repo'
+			};
+			returnValue = errors.createRequestError(httpError, request);
+		});
+
+		it('returns an error class which represents the response status', () => {
+			assert.instanceOf(returnValue, errors.NotFoundError);
+		});
+
+		it('prefixes the error message with the response status', () => {
+			assert.strictEqual(returnValue.message, '404: Request failed with status code 404');
+		});
+
+		it('sets the error details based on the request and response', () => {
+			assert.strictEqual(returnValue.status, 404);
+			assert.strictEqual(returnValue.serviceMessage, 'Repository not found');
+			assert.strictEqual(returnValue.method, 'GET');
+			assert.strictEqual(returnValue.endpoint, '/v1/repos/mock-repo');
+			assert.strictEqual(returnValue.url, 'mock-api-url/v1/repos/mock-repo');
+			assert.strictEqual(returnValue.requestId, 'mock-request-id');
+			assert.deepEqual(returnValue.headers, {
+				'x-request-id': 'mock-request-id'
+			});
+			assert.deepEqual(returnValue.body, {
+				message: 'Repository not found'
+			});
+		});
+
+		[
+			[400, 'ValidationError'],
+			[401, 'UnauthorizedError'],
+			[403, 'ForbiddenError'],
+			[422, 'ValidationError'],
+			[500, 'ServerError'],
+			[503, 'ServerError']
+		].forEach(([status, className]) => {
+
+			describe(`when the response status is ${status}`, () => {
+
+				it(`returns a ${className}`, () => {
+					httpError.response.status = status;
+					assert.instanceOf(errors.createRequestError(httpError, request), errors[className]);
+				});
+
+			});
+
+		});
+
+		describe('when the response status has no specific error class', () => {
+
+			it('returns a RepoDataError', () => {
+				httpError.response.status = 409;
+				returnValue = errors.createRequestError(httpError, request);
+				assert.strictEqual(returnValue.constructor, errors.RepoDataError);
+				assert.strictEqual(returnValue.status, 409);
+			});
+
+		});
+
+		describe('when the response body has a nested error message', () => {
+
+			it('sets the `serviceMessage` property to the nested message', () => {
+				httpError.response.data = {
+					error: {
+						message: 'mock nested message'
+					}
+				};
+				returnValue = errors.createRequestError(httpError, request);
+				assert.strictEqual(returnValue.serviceMessage, 'mock nested message');
+			});
+
+		});
+
+		describe('when the response body is not JSON', () => {
+
+			it('does not set the `serviceMessage` property', () => {
+				httpError.response.data = '<h1>Not Found</h1>';
+				returnValue = errors.createRequestError(httpError, request);
+				assert.isUndefined(returnValue.serviceMessage);
+				assert.strictEqual(returnValue.body, '<h1>Not Found</h1>');
+			});
+
+		});
+
+		describe('when the response headers have a `toJSON` method', () => {
+
+			it('converts the headers to a plain object', () => {
+				httpError.response.headers = {
+					toJSON: () => ({
+						'x-request-id': 'mock-request-id-from-json'
+					})
+				};
+				returnValue = errors.createRequestError(httpError, request);
+				assert.deepEqual(returnValue.headers, {
+					'x-request-id': 'mock-request-id-from-json'
+				});
+				assert.strictEqual(returnValue.requestId, 'mock-request-id-from-json');
+			});
+
+		});
+
+		describe('when the error has no response', () => {
+
+			beforeEach(() => {
+				httpError = new Error('socket hang up');
+				httpError.code = 'ECONNRESET';
+				returnValue = errors.createRequestError(httpError, request);
+			});
+
+			it('returns a NetworkError', () => {
+				assert.instanceOf(returnValue, errors.NetworkError);
+				assert.notInstanceOf(returnValue, errors.TimeoutError);
+			});
+
+			it('uses the original error message and code', () => {
+				assert.strictEqual(returnValue.message, 'socket hang up');
+				assert.strictEqual(returnValue.code, 'ECONNRESET');
+				assert.isUndefined(returnValue.status);
+			});
+
+		});
+
+		describe('when the error is a timeout', () => {
+
+			it('returns a TimeoutError', () => {
+				httpError = new Error('timeout of 10ms exceeded');
+				httpError.code = 'ECONNABORTED';
+				assert.instanceOf(errors.createRequestError(httpError, request), errors.TimeoutError);
+				httpError.code = 'ETIMEDOUT';
+				assert.instanceOf(errors.createRequestError(httpError, request), errors.TimeoutError);
+			});
+
+		});
+
+		describe('when the request was cancelled', () => {
+
+			it('returns an AbortError', () => {
+				httpError = new Error('canceled');
+				httpError.name = 'CanceledError';
+				httpError.code = 'ERR_CANCELED';
+				returnValue = errors.createRequestError(httpError, request);
+				assert.instanceOf(returnValue, errors.AbortError);
+				assert.notInstanceOf(returnValue, errors.NetworkError);
+				assert.strictEqual(returnValue.message, 'The request was aborted');
+				assert.strictEqual(returnValue.code, 'ERR_CANCELED');
+			});
+
+		});
+
+	});
+
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/filters', () => {
+	let filters;
+	let repos;
+
+	beforeEach(() => {
+		filters = require('../../../lib/filters');
+		repos = [
+			{
+				name: 'o-colors',
+				keywords: ['colours', 'Palette'],
+				support: {status: 'active', email: 'origami.support@ft.com', channel: '#origami-support'},
+				lastIngested: '2021-01-01T00:00:00.000Z'
+			},
+			{
+				name: 'o-buttons',
+				keywords: ['buttons'],
+				support: {status: 'deprecated', email: 'origami.support@ft.com', channel: null},
+				lastIngested: '2021-02-01T00:00:00.000Z'
+			},
+			{
+				name: 'n-ui',
+				keywords: [],
+				support: {status: 'experimental', email: 'next.team@ft.com', channel: '#next'},
+				lastIngested: '2020-06-01T00:00:00.000Z'
+			},
+			{
+				name: 'o-never-ingested',
+				support: {status: 'active', email: null, channel: null},
+				lastIngested: null
+			}
+		];
+	});
+
+	function names(list) {
+		return list.map(repo => repo.name);
+	}
+
+	describe('.hasClientSideFilters(filters)', () => {
+
+		it('returns whether any filters are not supported by the service', () => {
+			assert.isFalse(filters.hasClientSideFilters({brand: 'master', status: 'active'}));
+			assert.isTrue(filters.hasClientSideFilters({keyword: 'buttons'}));
+			assert.isTrue(filters.hasClientSideFilters({supportContact: '#next'}));
+			assert.isTrue(filters.hasClientSideFilters({lastIngested: {after: '2021-01-01'}}));
+			assert.isTrue(filters.hasClientSideFilters({statusChangedSince: []}));
+		});
+
+	});
+
+	describe('.repoMatchesAnyFilter(repo, filters)', () => {
+
+		beforeEach(() => {
+			repos[0].brands = ['master', 'internal'];
+			repos[0].type = 'module';
+			repos[0].origamiVersion = 2;
+		});
+
+		it('returns whether the repository matches any value of any filter', () => {
+			assert.isTrue(filters.repoMatchesAnyFilter(repos[0], {status: ['dead', 'active']}));
+			assert.isTrue(filters.repoMatchesAnyFilter(repos[0], {status: 'dead', type: 'module'}));
+			assert.isTrue(filters.repoMatchesAnyFilter(repos[0], {brand: 'internal'}));
+			assert.isTrue(filters.repoMatchesAnyFilter(repos[0], {origamiVersion: '2'}));
+			assert.isTrue(filters.repoMatchesAnyFilter(repos[0], {keyword: 'PALETTE'}));
+			assert.isTrue(filters.repoMatchesAnyFilter(repos[0], {supportContact: '#origami-support'}));
+			assert.isFalse(filters.repoMatchesAnyFilter(repos[0], {status: 'dead', type: 'service', brand: 'whitelabel'}));
+			assert.isFalse(filters.repoMatchesAnyFilter(repos[0], {}));
+		});
+
+		it('matches the "all" and "none" brands by whether the repository has any brands', () => {
+			assert.isTrue(filters.repoMatchesAnyFilter(repos[0], {brand: 'all'}));
+			assert.isFalse(filters.repoMatchesAnyFilter(repos[0], {brand: 'none'}));
+			assert.isTrue(filters.repoMatchesAnyFilter(repos[1], {brand: 'none'}));
+			assert.isFalse(filters.repoMatchesAnyFilter(repos[1], {brand: 'all'}));
+		});
+
+	});
+
+	describe('.filterRepos(repos, filters)', () => {
+
+		it('returns the original repositories when there is nothing to apply', () => {
+			assert.strictEqual(filters.filterRepos(repos, {status: 'active'}), repos);
+		});
+
+		it('returns responses which are not arrays unchanged', () => {
+			assert.isUndefined(filters.filterRepos(undefined, {keyword: 'buttons'}));
+		});
+
+		it('filters by keyword, matching any of the given keywords without case-sensitivity', () => {
+			assert.deepEqual(names(filters.filterRepos(repos, {keyword: 'palette'})), ['o-colors']);
+			assert.deepEqual(names(filters.filterRepos(repos, {keyword: ['buttons', 'colours']})), ['o-colors', 'o-buttons']);
+			assert.deepEqual(names(filters.filterRepos(repos, {keyword: 'buttons,colours'})), ['o-colors', 'o-buttons']);
+		});
+
+		it('filters by support email or channel, matching any of the given contacts', () => {
+			assert.deepEqual(names(filters.filterRepos(repos, {supportContact: 'Origami.Support@ft.com'})), ['o-colors', 'o-buttons']);
+			assert.deepEqual(names(filters.filterRepos(repos, {supportContact: ['#origami-support', '#next']})), ['o-colors', 'n-ui']);
+		});
+
+		it('filters by an inclusive last ingested date range, excluding repositories which have not been ingested', () => {
+			assert.deepEqual(names(filters.filterRepos(repos, {
+				lastIngested: {after: '2021-01-01T00:00:00.000Z'}
+			})), ['o-colors', 'o-buttons']);
+			assert.deepEqual(names(filters.filterRepos(repos, {
+				lastIngested: {after: new Date('2020-01-01'), before: '2021-01-01T00:00:00.000Z'}
+			})), ['o-colors', 'n-ui']);
+		});
+
+		it('filters by dates which have been normalized into Date objects', () => {
+			repos[0].lastIngested = new Date(repos[0].lastIngested);
+			assert.deepEqual(names(filters.filterRepos(repos, {
+				lastIngested: {before: '2021-01-15'}
+			})), ['o-colors', 'n-ui']);
+		});
+
+		it('filters by support status changes since an earlier list, excluding repositories which were not in it', () => {
+			const previousRepos = [
+				{id: 'mock-id-1', name: 'o-renamed', support: {status: 'maintained'}},
+				{name: 'o-buttons', support: {status: 'active'}},
+				{name: 'n-ui', support: {status: 'experimental'}}
+			];
+			repos[0].id = 'mock-id-1';
+			assert.deepEqual(names(filters.filterRepos(repos, {statusChangedSince: previousRepos})), ['o-colors', 'o-buttons']);
+			assert.deepEqual(names(filters.filterRepos(repos, {statusChangedSince: {repos: previousRepos}})), ['o-colors', 'o-buttons']);
+		});
+
+		it('sorts the matching repositories', () => {
+			assert.deepEqual(names(filters.filterRepos(repos, {
+				supportContact: 'origami.support@ft.com',
+				sort: 'name'
+			})), ['o-buttons', 'o-colors']);
+		});
+
+	});
+
+	describe('.filterRepoIterator(repos, filters)', () => {
+
+		it('yields each matching repository', async () => {
+			async function* iterate() {
+				yield* repos;
+			}
+			const matches = [];
+			for await (const repo of filters.filterRepoIterator(iterate(), {keyword: 'buttons'})) {
+				matches.push(repo);
+			}
+			assert.deepEqual(names(matches), ['o-buttons']);
+		});
+
+	});
+
+	describe('.sortRepos(repos, sort, order)', () => {
+
+		it('sorts by name', () => {
+			assert.deepEqual(names(filters.sortRepos(repos, 'name')), ['n-ui', 'o-buttons', 'o-colors', 'o-never-ingested']);
+			assert.deepEqual(names(filters.sortRepos(repos, 'name', 'desc')), ['o-never-ingested', 'o-colors', 'o-buttons', 'n-ui']);
+		});
+
+		it('sorts by support status in lifecycle order, and then by name', () => {
+			assert.deepEqual(names(filters.sortRepos(repos, 'status')), ['o-colors', 'o-never-ingested', 'n-ui', 'o-buttons']);
+		});
+
+		it('sorts by last ingested date, with repositories which have not been ingested last', () => {
+			assert.deepEqual(names(filters.sortRepos(repos, 'lastIngested')), ['n-ui', 'o-colors', 'o-buttons', 'o-never-ingested']);
+			assert.deepEqual(names(filters.sortRepos(repos, 'lastIngested', 'desc')), ['o-buttons', 'o-colors', 'n-ui', 'o-never-ingested']);
+		});
+
+		it('does not modify the original array', () => {
+			filters.sortRepos(repos, 'name');
+			assert.strictEqual(repos[0].name, 'o-colors');
+		});
+
+	});
+
+});
@@ -0,0 +1,287 @@
+'use strict';
+
+const assert = require('proclaim');
+const mockery = require('mockery');
+const sinon = require('sinon');
+
+describe('lib/ingestion', () => {
+	let errors;
+	let ingestion;
+	let retry;
+
+	beforeEach(() => {
+		errors = require('../../../lib/errors');
+		mockery.registerMock('./errors', errors);
+
+		retry = require('../../../lib/retry');
+		sinon.stub(retry, 'wait').resolves();
+		mockery.registerMock('./retry', retry);
+
+		ingestion = require('../../../lib/ingestion');
+	});
+
+	describe('.getRepoName(url)', () => {
+
+		it('returns the last part of a repository URL', () => {
+			assert.strictEqual(ingestion.getRepoName('https://github.com/Financial-Times/o-colors'), 'o-colors');
+			assert.strictEqual(ingestion.getRepoName('https://github.com/Financial-Times/o-colors/'), 'o-colors');
+			assert.strictEqual(ingestion.getRepoName('https://github.com/Financial-Times/o-colors.git'), 'o-colors');
+		});
+
+	});
+
+	describe('.getVersionNumber(tag)', () => {
+
+		it('removes a leading "v" from a tag', () => {
+			assert.strictEqual(ingestion.getVersionNumber('v6.0.0'), '6.0.0');
+			assert.strictEqual(ingestion.getVersionNumber('6.0.0'), '6.0.0');
+		});
+
+	});
+
+	describe('.getFailureReason(ingestion, maxAttempts)', () => {
+
+		it('returns `null` when the ingestion has not failed', () => {
+			assert.isNull(ingestion.getFailureReason({ingestionAttempts: 1}, 5));
+		});
+
+		it('returns a reason when the ingestion has reached the maximum number of attempts', () => {
+			assert.strictEqual(ingestion.getFailureReason({ingestionAttempts: 5}, 5), 'it has been attempted 5 times');
+		});
+
+		it('returns the ingestion errors when there are any', () => {
+			assert.strictEqual(ingestion.getFailureReason({
+				ingestionAttempts: 1,
+				errors: ['mock error 1', {message: 'mock error 2'}]
+			}, 5), 'mock error 1; mock error 2');
+			assert.strictEqual(ingestion.getFailureReason({
+				error: 'mock error'
+			}, 5), 'mock error');
+		});
+
+	});
+
+	describe('.waitForIngestion(client, ingestion, options, requestOptions)', () => {
+		let client;
+		let notFoundError;
+		let queuedIngestion;
+		let requestOptions;
+		let returnValue;
+
+		beforeEach(async () => {
+			notFoundError = new errors.NotFoundError('404: mock error', {
+				status: 404
+			});
+			queuedIngestion = {
+				id: 'mock-ingestion-id',
+				url: 'https://github.com/Financial-Times/o-mock',
+				tag: 'v1.2.3',
+				ingestionAttempts: 0
+			};
+			client = {
+				getIngestion: sinon.stub(),
+				getVersion: sinon.stub().resolves('mock-version'),
+				invalidateCache: sinon.stub().resolves()
+			};
+			client.getIngestion.onCall(0).resolves(queuedIngestion);
+			client.getIngestion.onCall(1).resolves(queuedIngestion);
+			client.getIngestion.rejects(notFoundError);
+			requestOptions = {
+				timeout: 500
+			};
+			returnValue = await ingestion.waitForIngestion(client, 'mock-ingestion-id', {
+				interval: 100
+			}, requestOptions);
+		});
+
+		it('polls the queue until the ingestion is removed', () => {
+			assert.calledThrice(client.getIngestion);
+			assert.alwaysCalledWithExactly(client.getIngestion, 'mock-ingestion-id', sinon.match(requestOptions));
+			assert.calledTwice(retry.wait);
+			assert.calledWith(retry.wait, 100);
+		});
+
+		it('invalidates cached responses for the repository', () => {
+			assert.calledOnce(client.invalidateCache);
+			assert.calledWithExactly(client.invalidateCache, 'o-mock');
+		});
+
+		it('gets the version which was created', () => {
+			assert.calledOnce(client.getVersion);
+			assert.calledWithExactly(client.getVersion, 'o-mock', '1.2.3', sinon.match(requestOptions));
+		});
+
+		it('resolves with the version', () => {
+			assert.strictEqual(returnValue, 'mock-version');
+		});
+
+		describe('when the ingestion has already been removed from the queue', () => {
+
+			it('resolves with the version if the ingestion object was given', async () => {
+				client.getIngestion.reset();
+				client.getIngestion.rejects(notFoundError);
+				returnValue = await ingestion.waitForIngestion(client, queuedIngestion);
+				assert.strictEqual(returnValue, 'mock-version');
+			});
+
+			it('rejects with an IngestionFailedError if only the ID was given', async () => {
+				client.getIngestion.reset();
+				client.getIngestion.rejects(notFoundError);
+				try {
+					await ingestion.waitForIngestion(client, 'mock-ingestion-id');
+				} catch (error) {
+					assert.instanceOf(error, errors.IngestionFailedError);
+					assert.match(error.message, /mock-ingestion-id is not in the queue/);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('when the ingestion fails', () => {
+
+			it('rejects with an IngestionFailedError', async () => {
+				const failedIngestion = Object.assign({}, queuedIngestion, {ingestionAttempts: 3});
+				client.getIngestion.reset();
+				client.getIngestion.resolves(failedIngestion);
+				try {
+					await ingestion.waitForIngestion(client, 'mock-ingestion-id', {maxAttempts: 3});
+				} catch (error) {
+					assert.instanceOf(error, errors.IngestionFailedError);
+					assert.strictEqual(error.message, 'Ingestion mock-ingestion-id of https://github.com/Financial-Times/o-mock at v1.2.3 failed: it has been attempted 3 times');
+					assert.strictEqual(error.ingestion, failedIngestion);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('when the ingestion does not create a version', () => {
+
+			it('rejects with an IngestionFailedError', async () => {
+				client.getIngestion.reset();
+				client.getIngestion.rejects(notFoundError);
+				client.getVersion.rejects(notFoundError);
+				try {
+					await ingestion.waitForIngestion(client, queuedIngestion);
+				} catch (error) {
+					assert.instanceOf(error, errors.IngestionFailedError);
+					assert.match(error.message, /removed from the queue without creating a version/);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('when the ingestion does not complete before the timeout', () => {
+
+			it('rejects with an IngestionTimeoutError', async () => {
+				const clock = sinon.useFakeTimers();
+				client.getIngestion.reset();
+				client.getIngestion.resolves(queuedIngestion);
+				retry.wait.callsFake(delay => {
+					clock.tick(delay);
+					return Promise.resolve();
+				});
+				try {
+					await ingestion.waitForIngestion(client, 'mock-ingestion-id', {
+						interval: 400,
+						timeout: 1000
+					});
+				} catch (error) {
+					assert.instanceOf(error, errors.IngestionTimeoutError);
+					assert.strictEqual(error.ingestion, queuedIngestion);
+					assert.callCount(client.getIngestion, 4);
+					assert.strictEqual(retry.wait.lastCall.args[0], 200);
+					return;
+				} finally {
+					clock.restore();
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('when the signal is aborted', () => {
+
+			it('rejects with an AbortError', async () => {
+				client.getIngestion.resetHistory();
+				try {
+					await ingestion.waitForIngestion(client, 'mock-ingestion-id', {
+						signal: {aborted: true}
+					});
+				} catch (error) {
+					assert.instanceOf(error, errors.AbortError);
+					assert.notCalled(client.getIngestion);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+			it('rejects with an AbortError when the signal is given in the request options', async () => {
+				client.getIngestion.resetHistory();
+				try {
+					await ingestion.waitForIngestion(client, 'mock-ingestion-id', {}, {
+						signal: {aborted: true}
+					});
+				} catch (error) {
+					assert.instanceOf(error, errors.AbortError);
+					assert.notCalled(client.getIngestion);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+			it('cancels waiting between polls with the signal from the request options', async () => {
+				const signal = {aborted: false};
+				retry.wait.resetHistory();
+				client.getIngestion.reset();
+				client.getIngestion.onCall(0).resolves(queuedIngestion);
+				client.getIngestion.rejects(notFoundError);
+				await ingestion.waitForIngestion(client, queuedIngestion, {}, {signal});
+				assert.calledOnce(retry.wait);
+				assert.calledWithExactly(retry.wait, sinon.match.number, signal);
+			});
+
+			it('passes the signal to each request so that they are also cancelled', async () => {
+				const signal = {aborted: false};
+				client.getIngestion.resetHistory();
+				client.getIngestion.rejects(notFoundError);
+				await ingestion.waitForIngestion(client, queuedIngestion, {signal});
+				assert.calledWithExactly(client.getIngestion, 'mock-ingestion-id', {signal});
+			});
+
+		});
+
+		describe('when getting the ingestion errors', () => {
+
+			it('rejects with the error', async () => {
+				const serverError = new errors.ServerError('500: mock error', {
+					status: 500
+				});
+				client.getIngestion.reset();
+				client.getIngestion.rejects(serverError);
+				try {
+					await ingestion.waitForIngestion(client, 'mock-ingestion-id');
+				} catch (error) {
+					assert.strictEqual(error, serverError);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+	});
+
+});
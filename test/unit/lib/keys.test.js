@@ -0,0 +1,340 @@
+'use strict';
+
+const assert = require('proclaim');
+const sinon = require('sinon');
+
+describe('lib/keys', () => {
+	const readKeyId = '5e2f1a3b-7c4d-4e8f-9a0b-1c2d3e4f5a6b';
+	const writeKeyId = '8d7c6b5a-4f3e-4d2c-8b1a-0f9e8d7c6b5a';
+	const adminKeyId = '2a4c6e8f-1b3d-4f5a-9c7e-0d2f4a6c8e1b';
+	const oldKeyId = '4b6d8f0a-2c4e-4a6b-8d0f-1a3c5e7b9d2f';
+	const unusedKeyId = '9f8e7d6c-5b4a-4c3d-9e2f-1a0b9c8d7e6f';
+	let errors;
+	let keys;
+	let RepoDataClient;
+	let repoData;
+	let server;
+
+	beforeEach(async () => {
+		errors = require('../../../lib/errors');
+		keys = require('../../../lib/keys');
+		RepoDataClient = require('../../../lib/client');
+		const {MockRepoDataServer} = require('../../../lib/testing/server');
+		const fixtures = require('../../../lib/testing/fixtures');
+		server = new MockRepoDataServer({
+			fixtures: {
+				keys: fixtures.keys.concat([
+					{
+						id: oldKeyId,
+						secret: 'mock-old-secret',
+						description: 'Mock old key',
+						read: true,
+						write: false,
+						admin: false,
+						created: '2019-01-01T00:00:00.000Z',
+						lastUsed: '2021-06-01T00:00:00.000Z'
+					},
+					{
+						id: unusedKeyId,
+						secret: 'mock-unused-secret',
+						description: 'Mock unused key',
+						read: true,
+						write: true,
+						admin: false,
+						created: '2021-01-01T00:00:00.000Z',
+						lastUsed: null
+					}
+				])
+			}
+		});
+		await server.start();
+		repoData = new RepoDataClient(server.getClientOptions('admin'));
+	});
+
+	afterEach(async () => {
+		await server.stop();
+	});
+
+	function findServerKey(keyId) {
+		return server.data.keys.find(key => key.id === keyId);
+	}
+
+	describe('.defaultRotateOptions', () => {
+
+		it('verifies the replacement and keeps the original key', () => {
+			assert.deepEqual(keys.defaultRotateOptions, {
+				verify: true,
+				deleteOld: false,
+				gracePeriod: 0
+			});
+		});
+
+	});
+
+	describe('.rotateKey(client, keyId, options, requestOptions)', () => {
+
+		it('creates a replacement with the same description and permissions, and keeps the original', async () => {
+			const result = await keys.rotateKey(repoData, writeKeyId);
+			assert.strictEqual(result.key.id, writeKeyId);
+			assert.isNull(result.deletion);
+			assert.isString(result.credentials.secret);
+			assert.strictEqual(result.credentials.description, 'Mock write key');
+			assert.isTrue(result.credentials.read);
+			assert.isTrue(result.credentials.write);
+			assert.isFalse(result.credentials.admin);
+			assert.isDefined(findServerKey(writeKeyId));
+		});
+
+		it('verifies the replacement with its own credentials', async () => {
+			const result = await keys.rotateKey(repoData, writeKeyId);
+			const verification = server.requests.find(request => request.headers['x-api-key'] === result.credentials.id);
+			assert.strictEqual(verification.path, '/v1/queue');
+			assert.strictEqual(verification.headers['x-api-secret'], result.credentials.secret);
+			assert.isNotNull(findServerKey(result.credentials.id).lastUsed);
+		});
+
+		it('verifies the replacement against the service, whatever the other client options are', async () => {
+			const {Recorder} = require('../../../lib/recorder');
+			const recorder = new Recorder({mode: 'record', directory: 'mock-directory'});
+			sinon.stub(recorder, 'record').resolves();
+			repoData = new RepoDataClient(Object.assign(server.getClientOptions('admin'), {recorder}));
+			const result = await keys.rotateKey(repoData, writeKeyId);
+			assert.isDefined(server.requests.find(request => request.headers['x-api-key'] === result.credentials.id));
+			assert.deepEqual(recorder.record.getCalls().map(call => call.args[0].endpoint), [
+				`/v1/keys/${writeKeyId}`,
+				'/v1/keys'
+			]);
+		});
+
+		it('changes the description and permissions which are given', async () => {
+			const result = await keys.rotateKey(repoData, writeKeyId, {
+				description: 'Mock rotated key',
+				permissions: {write: false}
+			});
+			assert.strictEqual(result.credentials.description, 'Mock rotated key');
+			assert.isTrue(result.credentials.read);
+			assert.isFalse(result.credentials.write);
+		});
+
+		it('accepts a replacement without read permissions, which the service still authenticates', async () => {
+			const result = await keys.rotateKey(repoData, writeKeyId, {
+				permissions: {read: false}
+			});
+			assert.isFalse(result.credentials.read);
+			assert.isDefined(findServerKey(result.credentials.id));
+		});
+
+		it('calls the onReplace option with the new credentials before deleting the original key', async () => {
+			const onReplace = sinon.spy(async () => {
+				assert.isDefined(findServerKey(writeKeyId));
+			});
+			const result = await keys.rotateKey(repoData, writeKeyId, {onReplace, deleteOld: true});
+			assert.calledOnce(onReplace);
+			assert.calledWithExactly(onReplace, result.credentials, result.key);
+			await result.deletion;
+			assert.isUndefined(findServerKey(writeKeyId));
+		});
+
+		it('resolves with the new credentials without waiting for the grace period', async () => {
+			const startTime = Date.now();
+			const result = await keys.rotateKey(repoData, writeKeyId, {deleteOld: true, gracePeriod: 50});
+			assert.lessThan(Date.now() - startTime, 45);
+			assert.isString(result.credentials.secret);
+			assert.isDefined(findServerKey(writeKeyId));
+			await result.deletion;
+			assert.greaterThanOrEqual(Date.now() - startTime, 45);
+			assert.isUndefined(findServerKey(writeKeyId));
+		});
+
+		it('keeps the original key when the grace period is aborted', async () => {
+			const controller = new AbortController();
+			const result = await keys.rotateKey(repoData, writeKeyId, {
+				deleteOld: true,
+				gracePeriod: 10000
+			}, {signal: controller.signal});
+			assert.isString(result.credentials.secret);
+			controller.abort();
+			try {
+				await result.deletion;
+			} catch (error) {
+				assert.instanceOf(error, errors.AbortError);
+				assert.isDefined(findServerKey(writeKeyId));
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+		it('rejects the deletion, but still resolves with the new credentials, when the original key cannot be deleted', async () => {
+			const deleteError = new errors.RepoDataError('mock error');
+			repoData.deleteKey = sinon.stub().rejects(deleteError);
+			const result = await keys.rotateKey(repoData, writeKeyId, {deleteOld: true});
+			assert.isDefined(findServerKey(result.credentials.id));
+			try {
+				await result.deletion;
+			} catch (error) {
+				assert.strictEqual(error, deleteError);
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+		it('rejects with a KeyRotationError, and deletes the replacement, when it cannot be verified', async () => {
+			const createKey = repoData.createKey.bind(repoData);
+			repoData.createKey = async data => Object.assign(await createKey(data), {secret: 'mock-wrong-secret'});
+			const keyCount = server.data.keys.length;
+			try {
+				await keys.rotateKey(repoData, writeKeyId, {deleteOld: true});
+			} catch (error) {
+				assert.instanceOf(error, errors.KeyRotationError);
+				assert.strictEqual(error.message, `The replacement for API key ${writeKeyId} could not be verified: 401: Request failed with status code 401`);
+				assert.strictEqual(error.key.id, writeKeyId);
+				assert.isString(error.replacement.id);
+				assert.isUndefined(error.replacement.secret);
+				assert.isTrue(error.replacementDeleted);
+				assert.instanceOf(error.verificationError, errors.UnauthorizedError);
+				assert.lengthEquals(server.data.keys, keyCount);
+				assert.isDefined(findServerKey(writeKeyId));
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+		it('rejects with a KeyRotationError, and deletes the replacement, when onReplace throws', async () => {
+			const replaceError = new Error('mock error');
+			const keyCount = server.data.keys.length;
+			try {
+				await keys.rotateKey(repoData, writeKeyId, {
+					onReplace: sinon.stub().rejects(replaceError),
+					deleteOld: true
+				});
+			} catch (error) {
+				assert.instanceOf(error, errors.KeyRotationError);
+				assert.strictEqual(error.message, `The replacement for API key ${writeKeyId} could not be stored: mock error`);
+				assert.strictEqual(error.key.id, writeKeyId);
+				assert.isUndefined(error.replacement.secret);
+				assert.isTrue(error.replacementDeleted);
+				assert.strictEqual(error.replaceError, replaceError);
+				assert.isUndefined(error.verificationError);
+				assert.lengthEquals(server.data.keys, keyCount);
+				assert.isDefined(findServerKey(writeKeyId));
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+		it('does not verify the replacement when the verify option is `false`', async () => {
+			await keys.rotateKey(repoData, writeKeyId, {verify: false});
+			assert.deepEqual(server.requests.map(request => `${request.method} ${request.path}`), [
+				`GET /v1/keys/${writeKeyId}`,
+				'POST /v1/keys'
+			]);
+		});
+
+		it('rejects with a TypeError without making a request when the arguments are not valid', async () => {
+			const invalidCalls = [
+				[[undefined], 'undefined is not a valid API key ID, expected a UUID'],
+				[['mock-key-id'], '"mock-key-id" is not a valid API key ID, expected a UUID'],
+				[[writeKeyId, {permissions: 'admin'}], 'The API key permissions must be an object'],
+				[[writeKeyId, {permissions: {owner: true}}], '"owner" is not a valid permission, expected one of "read", "write", "admin"'],
+				[[writeKeyId, {permissions: {admin: 'yes'}}], 'The "admin" permission must be a boolean'],
+				[[writeKeyId, {description: ''}], 'The API key description must be a non-empty string'],
+				[[writeKeyId, {gracePeriod: -1}], 'The grace period must be a number of milliseconds, no more than 2147483647'],
+				[[writeKeyId, {gracePeriod: 2147483648}], 'The grace period must be a number of milliseconds, no more than 2147483647'],
+				[[writeKeyId, {onReplace: 'mock-function'}], 'The onReplace option must be a function']
+			];
+			for (const [callArgs, message] of invalidCalls) {
+				let caughtError;
+				try {
+					await keys.rotateKey(repoData, ...callArgs);
+				} catch (error) {
+					caughtError = error;
+				}
+				assert.instanceOf(caughtError, TypeError);
+				assert.strictEqual(caughtError.message, message);
+			}
+			assert.lengthEquals(server.requests, 0);
+		});
+
+	});
+
+	describe('.auditKeys(client, options, requestOptions)', () => {
+
+		it('reports every key when there are no options', async () => {
+			const report = await keys.auditKeys(repoData);
+			assert.isString(report.audited);
+			assert.strictEqual(report.keyCount, 5);
+			assert.lengthEquals(report.keys, 5);
+			assert.deepEqual(report.keys[0], {
+				id: oldKeyId,
+				description: 'Mock old key',
+				permissions: ['read'],
+				created: '2019-01-01T00:00:00.000Z',
+				lastUsed: '2021-06-01T00:00:00.000Z',
+				reasons: []
+			});
+		});
+
+		it('reports keys which were created before a date', async () => {
+			const report = await keys.auditKeys(repoData, {olderThan: '2020-01-01'});
+			assert.deepEqual(report.keys.map(key => [key.id, key.reasons]), [
+				[oldKeyId, ['olderThan']]
+			]);
+		});
+
+		it('reports keys which have not been used since a date, including keys which have never been used', async () => {
+			const report = await keys.auditKeys(repoData, {unusedSince: new Date('2022-01-01')});
+			assert.deepEqual(report.keys.map(key => [key.id, key.reasons]), [
+				[oldKeyId, ['unusedSince']],
+				[unusedKeyId, ['unusedSince']],
+				[readKeyId, ['unusedSince']],
+				[writeKeyId, ['unusedSince']]
+			]);
+		});
+
+		it('accepts ages in milliseconds and reports every reason for each key', async () => {
+			const clock = sinon.useFakeTimers({now: new Date('2022-01-01T00:00:00.000Z'), toFake: ['Date']});
+			try {
+				const report = await keys.auditKeys(repoData, {
+					olderThan: 365 * 24 * 60 * 60 * 1000,
+					unusedSince: 90 * 24 * 60 * 60 * 1000,
+					permission: 'read'
+				});
+				assert.strictEqual(report.audited, '2022-01-01T00:00:00.000Z');
+				assert.deepEqual(report.keys.find(key => key.id === oldKeyId).reasons, ['olderThan', 'unusedSince']);
+			} finally {
+				clock.restore();
+			}
+		});
+
+		it('only audits keys with the given permissions', async () => {
+			const report = await keys.auditKeys(repoData, {permission: ['write', 'admin']});
+			assert.strictEqual(report.keyCount, 5);
+			assert.deepEqual(report.keys.map(key => key.id), [unusedKeyId, writeKeyId, adminKeyId]);
+		});
+
+		it('rejects with a TypeError without making a request when the options are not valid', async () => {
+			const invalidOptions = [
+				[{olderThan: 'mock-date'}, 'The olderThan option must be a date or a number of milliseconds'],
+				[{unusedSince: -1}, 'The unusedSince option must be a date or a number of milliseconds'],
+				[{permission: 'owner'}, '"owner" is not a valid permission, expected one of "read", "write", "admin"']
+			];
+			for (const [options, message] of invalidOptions) {
+				let caughtError;
+				try {
+					await keys.auditKeys(repoData, options);
+				} catch (error) {
+					caughtError = error;
+				}
+				assert.instanceOf(caughtError, TypeError);
+				assert.strictEqual(caughtError.message, message);
+			}
+			assert.lengthEquals(server.requests, 0);
+		});
+
+	});
+
+});
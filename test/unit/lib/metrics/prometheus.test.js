@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('proclaim');
+const {EventEmitter} = require('events');
+
+describe('lib/metrics/prometheus', () => {
+	let prometheus;
+
+	beforeEach(() => {
+		prometheus = require('../../../../lib/metrics/prometheus');
+	});
+
+	describe('.PrometheusMetrics', () => {
+		let client;
+		let metrics;
+
+		beforeEach(() => {
+			client = new EventEmitter();
+			metrics = new prometheus.PrometheusMetrics({
+				buckets: [0.1, 1]
+			});
+		});
+
+		it('has a Prometheus text format content type', () => {
+			assert.strictEqual(prometheus.PrometheusMetrics.contentType, 'text/plain; version=0.0.4; charset=utf-8');
+		});
+
+		describe('new PrometheusMetrics(options)', () => {
+
+			it('defaults the prefix and buckets', () => {
+				metrics = new prometheus.PrometheusMetrics();
+				assert.strictEqual(metrics.prefix, 'origami_repo_data_client');
+				assert.deepEqual(metrics.buckets, prometheus.defaultBuckets);
+			});
+
+			it('sorts the buckets', () => {
+				metrics = new prometheus.PrometheusMetrics({
+					buckets: [1, 0.5, 2]
+				});
+				assert.deepEqual(metrics.buckets, [0.5, 1, 2]);
+			});
+
+			describe('when the prefix is not a valid metric name', () => {
+
+				it('throws a TypeError', () => {
+					assert.throws(() => new prometheus.PrometheusMetrics({prefix: 'not-valid'}), TypeError);
+				});
+
+			});
+
+		});
+
+		describe('.observe(client)', () => {
+			let stopObserving;
+
+			beforeEach(() => {
+				stopObserving = metrics.observe(client);
+				client.emit('request:start', {method: 'GET', template: '/v1/repos/:repo', attempt: 1});
+				client.emit('request:failure', {method: 'GET', template: '/v1/repos/:repo', attempt: 1, status: 503, duration: 50});
+				client.emit('request:retry', {method: 'GET', template: '/v1/repos/:repo', attempt: 1, delay: 100});
+				client.emit('request:success', {method: 'GET', template: '/v1/repos/:repo', attempt: 2, status: 200, duration: 500});
+				client.emit('request:failure', {method: 'GET', template: null, attempt: 1, duration: 1500});
+				client.emit('cache:hit', {method: 'GET', template: '/v1/repos'});
+			});
+
+			it('counts requests by method, endpoint template, and status', () => {
+				const output = metrics.render();
+				assert.include(output, '# TYPE origami_repo_data_client_requests_total counter\n');
+				assert.include(output, 'origami_repo_data_client_requests_total{method="GET",endpoint="/v1/repos/:repo",status="503"} 1\n');
+				assert.include(output, 'origami_repo_data_client_requests_total{method="GET",endpoint="/v1/repos/:repo",status="200"} 1\n');
+				assert.include(output, 'origami_repo_data_client_requests_total{method="GET",endpoint="unknown",status="none"} 1\n');
+			});
+
+			it('counts retries and cache hits', () => {
+				const output = metrics.render();
+				assert.include(output, 'origami_repo_data_client_retries_total{method="GET",endpoint="/v1/repos/:repo"} 1\n');
+				assert.include(output, 'origami_repo_data_client_cache_hits_total{method="GET",endpoint="/v1/repos"} 1\n');
+			});
+
+			it('records request durations in a cumulative histogram', () => {
+				const output = metrics.render();
+				assert.include(output, '# TYPE origami_repo_data_client_request_duration_seconds histogram\n');
+				assert.include(output, [
+					'origami_repo_data_client_request_duration_seconds_bucket{method="GET",endpoint="/v1/repos/:repo",le="0.1"} 1',
+					'origami_repo_data_client_request_duration_seconds_bucket{method="GET",endpoint="/v1/repos/:repo",le="1"} 2',
+					'origami_repo_data_client_request_duration_seconds_bucket{method="GET",endpoint="/v1/repos/:repo",le="+Inf"} 2',
+					'origami_repo_data_client_request_duration_seconds_sum{method="GET",endpoint="/v1/repos/:repo"} 0.55',
+					'origami_repo_data_client_request_duration_seconds_count{method="GET",endpoint="/v1/repos/:repo"} 2'
+				].join('\n'));
+				assert.include(output, 'origami_repo_data_client_request_duration_seconds_bucket{method="GET",endpoint="unknown",le="1"} 0\n');
+				assert.include(output, 'origami_repo_data_client_request_duration_seconds_bucket{method="GET",endpoint="unknown",le="+Inf"} 1\n');
+			});
+
+			it('returns a function which stops collecting metrics', () => {
+				stopObserving();
+				assert.strictEqual(client.listenerCount('request:success'), 0);
+				client.emit('cache:hit', {method: 'GET', template: '/v1/repos'});
+				assert.include(metrics.render(), 'origami_repo_data_client_cache_hits_total{method="GET",endpoint="/v1/repos"} 1\n');
+			});
+
+		});
+
+		describe('.reset()', () => {
+
+			it('clears the collected metrics', () => {
+				metrics.observe(client);
+				client.emit('cache:hit', {method: 'GET', template: '/v1/repos'});
+				metrics.reset();
+				assert.notInclude(metrics.render(), 'cache_hits_total{');
+			});
+
+		});
+
+		describe('.render()', () => {
+
+			it('renders metric help and types when nothing has been collected', () => {
+				assert.strictEqual(metrics.render(), [
+					'# HELP origami_repo_data_client_requests_total The number of requests made to Origami Repo Data, including retries.',
+					'# TYPE origami_repo_data_client_requests_total counter',
+					'# HELP origami_repo_data_client_retries_total The number of requests to Origami Repo Data which were retried.',
+					'# TYPE origami_repo_data_client_retries_total counter',
+					'# HELP origami_repo_data_client_cache_hits_total The number of Origami Repo Data responses which were served from the cache.',
+					'# TYPE origami_repo_data_client_cache_hits_total counter',
+					'# HELP origami_repo_data_client_request_duration_seconds The duration of requests made to Origami Repo Data.',
+					'# TYPE origami_repo_data_client_request_duration_seconds histogram',
+					''
+				].join('\n'));
+			});
+
+			it('escapes label values', () => {
+				metrics.observe(client);
+				client.emit('cache:hit', {method: 'GET', template: '/v1/"quoted"\\path\n'});
+				assert.include(metrics.render(), 'endpoint="/v1/\\"quoted\\"\\\\path\\n"');
+			});
+
+			it('uses the configured prefix', () => {
+				metrics = new prometheus.PrometheusMetrics({prefix: 'mock_prefix'});
+				assert.include(metrics.render(), '# TYPE mock_prefix_requests_total counter');
+			});
+
+		});
+
+	});
+
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+const assert = require('proclaim');
+const sinon = require('sinon');
+
+describe('lib/middleware', () => {
+	let middleware;
+
+	beforeEach(() => {
+		middleware = require('../../../lib/middleware');
+	});
+
+	describe('.compose(middleware, handler)', () => {
+		let handler;
+		let request;
+
+		beforeEach(() => {
+			handler = sinon.stub().resolves({status: 200});
+			request = {
+				method: 'GET',
+				endpoint: '/mock-endpoint',
+				headers: {}
+			};
+		});
+
+		it('calls the handler with the request when there is no middleware', async () => {
+			const response = await middleware.compose([], handler)(request);
+			assert.calledOnce(handler);
+			assert.calledWithExactly(handler, request);
+			assert.deepEqual(response, {status: 200});
+		});
+
+		it('calls each middleware in order, outermost first', async () => {
+			const calls = [];
+			const first = async (req, next) => {
+				calls.push('first:before');
+				const response = await next();
+				calls.push('first:after');
+				return response;
+			};
+			const second = async (req, next) => {
+				calls.push('second:before');
+				const response = await next();
+				calls.push('second:after');
+				return response;
+			};
+			handler.callsFake(async () => {
+				calls.push('handler');
+				return {status: 200};
+			});
+			await middleware.compose([first, second], handler)(request);
+			assert.deepEqual(calls, [
+				'first:before',
+				'second:before',
+				'handler',
+				'second:after',
+				'first:after'
+			]);
+		});
+
+		it('passes changes to the request on to the handler', async () => {
+			await middleware.compose([
+				(req, next) => {
+					req.headers['X-Mock'] = 'mock';
+					return next();
+				}
+			], handler)(request);
+			assert.strictEqual(handler.firstCall.args[0].headers['X-Mock'], 'mock');
+		});
+
+		it('resolves with the response returned by the middleware', async () => {
+			const response = await middleware.compose([
+				async (req, next) => {
+					const nextResponse = await next();
+					return Object.assign({}, nextResponse, {data: 'mock-data'});
+				}
+			], handler)(request);
+			assert.deepEqual(response, {status: 200, data: 'mock-data'});
+		});
+
+		it('does not call the handler when a middleware short-circuits', async () => {
+			const response = await middleware.compose([
+				() => ({status: 204})
+			], handler)(request);
+			assert.notCalled(handler);
+			assert.deepEqual(response, {status: 204});
+		});
+
+		it('rejects with errors from the handler', async () => {
+			const handlerError = new Error('mock error');
+			handler.rejects(handlerError);
+			try {
+				await middleware.compose([(req, next) => next()], handler)(request);
+			} catch (error) {
+				assert.strictEqual(error, handlerError);
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+		describe('when a middleware does not resolve with a response', () => {
+
+			it('rejects with a TypeError', async () => {
+				try {
+					await middleware.compose([
+						async (req, next) => {
+							await next();
+						}
+					], handler)(request);
+				} catch (error) {
+					assert.instanceOf(error, TypeError);
+					assert.match(error.message, /must resolve with a response object/);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+	});
+
+	describe('.createHookMiddleware(hooks)', () => {
+		let clock;
+		let next;
+		let request;
+
+		beforeEach(() => {
+			clock = sinon.useFakeTimers(1000);
+			next = sinon.stub().callsFake(async () => {
+				clock.tick(25);
+				return {status: 200};
+			});
+			request = {
+				method: 'GET',
+				endpoint: '/mock-endpoint',
+				headers: {}
+			};
+		});
+
+		afterEach(() => {
+			clock.restore();
+		});
+
+		it('calls `onRequest` with the request before calling `next`', async () => {
+			const onRequest = sinon.spy();
+			await middleware.createHookMiddleware({onRequest})(request, next);
+			assert.calledOnce(onRequest);
+			assert.calledWithExactly(onRequest, request);
+			assert.callOrder(onRequest, next);
+		});
+
+		it('calls `onResponse` with the request, response, and duration', async () => {
+			const onResponse = sinon.spy();
+			const response = await middleware.createHookMiddleware({onResponse})(request, next);
+			assert.calledOnce(onResponse);
+			assert.calledWithExactly(onResponse, request, response, 25);
+		});
+
+		it('ignores the return values of hooks', async () => {
+			const response = await middleware.createHookMiddleware({
+				onRequest: () => ({status: 500}),
+				onResponse: () => ({status: 500})
+			})(request, next);
+			assert.calledOnce(next);
+			assert.deepEqual(response, {status: 200});
+		});
+
+		describe('when `next` rejects', () => {
+			let nextError;
+
+			beforeEach(() => {
+				nextError = new Error('mock error');
+				next.callsFake(async () => {
+					clock.tick(10);
+					throw nextError;
+				});
+			});
+
+			it('calls `onError` with the request, error, and duration and then rethrows the error', async () => {
+				const onError = sinon.spy();
+				const onResponse = sinon.spy();
+				try {
+					await middleware.createHookMiddleware({onResponse, onError})(request, next);
+				} catch (error) {
+					assert.strictEqual(error, nextError);
+					assert.calledOnce(onError);
+					assert.calledWithExactly(onError, request, nextError, 10);
+					assert.notCalled(onResponse);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+	});
+
+});
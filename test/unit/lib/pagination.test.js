@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/pagination', () => {
+	let pagination;
+
+	beforeEach(() => {
+		pagination = require('../../../lib/pagination');
+	});
+
+	describe('.parseLinkHeader(header)', () => {
+
+		it('returns the linked URLs keyed by relation', () => {
+			assert.deepEqual(pagination.parseLinkHeader('<https://mock/v1/repos?page=2>; rel="next", <https://mock/v1/repos?page=5>; rel="last"'), {
+				next: 'https://mock/v1/repos?page=2',
+				last: 'https://mock/v1/repos?page=5'
+			});
+		});
+
+		it('supports multiple and unquoted relations', () => {
+			assert.deepEqual(pagination.parseLinkHeader('</v1/repos?page=2>; rel=next, </v1/repos?page=1>; rel="first prev"'), {
+				next: '/v1/repos?page=2',
+				first: '/v1/repos?page=1',
+				prev: '/v1/repos?page=1'
+			});
+		});
+
+		it('returns an empty object when the header is missing or invalid', () => {
+			assert.deepEqual(pagination.parseLinkHeader(), {});
+			assert.deepEqual(pagination.parseLinkHeader('not a link header'), {});
+		});
+
+	});
+
+	describe('.defaultPageSize', () => {
+
+		it('requests 100 items at once', () => {
+			assert.strictEqual(pagination.defaultPageSize, 100);
+		});
+
+	});
+
+	describe('.normalizePageSize(pageSize)', () => {
+
+		it('returns the default page size when the option is not set', () => {
+			assert.strictEqual(pagination.normalizePageSize(), 100);
+		});
+
+		it('returns the page size when it is a positive integer', () => {
+			assert.strictEqual(pagination.normalizePageSize(20), 20);
+		});
+
+		it('throws a TypeError when the page size is not a positive integer', () => {
+			const {normalizePageSize} = pagination;
+			for (const pageSize of [0, -1, 1.5, '20', null]) {
+				assert.throws(() => normalizePageSize(pageSize), 'The pageSize option must be a positive integer');
+			}
+		});
+
+	});
+
+	describe('.getFirstPage(endpoint, query, pageSize)', () => {
+
+		it('returns the endpoint and query with the page and limit parameters', () => {
+			assert.deepEqual(pagination.getFirstPage('/v1/repos', {brand: 'master'}, 20), {
+				endpoint: '/v1/repos',
+				query: {
+					brand: 'master',
+					page: 1,
+					limit: 20
+				}
+			});
+			assert.deepEqual(pagination.getFirstPage('/v1/keys', undefined, 20).query, {page: 1, limit: 20});
+		});
+
+	});
+
+	describe('.getNextPage(headers, apiUrl, page)', () => {
+
+		it('returns the endpoint and query of the next page', () => {
+			assert.deepEqual(pagination.getNextPage({
+				link: '<https://mock-api/v1/repos?brand=master&page=2>; rel="next"'
+			}, 'https://mock-api'), {
+				endpoint: '/v1/repos',
+				query: {
+					brand: 'master',
+					page: '2'
+				}
+			});
+		});
+
+		it('removes the path of the API URL from the endpoint', () => {
+			assert.deepEqual(pagination.getNextPage({
+				link: '</repo-data/v1/queue?page=3>; rel="next"'
+			}, 'https://mock-api/repo-data/'), {
+				endpoint: '/v1/queue',
+				query: {
+					page: '3'
+				}
+			});
+		});
+
+		it('returns `null` when there is no next page', () => {
+			assert.isNull(pagination.getNextPage({}, 'https://mock-api'));
+			assert.isNull(pagination.getNextPage({
+				link: '<https://mock-api/v1/repos?page=1>; rel="prev"'
+			}, 'https://mock-api'));
+		});
+
+		describe('when the service pages the list by page number', () => {
+			let page;
+
+			beforeEach(() => {
+				page = {
+					endpoint: '/v1/repos',
+					query: {brand: 'master', page: 2, limit: 20}
+				};
+			});
+
+			it('returns the next page number while there are more items than have been requested', () => {
+				assert.deepEqual(pagination.getNextPage({'x-total-count': '41'}, 'https://mock-api', page), {
+					endpoint: '/v1/repos',
+					query: {brand: 'master', page: 3, limit: 20}
+				});
+			});
+
+			it('returns `null` once every item has been requested', () => {
+				assert.isNull(pagination.getNextPage({'x-total-count': '40'}, 'https://mock-api', page));
+			});
+
+			it('returns `null` when the service does not give a total count', () => {
+				assert.isNull(pagination.getNextPage({}, 'https://mock-api', page));
+			});
+
+			it('prefers the Link header', () => {
+				assert.deepEqual(pagination.getNextPage({
+					'link': '<https://mock-api/v1/repos?cursor=mock-cursor>; rel="next"',
+					'x-total-count': '41'
+				}, 'https://mock-api', page), {
+					endpoint: '/v1/repos',
+					query: {cursor: 'mock-cursor'}
+				});
+			});
+
+		});
+
+	});
+
+});
@@ -0,0 +1,208 @@
+'use strict';
+
+const assert = require('proclaim');
+const sinon = require('sinon');
+
+describe('lib/query', () => {
+	let client;
+	let query;
+	let RepoQuery;
+
+	beforeEach(() => {
+		RepoQuery = require('../../../lib/query').RepoQuery;
+		client = {
+			listRepos: sinon.stub().resolves([])
+		};
+		query = new RepoQuery(client);
+	});
+
+	function names(list) {
+		return list.map(repo => repo.name);
+	}
+
+	describe('new RepoQuery(client, savedQuery)', () => {
+
+		it('has a client property', () => {
+			assert.strictEqual(query.client, client);
+		});
+
+		it('starts with a single empty set of filters', () => {
+			assert.deepEqual(query.toFilters(), [{}]);
+			assert.deepEqual(query.exclusions, {});
+		});
+
+		it('throws a TypeError when the saved query does not have filters', () => {
+			assert.throws(() => new RepoQuery(client, {}), 'A saved query must have an array of filters');
+			assert.throws(() => new RepoQuery(client, {filters: []}), 'A saved query must have an array of filters');
+		});
+
+		it('throws a TypeError when the saved query contains an invalid filter', () => {
+			assert.throws(() => new RepoQuery(client, {filters: [{status: 'alive'}]}), /^"alive" is not a valid status filter,/);
+		});
+
+	});
+
+	describe('builder methods', () => {
+
+		it('set the corresponding filter and return the query', () => {
+			const returnValue = query
+				.brand('master')
+				.search('color')
+				.status(['active', 'maintained'])
+				.type('module')
+				.origamiVersion('2.0')
+				.keyword('colours')
+				.supportContact('#origami-support')
+				.lastIngested({after: '2021-01-01'});
+			assert.strictEqual(returnValue, query);
+			assert.deepEqual(query.toFilters(), [{
+				brand: 'master',
+				search: 'color',
+				status: ['active', 'maintained'],
+				type: 'module',
+				origamiVersion: '2.0',
+				keyword: 'colours',
+				supportContact: '#origami-support',
+				lastIngested: {after: '2021-01-01'}
+			}]);
+		});
+
+		it('replace a previous value for the same filter', () => {
+			query.status('active').status('dead');
+			assert.deepEqual(query.toFilters(), [{status: 'dead'}]);
+		});
+
+		it('throw a TypeError when a value is not valid', () => {
+			assert.throws(() => query.type('component'), /^"component" is not a valid type filter,/);
+		});
+
+	});
+
+	describe('.where(filters)', () => {
+
+		it('throws a TypeError for filters which cannot be used in a query', () => {
+			assert.throws(() => query.where({sort: 'name'}), /^"sort" cannot be used to filter repositories, expected one of "brand", /);
+			assert.throws(() => query.where(null), 'Query filters must be an object');
+		});
+
+	});
+
+	describe('.or(filters)', () => {
+
+		it('adds a set of filters', () => {
+			query.type('module').or({supportContact: '#origami-support'});
+			assert.deepEqual(query.toFilters(), [{type: 'module'}, {supportContact: '#origami-support'}]);
+		});
+
+		it('adds the filters of another query', () => {
+			query.type('module').or(new RepoQuery(client).status('dead').or({brand: null}));
+			assert.deepEqual(query.toFilters(), [{type: 'module'}, {status: 'dead'}, {brand: null}]);
+		});
+
+	});
+
+	describe('.exclude(filters)', () => {
+
+		it('adds to the values which are excluded', () => {
+			query.exclude({status: 'dead'}).exclude({status: ['deprecated'], brand: null});
+			assert.deepEqual(query.exclusions, {status: ['dead', 'deprecated'], brand: ['none']});
+		});
+
+		it('throws a TypeError for filters which cannot be used to exclude repositories', () => {
+			assert.throws(() => query.exclude({search: 'color'}), /^"search" cannot be used to exclude repositories,/);
+			assert.throws(() => query.exclude({status: 'alive'}), TypeError);
+		});
+
+	});
+
+	describe('.sortBy(field, order)', () => {
+
+		it('sets the sort field and order', () => {
+			query.sortBy('lastIngested', 'desc');
+			assert.strictEqual(query.sort, 'lastIngested');
+			assert.strictEqual(query.order, 'desc');
+			query.sortBy('name');
+			assert.strictEqual(query.order, 'asc');
+		});
+
+		it('throws a TypeError when the field or order is not valid', () => {
+			assert.throws(() => query.sortBy('released'), /^"released" is not a valid sort,/);
+			assert.throws(() => query.sortBy('name', 'up'), /^"up" is not a valid sort order,/);
+		});
+
+	});
+
+	describe('.run(requestOptions)', () => {
+		let requestOptions;
+
+		beforeEach(() => {
+			requestOptions = {timeout: 1000};
+			client.listRepos.withArgs({type: 'module'}).resolves([
+				{id: '1', name: 'o-colors', support: {status: 'active'}},
+				{id: '2', name: 'o-buttons', support: {status: 'dead'}}
+			]);
+			client.listRepos.withArgs({supportContact: '#next'}).resolves([
+				{id: '3', name: 'n-ui', support: {status: 'active'}},
+				{id: '1', name: 'o-colors', support: {status: 'active'}}
+			]);
+		});
+
+		it('lists repositories with the filters', async () => {
+			const repos = await query.type('module').run(requestOptions);
+			assert.calledOnce(client.listRepos);
+			assert.calledWithExactly(client.listRepos, {type: 'module'}, requestOptions);
+			assert.deepEqual(names(repos), ['o-colors', 'o-buttons']);
+		});
+
+		it('makes a request for each set of filters and merges the repositories without duplicates', async () => {
+			const repos = await query.type('module').or({supportContact: '#next'}).run();
+			assert.calledTwice(client.listRepos);
+			assert.deepEqual(names(repos), ['o-colors', 'o-buttons', 'n-ui']);
+		});
+
+		it('removes excluded repositories', async () => {
+			const repos = await query.type('module').or({supportContact: '#next'}).exclude({status: 'dead'}).run();
+			assert.deepEqual(names(repos), ['o-colors', 'n-ui']);
+		});
+
+		it('sorts the repositories', async () => {
+			const repos = await query.type('module').or({supportContact: '#next'}).sortBy('name', 'desc').run();
+			assert.deepEqual(names(repos), ['o-colors', 'o-buttons', 'n-ui']);
+		});
+
+		it('rejects when a request fails', async () => {
+			const error = new Error('mock error');
+			client.listRepos.withArgs({supportContact: '#next'}).rejects(error);
+			try {
+				await query.type('module').or({supportContact: '#next'}).run();
+			} catch (caughtError) {
+				assert.strictEqual(caughtError, error);
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+	});
+
+	describe('.toJSON()', () => {
+
+		it('returns a saved query which can be loaded into a new query', () => {
+			query.brand('master').or({keyword: 'colours'}).exclude({status: 'dead'}).sortBy('lastIngested', 'desc');
+			const savedQuery = JSON.parse(JSON.stringify(query));
+			assert.deepEqual(savedQuery, {
+				filters: [{brand: 'master'}, {keyword: 'colours'}],
+				exclude: {status: ['dead']},
+				sort: 'lastIngested',
+				order: 'desc'
+			});
+			assert.deepEqual(new RepoQuery(client, savedQuery).toJSON(), savedQuery);
+		});
+
+		it('does not include a sort when the query is not sorted', () => {
+			assert.deepEqual(query.toJSON(), {filters: [{}], exclude: {}});
+		});
+
+	});
+
+});
@@ -0,0 +1,244 @@
+'use strict';
+
+const assert = require('proclaim');
+const fs = require('fs');
+const mockery = require('mockery');
+const os = require('os');
+const path = require('path');
+
+describe('lib/recorder', () => {
+	let directory;
+	let errors;
+	let recorder;
+
+	beforeEach(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-data-recorder-'));
+
+		errors = require('../../../lib/errors');
+		mockery.registerMock('./errors', errors);
+
+		recorder = require('../../../lib/recorder');
+	});
+
+	afterEach(() => {
+		fs.rmSync(directory, {recursive: true, force: true});
+	});
+
+	describe('.Recorder', () => {
+
+		describe('new Recorder(options)', () => {
+
+			it('throws when the mode is invalid', () => {
+				assert.throws(() => new recorder.Recorder({mode: 'nope', directory}), 'The recorder mode must be one of: record, replay');
+			});
+
+			it('throws when the directory is missing', () => {
+				assert.throws(() => new recorder.Recorder({mode: 'record'}), 'The recorder directory must be a non-empty string');
+			});
+
+		});
+
+		describe('.getFixturePath(request)', () => {
+
+			it('returns a path in the directory based on the request', () => {
+				const instance = new recorder.Recorder({mode: 'record', directory});
+				const fixturePath = instance.getFixturePath({method: 'get', endpoint: '/v1/repos/o-colors', query: {brand: 'master'}});
+				assert.strictEqual(path.dirname(fixturePath), directory);
+				assert.match(path.basename(fixturePath), /^GET-v1-repos-o-colors-[0-9a-f]{12}\.json$/);
+			});
+
+			it('returns the same path regardless of query order', () => {
+				const instance = new recorder.Recorder({mode: 'record', directory});
+				assert.strictEqual(
+					instance.getFixturePath({method: 'GET', endpoint: '/v1/repos', query: {brand: 'master', status: 'active'}}),
+					instance.getFixturePath({method: 'GET', endpoint: '/v1/repos', query: {status: 'active', brand: 'master'}})
+				);
+			});
+
+			it('returns a different path for a different request body', () => {
+				const instance = new recorder.Recorder({mode: 'record', directory});
+				assert.notStrictEqual(
+					instance.getFixturePath({method: 'POST', endpoint: '/v1/queue', data: {tag: 'v1.0.0'}}),
+					instance.getFixturePath({method: 'POST', endpoint: '/v1/queue', data: {tag: 'v2.0.0'}})
+				);
+			});
+
+		});
+
+		describe('.record(request, response, authHeaders)', () => {
+			let fixture;
+			let request;
+
+			beforeEach(async () => {
+				request = {
+					method: 'GET',
+					endpoint: '/v1/repos',
+					query: {brand: 'master'},
+					headers: {
+						'X-Api-Key': 'mock-key',
+						'X-Api-Secret': 'mock-secret',
+						'Authorization': 'Bearer mock-token',
+						'X-Mock-Token': 'mock-token',
+						'If-None-Match': 'mock-etag'
+					}
+				};
+				const instance = new recorder.Recorder({mode: 'record', directory: path.join(directory, 'nested')});
+				await instance.record(request, {
+					status: 200,
+					headers: {etag: 'mock-etag'},
+					data: [{name: 'o-colors'}]
+				}, ['x-mock-token']);
+				fixture = JSON.parse(fs.readFileSync(instance.getFixturePath(request), 'utf8'));
+			});
+
+			it('writes the request and response to a fixture file', () => {
+				assert.deepEqual(fixture.request.query, {brand: 'master'});
+				assert.deepEqual(fixture.response, {
+					status: 200,
+					headers: {etag: 'mock-etag'},
+					data: [{name: 'o-colors'}]
+				});
+			});
+
+			it('redacts API credentials and the auth headers from the request headers', () => {
+				assert.deepEqual(fixture.request.headers, {
+					'X-Api-Key': '[REDACTED]',
+					'X-Api-Secret': '[REDACTED]',
+					'Authorization': '[REDACTED]',
+					'X-Mock-Token': '[REDACTED]',
+					'If-None-Match': 'mock-etag'
+				});
+			});
+
+		});
+
+		describe('when a client records a new API key', () => {
+			let credentials;
+			let fixture;
+
+			beforeEach(async () => {
+				const RepoDataClient = require('../../../lib/client');
+				const {MockRepoDataServer} = require('../../../lib/testing/server');
+				const server = new MockRepoDataServer();
+				await server.start();
+				try {
+					const repoData = new RepoDataClient(Object.assign(server.getClientOptions('admin'), {
+						recorder: {mode: 'record', directory}
+					}));
+					credentials = await repoData.createKey({description: 'Mock recorded key'});
+				} finally {
+					await server.stop();
+				}
+				const [fixtureFile] = fs.readdirSync(directory);
+				fixture = JSON.parse(fs.readFileSync(path.join(directory, fixtureFile), 'utf8'));
+			});
+
+			it('redacts the secret from the response', () => {
+				assert.isString(credentials.secret);
+				assert.notStrictEqual(credentials.secret, '[REDACTED]');
+				assert.strictEqual(fixture.response.data.secret, '[REDACTED]');
+				assert.strictEqual(fixture.response.data.id, credentials.id);
+				assert.notInclude(JSON.stringify(fixture), credentials.secret);
+			});
+
+		});
+
+		describe('when a client with an auth strategy records a request', () => {
+			let RepoDataClient;
+			let server;
+
+			beforeEach(async () => {
+				RepoDataClient = require('../../../lib/client');
+				const {MockRepoDataServer} = require('../../../lib/testing/server');
+				server = new MockRepoDataServer();
+				await server.start();
+			});
+
+			afterEach(async () => {
+				await server.stop();
+			});
+
+			function readFixture() {
+				const [fixtureFile] = fs.readdirSync(directory);
+				return JSON.parse(fs.readFileSync(path.join(directory, fixtureFile), 'utf8'));
+			}
+
+			it('redacts the credentials from a ProviderAuth strategy', async () => {
+				const {apiKey, apiSecret} = server.getClientOptions('read');
+				const repoData = new RepoDataClient({
+					apiUrl: server.getClientOptions('read').apiUrl,
+					auth: new RepoDataClient.ProviderAuth(async () => ({apiKey, apiSecret})),
+					recorder: {mode: 'record', directory}
+				});
+				await repoData.listRepos();
+				const fixture = readFixture();
+				assert.strictEqual(fixture.request.headers['X-Api-Key'], '[REDACTED]');
+				assert.strictEqual(fixture.request.headers['X-Api-Secret'], '[REDACTED]');
+				assert.notInclude(JSON.stringify(fixture), apiSecret);
+			});
+
+			it('redacts every header which a custom strategy sets', async () => {
+				const repoData = new RepoDataClient({
+					apiUrl: server.getClientOptions('read').apiUrl,
+					auth: {
+						getHeaders: async () => ({'X-Mock-Token': 'mock-token'})
+					},
+					recorder: {mode: 'record', directory}
+				});
+				try {
+					await repoData.listRepos();
+				} catch (error) {
+					const fixture = readFixture();
+					assert.strictEqual(fixture.response.status, 401);
+					assert.deepEqual(fixture.request.headers, {'X-Mock-Token': '[REDACTED]'});
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('.replay(request)', () => {
+
+			it('resolves with the recorded response', async () => {
+				const request = {method: 'GET', endpoint: '/v1/repos'};
+				const response = {status: 200, headers: {}, data: []};
+				await new recorder.Recorder({mode: 'record', directory}).record(request, response);
+				assert.deepEqual(await new recorder.Recorder({mode: 'replay', directory}).replay(request), response);
+			});
+
+			it('rejects with an UnmatchedRequestError when there is no fixture', async () => {
+				const instance = new recorder.Recorder({mode: 'replay', directory});
+				const request = {method: 'get', endpoint: '/v1/repos', query: {brand: 'master'}};
+				try {
+					await instance.replay(request);
+				} catch (error) {
+					assert.instanceOf(error, errors.UnmatchedRequestError);
+					assert.strictEqual(error.message, `No recorded response for GET /v1/repos?brand=master (expected a fixture at ${instance.getFixturePath(request)})`);
+					assert.strictEqual(error.fixturePath, instance.getFixturePath(request));
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('.fromOption(option)', () => {
+
+			it('returns `null` when the option is not set', () => {
+				assert.isNull(recorder.Recorder.fromOption());
+			});
+
+			it('returns a recorder', () => {
+				const instance = recorder.Recorder.fromOption({mode: 'record', directory});
+				assert.instanceOf(instance, recorder.Recorder);
+				assert.strictEqual(recorder.Recorder.fromOption(instance), instance);
+			});
+
+		});
+
+	});
+
+});
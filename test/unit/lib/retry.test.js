@@ -0,0 +1,246 @@
+'use strict';
+
+const assert = require('proclaim');
+const sinon = require('sinon');
+
+describe('lib/retry', () => {
+	let errors;
+	let retry;
+
+	beforeEach(() => {
+		errors = require('../../../lib/errors');
+		retry = require('../../../lib/retry');
+	});
+
+	describe('.normalizeRetryOptions(retry)', () => {
+
+		it('returns `null` when retries are disabled', () => {
+			assert.isNull(retry.normalizeRetryOptions());
+			assert.isNull(retry.normalizeRetryOptions(false));
+			assert.isNull(retry.normalizeRetryOptions(0));
+		});
+
+		it('returns the default options when `retry` is `true`', () => {
+			assert.deepEqual(retry.normalizeRetryOptions(true), retry.defaultRetryOptions);
+		});
+
+		it('sets the maximum number of attempts when `retry` is a number', () => {
+			const options = retry.normalizeRetryOptions(5);
+			assert.strictEqual(options.maxAttempts, 5);
+			assert.strictEqual(options.backoffBase, retry.defaultRetryOptions.backoffBase);
+		});
+
+		it('defaults the options when `retry` is an object', () => {
+			const options = retry.normalizeRetryOptions({
+				backoffCap: 100,
+				methods: ['get', 'post']
+			});
+			assert.strictEqual(options.maxAttempts, retry.defaultRetryOptions.maxAttempts);
+			assert.strictEqual(options.backoffCap, 100);
+			assert.deepEqual(options.methods, ['GET', 'POST']);
+		});
+
+	});
+
+	describe('.shouldRetry(error, request, options)', () => {
+		let options;
+		let serverError;
+
+		beforeEach(() => {
+			options = retry.normalizeRetryOptions(true);
+			serverError = new errors.ServerError('503: mock error', {
+				status: 503
+			});
+		});
+
+		it('returns `true` for a retryable status on a retryable method', () => {
+			assert.isTrue(retry.shouldRetry(serverError, {method: 'GET', attempt: 1}, options));
+			assert.isTrue(retry.shouldRetry(serverError, {method: 'delete', attempt: 2}, options));
+		});
+
+		it('returns `true` for network errors', () => {
+			const networkError = new errors.NetworkError('socket hang up');
+			assert.isTrue(retry.shouldRetry(networkError, {method: 'GET', attempt: 1}, options));
+		});
+
+		it('returns `false` when retries are disabled', () => {
+			assert.isFalse(retry.shouldRetry(serverError, {method: 'GET', attempt: 1}, null));
+		});
+
+		it('returns `false` when the maximum number of attempts has been reached', () => {
+			assert.isFalse(retry.shouldRetry(serverError, {method: 'GET', attempt: 3}, options));
+		});
+
+		it('returns `false` for methods which are not retryable', () => {
+			assert.isFalse(retry.shouldRetry(serverError, {method: 'POST', attempt: 1}, options));
+		});
+
+		it('returns `false` for statuses which are not retryable', () => {
+			const notFoundError = new errors.NotFoundError('404: mock error', {
+				status: 404
+			});
+			assert.isFalse(retry.shouldRetry(notFoundError, {method: 'GET', attempt: 1}, options));
+		});
+
+	});
+
+	describe('.parseRetryAfter(value)', () => {
+
+		it('returns a number of seconds in milliseconds', () => {
+			assert.strictEqual(retry.parseRetryAfter('2'), 2000);
+		});
+
+		it('returns the time until an HTTP date in milliseconds', () => {
+			const clock = sinon.useFakeTimers(new Date('2020-01-01T00:00:00Z'));
+			try {
+				assert.strictEqual(retry.parseRetryAfter('Wed, 01 Jan 2020 00:00:05 GMT'), 5000);
+				assert.strictEqual(retry.parseRetryAfter('Tue, 31 Dec 2019 00:00:00 GMT'), 0);
+			} finally {
+				clock.restore();
+			}
+		});
+
+		it('returns `null` for missing or invalid values', () => {
+			assert.isNull(retry.parseRetryAfter());
+			assert.isNull(retry.parseRetryAfter(''));
+			assert.isNull(retry.parseRetryAfter('not a date'));
+		});
+
+	});
+
+	describe('.getRetryDelay(attempt, error, options)', () => {
+		let error;
+		let options;
+
+		beforeEach(() => {
+			error = new errors.ServerError('503: mock error', {
+				status: 503,
+				headers: {}
+			});
+			options = retry.normalizeRetryOptions({
+				backoffBase: 100,
+				backoffCap: 350,
+				jitter: false
+			});
+		});
+
+		it('returns an exponential backoff capped at `backoffCap`', () => {
+			assert.strictEqual(retry.getRetryDelay(1, error, options), 100);
+			assert.strictEqual(retry.getRetryDelay(2, error, options), 200);
+			assert.strictEqual(retry.getRetryDelay(3, error, options), 350);
+		});
+
+		describe('when `jitter` is enabled', () => {
+
+			beforeEach(() => {
+				options.jitter = true;
+				sinon.stub(Math, 'random').returns(0.5);
+			});
+
+			afterEach(() => {
+				Math.random.restore();
+			});
+
+			it('returns a random delay up to the backoff', () => {
+				assert.strictEqual(retry.getRetryDelay(2, error, options), 100);
+			});
+
+		});
+
+		describe('when the error has a `Retry-After` header', () => {
+
+			beforeEach(() => {
+				error.headers['retry-after'] = '3';
+			});
+
+			it('returns the delay from the header', () => {
+				assert.strictEqual(retry.getRetryDelay(1, error, options), 3000);
+			});
+
+			it('ignores the header when `honorRetryAfter` is `false`', () => {
+				options.honorRetryAfter = false;
+				assert.strictEqual(retry.getRetryDelay(1, error, options), 100);
+			});
+
+		});
+
+	});
+
+	describe('.wait(delay, signal)', () => {
+
+		it('resolves after the given delay', async () => {
+			const clock = sinon.useFakeTimers();
+			try {
+				const resolved = sinon.spy();
+				const promise = retry.wait(100).then(resolved);
+				await clock.tickAsync(99);
+				assert.notCalled(resolved);
+				await clock.tickAsync(1);
+				await promise;
+				assert.calledOnce(resolved);
+			} finally {
+				clock.restore();
+			}
+		});
+
+		describe('when `signal` is aborted during the wait', () => {
+
+			it('rejects with an AbortError', async () => {
+				const clock = sinon.useFakeTimers();
+				const listeners = [];
+				const signal = {
+					aborted: false,
+					addEventListener: sinon.spy((type, listener) => listeners.push(listener)),
+					removeEventListener: sinon.spy()
+				};
+				try {
+					const promise = retry.wait(100, signal);
+					assert.calledWith(signal.addEventListener, 'abort');
+					signal.aborted = true;
+					listeners.forEach(listener => listener());
+					await promise;
+				} catch (error) {
+					assert.instanceOf(error, errors.AbortError);
+					return;
+				} finally {
+					clock.restore();
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('when `signal` is already aborted', () => {
+
+			it('rejects with an AbortError', async () => {
+				try {
+					await retry.wait(100, {aborted: true});
+				} catch (error) {
+					assert.instanceOf(error, errors.AbortError);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('when `signal` is not aborted', () => {
+
+			it('removes the abort listener after the wait', async () => {
+				const signal = {
+					aborted: false,
+					addEventListener: sinon.spy(),
+					removeEventListener: sinon.spy()
+				};
+				await retry.wait(1, signal);
+				assert.calledOnce(signal.removeEventListener);
+				assert.strictEqual(signal.removeEventListener.firstCall.args[1], signal.addEventListener.firstCall.args[1]);
+			});
+
+		});
+
+	});
+
+});
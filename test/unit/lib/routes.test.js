@@ -0,0 +1,124 @@
+'use strict';
+
+const assert = require('proclaim');
+const cloneDeep = require('lodash/cloneDeep');
+const {execFileSync} = require('child_process');
+
+describe('lib/routes', () => {
+	let data;
+	let fixtures;
+	let routes;
+
+	beforeEach(() => {
+		fixtures = require('../../../lib/testing/fixtures');
+		routes = require('../../../lib/routes');
+		data = cloneDeep({
+			repos: fixtures.repos,
+			keys: fixtures.keys,
+			queue: fixtures.queue
+		});
+	});
+
+	describe('.HttpError', () => {
+
+		it('is an error with an HTTP status', () => {
+			const error = new routes.HttpError(404, 'mock message');
+			assert.instanceOf(error, Error);
+			assert.strictEqual(error.status, 404);
+			assert.strictEqual(error.message, 'mock message');
+		});
+
+	});
+
+	describe('.routes', () => {
+
+		it('has a permission and handler for each route', () => {
+			for (const route of Object.values(routes.routes)) {
+				assert.include(['read', 'write', 'admin'], route.permission);
+				assert.isFunction(route.handler);
+			}
+		});
+
+		it('serves repositories with the details of their latest version', () => {
+			const repos = routes.routes['GET repos'].handler(data, {query: {}});
+			assert.lengthEquals(repos, data.repos.length);
+			assert.isUndefined(repos[0].versions);
+			assert.isString(repos[0].version);
+		});
+
+		it('searches repositories by name, description, keywords, and the demo titles of their latest version', () => {
+			data.repos = [
+				{name: 'o-mock-name', versions: []},
+				{name: 'o-mock-1', description: 'Mock Search', versions: []},
+				{name: 'o-mock-2', keywords: ['mock-search'], versions: []},
+				{name: 'o-mock-3', versions: [{version: '1.0.0', demos: [{title: 'A mock search demo'}]}]},
+				{name: 'o-mock-4', versions: [{version: '2.0.0', demos: []}, {version: '1.0.0', demos: [{title: 'mock search'}]}]}
+			];
+			const search = q => routes.routes['GET repos'].handler(data, {query: {q}}).map(repo => repo.name);
+			assert.deepEqual(search('mock search'), ['o-mock-1', 'o-mock-3']);
+			assert.deepEqual(search('mock-search'), ['o-mock-2']);
+			assert.deepEqual(search('mock-name'), ['o-mock-name']);
+		});
+
+		it('throws a 404 HttpError when a repository does not exist', () => {
+			try {
+				routes.routes['GET repo'].handler(data, {params: {repo: 'o-missing'}});
+			} catch (error) {
+				assert.instanceOf(error, routes.HttpError);
+				assert.strictEqual(error.status, 404);
+				assert.strictEqual(error.message, 'Repository not found');
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+		it('serves versions with only their own details and the ID of their repository', () => {
+			const repo = {
+				id: 'mock-repo-id',
+				name: 'o-mock',
+				keywords: ['mock'],
+				versions: [
+					{id: 'mock-version-id', name: 'o-mock', version: '1.0.0', dependencies: []}
+				]
+			};
+			data.repos = [repo];
+			assert.deepEqual(routes.routes['GET version'].handler(data, {params: {repo: 'o-mock', version: '1.0.0'}}), {
+				id: 'mock-version-id',
+				name: 'o-mock',
+				version: '1.0.0',
+				repo: 'mock-repo-id'
+			});
+			assert.deepEqual(routes.routes['GET versions'].handler(data, {params: {repo: 'o-mock'}}), [
+				{id: 'mock-version-id', name: 'o-mock', version: '1.0.0', repo: 'mock-repo-id'}
+			]);
+		});
+
+		it('serves API keys without their secrets', () => {
+			const keys = routes.routes['GET keys'].handler(data, {});
+			assert.lengthEquals(keys, data.keys.length);
+			keys.forEach(key => assert.isUndefined(key.secret));
+		});
+
+	});
+
+	describe('.createId()', () => {
+
+		it('returns a random ID in the format of a UUID', () => {
+			assert.match(routes.createId(), /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+			assert.notStrictEqual(routes.createId(), routes.createId());
+		});
+
+	});
+
+	describe('when the client is loaded', () => {
+
+		it('does not load the testing support modules', () => {
+			const script = `require(${JSON.stringify(require.resolve('../../../lib/client'))});
+				console.log(Object.keys(require.cache).filter(modulePath => modulePath.includes('testing')).length);`;
+			assert.strictEqual(execFileSync(process.execPath, ['-e', script], {encoding: 'utf8'}).trim(), '0');
+		});
+
+	});
+
+});
@@ -0,0 +1,267 @@
+'use strict';
+
+const assert = require('proclaim');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('lib/snapshot', () => {
+	let directory;
+	let errors;
+	let snapshot;
+
+	beforeEach(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-data-snapshot-'));
+		errors = require('../../../lib/errors');
+		snapshot = require('../../../lib/snapshot');
+	});
+
+	afterEach(() => {
+		fs.rmSync(directory, {recursive: true, force: true});
+	});
+
+	function writeSnapshot(data) {
+		const snapshotPath = path.join(directory, 'snapshot.json');
+		fs.writeFileSync(snapshotPath, JSON.stringify(data));
+		return snapshotPath;
+	}
+
+	async function assertRejects(promise, ErrorClass, message) {
+		try {
+			await promise;
+		} catch (error) {
+			assert.instanceOf(error, ErrorClass);
+			assert.strictEqual(error.message, message);
+			return error;
+		}
+
+		throw new Error('Expected an error to be thrown');
+	}
+
+	describe('.defaultExportOptions', () => {
+
+		it('includes everything for every version', () => {
+			assert.deepEqual(snapshot.defaultExportOptions, {
+				filters: {},
+				includeManifests: true,
+				includeMarkdown: true,
+				includeBundles: true,
+				latestOnly: false,
+				concurrency: 5
+			});
+		});
+
+	});
+
+	describe('.Snapshot', () => {
+
+		describe('new Snapshot(snapshotPath)', () => {
+
+			it('resolves the path', () => {
+				assert.strictEqual(new snapshot.Snapshot('snapshot.json').path, path.resolve('snapshot.json'));
+			});
+
+			it('throws when the path is missing', () => {
+				assert.throws(() => new snapshot.Snapshot(), 'The snapshot path must be a non-empty string');
+			});
+
+		});
+
+		describe('.load()', () => {
+
+			it('reads the snapshot file once', async () => {
+				const instance = new snapshot.Snapshot(writeSnapshot({snapshotVersion: 1, repos: []}));
+				const data = await instance.load();
+				assert.deepEqual(data, {snapshotVersion: 1, repos: []});
+				assert.strictEqual(await instance.load(), data);
+			});
+
+			it('rejects when the file is not a snapshot', async () => {
+				const snapshotPath = writeSnapshot({});
+				await assertRejects(new snapshot.Snapshot(snapshotPath).load(), TypeError, `${snapshotPath} is not a Repo Data snapshot`);
+			});
+
+			it('rejects when the snapshot is in a different format', async () => {
+				const snapshotPath = writeSnapshot({snapshotVersion: 2, repos: []});
+				await assertRejects(new snapshot.Snapshot(snapshotPath).load(), TypeError, `${snapshotPath} is a version 2 snapshot, expected version 1`);
+			});
+
+			it('reads the file again after a failure', async () => {
+				const snapshotPath = path.join(directory, 'snapshot.json');
+				const instance = new snapshot.Snapshot(snapshotPath);
+				try {
+					await instance.load();
+				} catch (error) {
+					assert.strictEqual(error.code, 'ENOENT');
+				}
+				writeSnapshot({snapshotVersion: 1, repos: []});
+				assert.deepEqual(await instance.load(), {snapshotVersion: 1, repos: []});
+			});
+
+		});
+
+		describe('.respond(request)', () => {
+			let instance;
+
+			beforeEach(() => {
+				instance = new snapshot.Snapshot(writeSnapshot({
+					snapshotVersion: 1,
+					repos: [
+						{
+							id: 'mock-repo-id',
+							name: 'o-mock',
+							type: 'module',
+							brands: ['master'],
+							version: '1.0.0',
+							versions: [
+								{id: 'mock-version-id', repo: 'mock-repo-id', name: 'o-mock', version: '1.0.0', dependencies: []}
+							]
+						}
+					]
+				}));
+			});
+
+			it('responds to requests for repositories and versions as the service would', async () => {
+				assert.deepEqual(await instance.respond({method: 'GET', endpoint: '/v1/repos', query: {brand: 'master', type: ['module']}}), {
+					status: 200,
+					headers: {},
+					data: [{id: 'mock-repo-id', name: 'o-mock', type: 'module', brands: ['master'], version: '1.0.0'}]
+				});
+				assert.deepEqual((await instance.respond({method: 'GET', endpoint: '/v1/repos', query: {brand: 'none'}})).data, []);
+				assert.deepEqual((await instance.respond({method: 'get', endpoint: '/v1/repos/o-mock/versions/1.0.0'})).data, {
+					id: 'mock-version-id',
+					repo: 'mock-repo-id',
+					name: 'o-mock',
+					version: '1.0.0'
+				});
+			});
+
+			it('responds with a 404 for things which are not in the snapshot', async () => {
+				assert.deepEqual(await instance.respond({method: 'GET', endpoint: '/v1/repos/o-missing'}), {
+					status: 404,
+					headers: {},
+					data: {message: 'Repository not found', status: 404}
+				});
+			});
+
+			it('rejects requests for anything other than repositories and versions', async () => {
+				const error = await assertRejects(
+					instance.respond({method: 'GET', endpoint: '/v1/keys'}),
+					errors.UnmatchedRequestError,
+					'GET /v1/keys cannot be served from a snapshot, which only includes repositories and versions'
+				);
+				assert.strictEqual(error.fixturePath, instance.path);
+				await assertRejects(instance.respond({method: 'POST', endpoint: '/v1/queue'}), errors.UnmatchedRequestError, 'POST /v1/queue cannot be served from a snapshot, which only includes repositories and versions');
+			});
+
+		});
+
+		describe('.fromOption(snapshot)', () => {
+
+			it('returns `null` when there is no snapshot', () => {
+				assert.isNull(snapshot.Snapshot.fromOption(undefined));
+			});
+
+			it('returns an existing snapshot as-is', () => {
+				const instance = new snapshot.Snapshot('snapshot.json');
+				assert.strictEqual(snapshot.Snapshot.fromOption(instance), instance);
+			});
+
+			it('creates a snapshot from a path', () => {
+				assert.strictEqual(snapshot.Snapshot.fromOption('snapshot.json').path, path.resolve('snapshot.json'));
+			});
+
+		});
+
+	});
+
+	describe('.exportSnapshot(client, snapshotPath, options)', () => {
+		let RepoDataClient;
+		let repoData;
+		let server;
+		let snapshotPath;
+
+		beforeEach(async () => {
+			RepoDataClient = require('../../../lib/client');
+			const {MockRepoDataServer} = require('../../../lib/testing/server');
+			server = new MockRepoDataServer();
+			await server.start();
+			repoData = new RepoDataClient(server.getClientOptions('read'));
+			snapshotPath = path.join(directory, 'nested', 'catalogue.json');
+		});
+
+		afterEach(async () => {
+			await server.stop();
+		});
+
+		it('writes a snapshot and resolves with a summary', async () => {
+			const summary = await snapshot.exportSnapshot(repoData, snapshotPath);
+			assert.strictEqual(summary.path, snapshotPath);
+			assert.strictEqual(summary.repoCount, 3);
+			assert.strictEqual(summary.versionCount, 4);
+			const data = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+			assert.strictEqual(data.snapshotVersion, 1);
+			assert.strictEqual(data.created, summary.created);
+			assert.strictEqual(data.apiUrl, server.url);
+		});
+
+		it('writes a snapshot which serves the same data as the service', async () => {
+			await snapshot.exportSnapshot(repoData, snapshotPath);
+			const offline = RepoDataClient.fromSnapshot(snapshotPath);
+			const calls = [
+				client => client.listRepos(),
+				client => client.listRepos({type: 'module', search: 'colour'}),
+				client => client.getRepo('o-colors'),
+				client => client.listVersions('o-colors'),
+				client => client.getVersion('o-colors', 'v6.0.0'),
+				client => client.getManifest('o-colors', '6.0.0', 'origami'),
+				client => client.getReadme('o-colors', '6.0.0'),
+				client => client.listDemos('o-colors', '6.0.0', 'master'),
+				client => client.listImages('o-icons', '5.0.0', {sourceParam: 'mock-source'}),
+				client => client.listDependencies('o-buttons', '7.0.0'),
+				client => client.listBundles('o-colors', '6.0.0', 'css')
+			];
+			for (const call of calls) {
+				assert.deepEqual(await call(offline), await call(repoData));
+			}
+			server.requests = [];
+			try {
+				await offline.getMarkdown('o-colors', '6.0.0', 'designguidelines');
+			} catch (error) {
+				assert.instanceOf(error, errors.NotFoundError);
+				assert.strictEqual(error.serviceMessage, 'Markdown document not found');
+				assert.lengthEquals(server.requests, 0);
+				return;
+			}
+
+			throw new Error('Expected an error to be thrown');
+		});
+
+		it('leaves out versions and resources which are not requested', async () => {
+			await snapshot.exportSnapshot(repoData, snapshotPath, {
+				filters: {type: 'module'},
+				includeManifests: false,
+				includeMarkdown: false,
+				includeBundles: false,
+				latestOnly: true
+			});
+			const data = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+			assert.deepEqual(data.filters, {type: 'module'});
+			assert.deepEqual(data.repos.map(repo => repo.name), ['o-colors', 'o-buttons']);
+			const version = data.repos[0].versions[0];
+			assert.lengthEquals(data.repos[0].versions, 1);
+			assert.strictEqual(version.version, '6.0.0');
+			assert.isArray(version.demos);
+			assert.isUndefined(version.manifests);
+			assert.isUndefined(version.markdown);
+			assert.isUndefined(version.bundles);
+		});
+
+		it('rejects with a TypeError without making a request when the path is missing', async () => {
+			await assertRejects(snapshot.exportSnapshot(repoData), TypeError, 'The snapshot path must be a non-empty string');
+			assert.lengthEquals(server.requests, 0);
+		});
+
+	});
+
+});
@@ -0,0 +1,264 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/testing/server', () => {
+	let errors;
+	let RepoDataClient;
+	let server;
+	let MockRepoDataServer;
+
+	beforeEach(async () => {
+		errors = require('../../../../lib/errors');
+		RepoDataClient = require('../../../../lib/client');
+		MockRepoDataServer = require('../../../../lib/testing/server').MockRepoDataServer;
+		server = new MockRepoDataServer();
+		await server.start();
+	});
+
+	afterEach(async () => {
+		await server.stop();
+	});
+
+	async function assertRejects(promise, ErrorClass, serviceMessage) {
+		try {
+			await promise;
+		} catch (error) {
+			assert.instanceOf(error, ErrorClass);
+			assert.strictEqual(error.serviceMessage, serviceMessage);
+			assert.isString(error.requestId);
+			return;
+		}
+
+		throw new Error('Expected an error to be thrown');
+	}
+
+	describe('.url', () => {
+
+		it('is the URL of the server once started', () => {
+			assert.match(server.url, /^http:\/\/127\.0\.0\.1:\d+$/);
+		});
+
+		it('is `null` before the server is started', () => {
+			assert.isNull(new MockRepoDataServer().url);
+		});
+
+	});
+
+	describe('.getClientOptions(permission)', () => {
+
+		it('returns client options using a key with the permission', () => {
+			assert.deepEqual(server.getClientOptions(), {
+				apiUrl: server.url,
+				apiKey: '5e2f1a3b-7c4d-4e8f-9a0b-1c2d3e4f5a6b',
+				apiSecret: 'mock-read-secret'
+			});
+			assert.strictEqual(server.getClientOptions('admin').apiKey, '2a4c6e8f-1b3d-4f5a-9c7e-0d2f4a6c8e1b');
+		});
+
+		it('throws when no key has the permission', () => {
+			server.data.keys = [];
+			assert.throws(() => server.getClientOptions('admin'), 'No API key in the fixtures has admin permissions');
+		});
+
+	});
+
+	describe('with a read key', () => {
+		let repoData;
+
+		beforeEach(() => {
+			repoData = new RepoDataClient(server.getClientOptions('read'));
+		});
+
+		it('serves repositories with the details of their latest version', async () => {
+			const repos = await repoData.listRepos();
+			assert.deepEqual(repos.map(repo => repo.name), ['o-colors', 'o-buttons', 'o-icons']);
+			assert.strictEqual(repos[0].version, '6.0.0');
+			assert.isUndefined(repos[0].versions);
+		});
+
+		it('filters repositories using the query', async () => {
+			assert.deepEqual((await repoData.listRepos({brand: null})).map(repo => repo.name), ['o-icons']);
+			assert.deepEqual((await repoData.listRepos({brand: ['internal']})).map(repo => repo.name), ['o-colors', 'o-buttons']);
+			assert.deepEqual((await repoData.listRepos({status: 'maintained'})).map(repo => repo.name), ['o-icons']);
+			assert.deepEqual((await repoData.listRepos({type: ['imageset', 'service']})).map(repo => repo.name), ['o-icons']);
+			assert.deepEqual((await repoData.listRepos({search: 'BUTTON'})).map(repo => repo.name), ['o-buttons']);
+		});
+
+		it('serves a repository by ID or name', async () => {
+			const repo = await repoData.getRepo('o-colors');
+			assert.strictEqual((await repoData.getRepo(repo.id)).name, 'o-colors');
+		});
+
+		it('serves versions, highest first, without their resources', async () => {
+			const versions = await repoData.listVersions('o-colors');
+			assert.deepEqual(versions.map(version => version.version), ['6.0.0', '5.3.0']);
+			assert.strictEqual(versions[0].name, 'o-colors');
+			assert.strictEqual(versions[0].repo, 'c990cb4b-c82b-5071-afb0-16149debc53d');
+			assert.isUndefined(versions[0].manifests);
+		});
+
+		it('serves a version by ID, number, or tag', async () => {
+			const version = await repoData.getVersion('o-colors', 'v6.0.0');
+			assert.strictEqual(version.version, '6.0.0');
+			assert.strictEqual((await repoData.getVersion('o-colors', version.id)).version, '6.0.0');
+		});
+
+		it('serves version resources', async () => {
+			assert.strictEqual((await repoData.getManifest('o-colors', '6.0.0', 'package')).name, '@financial-times/o-colors');
+			assert.strictEqual(await repoData.getReadme('o-colors', '6.0.0'), '# o-colors\n\nOrigami colour palette and colour usecases.\n');
+			assert.lengthEquals(await repoData.listDemos('o-colors', '6.0.0', 'internal'), 1);
+			assert.lengthEquals(await repoData.listBundles('o-colors', '6.0.0', 'css', 'master'), 1);
+			assert.lengthEquals(await repoData.listBundles('o-colors', '6.0.0', 'css', 'internal'), 0);
+			assert.strictEqual((await repoData.listDependencies('o-buttons', '7.0.0'))[0].name, '@financial-times/o-colors');
+			assert.strictEqual((await repoData.listImages('o-icons', '5.0.0', {sourceParam: 'mock-source'}))[0].url, 'https://www.ft.com/__origami/service/image/v2/images/raw/fticon-v1:arrow-down?source=mock-source');
+		});
+
+		it('responds with a 404 error when a resource does not exist', async () => {
+			await assertRejects(repoData.getRepo('o-nope'), errors.NotFoundError, 'Repository not found');
+			await assertRejects(repoData.getVersion('o-colors', '1.0.0'), errors.NotFoundError, 'Version not found');
+			await assertRejects(repoData.getManifest('o-colors', '5.3.0', 'origami'), errors.NotFoundError, 'Manifest not found');
+		});
+
+		it('responds with a 403 error for endpoints which need more permissions', async () => {
+			await assertRejects(repoData.listKeys(), errors.ForbiddenError, 'This API key does not have admin permissions');
+			await assertRejects(repoData.createIngestion({url: 'mock-url', tag: 'mock-tag'}), errors.ForbiddenError, 'This API key does not have write permissions');
+		});
+
+		it('records the requests', async () => {
+			await repoData.listRepos({status: 'active'});
+			assert.lengthEquals(server.requests, 1);
+			assert.strictEqual(server.requests[0].method, 'GET');
+			assert.strictEqual(server.requests[0].path, '/v1/repos');
+			assert.deepEqual(server.requests[0].query, {status: 'active'});
+			assert.strictEqual(server.requests[0].headers['x-api-key'], '5e2f1a3b-7c4d-4e8f-9a0b-1c2d3e4f5a6b');
+		});
+
+		it('serves responses which match the bundled response schemas', async () => {
+			repoData = new RepoDataClient(Object.assign(server.getClientOptions('read'), {validate: true}));
+			await repoData.listRepos();
+			await repoData.getRepo('o-colors');
+			await repoData.listVersions('o-colors');
+			await repoData.getVersion('o-colors', 'v6.0.0');
+			await repoData.listDemos('o-colors', '6.0.0');
+			await repoData.listBundles('o-colors', '6.0.0', 'css');
+			await repoData.listDependencies('o-buttons', '7.0.0');
+			await repoData.listImages('o-icons', '5.0.0');
+		});
+
+	});
+
+	describe('with invalid credentials', () => {
+
+		it('responds with a 401 error', async () => {
+			const repoData = new RepoDataClient({
+				apiUrl: server.url,
+				apiKey: '5e2f1a3b-7c4d-4e8f-9a0b-1c2d3e4f5a6b',
+				apiSecret: 'mock-incorrect-secret'
+			});
+			await assertRejects(repoData.listRepos(), errors.UnauthorizedError, 'Invalid or missing API credentials');
+		});
+
+	});
+
+	describe('with a write key', () => {
+
+		it('adds ingestions to the queue which can then be processed', async () => {
+			const repoData = new RepoDataClient(server.getClientOptions('write'));
+			const ingestion = await repoData.createIngestion({
+				url: 'https://github.com/Financial-Times/o-colors',
+				tag: 'v6.1.0'
+			});
+			assert.strictEqual(ingestion.ingestionAttempts, 0);
+			assert.deepEqual(await repoData.listIngestions(), [ingestion]);
+
+			const version = server.processIngestion(ingestion.id);
+			assert.strictEqual(version.version, '6.1.0');
+			assert.deepEqual(await repoData.listIngestions(), []);
+			assert.strictEqual((await repoData.getLatestVersion('o-colors')).id, version.id);
+		});
+
+		it('responds with a 400 error when the ingestion is invalid', async () => {
+			const repoData = new RepoDataClient(server.getClientOptions('write'));
+			await assertRejects(repoData.createIngestion({url: 'mock-url'}), errors.ValidationError, 'Ingestion url and tag must be strings');
+		});
+
+	});
+
+	describe('with an admin key', () => {
+
+		it('manages API keys without exposing their secrets', async () => {
+			const repoData = new RepoDataClient(server.getClientOptions('admin'));
+			const credentials = await repoData.createKey({
+				description: 'mock description',
+				write: true
+			});
+			assert.isString(credentials.secret);
+			assert.isTrue(credentials.read);
+			assert.isTrue(credentials.write);
+			assert.isFalse(credentials.admin);
+
+			const key = await repoData.getKey(credentials.id);
+			assert.strictEqual(key.description, 'mock description');
+			assert.isUndefined(key.secret);
+			assert.lengthEquals(await repoData.listKeys(), 4);
+
+			await repoData.deleteKey(credentials.id);
+			await assertRejects(repoData.getKey(credentials.id), errors.NotFoundError, 'API key not found');
+		});
+
+	});
+
+	describe('.reset()', () => {
+
+		it('restores the fixtures and clears the recorded requests', async () => {
+			const repoData = new RepoDataClient(server.getClientOptions('admin'));
+			await repoData.deleteKey('5e2f1a3b-7c4d-4e8f-9a0b-1c2d3e4f5a6b');
+			server.reset();
+			assert.lengthEquals(server.requests, 0);
+			assert.lengthEquals(await repoData.listKeys(), 3);
+		});
+
+	});
+
+	describe('when fixtures are given', () => {
+
+		it('serves the fixtures', async () => {
+			await server.stop();
+			server = new MockRepoDataServer({
+				fixtures: {
+					repos: [{id: 'mock-id', name: 'o-mock', versions: []}]
+				}
+			});
+			await server.start();
+			const repoData = new RepoDataClient(server.getClientOptions());
+			assert.deepEqual(await repoData.listRepos(), [{id: 'mock-id', name: 'o-mock'}]);
+		});
+
+		it('serves versions with their own details, or a copy of their repository details when they have none', async () => {
+			await server.stop();
+			server = new MockRepoDataServer({
+				fixtures: {
+					repos: [{
+						id: 'mock-id',
+						name: 'o-mock',
+						description: 'mock description',
+						extra: 'mock extra',
+						versions: [
+							{id: 'mock-version-id-1', version: '2.0.0'},
+							{id: 'mock-version-id-2', version: '1.0.0', description: 'mock old description'}
+						]
+					}]
+				}
+			});
+			await server.start();
+			const repoData = new RepoDataClient(server.getClientOptions());
+			assert.deepEqual(await repoData.listVersions('o-mock'), [
+				{id: 'mock-version-id-1', name: 'o-mock', description: 'mock description', version: '2.0.0', repo: 'mock-id'},
+				{id: 'mock-version-id-2', name: 'o-mock', description: 'mock old description', version: '1.0.0', repo: 'mock-id'}
+			]);
+		});
+
+	});
+
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/validation', () => {
+	let errors;
+	let validation;
+
+	beforeEach(() => {
+		errors = require('../../../lib/errors');
+		validation = require('../../../lib/validation');
+	});
+
+	function createRepo() {
+		return {
+			id: 'mock-id',
+			name: 'o-mock',
+			url: 'https://github.com/Financial-Times/o-mock',
+			type: 'module',
+			subType: null,
+			version: '1.0.0',
+			versionTag: 'v1.0.0',
+			description: 'Mock repository',
+			keywords: ['mock'],
+			origamiVersion: '2.0',
+			support: {
+				status: 'active',
+				email: 'mock@example.com',
+				channel: '#mock',
+				isOrigami: true
+			},
+			brands: ['master'],
+			languages: ['scss'],
+			resources: {},
+			lastIngested: '2021-01-01T00:00:00.000Z'
+		};
+	}
+
+	it('has a schema for every endpoint', () => {
+		for (const {schema} of Object.values(validation.endpointSchemas)) {
+			assert.isObject(validation.schemas[schema]);
+		}
+	});
+
+	describe('.ResponseValidator', () => {
+		let validator;
+
+		beforeEach(() => {
+			validator = new validation.ResponseValidator();
+		});
+
+		describe('new ResponseValidator(options)', () => {
+
+			it('does not normalize responses by default', () => {
+				assert.isFalse(validator.normalize);
+			});
+
+		});
+
+		describe('.validate(method, endpoint, data)', () => {
+
+			it('returns valid data unchanged', () => {
+				const repo = createRepo();
+				assert.strictEqual(validator.validate('GET', '/v1/repos/o-mock', repo), repo);
+			});
+
+			it('validates each item in a list', () => {
+				const repos = [createRepo(), createRepo()];
+				assert.strictEqual(validator.validate('get', '/v1/repos', repos), repos);
+			});
+
+			it('returns data from endpoints without a schema unchanged', () => {
+				assert.strictEqual(validator.validate('GET', '/v1/repos/o-mock/versions/v1.0.0/manifests/origami', 'mock-data'), 'mock-data');
+				assert.strictEqual(validator.validate('GET', '/v1/repos/o-mock/versions/v1.0.0/markdown/readme', 'mock-data'), 'mock-data');
+			});
+
+			it('returns data from non-GET requests unchanged', () => {
+				assert.strictEqual(validator.validate('POST', '/v1/keys', 'mock-data'), 'mock-data');
+			});
+
+			describe('when the data does not match the schema', () => {
+				let repos;
+
+				beforeEach(() => {
+					repos = [createRepo(), createRepo()];
+					repos[1].brands = 'master';
+					delete repos[1].lastIngested;
+				});
+
+				it('throws a ResponseValidationError which describes every problem', () => {
+					try {
+						validator.validate('GET', '/v1/repos', repos);
+					} catch (error) {
+						assert.instanceOf(error, errors.ResponseValidationError);
+						assert.strictEqual(error.method, 'GET');
+						assert.strictEqual(error.endpoint, '/v1/repos');
+						assert.strictEqual(error.body, repos);
+						assert.deepEqual(error.validationErrors, [
+							{path: '/1', message: 'must have required property \'lastIngested\''},
+							{path: '/1/brands', message: 'must be array'}
+						]);
+						assert.strictEqual(error.message, 'The response from GET /v1/repos does not match the repo schema: /1 must have required property \'lastIngested\'; /1/brands must be array');
+						return;
+					}
+
+					throw new Error('Expected an error to be thrown');
+				});
+
+			});
+
+			describe('when the validator normalizes responses', () => {
+				let repo;
+				let returnValue;
+
+				beforeEach(() => {
+					validator = new validation.ResponseValidator({normalize: true});
+					repo = createRepo();
+					delete repo.keywords;
+					repo.brands = null;
+					returnValue = validator.validate('GET', '/v1/repos/o-mock', repo);
+				});
+
+				it('defaults missing arrays to empty arrays', () => {
+					assert.deepEqual(returnValue.keywords, []);
+					assert.deepEqual(returnValue.brands, []);
+				});
+
+				it('converts date strings into Date objects', () => {
+					assert.instanceOf(returnValue.lastIngested, Date);
+					assert.strictEqual(returnValue.lastIngested.toISOString(), '2021-01-01T00:00:00.000Z');
+				});
+
+				it('does not modify the original data', () => {
+					assert.notStrictEqual(returnValue, repo);
+					assert.isUndefined(repo.keywords);
+					assert.isNull(repo.brands);
+					assert.isString(repo.lastIngested);
+				});
+
+				it('normalizes each item in a list', () => {
+					const repos = validator.validate('GET', '/v1/repos', [createRepo()]);
+					assert.instanceOf(repos[0].lastIngested, Date);
+				});
+
+			});
+
+		});
+
+		describe('ResponseValidator.fromOption(validate)', () => {
+
+			it('returns `null` when validation is disabled', () => {
+				assert.isNull(validation.ResponseValidator.fromOption(undefined));
+				assert.isNull(validation.ResponseValidator.fromOption(false));
+			});
+
+			it('returns a validator when validation is enabled', () => {
+				validator = validation.ResponseValidator.fromOption(true);
+				assert.instanceOf(validator, validation.ResponseValidator);
+				assert.isFalse(validator.normalize);
+			});
+
+			it('passes an options object to the validator', () => {
+				assert.isTrue(validation.ResponseValidator.fromOption({normalize: true}).normalize);
+			});
+
+		});
+
+	});
+
+});
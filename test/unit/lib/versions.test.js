@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('proclaim');
+
+describe('lib/versions', () => {
+	let versions;
+	let versionList;
+
+	beforeEach(() => {
+		versions = require('../../../lib/versions');
+		versionList = [
+			{version: '5.0.0'},
+			{version: '6.0.0-beta.1'},
+			{version: 'not-a-version'},
+			{version: '5.10.0'},
+			{version: '5.2.0'},
+			{version: '4.3.1'}
+		];
+	});
+
+	describe('.normalizeRange(range)', () => {
+
+		it('returns a valid semver range', () => {
+			assert.strictEqual(versions.normalizeRange('^5.0.0'), '>=5.0.0 <6.0.0-0');
+			assert.strictEqual(versions.normalizeRange('5.2.0'), '5.2.0');
+		});
+
+		it('maps tags to ranges', () => {
+			assert.strictEqual(versions.normalizeRange('latest'), '*');
+		});
+
+		it('throws a TypeError when the range is invalid', () => {
+			assert.throws(() => versions.normalizeRange('not-a-range'), TypeError);
+			assert.throws(() => versions.normalizeRange(5), '"5" is not a valid semver range or version tag');
+		});
+
+	});
+
+	describe('.sortVersions(versions)', () => {
+
+		it('sorts versions highest first and removes invalid versions', () => {
+			assert.deepEqual(versions.sortVersions(versionList).map(version => version.version), [
+				'6.0.0-beta.1',
+				'5.10.0',
+				'5.2.0',
+				'5.0.0',
+				'4.3.1'
+			]);
+		});
+
+	});
+
+	describe('.filterVersionsInRange(versions, range, options)', () => {
+
+		it('returns the versions which satisfy the range, highest first', () => {
+			assert.deepEqual(versions.filterVersionsInRange(versionList, '5.x').map(version => version.version), [
+				'5.10.0',
+				'5.2.0',
+				'5.0.0'
+			]);
+		});
+
+		it('excludes prerelease versions by default', () => {
+			assert.deepEqual(versions.filterVersionsInRange(versionList, '>=5.5.0').map(version => version.version), [
+				'5.10.0'
+			]);
+		});
+
+		it('includes prerelease versions when `options.includePrerelease` is `true`', () => {
+			assert.deepEqual(versions.filterVersionsInRange(versionList, '>=5.5.0', {includePrerelease: true}).map(version => version.version), [
+				'6.0.0-beta.1',
+				'5.10.0'
+			]);
+		});
+
+	});
+
+	describe('.findLatestVersion(versions)', () => {
+
+		it('returns the highest stable version', () => {
+			assert.strictEqual(versions.findLatestVersion(versionList), versionList[3]);
+		});
+
+		it('returns the highest prerelease version when there are no stable versions', () => {
+			assert.strictEqual(versions.findLatestVersion([versionList[1]]), versionList[1]);
+		});
+
+		it('returns `null` when there are no versions', () => {
+			assert.isNull(versions.findLatestVersion([]));
+		});
+
+	});
+
+	describe('.findVersion(versions, range, options)', () => {
+
+		it('returns the highest version which satisfies the range', () => {
+			assert.strictEqual(versions.findVersion(versionList, '~5.2.0'), versionList[4]);
+			assert.strictEqual(versions.findVersion(versionList, '4.3.1'), versionList[5]);
+		});
+
+		it('returns the latest version for the "latest" tag', () => {
+			assert.strictEqual(versions.findVersion(versionList, 'latest'), versionList[3]);
+			assert.strictEqual(versions.findVersion(versionList, 'latest', {includePrerelease: true}), versionList[1]);
+		});
+
+		it('returns `null` when no version satisfies the range', () => {
+			assert.isNull(versions.findVersion(versionList, '^7.0.0'));
+		});
+
+	});
+
+});
@@ -0,0 +1,316 @@
+'use strict';
+
+const assert = require('proclaim');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+
+describe('lib/watch', () => {
+	let client;
+	let ingestions;
+	let repos;
+	let watch;
+
+	beforeEach(() => {
+		watch = require('../../../lib/watch');
+		repos = [
+			{id: 'mock-colors-id', name: 'o-colors', type: 'module', version: '5.3.0', support: {status: 'active'}, brands: ['master']},
+			{id: 'mock-buttons-id', name: 'o-buttons', type: 'module', version: '6.1.0', support: {status: 'active'}, brands: ['master']}
+		];
+		ingestions = [
+			{id: 'mock-ingestion-1', url: 'https://github.com/Financial-Times/o-colors', tag: 'v6.0.0', ingestionAttempts: 0}
+		];
+		client = {
+			listRepos: sinon.spy(async () => repos),
+			listIngestions: sinon.spy(async () => ingestions)
+		};
+	});
+
+	function changeCatalogue() {
+		repos = [
+			{id: 'mock-colors-id', name: 'o-colors', type: 'module', version: '6.0.0', support: {status: 'active'}, brands: ['master']},
+			{id: 'mock-buttons-id', name: 'o-buttons', type: 'module', version: '6.1.0', support: {status: 'deprecated'}, brands: ['master']},
+			{id: 'mock-new-id', name: 'o-new', type: 'module', version: '1.0.0', support: {status: 'experimental'}, brands: []}
+		];
+		ingestions = [
+			{id: 'mock-ingestion-2', url: 'https://github.com/Financial-Times/o-new', tag: 'v1.0.0', ingestionAttempts: 0}
+		];
+	}
+
+	describe('.defaultWatchOptions', () => {
+
+		it('checks every minute, including the ingestion queue, without persisting state', () => {
+			assert.deepEqual(watch.defaultWatchOptions, {
+				filters: {},
+				interval: 60000,
+				ingestions: true,
+				state: null
+			});
+		});
+
+	});
+
+	describe('.Watcher', () => {
+
+		describe('new Watcher(client, options, requestOptions)', () => {
+
+			it('defaults the options', () => {
+				const watcher = new watch.Watcher(client, {interval: 1000});
+				assert.deepEqual(watcher.options, {
+					filters: {},
+					interval: 1000,
+					ingestions: true,
+					state: null
+				});
+				assert.isFalse(watcher.running);
+			});
+
+			it('throws a TypeError when the options are not valid', () => {
+				assert.throws(() => new watch.Watcher(client, {interval: 0}), 'The watch interval must be a positive number of milliseconds');
+				assert.throws(() => new watch.Watcher(client, {interval: '1000'}), 'The watch interval must be a positive number of milliseconds');
+				assert.throws(() => new watch.Watcher(client, {filters: {type: 'mock-type'}}), TypeError);
+				assert.throws(() => new watch.Watcher(client, {state: {}}), 'The watch state must be a file path, or a store with "get" and "set" methods');
+			});
+
+		});
+
+		describe('.check()', () => {
+			let watcher;
+
+			beforeEach(() => {
+				watcher = new watch.Watcher(client, {filters: {type: 'module'}}, {timeout: 1000});
+			});
+
+			it('gets the repositories and ingestion queue', async () => {
+				await watcher.check();
+				assert.calledOnce(client.listRepos);
+				assert.calledWithExactly(client.listRepos, {type: 'module'}, {timeout: 1000});
+				assert.calledOnce(client.listIngestions);
+				assert.calledWithExactly(client.listIngestions, {timeout: 1000});
+			});
+
+			it('does not emit anything on the first check', async () => {
+				const listener = sinon.spy();
+				watch.watchEvents.forEach(type => watcher.on(type, listener));
+				assert.deepEqual(await watcher.check(), []);
+				assert.notCalled(listener);
+			});
+
+			it('emits an event for each change since the previous check', async () => {
+				const listener = sinon.spy();
+				watch.watchEvents.forEach(type => watcher.on(type, listener));
+				await watcher.check();
+				changeCatalogue();
+				const events = await watcher.check();
+				assert.deepEqual(events, [
+					{type: 'repo:added', repo: repos[2]},
+					{type: 'repo:statusChanged', repo: repos[1], from: 'active', to: 'deprecated'},
+					{type: 'version:released', repo: repos[0], version: '6.0.0', previousVersion: '5.3.0'},
+					{type: 'ingestion:queued', ingestion: ingestions[0]},
+					{
+						type: 'ingestion:completed',
+						ingestion: {id: 'mock-ingestion-1', url: 'https://github.com/Financial-Times/o-colors', tag: 'v6.0.0'}
+					}
+				]);
+				assert.callCount(listener, 5);
+				events.forEach((event, index) => assert.strictEqual(listener.getCall(index).args[0], event));
+				assert.deepEqual(await watcher.check(), []);
+			});
+
+			it('does not emit a release when the latest version goes down', async () => {
+				await watcher.check();
+				repos[0].version = '5.2.0';
+				assert.deepEqual(await watcher.check(), []);
+			});
+
+			it('does not get the ingestion queue when ingestions are not watched', async () => {
+				watcher = new watch.Watcher(client, {ingestions: false});
+				await watcher.check();
+				changeCatalogue();
+				const events = await watcher.check();
+				assert.notCalled(client.listIngestions);
+				assert.deepEqual(events.map(event => event.type), ['repo:added', 'repo:statusChanged', 'version:released']);
+			});
+
+			it('rejects when a request fails', async () => {
+				client.listRepos = sinon.stub().rejects(new Error('mock error'));
+				try {
+					await watcher.check();
+				} catch (error) {
+					assert.strictEqual(error.message, 'mock error');
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+		describe('when the state is persisted to a file', () => {
+			let directory;
+			let statePath;
+
+			beforeEach(() => {
+				directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-data-watch-'));
+				statePath = path.join(directory, 'nested', 'state.json');
+			});
+
+			afterEach(() => {
+				fs.rmSync(directory, {recursive: true, force: true});
+			});
+
+			it('writes the state after each check', async () => {
+				await new watch.Watcher(client, {state: statePath}).check();
+				const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+				assert.isString(state.checked);
+				assert.deepEqual(state.repos.map(repo => repo.name), ['o-colors', 'o-buttons']);
+				assert.deepEqual(state.ingestions, [
+					{id: 'mock-ingestion-1', url: 'https://github.com/Financial-Times/o-colors', tag: 'v6.0.0'}
+				]);
+			});
+
+			it('emits changes since the last check of a previous watcher', async () => {
+				await new watch.Watcher(client, {state: statePath}).check();
+				changeCatalogue();
+				const events = await new watch.Watcher(client, {state: statePath}).check();
+				assert.lengthEquals(events, 5);
+			});
+
+		});
+
+		describe('when the persisted state is incomplete', () => {
+
+			it('treats missing repositories and ingestions as empty', async () => {
+				const {MemoryCache} = require('../../../lib/cache');
+				const store = new MemoryCache();
+				await store.set('origami-repo-data-watch', {checked: '2021-01-01T00:00:00.000Z'});
+				const events = await new watch.Watcher(client, {state: store}).check();
+				assert.deepEqual(events.map(event => event.type), ['repo:added', 'repo:added', 'ingestion:queued']);
+			});
+
+		});
+
+		describe('when the state is persisted to a store', () => {
+
+			it('gets and sets the state in the store', async () => {
+				const {MemoryCache} = require('../../../lib/cache');
+				const store = new MemoryCache();
+				await new watch.Watcher(client, {state: store}).check();
+				assert.deepEqual((await store.get('origami-repo-data-watch')).repos.map(repo => repo.name), ['o-colors', 'o-buttons']);
+				changeCatalogue();
+				const events = await new watch.Watcher(client, {state: store}).check();
+				assert.lengthEquals(events, 5);
+			});
+
+		});
+
+		describe('.start() and .stop()', () => {
+			let watcher;
+
+			beforeEach(() => {
+				watcher = new watch.Watcher(client, {interval: 5});
+			});
+
+			afterEach(() => {
+				watcher.stop();
+			});
+
+			it('checks straight away and then once per interval until stopped', async () => {
+				const stopListener = sinon.spy();
+				watcher.on('stop', stopListener);
+				client.listRepos = sinon.spy(async () => {
+					if (client.listRepos.callCount === 2) {
+						changeCatalogue();
+					}
+					return repos;
+				});
+				assert.strictEqual(watcher.start(), watcher);
+				assert.isTrue(watcher.running);
+				await new Promise(resolve => watcher.once('repo:added', resolve));
+				assert.strictEqual(watcher.stop(), watcher);
+				assert.isFalse(watcher.running);
+				assert.calledOnce(stopListener);
+				const callCount = client.listRepos.callCount;
+				await new Promise(resolve => setTimeout(resolve, 20));
+				assert.strictEqual(client.listRepos.callCount, callCount);
+			});
+
+			it('emits an error and carries on checking when a check fails', async () => {
+				const error = new Error('mock error');
+				client.listRepos = sinon.stub().rejects(error);
+				client.listRepos.onThirdCall().resolves(repos);
+				watcher.on('error', sinon.spy());
+				watcher.start();
+				assert.strictEqual(await new Promise(resolve => watcher.once('error', resolve)), error);
+				while (client.listRepos.callCount < 3) {
+					await new Promise(resolve => setTimeout(resolve, 5));
+				}
+				assert.isTrue(watcher.running);
+			});
+
+			it('carries on checking when a check fails and there is no error listener', async () => {
+				client.listRepos = sinon.stub().rejects(new Error('mock error'));
+				client.listRepos.onThirdCall().resolves(repos);
+				watcher.start();
+				while (client.listRepos.callCount < 3) {
+					await new Promise(resolve => setTimeout(resolve, 5));
+				}
+				assert.isTrue(watcher.running);
+			});
+
+		});
+
+		describe('[Symbol.asyncIterator]()', () => {
+			let watcher;
+
+			beforeEach(() => {
+				watcher = new watch.Watcher(client, {interval: 5});
+			});
+
+			afterEach(() => {
+				watcher.stop();
+			});
+
+			it('starts the watcher and yields events until the loop ends', async () => {
+				const types = [];
+				let checks = 0;
+				watcher.on('error', sinon.spy());
+				client.listRepos = sinon.spy(async () => {
+					checks += 1;
+					if (checks === 2) {
+						changeCatalogue();
+					}
+					return repos;
+				});
+				for await (const event of watcher) {
+					types.push(event.type);
+					if (types.length === 2) {
+						break;
+					}
+				}
+				assert.deepEqual(types, ['repo:added', 'repo:statusChanged']);
+				assert.isFalse(watcher.running);
+				assert.strictEqual(watcher.listenerCount('repo:added'), 0);
+			});
+
+			it('throws when a check fails', async () => {
+				client.listRepos = sinon.stub().rejects(new Error('mock error'));
+				try {
+					for await (const event of watcher) {
+						assert.isDefined(event);
+					}
+				} catch (error) {
+					assert.strictEqual(error.message, 'mock error');
+					assert.isFalse(watcher.running);
+					return;
+				}
+
+				throw new Error('Expected an error to be thrown');
+			});
+
+		});
+
+	});
+
+});
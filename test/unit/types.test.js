@@ -0,0 +1,31 @@
+'use strict';
+
+const assert = require('proclaim');
+const path = require('path');
+const ts = require('typescript');
+
+describe('lib/client.d.ts', function() {
+	this.timeout(30000);
+
+	it('compiles sample usage without errors', () => {
+		const program = ts.createProgram([path.resolve(__dirname, '../types/usage.ts')], {
+			lib: ['lib.es2018.d.ts'],
+			module: ts.ModuleKind.CommonJS,
+			noEmit: true,
+			noUnusedLocals: false,
+			strict: true,
+			target: ts.ScriptTarget.ES2018,
+			types: []
+		});
+		const diagnostics = ts.getPreEmitDiagnostics(program).map(diagnostic => {
+			const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+			if (diagnostic.file) {
+				const {line} = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+				return `${path.basename(diagnostic.file.fileName)}:${line + 1} ${message}`;
+			}
+			return message;
+		});
+		assert.deepEqual(diagnostics, []);
+	});
+
+});
@@ -0,0 +1,107 @@
+/**
+ * Type definitions for the Origami Repo Data client testing utilities.
+ * These are maintained by hand alongside lib/testing, so please keep them in sync.
+ */
+
+import RepoDataClient = require('./lib/client');
+
+/**
+ * An in-process stand-in for the Origami Repo Data v1 API, for use in tests.
+ */
+export class MockRepoDataServer {
+
+	/**
+	 * Create a mock Repo Data server.
+	 */
+	constructor(options?: MockRepoDataServerOptions);
+
+	/**
+	 * The base URL of the server, or null until the server has been started.
+	 */
+	readonly url: string | null;
+
+	/**
+	 * The data which the server is serving.
+	 */
+	data: Required<Fixtures>;
+
+	/**
+	 * The requests which the server has received since it was last reset.
+	 */
+	requests: MockRequest[];
+
+	/**
+	 * Start the server, resolving with its URL.
+	 */
+	start(): Promise<string>;
+
+	/**
+	 * Stop the server.
+	 */
+	stop(): Promise<void>;
+
+	/**
+	 * Reset the served data to the fixtures and clear the recorded requests.
+	 */
+	reset(): void;
+
+	/**
+	 * Get client options which point at this server and use an API key with the given permission.
+	 */
+	getClientOptions(permission?: 'read' | 'write' | 'admin'): Required<Pick<RepoDataClient.ClientOptions, 'apiUrl' | 'apiKey' | 'apiSecret'>>;
+
+	/**
+	 * Process an ingestion in the queue, removing it and adding the version it creates.
+	 */
+	processIngestion(ingestionId: string, version?: Partial<VersionFixture>): RepoDataClient.Version;
+
+}
+
+export interface MockRepoDataServerOptions {
+	fixtures?: Fixtures;
+	host?: string;
+	port?: number;
+}
+
+export interface MockRequest {
+	method: string;
+	path: string;
+	query: Record<string, string | string[]>;
+	headers: Record<string, string | string[] | undefined>;
+	body: string;
+}
+
+export interface Fixtures {
+	repos?: RepoFixture[];
+	keys?: KeyFixture[];
+	queue?: RepoDataClient.Ingestion[];
+}
+
+export interface RepoFixture extends Partial<RepoDataClient.Repo> {
+	id: string;
+	name: string;
+	versions: VersionFixture[];
+}
+
+export interface VersionFixture {
+	id: string;
+	version: string;
+	versionTag?: string;
+	lastIngested?: string;
+	manifests?: Partial<RepoDataClient.ManifestTypeMap>;
+	markdown?: Partial<Record<RepoDataClient.MarkdownType, string>>;
+	demos?: RepoDataClient.Demo[];
+	images?: RepoDataClient.Image[];
+	dependencies?: RepoDataClient.Dependency[];
+	bundles?: Partial<Record<RepoDataClient.BundleLanguage, RepoDataClient.Bundle[]>>;
+	[key: string]: unknown;
+}
+
+export interface KeyFixture extends RepoDataClient.Key {
+	secret: string;
+}
+
+/**
+ * The built-in fixtures which the mock server uses by default.
+ */
+export const fixtures: Required<Fixtures>;